@@ -0,0 +1,217 @@
+const crypto = require("crypto");
+const AdmZip = require("adm-zip");
+
+// Finished jobs stay available for status checks and downloads this long
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+// Jobs hold generated code and images in memory, so only the latest are kept
+const MAX_JOBS = 20;
+
+const jobs = new Map();
+
+function pruneJobs() {
+  const now = Date.now();
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  });
+  // Oldest first (insertion order); running jobs are never dropped
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (job.finishedAt) jobs.delete(id);
+  }
+}
+
+/**
+ * Start tracking a batch generation job, one entry per frame
+ * @param {Object} options
+ * @param {string} options.fileKey - Figma file key
+ * @param {string} options.figmaUrl - Page or section URL the frames came from
+ * @param {string} options.generator - "claude" or "compiler"
+ * @param {Array<{id: string, name: string}>} options.frames - Figma frames
+ * @returns {Object} The job, updated in place while it runs
+ */
+function createBatchJob({ fileKey, figmaUrl, generator, frames }) {
+  pruneJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    fileKey,
+    figmaUrl,
+    generator,
+    assets: null,
+    error: null,
+    frames: frames.map((frame) => ({
+      nodeId: frame.id,
+      name: frame.name || frame.id,
+      status: "pending",
+      error: null,
+      result: null,
+    })),
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * @param {string} id - Job ID
+ * @returns {Object|null}
+ */
+function getBatchJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Mark a job finished: failed when it stopped with an error or no frame was
+ * generated, done otherwise (single frames may still have failed)
+ * @param {Object} job - From createBatchJob
+ * @param {Error} [error] - What stopped the whole job
+ */
+function finishBatchJob(job, error) {
+  if (error) job.error = error.message;
+  job.status =
+    error || !job.frames.some((frame) => frame.status === "done")
+      ? "failed"
+      : "done";
+  job.finishedAt = new Date().toISOString();
+}
+
+/**
+ * A job's status without the generated code: per-frame status, scores and errors
+ * @param {Object} job - From createBatchJob
+ * @returns {Object}
+ */
+function describeBatchJob(job) {
+  const counts = { pending: 0, generating: 0, done: 0, failed: 0 };
+  job.frames.forEach((frame) => counts[frame.status]++);
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    figmaUrl: job.figmaUrl,
+    generator: job.generator,
+    assets: job.assets,
+    error: job.error,
+    counts,
+    frames: job.frames.map((frame) => ({
+      nodeId: frame.nodeId,
+      name: frame.name,
+      status: frame.status,
+      error: frame.error,
+      generator: frame.result?.generator || null,
+      fallbackReason: frame.result?.fallbackReason || null,
+      styleScore: frame.result?.styleScore?.score ?? null,
+      fidelityScore: frame.result?.fidelity?.score ?? null,
+      textCoverageScore: frame.result?.textCoverage?.score ?? null,
+      dimensions: frame.result?.dimensions || null,
+    })),
+  };
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+function toStandaloneHtml(name, code) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${String(name).replace(/</g, "&lt;")}</title>
+    <style>
+        ${code.css || ""}
+    </style>
+</head>
+<body>
+    ${code.html || ""}
+    <script>
+        ${code.js || ""}
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Zip the generated frames of a job: <frame-name>/index.html (a standalone page)
+ * and <frame-name>/code.json for each generated frame, <frame-name>/fidelity.png
+ * for frames with a fidelity heatmap, plus manifest.json with the job's status
+ * @param {Object} job - From createBatchJob
+ * @returns {Buffer} Zip archive
+ */
+function buildBatchArchive(job) {
+  const zip = new AdmZip();
+  // Folder names stay unique: a second "paywall" becomes "paywall-2", or
+  // "paywall-3" when a frame named "Paywall 2" already took that
+  const used = new Set();
+  const folders = {};
+  job.frames
+    .filter((frame) => frame.status === "done")
+    .forEach((frame) => {
+      const base =
+        String(frame.name)
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-+|-+$/g, "") || "frame";
+      let folder = base;
+      for (let i = 2; used.has(folder); i++) folder = `${base}-${i}`;
+      used.add(folder);
+      folders[frame.nodeId] = folder;
+
+      zip.addFile(
+        `${folder}/index.html`,
+        Buffer.from(toStandaloneHtml(frame.name, frame.result.code), "utf-8")
+      );
+      zip.addFile(
+        `${folder}/code.json`,
+        Buffer.from(JSON.stringify(frame.result.code, null, 2), "utf-8")
+      );
+      const heatmap = frame.result.fidelity?.heatmap;
+      if (heatmap) {
+        zip.addFile(
+          `${folder}/fidelity.png`,
+          Buffer.from(heatmap.split(",")[1], "base64")
+        );
+      }
+    });
+
+  const manifest = describeBatchJob(job);
+  manifest.frames.forEach((frame) => {
+    frame.folder = folders[frame.nodeId] || null;
+  });
+  zip.addFile(
+    "manifest.json",
+    Buffer.from(JSON.stringify(manifest, null, 2), "utf-8")
+  );
+  return zip.toBuffer();
+}
+
+module.exports = {
+  createBatchJob,
+  getBatchJob,
+  finishBatchJob,
+  describeBatchJob,
+  mapWithConcurrency,
+  buildBatchArchive,
+};
@@ -0,0 +1,318 @@
+// Colors closer than this CIEDE2000 distance are treated as the same color.
+// Just under the ~2.3 noticeable difference, so #fafafa merges into #ffffff but a
+// deliberate #f5f5f7 surface stays separate (override with COLOR_CLUSTER_DISTANCE)
+const CLUSTER_DISTANCE = Number(process.env.COLOR_CLUSTER_DISTANCE) || 2;
+
+// Roles need colors that are clearly visible and clearly different from each other
+const MIN_ROLE_ALPHA = 0.5;
+const MIN_ACCENT_DISTANCE = 15;
+const MAX_SURFACE_CONTRAST = 2;
+// Lab chroma above which a color counts as a brand color rather than a neutral
+const MIN_BRAND_CHROMA = 20;
+
+const NAMED_COLORS = {
+  black: "#000000",
+  white: "#ffffff",
+  red: "#ff0000",
+  green: "#008000",
+  blue: "#0000ff",
+  yellow: "#ffff00",
+  orange: "#ffa500",
+  purple: "#800080",
+  gray: "#808080",
+  grey: "#808080",
+  transparent: "#00000000",
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Parse one rgb()/hsl() argument, e.g. "50%" or "128"
+function parseChannel(text, scale) {
+  const number = parseFloat(text);
+  if (isNaN(number)) return null;
+  return text.trim().endsWith("%") ? (number / 100) * scale : number;
+}
+
+function hslToRgb(h, s, l) {
+  const hue = (((h % 360) + 360) % 360) / 360;
+  if (s === 0) return [l * 255, l * 255, l * 255];
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const toChannel = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [hue + 1 / 3, hue, hue - 1 / 3].map((t) => toChannel(t) * 255);
+}
+
+/**
+ * Parse a CSS color (hex, rgb(a), hsl(a) or a common named color)
+ * @returns {{r: number, g: number, b: number, a: number}|null} null if it isn't a concrete color
+ */
+function parseColor(value) {
+  if (typeof value !== "string") return null;
+  const color = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[color]) return parseColor(NAMED_COLORS[color]);
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits
+        .split("")
+        .map((d) => d + d)
+        .join("");
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+
+  // Both "rgb(0, 0, 0, 0.5)" and "rgb(0 0 0 / 50%)" syntaxes
+  const fn = color.match(/^(rgba?|hsla?)\(([^)]+)\)$/);
+  if (!fn) return null;
+  const args = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (args.length < 3) return null;
+  const alpha = args[3] !== undefined ? parseChannel(args[3], 1) : 1;
+
+  let channels;
+  if (fn[1].startsWith("rgb")) {
+    channels = args.slice(0, 3).map((arg) => parseChannel(arg, 255));
+  } else {
+    const [h, s, l] = [
+      parseFloat(args[0]),
+      parseChannel(args[1], 1),
+      parseChannel(args[2], 1),
+    ];
+    if ([h, s, l].some((n) => n === null || isNaN(n))) return null;
+    channels = hslToRgb(h, clamp(s, 0, 1), clamp(l, 0, 1));
+  }
+  if (channels.some((n) => n === null) || alpha === null) return null;
+
+  const [r, g, b] = channels.map((n) => Math.round(clamp(n, 0, 255)));
+  return { r, g, b, a: clamp(alpha, 0, 1) };
+}
+
+/**
+ * Normalize any CSS color to lowercase hex (#rrggbb, or #rrggbbaa when translucent)
+ * @returns {string|null} null for values that aren't concrete colors (e.g. currentColor)
+ */
+function normalizeColor(value) {
+  const color = parseColor(value);
+  if (!color) return null;
+
+  const toHex = (n) => n.toString(16).padStart(2, "0");
+  const hex = `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`;
+  return color.a < 1 ? `${hex}${toHex(Math.round(color.a * 255))}` : hex;
+}
+
+// sRGB -> CIE Lab (D65)
+function rgbToLab({ r, g, b }) {
+  const linear = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  const [x, y, z] = [
+    (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047,
+    linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722,
+    (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883,
+  ].map((t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+
+  return { L: 116 * y - 16, a: 500 * (x - y), b: 200 * (y - z) };
+}
+
+/**
+ * CIEDE2000 color difference between two Lab colors
+ */
+function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const meanC = (C1 + C2) / 2;
+  const G =
+    0.5 *
+    (1 -
+      Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+  const a1 = lab1.a * (1 + G);
+  const a2 = lab2.a * (1 + G);
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h >= 0 ? h : h + 360;
+  };
+  const h1 = hue(lab1.b, a1);
+  const h2 = hue(lab2.b, a2);
+
+  const dL = lab2.L - lab1.L;
+  const dC = c2 - c1;
+  let dh = 0;
+  if (c1 * c2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin((dh / 2) * rad);
+
+  const meanL = (lab1.L + lab2.L) / 2;
+  const meanCPrime = (c1 + c2) / 2;
+  let meanH = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) > 180) meanH += h1 + h2 < 360 ? 360 : -360;
+    meanH /= 2;
+  }
+
+  const T =
+    1 -
+    0.17 * Math.cos((meanH - 30) * rad) +
+    0.24 * Math.cos(2 * meanH * rad) +
+    0.32 * Math.cos((3 * meanH + 6) * rad) -
+    0.2 * Math.cos((4 * meanH - 63) * rad);
+  const SL =
+    1 +
+    (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+  const SC = 1 + 0.045 * meanCPrime;
+  const SH = 1 + 0.015 * meanCPrime * T;
+  const RT =
+    -2 *
+    Math.sqrt(
+      Math.pow(meanCPrime, 7) / (Math.pow(meanCPrime, 7) + Math.pow(25, 7))
+    ) *
+    Math.sin(60 * Math.exp(-Math.pow((meanH - 275) / 25, 2)) * rad);
+
+  return Math.sqrt(
+    Math.pow(dL / SL, 2) +
+      Math.pow(dC / SC, 2) +
+      Math.pow(dH / SH, 2) +
+      RT * (dC / SC) * (dH / SH)
+  );
+}
+
+/**
+ * Perceptual distance between two CSS colors (Infinity if either can't be parsed).
+ * Opacity differences count too, so a 10% overlay never merges with the solid color.
+ */
+function colorDistance(value1, value2) {
+  const color1 = parseColor(value1);
+  const color2 = parseColor(value2);
+  if (!color1 || !color2) return Infinity;
+  return (
+    deltaE2000(rgbToLab(color1), rgbToLab(color2)) +
+    Math.abs(color1.a - color2.a) * 100
+  );
+}
+
+/**
+ * Whether two colors are close enough to be clustered together
+ */
+function isSameColor(value1, value2, distance = CLUSTER_DISTANCE) {
+  return value1 === value2 || colorDistance(value1, value2) < distance;
+}
+
+// Relative luminance per WCAG
+function luminance(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors (1 to 21)
+ */
+function contrastRatio(value1, value2) {
+  const color1 = parseColor(value1);
+  const color2 = parseColor(value2);
+  if (!color1 || !color2) return 1;
+  const [light, dark] = [luminance(color1), luminance(color2)].sort(
+    (a, b) => b - a
+  );
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function chroma(value) {
+  const lab = rgbToLab(parseColor(value));
+  return Math.hypot(lab.a, lab.b);
+}
+
+function isOpaqueEnough(entry) {
+  const color = parseColor(entry.value);
+  return Boolean(color) && color.a >= MIN_ROLE_ALPHA;
+}
+
+/**
+ * Derive a role-based palette from ranked library colors
+ * @param {Array<{value: string, count: number}>} colors - Clustered colors, most used first
+ * @param {Object} colorUsage - Ranked colors per usage: { background: [...], text: [...], border: [...] }
+ * @returns {{background, surface, primary, accent, text}} Each role is { value, count } or null
+ */
+function buildColorPalette(colors = [], colorUsage = {}) {
+  const candidates = colors.filter(isOpaqueEnough);
+  const backgrounds = (colorUsage.background || []).filter(isOpaqueEnough);
+  const texts = (colorUsage.text || []).filter(isOpaqueEnough);
+  const taken = [];
+  const isTaken = (entry, distance) =>
+    taken.some((role) => isSameColor(role.value, entry.value, distance));
+  const pick = (entry) => {
+    if (!entry) return null;
+    taken.push(entry);
+    return { value: entry.value, count: entry.count };
+  };
+
+  // The most used neutral fill is the page background; the surface (cards) is
+  // the next neutral fill of similar lightness
+  const neutralBackgrounds = backgrounds.filter(
+    (entry) => chroma(entry.value) < MIN_BRAND_CHROMA
+  );
+  const background = pick(neutralBackgrounds[0] || backgrounds[0]);
+  const surface = pick(
+    neutralBackgrounds.find(
+      (entry) =>
+        !isTaken(entry) &&
+        contrastRatio(entry.value, background.value) < MAX_SURFACE_CONTRAST
+    )
+  );
+
+  // Text is the most used text color that is readable on the background
+  const text = pick(
+    texts.find(
+      (entry) =>
+        !background || contrastRatio(entry.value, background.value) >= 4.5
+    ) || texts[0]
+  );
+
+  // Primary and accent are the most used saturated colors, preferring filled ones (buttons, badges)
+  const brandColors = [...backgrounds, ...candidates].filter(
+    (entry) => chroma(entry.value) >= MIN_BRAND_CHROMA
+  );
+  const primary = pick(brandColors.find((entry) => !isTaken(entry)));
+  const accent = pick(
+    brandColors.find((entry) => !isTaken(entry, MIN_ACCENT_DISTANCE))
+  );
+
+  return { background, surface, primary, accent, text };
+}
+
+module.exports = {
+  CLUSTER_DISTANCE,
+  parseColor,
+  normalizeColor,
+  colorDistance,
+  isSameColor,
+  contrastRatio,
+  buildColorPalette,
+};
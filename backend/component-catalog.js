@@ -0,0 +1,491 @@
+const safeParser = require("postcss-safe-parser");
+
+// Components recognized in uploaded paywalls, in the order they're shown in prompts
+const COMPONENT_TYPES = {
+  planCard: "Plan card",
+  billingToggle: "Billing period toggle",
+  ctaButton: "CTA button",
+  featureList: "Feature list",
+  closeButton: "Close button",
+  restoreLink: "Restore purchases link",
+  legalFooter: "Legal footer",
+};
+
+// Properties worth repeating in a prompt; layout noise like z-index is left out
+const CATALOG_PROPERTIES = new Set([
+  "background",
+  "background-color",
+  "color",
+  "border",
+  "border-top",
+  "border-bottom",
+  "border-color",
+  "border-width",
+  "border-radius",
+  "box-shadow",
+  "padding",
+  "padding-top",
+  "padding-bottom",
+  "padding-left",
+  "padding-right",
+  "margin",
+  "margin-top",
+  "margin-bottom",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "line-height",
+  "letter-spacing",
+  "text-align",
+  "text-transform",
+  "text-decoration",
+  "display",
+  "flex-direction",
+  "justify-content",
+  "align-items",
+  "gap",
+  "width",
+  "height",
+  "min-height",
+  "opacity",
+]);
+
+const MAX_SKELETON_LENGTH = 1500;
+const MAX_SKELETON_DEPTH = 6;
+const MAX_TEXT_LENGTH = 40;
+const MAX_STYLED_DESCENDANTS = 6;
+
+// Prices, including template placeholders like "$xx.xx"
+const PRICE_REGEX =
+  /[$€£¥₹]\s?(?:\d+(?:[.,]\d{1,2})?|x+(?:[.,]x+)?)|\d+(?:[.,]\d{1,2})?\s?(?:[$€£¥₹]|usd|eur|gbp)\b/i;
+const PLAN_CLASS_REGEX =
+  /plan|pricing|price-?card|package|tier|product|subscription|offer/i;
+const BOX_CLASS_REGEX = /card|rounded|border|shadow|(^|\s)bg-|box|option/i;
+const CTA_TEXT_REGEX =
+  /continue|subscribe|start|try|get |unlock|upgrade|buy|claim|purchase|join|activate/i;
+const CTA_CLASS_REGEX =
+  /cta|primary|continue|subscribe|purchase|checkout|btn|button/i;
+const CLOSE_REGEX = /close|dismiss|cancel/i;
+// Text-level tags never make up a card on their own
+const TEXT_TAGS = [
+  "p",
+  "span",
+  "strong",
+  "b",
+  "em",
+  "small",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+];
+const CLOSE_TEXT = ["×", "✕", "✖", "x", "X", "╳"];
+
+// Strip pseudo-classes/elements so ".btn:hover" still maps to the .btn element
+function baseSelector(selector) {
+  return selector.replace(/::?[\w-]+(\([^)]*\))?/g, "").trim();
+}
+
+// Parse every <style> block into plain rules (rules inside @media are skipped:
+// the catalog describes the default, mobile-first look of a component)
+function collectCssRules($) {
+  const rules = [];
+  $("style").each((i, elem) => {
+    let root;
+    try {
+      root = safeParser($(elem).html() || "");
+    } catch (error) {
+      return;
+    }
+    root.walkRules((rule) => {
+      if (rule.parent?.type === "atrule") return;
+      const declarations = [];
+      rule.each((node) => {
+        if (node.type === "decl") {
+          declarations.push([node.prop.toLowerCase(), node.value.trim()]);
+        }
+      });
+      if (declarations.length === 0) return;
+      rules.push({
+        selectors: rule.selectors.map(baseSelector).filter(Boolean),
+        declarations,
+      });
+    });
+  });
+  return rules;
+}
+
+// Styles that apply to an element: matching rules in source order, then its inline style
+function elementStyles($, el, rules, resolveValue) {
+  const styles = {};
+  rules.forEach((rule) => {
+    const matches = rule.selectors.some((selector) => {
+      try {
+        return $(el).is(selector);
+      } catch (error) {
+        return false;
+      }
+    });
+    if (!matches) return;
+    rule.declarations.forEach(([prop, value]) => {
+      if (CATALOG_PROPERTIES.has(prop)) styles[prop] = resolveValue(value);
+    });
+  });
+
+  const inline = $(el).attr("style");
+  if (inline) {
+    try {
+      safeParser(inline).walkDecls((decl) => {
+        const prop = decl.prop.toLowerCase();
+        if (CATALOG_PROPERTIES.has(prop)) {
+          styles[prop] = resolveValue(decl.value.trim());
+        }
+      });
+    } catch (error) {
+      // Ignore unreadable inline styles
+    }
+  }
+  return styles;
+}
+
+function classList($, el) {
+  return ($(el).attr("class") || "").split(/\s+/).filter(Boolean);
+}
+
+function ownText($, el) {
+  return $(el).text().replace(/\s+/g, " ").trim();
+}
+
+// Utility classes like "hover:shadow-xl" or "w-1/2" need escaping in selectors
+function escapeClassName(name) {
+  return name.replace(/[^\w-]/g, (char) => `\\${char}`);
+}
+
+// "div.plan-card.active" - identifies elements of the same kind
+function elementSignature($, el) {
+  const classes = classList($, el).map(escapeClassName);
+  return `${el.tagName}${classes.length ? `.${classes.join(".")}` : ""}`;
+}
+
+function elementAttrs($, el) {
+  const attrs = [];
+  const keep = ["class", "id", "role", "type", "aria-label", "alt"];
+  keep.forEach((name) => {
+    const value = $(el).attr(name);
+    if (value) attrs.push(`${name}="${value.replace(/\s+/g, " ").trim()}"`);
+  });
+  if ($(el).attr("href") !== undefined) attrs.push('href="#"');
+  if (el.tagName === "img") attrs.push('src="…"');
+  return attrs.length ? ` ${attrs.join(" ")}` : "";
+}
+
+// Markup skeleton: tags, classes and short texts; icons collapsed,
+// long runs of identical siblings shortened to two plus a count
+function buildSkeleton($, el, depth = 0) {
+  const indent = "  ".repeat(depth);
+  const tag = el.tagName;
+  const open = `<${tag}${elementAttrs($, el)}>`;
+
+  if (["img", "input", "br", "hr"].includes(tag)) return `${indent}${open}`;
+  if (tag === "svg") return `${indent}${open}</svg>`;
+  if (depth >= MAX_SKELETON_DEPTH) return `${indent}${open}…</${tag}>`;
+
+  const lines = [];
+  let previousSignature = null;
+  let runLength = 0;
+  const flushRepeats = () => {
+    if (runLength > 2) {
+      lines.push(`${indent}  <!-- +${runLength - 2} more like the above -->`);
+    }
+    runLength = 0;
+  };
+
+  $(el)
+    .contents()
+    .each((i, child) => {
+      if (child.type === "text") {
+        const text = $(child).text().replace(/\s+/g, " ").trim();
+        if (!text) return;
+        flushRepeats();
+        previousSignature = null;
+        lines.push(
+          `${indent}  ${
+            text.length > MAX_TEXT_LENGTH
+              ? `${text.slice(0, MAX_TEXT_LENGTH)}…`
+              : text
+          }`
+        );
+      } else if (
+        child.type === "tag" &&
+        !["script", "style"].includes(child.tagName)
+      ) {
+        const signature = elementSignature($, child);
+        if (signature !== previousSignature) flushRepeats();
+        previousSignature = signature;
+        runLength += 1;
+        // Two identical siblings show the pattern, the rest are only counted
+        if (runLength <= 2) lines.push(buildSkeleton($, child, depth + 1));
+      }
+    });
+  flushRepeats();
+
+  if (lines.length === 0) return `${indent}${open}</${tag}>`;
+  // Keep short single-text elements on one line
+  if (lines.length === 1 && !lines[0].trim().startsWith("<")) {
+    return `${indent}${open}${lines[0].trim()}</${tag}>`;
+  }
+  return `${indent}${open}\n${lines.join("\n")}\n${indent}</${tag}>`;
+}
+
+// Catalog entry for a recognized element
+function describeComponent($, el, type, rules, resolveValue, count = 1) {
+  let skeleton = buildSkeleton($, el);
+  if (skeleton.length > MAX_SKELETON_LENGTH) {
+    skeleton = `${skeleton.slice(0, MAX_SKELETON_LENGTH)}\n<!-- … -->`;
+  }
+
+  // Root styles plus those of classed descendants (title, price, badge, ...)
+  const styles = {};
+  const rootStyles = elementStyles($, el, rules, resolveValue);
+  if (Object.keys(rootStyles).length > 0) {
+    styles[elementSignature($, el)] = rootStyles;
+  }
+  $(el)
+    .find("[class]")
+    .each((i, child) => {
+      if (Object.keys(styles).length > MAX_STYLED_DESCENDANTS) return false;
+      const key = `.${escapeClassName(classList($, child)[0])}`;
+      if (styles[key] || child.tagName === "svg") return;
+      const childStyles = elementStyles($, child, rules, resolveValue);
+      if (Object.keys(childStyles).length > 0) styles[key] = childStyles;
+    });
+
+  const text = ownText($, el);
+  return {
+    type,
+    label: COMPONENT_TYPES[type],
+    selector: elementSignature($, el),
+    count,
+    text: text.length > 120 ? `${text.slice(0, 120)}…` : text,
+    skeleton,
+    styles,
+  };
+}
+
+function isInside($, el, ancestors) {
+  return ancestors.some(
+    (ancestor) => ancestor !== el && $(ancestor).find(el).length > 0
+  );
+}
+
+// Plan cards: boxes holding exactly one plan's price
+function findPlanCards($) {
+  const priceElements = $("body *")
+    .filter(
+      (i, el) =>
+        !["script", "style", "svg"].includes(el.tagName) &&
+        PRICE_REGEX.test(
+          $(el)
+            .contents()
+            .filter((j, node) => node.type === "text")
+            .text()
+        )
+    )
+    .toArray();
+  if (priceElements.length === 0) return [];
+
+  const cards = new Set();
+  priceElements.forEach((price) => {
+    // Climb to the nearest plan-like (or at least box-like) container
+    const boxes = [price, ...$(price).parents().toArray().slice(0, 8)].filter(
+      (el) => !TEXT_TAGS.includes(el.tagName)
+    );
+    const card =
+      boxes.find((el) => PLAN_CLASS_REGEX.test($(el).attr("class") || "")) ||
+      boxes.find(
+        (el) =>
+          !["body", "html", "main", "section"].includes(el.tagName) &&
+          BOX_CLASS_REGEX.test($(el).attr("class") || "")
+      );
+    if (card) cards.add(card);
+  });
+
+  // A "card" holding several other cards is the plan list, not a card
+  const list = Array.from(cards);
+  return list.filter(
+    (card) =>
+      !list.some((other) => other !== card && $(card).find(other).length)
+  );
+}
+
+function findBillingToggle($) {
+  const candidates = $("body *")
+    .filter((i, el) => {
+      const text = ownText($, el);
+      if (text.length === 0 || text.length > 80) return false;
+      const classes = `${$(el).attr("class") || ""} ${
+        $(el).attr("role") || ""
+      }`;
+      // Both periods named, but no prices - those make it a plan card instead
+      const periods =
+        /month|week/i.test(text) &&
+        /year|annual/i.test(text) &&
+        !PRICE_REGEX.test(text);
+      return (
+        (periods && $(el).children().length >= 2) ||
+        /toggle|switch|billing|period|segment/i.test(classes)
+      );
+    })
+    .toArray();
+  // The innermost match is the toggle itself rather than a wrapper
+  return candidates.filter(
+    (el) =>
+      !candidates.some((other) => other !== el && $(el).find(other).length)
+  )[0];
+}
+
+function isCloseElement($, el) {
+  const label = `${$(el).attr("class") || ""} ${$(el).attr("id") || ""} ${
+    $(el).attr("aria-label") || ""
+  }`;
+  return CLOSE_REGEX.test(label) || CLOSE_TEXT.includes(ownText($, el));
+}
+
+function findCtaButton($) {
+  let best = null;
+  let bestScore = 0;
+  $(
+    "button, a, [role='button'], input[type='submit'], [class*='btn'], [class*='button'], [class*='cta']"
+  ).each((i, el) => {
+    const text = ownText($, el) || $(el).attr("value") || "";
+    if (!text || text.length > 40 || isCloseElement($, el)) return;
+    if (/restore|terms|privacy|policy|support|home/i.test(text)) return;
+
+    let score = 0;
+    if (CTA_TEXT_REGEX.test(text)) score += 2;
+    if (CTA_CLASS_REGEX.test($(el).attr("class") || "")) score += 1;
+    if (el.tagName === "button") score += 1;
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+  return bestScore >= 2 ? best : null;
+}
+
+function findFeatureList($) {
+  const named = $("[class]")
+    .filter(
+      (i, el) =>
+        /feature|benefit|perk|advantage/i.test($(el).attr("class")) &&
+        $(el).children().length >= 2
+    )
+    .toArray();
+  if (named.length > 0) {
+    // The outermost named element is the list, the rest are its items
+    return named.find((el) => !isInside($, el, named));
+  }
+
+  // Otherwise the longest list that isn't navigation
+  let best = null;
+  $("ul, ol").each((i, el) => {
+    const items = $(el).children("li");
+    if (items.length < 2 || $(el).closest("nav, footer").length) return;
+    if ($(el).find("a").length > items.length / 2) return;
+    if (!best || items.length > $(best).children("li").length) best = el;
+  });
+  return best;
+}
+
+function findCloseButton($) {
+  return $("button, a, span, div, [role='button']")
+    .filter((i, el) => isCloseElement($, el) && ownText($, el).length <= 10)
+    .toArray()[0];
+}
+
+function findRestoreLink($) {
+  return $("a, button, span, p, div")
+    .filter((i, el) => {
+      const text = ownText($, el);
+      return /restore/i.test(text) && text.length <= 40;
+    })
+    .toArray()
+    .pop();
+}
+
+function findLegalFooter($) {
+  const legalText = /terms|privacy|renew|cancel anytime/i;
+  const candidates = $("footer, [class]")
+    .filter(
+      (i, el) =>
+        (el.tagName === "footer" ||
+          /footer|legal|terms|disclaimer/i.test($(el).attr("class"))) &&
+        legalText.test(ownText($, el))
+    )
+    .toArray();
+  const outermost = candidates.find((el) => !isInside($, el, candidates));
+  if (outermost) return outermost;
+
+  // Fall back to the smallest element mentioning both terms and privacy
+  return $("body *")
+    .filter((i, el) => {
+      const text = ownText($, el);
+      return /terms/i.test(text) && /privacy/i.test(text) && text.length < 600;
+    })
+    .toArray()
+    .pop();
+}
+
+/**
+ * Recognize paywall components (plan cards, billing toggle, CTA, feature list,
+ * close button, restore link, legal footer) in an uploaded paywall
+ * @param {CheerioAPI} $ - Loaded paywall HTML
+ * @param {Function} resolveValue - Resolves var() references in CSS values
+ * @returns {Object} Catalog entries keyed by component type
+ */
+function extractComponentCatalog($, resolveValue = (value) => value) {
+  const rules = collectCssRules($);
+  const catalog = {};
+  const add = (type, el, count) => {
+    if (el) {
+      catalog[type] = describeComponent(
+        $,
+        el,
+        type,
+        rules,
+        resolveValue,
+        count
+      );
+    }
+  };
+
+  const planCards = findPlanCards($);
+  if (planCards.length > 0) {
+    // Describe the most common kind of card; the highlighted one often differs
+    const bySignature = {};
+    planCards.forEach((card) => {
+      const key = $(card).attr("class")?.split(/\s+/)[0] || card.tagName;
+      (bySignature[key] = bySignature[key] || []).push(card);
+    });
+    const cards = Object.values(bySignature).sort(
+      (a, b) => b.length - a.length
+    )[0];
+    add("planCard", cards[0], cards.length);
+  }
+
+  add("billingToggle", findBillingToggle($));
+  add("ctaButton", findCtaButton($));
+  add("featureList", findFeatureList($));
+  add("closeButton", findCloseButton($));
+  add("restoreLink", findRestoreLink($));
+  add("legalFooter", findLegalFooter($));
+
+  return catalog;
+}
+
+module.exports = {
+  COMPONENT_TYPES,
+  extractComponentCatalog,
+};
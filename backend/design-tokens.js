@@ -0,0 +1,619 @@
+const valueParser = require("postcss-value-parser");
+const { normalizeColor } = require("./color-palette");
+
+// Formats GET /api/paywall-patterns?format= can export
+const EXPORT_FORMATS = {
+  dtcg: {
+    contentType: "application/json",
+    fileName: (profile) => `${profile}.tokens.json`,
+  },
+  css: {
+    contentType: "text/css",
+    fileName: (profile) => `${profile}.tokens.css`,
+  },
+  tailwind: {
+    contentType: "application/javascript",
+    fileName: (profile) => `${profile}.tailwind.config.js`,
+  },
+};
+
+// Token groups built from the pattern library: [group path, library key, $type, limit]
+const TOKEN_GROUPS = [
+  [["font", "family"], "fonts", "fontFamily", 10],
+  [["font", "size"], "fontSizes", "dimension", 15],
+  [["font", "weight"], "fontWeights", "fontWeight", 8],
+  [["font", "lineHeight"], "lineHeights", "number", 10],
+  [["font", "letterSpacing"], "letterSpacing", "dimension", 8],
+  [["spacing"], "spacing", "dimension", 20],
+  [["gap"], "gaps", "dimension", 10],
+  [["radius"], "borderRadius", "dimension", 12],
+  [["shadow"], "shadows", "shadow", 8],
+  [["opacity"], "opacities", "number", 8],
+  [["breakpoint"], "breakpoints", "dimension", 8],
+];
+
+// Library colors exported besides the palette roles
+const COLOR_LIMIT = 20;
+
+const MAX_LINE_HEIGHT_RATIO = 3;
+
+// Vendor namespace for the library statistics attached to each token
+const EXTENSION_KEY = "com.paywall-generator";
+
+// DTCG names can't contain ".", "{" or "}"
+function tokenName(value) {
+  if (typeof value === "number" && value < 0) return `neg-${tokenName(-value)}`;
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/\./g, "_")
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function libraryExtension(entry) {
+  return {
+    [EXTENSION_KEY]: {
+      count: entry.count,
+      ...(entry.paywalls && { paywalls: entry.paywalls.length }),
+    },
+  };
+}
+
+// "0 4px 12px rgba(0,0,0,.1)" -> DTCG shadow object (first layer only, null if unreadable)
+function parseShadow(value) {
+  const layer = valueParser(String(value)).nodes.reduce(
+    (layers, node) => {
+      if (node.type === "div" && node.value === ",") layers.push([]);
+      else if (node.type !== "space") layers[layers.length - 1].push(node);
+      return layers;
+    },
+    [[]]
+  )[0];
+
+  const lengths = [];
+  let color = null;
+  let inset = false;
+  layer.forEach((node) => {
+    const text = valueParser.stringify(node);
+    const unit = valueParser.unit(text);
+    if (text.toLowerCase() === "inset") inset = true;
+    else if (unit && (unit.unit === "px" || Number(unit.number) === 0)) {
+      lengths.push(`${Number(unit.number)}px`);
+    } else color = normalizeColor(text);
+  });
+  if (lengths.length < 2 || !color) return null;
+
+  return {
+    color,
+    offsetX: lengths[0],
+    offsetY: lengths[1],
+    blur: lengths[2] || "0px",
+    spread: lengths[3] || "0px",
+    ...(inset && { inset: true }),
+  };
+}
+
+function tokenValue(type, value) {
+  switch (type) {
+    case "dimension":
+      return `${value}px`;
+    case "fontFamily":
+      return [value];
+    case "fontWeight":
+    case "number":
+      return Number(value);
+    case "shadow":
+      return parseShadow(value);
+    default:
+      return value;
+  }
+}
+
+function setPath(target, path, value) {
+  const last = path[path.length - 1];
+  path
+    .slice(0, -1)
+    .reduce((node, key) => (node[key] = node[key] || {}), target)[last] = value;
+}
+
+/**
+ * Convert a pattern library into W3C Design Tokens (DTCG format)
+ * @param {Object} patterns - Pattern library (as stored in a profile)
+ * @param {string} profile - Profile name, used in the description
+ * @returns {Object} Token tree with $type/$value leaves
+ */
+function buildDesignTokens(patterns, profile) {
+  const tokens = {
+    $description: `Paywall style patterns from ${patterns.count} analyzed paywall(s), profile "${profile}"`,
+  };
+
+  // Palette roles first, then the most used library colors
+  const color = {};
+  Object.entries(patterns.palette || {}).forEach(([role, entry]) => {
+    if (!entry) return;
+    color[role] = {
+      $type: "color",
+      $value: entry.value,
+      $extensions: libraryExtension(entry),
+    };
+  });
+  (patterns.colors || []).slice(0, COLOR_LIMIT).forEach((entry, index) => {
+    setPath(color, ["library", String(index + 1)], {
+      $type: "color",
+      $value: entry.value,
+      $extensions: libraryExtension(entry),
+    });
+  });
+  if (Object.keys(color).length > 0) tokens.color = color;
+
+  TOKEN_GROUPS.forEach(([groupPath, key, type, limit]) => {
+    // Differently written library values can produce the same token (e.g. shadows)
+    const seen = new Set();
+    (patterns[key] || []).slice(0, limit).forEach((entry) => {
+      // The library keeps line heights without units: small ones are ratios, the rest px
+      const entryType =
+        key === "lineHeights" && entry.value > MAX_LINE_HEIGHT_RATIO
+          ? "dimension"
+          : type;
+      const value = tokenValue(entryType, entry.value);
+      if (value === null || value === undefined) return;
+      if (seen.has(JSON.stringify(value))) return;
+      seen.add(JSON.stringify(value));
+
+      // Shadows have no readable value to name them by, so they're numbered
+      const name =
+        type === "shadow" ? String(seen.size) : tokenName(entry.value);
+      setPath(tokens, [...groupPath, name], {
+        $type: entryType,
+        $value: value,
+        $extensions: libraryExtension(entry),
+      });
+    });
+  });
+
+  return tokens;
+}
+
+// Walk the token tree, calling fn(path, token) for every leaf
+function forEachToken(node, fn, path = []) {
+  Object.entries(node).forEach(([key, child]) => {
+    if (key.startsWith("$") || !child || typeof child !== "object") return;
+    if ("$value" in child) fn([...path, key], child);
+    else forEachToken(child, fn, [...path, key]);
+  });
+}
+
+// Token value as it would be written in CSS
+function cssValue(token) {
+  if (token.$type === "fontFamily") {
+    return token.$value
+      .map((family) => (/\s/.test(family) ? `"${family}"` : family))
+      .join(", ");
+  }
+  if (token.$type === "shadow") {
+    const { offsetX, offsetY, blur, spread, color, inset } = token.$value;
+    return `${
+      inset ? "inset " : ""
+    }${offsetX} ${offsetY} ${blur} ${spread} ${color}`;
+  }
+  return String(token.$value);
+}
+
+/**
+ * Render design tokens as CSS custom properties on :root
+ */
+function toCssVariables(tokens) {
+  const lines = [];
+  forEachToken(tokens, (path, token) => {
+    // camelCase group names become kebab-case, e.g. --font-line-height-1_5
+    const name = path
+      .join("-")
+      .replace(/([a-z])([A-Z])/g, "$1-$2")
+      .toLowerCase();
+    lines.push(`  --${name}: ${cssValue(token)};`);
+  });
+  return `/* ${tokens.$description} */\n:root {\n${lines.join("\n")}\n}\n`;
+}
+
+/**
+ * Render design tokens as a Tailwind theme config (theme.extend)
+ */
+function toTailwindConfig(tokens) {
+  // Token group -> Tailwind theme key
+  const themeKeys = {
+    color: "colors",
+    "font.family": "fontFamily",
+    "font.size": "fontSize",
+    "font.weight": "fontWeight",
+    "font.lineHeight": "lineHeight",
+    "font.letterSpacing": "letterSpacing",
+    spacing: "spacing",
+    gap: "gap",
+    radius: "borderRadius",
+    shadow: "boxShadow",
+    opacity: "opacity",
+    breakpoint: "screens",
+  };
+
+  const extend = {};
+  forEachToken(tokens, (path, token) => {
+    const groupLength = path[0] === "font" ? 2 : 1;
+    const themeKey = themeKeys[path.slice(0, groupLength).join(".")];
+    if (!themeKey) return;
+    const name = path.slice(groupLength).join("-");
+    const value =
+      token.$type === "fontFamily" || token.$type === "number"
+        ? token.$value
+        : cssValue(token);
+    setPath(extend, [themeKey, name], value);
+  });
+
+  return `// ${
+    tokens.$description
+  }\n/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify(
+    { theme: { extend } },
+    null,
+    2
+  )};\n`;
+}
+
+/**
+ * Export a pattern library in one of EXPORT_FORMATS
+ * @returns {{contentType: string, fileName: string, body: string}}
+ */
+function exportPatternLibrary(patterns, format, profile) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(
+      `Unknown export format "${format}" (expected one of: ${Object.keys(
+        EXPORT_FORMATS
+      ).join(", ")})`
+    );
+  }
+
+  const tokens = buildDesignTokens(patterns, profile);
+  let body;
+  if (format === "css") body = toCssVariables(tokens);
+  else if (format === "tailwind") body = toTailwindConfig(tokens);
+  else body = `${JSON.stringify(tokens, null, 2)}\n`;
+
+  return {
+    contentType: exporter.contentType,
+    fileName: exporter.fileName(profile),
+    body,
+  };
+}
+
+// Library lists a token file can contribute to, keyed by token category
+const IMPORT_CATEGORIES = [
+  // [category, pattern for the dash-joined token path] - first match wins
+  ["fontSizes", /font-?size|text-?size|size-?font/],
+  ["lineHeights", /line-?height|leading/],
+  ["letterSpacing", /letter-?spacing|tracking/],
+  ["fontWeights", /font-?weight|weight/],
+  ["fonts", /famil|typeface|(^|-)fonts?(-|$)/],
+  ["borderRadius", /radius|radii|rounded|corner/],
+  ["shadows", /shadow|elevation/],
+  ["breakpoints", /breakpoint|screen/],
+  ["gaps", /gap|gutter/],
+  ["spacing", /spac|margin|padding/],
+  ["opacities", /opacity/],
+  ["colors", /colou?r|palette/],
+];
+
+// $type -> library list, for typed (DTCG) tokens
+const TYPE_CATEGORIES = {
+  color: "colors",
+  fontfamily: "fonts",
+  fontweight: "fontWeights",
+  shadow: "shadows",
+  boxshadow: "shadows",
+  borderradius: "borderRadius",
+  fontsize: "fontSizes",
+  fontsizes: "fontSizes",
+  lineheight: "lineHeights",
+  lineheights: "lineHeights",
+  letterspacing: "letterSpacing",
+  spacing: "spacing",
+  opacity: "opacities",
+};
+
+// Palette roles recognized in token names (e.g. color.brand.primary, color.bg)
+const ROLE_NAMES = {
+  background: "background",
+  bg: "background",
+  surface: "surface",
+  card: "surface",
+  primary: "primary",
+  brand: "primary",
+  accent: "accent",
+  secondary: "accent",
+  text: "text",
+  foreground: "text",
+  fg: "text",
+};
+// Shade names that mark the main value of a role scale (color.primary.500)
+const ROLE_DEFAULT_SHADES = ["default", "base", "main", "500"];
+
+const FONT_WEIGHT_NAMES = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+// Collect token leaves from a DTCG ($value) or Style Dictionary (value) tree
+function collectTokens(node, path = [], inheritedType = null, tokens = []) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) return tokens;
+  const type = node.$type || node.type || inheritedType;
+
+  if ("$value" in node || ("value" in node && typeof node.value !== "object")) {
+    tokens.push({ path, type, value: node.$value ?? node.value });
+    return tokens;
+  }
+  // Style Dictionary composite values (shadows, typography) are objects too
+  if ("value" in node && !("value" in (node.value || {}))) {
+    tokens.push({ path, type, value: node.value });
+    return tokens;
+  }
+
+  Object.entries(node).forEach(([key, child]) => {
+    if (key.startsWith("$")) return;
+    collectTokens(child, [...path, key], type, tokens);
+  });
+  return tokens;
+}
+
+// Resolve "{color.brand.primary}" references against the other tokens
+function resolveAlias(value, byPath, depth = 0) {
+  if (typeof value !== "string" || depth > 10) return value;
+  const alias = value.match(/^\{([^}]+)\}$/);
+  if (alias) {
+    const target = byPath.get(alias[1]);
+    return target ? resolveAlias(target.value, byPath, depth + 1) : null;
+  }
+  return value.replace(/\{([^}]+)\}/g, (match, ref) => {
+    const target = byPath.get(ref);
+    const resolved = target && resolveAlias(target.value, byPath, depth + 1);
+    return typeof resolved === "string" || typeof resolved === "number"
+      ? String(resolved)
+      : match;
+  });
+}
+
+// "16px", "1rem", 16 or { value: 16, unit: "px" } -> 16 (null if not a length)
+function toPx(value) {
+  if (typeof value === "number") return value;
+  if (value && typeof value === "object" && "value" in value) {
+    return toPx(`${value.value}${value.unit || ""}`);
+  }
+  const parsed = valueParser.unit(String(value ?? "").trim());
+  if (!parsed) return null;
+  const number = Number(parsed.number);
+  const unit = parsed.unit.toLowerCase();
+  if (unit === "px" || unit === "") return number;
+  if (unit === "rem" || unit === "em") return number * 16;
+  return null;
+}
+
+function toLineHeight(value) {
+  const text = String(value ?? "").trim();
+  // Percentages become ratios, like extracted line heights
+  if (text.endsWith("%")) return Number(text.slice(0, -1)) / 100;
+  return toPx(value);
+}
+
+function toFontWeight(value) {
+  if (typeof value === "number") return value;
+  const name = String(value ?? "")
+    .toLowerCase()
+    .replace(/[\s_-]/g, "");
+  if (!name) return null;
+  return FONT_WEIGHT_NAMES[name] || (isNaN(name) ? null : Number(name));
+}
+
+function toFontFamilies(value) {
+  const families = Array.isArray(value) ? value : String(value).split(",");
+  return families
+    .map((f) => String(f).trim().replace(/['"]/g, ""))
+    .filter(Boolean);
+}
+
+// DTCG shadow object(s) -> CSS box-shadow string
+function toShadow(value) {
+  if (Array.isArray(value))
+    return value.map(toShadow).filter(Boolean).join(", ");
+  if (!value || typeof value !== "object") return value ? String(value) : null;
+
+  const length = (v) => `${toPx(v) ?? 0}px`;
+  const x = value.offsetX ?? value.x;
+  const y = value.offsetY ?? value.y;
+  return `${
+    value.inset || value.type === "innerShadow" ? "inset " : ""
+  }${length(x)} ${length(y)} ${length(value.blur)} ${length(value.spread)} ${
+    normalizeColor(value.color) || value.color
+  }`;
+}
+
+function categorizeToken(token) {
+  const type = String(token.type || "").toLowerCase();
+  if (TYPE_CATEGORIES[type]) return TYPE_CATEGORIES[type];
+  if (type === "typography" || type === "border") return type;
+
+  // Untyped composite values are recognized by their fields
+  const value = token.value;
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if ("fontFamily" in value || "fontSize" in value) return "typography";
+    if ("offsetX" in value || "x" in value) return "shadows";
+    if ("width" in value && "color" in value) return "border";
+    if (!("value" in value)) return null;
+  }
+
+  const path = token.path.join("-").toLowerCase();
+  const match = IMPORT_CATEGORIES.find(([, pattern]) => pattern.test(path));
+  if (match) return match[0];
+  // Untyped, unnamed values that are colors are still colors
+  return normalizeColor(String(token.value)) ? "colors" : null;
+}
+
+// Palette role of a color token, and how well it represents that role
+function tokenRole(path) {
+  const segments = path.map((segment) => segment.toLowerCase());
+  // "brand" is often just a namespace (color.brand.secondary)
+  const index = segments.findIndex(
+    (segment, i) =>
+      ROLE_NAMES[segment] &&
+      !(
+        segment === "brand" &&
+        segments.slice(i + 1).some((later) => ROLE_NAMES[later])
+      )
+  );
+  if (index === -1) return null;
+
+  const rest = segments.slice(index + 1);
+  let rank = 2;
+  if (rest.length === 0) rank = 0;
+  else if (rest.length === 1 && ROLE_DEFAULT_SHADES.includes(rest[0])) rank = 1;
+  return { role: ROLE_NAMES[segments[index]], rank };
+}
+
+/**
+ * Convert a DTCG or Style Dictionary token file into extracted-patterns shape
+ * (the same lists extractPaywallPatterns returns), so it can be merged as a source
+ * @param {Object} json - Parsed token file
+ * @returns {Object} Patterns with ranked lists, a palette of named roles and a token count
+ */
+function importDesignTokens(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("Token file must contain a JSON object");
+  }
+
+  const tokens = collectTokens(json);
+  const byPath = new Map(tokens.map((token) => [token.path.join("."), token]));
+  const lists = {};
+  const add = (key, value) => {
+    if (value === null || value === undefined || value === "") return;
+    if (typeof value === "number" && isNaN(value)) return;
+    const list = (lists[key] = lists[key] || []);
+    const existing = list.find((entry) => entry.value === value);
+    if (existing) existing.count += 1;
+    else list.push({ value, count: 1 });
+  };
+  const roles = {};
+  let imported = 0;
+
+  tokens.forEach((token) => {
+    const value = resolveAlias(token.value, byPath);
+    if (value === null || value === undefined) return;
+    const category = categorizeToken({ ...token, value });
+    if (!category) return;
+    imported += 1;
+
+    switch (category) {
+      case "colors": {
+        const color = normalizeColor(String(value));
+        if (!color) return;
+        add("colors", color);
+        const role = tokenRole(token.path);
+        if (role && (!roles[role.role] || role.rank < roles[role.role].rank)) {
+          roles[role.role] = { value: color, rank: role.rank };
+        }
+        return;
+      }
+      case "fonts":
+        toFontFamilies(value).forEach((font) => add("fonts", font));
+        return;
+      case "fontWeights":
+        add("fontWeights", toFontWeight(value));
+        return;
+      case "lineHeights":
+        add("lineHeights", toLineHeight(value));
+        return;
+      case "letterSpacing": {
+        const parsed = valueParser.unit(String(value));
+        add("letterSpacing", parsed ? Number(parsed.number) : null);
+        return;
+      }
+      case "shadows":
+        add("shadows", toShadow(value));
+        return;
+      case "opacities":
+        add("opacities", Number(value));
+        return;
+      case "typography":
+        if (typeof value !== "object") return;
+        if (value.fontFamily) {
+          toFontFamilies(resolveAlias(value.fontFamily, byPath)).forEach(
+            (font) => add("fonts", font)
+          );
+        }
+        add("fontSizes", toPx(resolveAlias(value.fontSize, byPath)));
+        add(
+          "fontWeights",
+          toFontWeight(resolveAlias(value.fontWeight, byPath))
+        );
+        add(
+          "lineHeights",
+          toLineHeight(resolveAlias(value.lineHeight, byPath))
+        );
+        return;
+      case "border":
+        if (typeof value !== "object") return;
+        if (normalizeColor(String(value.color))) {
+          add("colors", normalizeColor(String(value.color)));
+        }
+        add(
+          "borders",
+          `${toPx(value.width) ?? 1}px ${value.style || "solid"} ${
+            normalizeColor(String(value.color)) || value.color
+          }`
+        );
+        return;
+      default:
+        // Remaining categories are lengths
+        add(category, toPx(value));
+    }
+  });
+
+  if (imported === 0) {
+    throw new Error("No design tokens found in file");
+  }
+
+  Object.values(lists).forEach((list) =>
+    list.sort((a, b) => b.count - a.count)
+  );
+  const palette = {};
+  Object.entries(roles).forEach(([role, { value }]) => {
+    palette[role] = { value, count: 1 };
+  });
+
+  return {
+    ...lists,
+    palette,
+    commonStyles: {},
+    componentStyles: {},
+    tokenCount: imported,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildDesignTokens,
+  toCssVariables,
+  toTailwindConfig,
+  exportPatternLibrary,
+  importDesignTokens,
+};
@@ -0,0 +1,224 @@
+const puppeteer = require("puppeteer");
+const sharp = require("sharp");
+
+// Per-pixel color difference (0-1) above which two pixels count as different;
+// low enough to catch a wrong shade, high enough to ignore anti-aliasing
+const DEFAULT_THRESHOLD = 0.1;
+// Largest possible YIQ delta, between black and white
+const MAX_YIQ_DELTA = 35215;
+// Heatmap regions are cells of this many CSS pixels
+const REGION_SIZE = 48;
+// Regions reported in the response, worst first
+const MAX_REGIONS = 8;
+const RENDER_TIMEOUT_MS = 15000;
+
+// Generated code can animate; screenshots compare the settled layout
+const FREEZE_CSS = `*, *::before, *::after {
+  animation: none !important;
+  transition: none !important;
+  caret-color: transparent !important;
+}
+html, body { margin: 0 !important; }`;
+
+// One browser serves every render; it's started on first use and restarted
+// if it goes away
+let browserPromise = null;
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer
+      .launch({ headless: true, args: ["--no-sandbox", "--disable-gpu"] })
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((error) => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+}
+
+function toDocument(code) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<style>${code.css || ""}</style>
+<style>${FREEZE_CSS}</style>
+</head>
+<body>
+${code.html || ""}
+<script>${code.js || ""}</script>
+</body>
+</html>`;
+}
+
+/**
+ * Render generated code in headless Chrome and screenshot the top-left
+ * width × height CSS pixels
+ * @param {{html: string, css: string, js: string}} code
+ * @param {Object} options
+ * @param {number} options.width - Viewport width in CSS pixels
+ * @param {number} options.height - Viewport height in CSS pixels
+ * @param {number} [options.scale=1] - Device pixel ratio
+ * @returns {Promise<Buffer>} PNG
+ */
+async function renderPaywall(code, { width, height, scale = 1 }) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  try {
+    await page.setViewport({ width, height, deviceScaleFactor: scale });
+    await page.setContent(toDocument(code), {
+      waitUntil: "networkidle0",
+      timeout: RENDER_TIMEOUT_MS,
+    });
+    await page.evaluate(() => document.fonts.ready);
+    return await page.screenshot({
+      type: "png",
+      clip: { x: 0, y: 0, width, height },
+    });
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// Raw RGB pixels on white (transparent areas of a Figma export are white in
+// the page), resized to the given size
+async function toPixels(png, width, height) {
+  let image = sharp(png).flatten({ background: "#ffffff" });
+  if (width && height) image = image.resize(width, height, { fit: "fill" });
+  return image.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+}
+
+// Perceived color difference (YIQ), as pixelmatch measures it
+function colorDelta(a, b, i) {
+  const r1 = a[i];
+  const g1 = a[i + 1];
+  const b1 = a[i + 2];
+  const r2 = b[i];
+  const g2 = b[i + 1];
+  const b2 = b[i + 2];
+  const y =
+    (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const iq =
+    (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+  const q =
+    (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return (0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q) / MAX_YIQ_DELTA;
+}
+
+/**
+ * Compare a render with the Figma export pixel by pixel
+ * @param {Buffer} expected - Figma PNG
+ * @param {Buffer} actual - Rendered PNG, resized to the Figma PNG's size
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.1] - Color difference (0-1) that counts
+ * @param {number} [options.scale=1] - Figma PNG pixels per CSS pixel, for regions
+ * @returns {Promise<Object>} { score, diffRatio, width, height, heatmap, regions }
+ *   score is the percentage of matching pixels; heatmap is a PNG of the design
+ *   faded out with differences in red; regions are the worst cells in CSS pixels
+ */
+async function comparePaywallImages(
+  expected,
+  actual,
+  { threshold = DEFAULT_THRESHOLD, scale = 1 } = {}
+) {
+  const { data: reference, info } = await toPixels(expected);
+  const { width, height } = info;
+  const { data: rendered } = await toPixels(actual, width, height);
+
+  const cell = Math.max(1, Math.round(REGION_SIZE * scale));
+  const columns = Math.ceil(width / cell);
+  const cells = new Array(columns * Math.ceil(height / cell)).fill(0);
+  const heatmap = Buffer.alloc(width * height * 3);
+  const limit = threshold * threshold;
+  let different = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const delta = colorDelta(reference, rendered, i);
+      // The design in light gray, differences in red by how far off they are
+      const gray =
+        reference[i] * 0.299 +
+        reference[i + 1] * 0.587 +
+        reference[i + 2] * 0.114;
+      const faded = Math.round(255 - (255 - gray) * 0.25);
+      if (delta > limit) {
+        different++;
+        cells[Math.floor(y / cell) * columns + Math.floor(x / cell)]++;
+        const strength = Math.min(1, 0.35 + Math.sqrt(delta));
+        heatmap[i] = 255;
+        heatmap[i + 1] = Math.round(faded * (1 - strength));
+        heatmap[i + 2] = Math.round(faded * (1 - strength));
+      } else {
+        heatmap[i] = heatmap[i + 1] = heatmap[i + 2] = faded;
+      }
+    }
+  }
+
+  const regions = cells
+    .map((count, index) => {
+      const x = (index % columns) * cell;
+      const y = Math.floor(index / columns) * cell;
+      const cellWidth = Math.min(cell, width - x);
+      const cellHeight = Math.min(cell, height - y);
+      return {
+        x: Math.round(x / scale),
+        y: Math.round(y / scale),
+        width: Math.round(cellWidth / scale),
+        height: Math.round(cellHeight / scale),
+        diff: Math.round((count / (cellWidth * cellHeight)) * 1000) / 1000,
+      };
+    })
+    .filter((region) => region.diff > 0)
+    .sort((a, b) => b.diff - a.diff)
+    .slice(0, MAX_REGIONS);
+
+  const diffRatio = different / (width * height);
+  return {
+    score: Math.round((1 - diffRatio) * 1000) / 10,
+    diffRatio: Math.round(diffRatio * 10000) / 10000,
+    threshold,
+    width,
+    height,
+    heatmap: await sharp(heatmap, { raw: { width, height, channels: 3 } })
+      .png()
+      .toBuffer(),
+    regions,
+  };
+}
+
+/**
+ * Render generated code at the paywall's size and score it against the Figma
+ * export of the frame
+ * @param {Object} code - { html, css, js }
+ * @param {Buffer} reference - Figma PNG of the frame
+ * @param {{width: number, height: number}} dimensions - Paywall size in CSS pixels
+ * @returns {Promise<Object>} comparePaywallImages' result, with the heatmap as
+ *   a data URL
+ */
+async function measureFidelity(code, reference, { width, height }) {
+  const metadata = await sharp(reference).metadata();
+  const scale = metadata.width / width;
+  const rendered = await renderPaywall(code, {
+    width: Math.round(width),
+    height: Math.round(height),
+    scale,
+  });
+  const result = await comparePaywallImages(reference, rendered, { scale });
+  return {
+    ...result,
+    heatmap: `data:image/png;base64,${result.heatmap.toString("base64")}`,
+  };
+}
+
+module.exports = {
+  renderPaywall,
+  comparePaywallImages,
+  measureFidelity,
+};
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Where Figma API responses are cached on disk (override with FIGMA_CACHE_DIR)
+const CACHE_DIR =
+  process.env.FIGMA_CACHE_DIR || path.join(__dirname, "figma-cache");
+
+// "on" reads and records responses, "off" always calls Figma, and "replay"
+// runs offline from recorded responses only (no token needed)
+const CACHE_MODES = ["on", "off", "replay"];
+const FIGMA_CACHE_MODE = CACHE_MODES.includes(process.env.FIGMA_CACHE)
+  ? process.env.FIGMA_CACHE
+  : "on";
+
+// Entries not used for this long are dropped (replay keeps using them)
+const CACHE_TTL_MS =
+  (parseFloat(process.env.FIGMA_CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+// Least recently used entries are dropped once the cache grows past this
+const CACHE_MAX_BYTES =
+  (parseFloat(process.env.FIGMA_CACHE_MAX_MB) || 500) * 1024 * 1024;
+
+// File versions looked up (or replayed) in this process, by file key
+const fileVersions = new Map();
+
+function isValidFileKey(fileKey) {
+  return typeof fileKey === "string" && /^[a-zA-Z0-9]+$/.test(fileKey);
+}
+
+function fileDir(fileKey) {
+  if (!isValidFileKey(fileKey)) {
+    throw new Error(`Invalid Figma file key: ${fileKey}`);
+  }
+  return path.join(CACHE_DIR, fileKey);
+}
+
+// Entry names contain node IDs ("12:34"), so they are hashed into file names
+function entryFile(fileKey, version, name) {
+  const hash = crypto.createHash("sha256").update(name).digest("hex");
+  return path.join(
+    fileDir(fileKey),
+    String(version).replace(/[^a-zA-Z0-9_-]/g, "_"),
+    `${hash.slice(0, 24)}.json`
+  );
+}
+
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data), "utf-8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+function listCacheFiles(dir = CACHE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listCacheFiles(entryPath);
+    const stat = fs.statSync(entryPath);
+    return [{ path: entryPath, size: stat.size, usedAt: stat.mtimeMs }];
+  });
+}
+
+/**
+ * Drop expired entries, then the least recently used ones until the cache
+ * fits its size limit
+ * @returns {{entries: number, bytes: number, removed: number}} What is left
+ */
+function pruneFigmaCache() {
+  const now = Date.now();
+  const entries = [];
+  let bytes = 0;
+  let removed = 0;
+  const remove = (file) => {
+    fs.rmSync(file.path, { force: true });
+    removed++;
+  };
+
+  listCacheFiles().forEach((file) => {
+    // Version records are tiny and let replay find the last seen version
+    if (path.basename(file.path) === "version.json") return;
+    if (now - file.usedAt > CACHE_TTL_MS) {
+      remove(file);
+      return;
+    }
+    entries.push(file);
+    bytes += file.size;
+  });
+
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+  while (bytes > CACHE_MAX_BYTES && entries.length > 0) {
+    const file = entries.shift();
+    remove(file);
+    bytes -= file.size;
+  }
+
+  return { entries: entries.length, bytes, removed };
+}
+
+/**
+ * Remember the version of a Figma file that cached responses are filed under
+ * @param {string} fileKey - Figma file key
+ * @param {{version?: string, lastModified?: string}} fileVersion - From the Figma
+ *   API; without either, the file's responses stop being cached
+ */
+function recordFileVersion(fileKey, { version, lastModified }) {
+  const cacheVersion = version || lastModified;
+  // Without a version nothing can be served from the cache
+  if (!cacheVersion) {
+    fileVersions.delete(fileKey);
+    return;
+  }
+  fileVersions.set(fileKey, cacheVersion);
+  if (FIGMA_CACHE_MODE === "on") {
+    writeJsonAtomic(path.join(fileDir(fileKey), "version.json"), {
+      version: cacheVersion,
+      lastModified,
+      checkedAt: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * The version of a Figma file last recorded in the cache, for replaying offline
+ * @param {string} fileKey - Figma file key
+ * @returns {string|null}
+ */
+function getRecordedFileVersion(fileKey) {
+  const versionFile = path.join(fileDir(fileKey), "version.json");
+  if (!fs.existsSync(versionFile)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(versionFile, "utf-8")).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Serve a Figma API call from the cache, keyed by file key, the file's current
+ * version and the call (e.g. "image 12:34"). Without a known version (or with
+ * the cache off) the call goes to Figma; in replay mode a miss is an error.
+ * @param {string} fileKey - Figma file key
+ * @param {string} name - What the call fetches, node IDs included
+ * @param {Function} fetcher - async () => JSON-serializable response
+ * @returns {Promise<*>} The cached or freshly fetched response
+ */
+async function cachedFigmaRequest(fileKey, name, fetcher) {
+  const version = fileVersions.get(fileKey);
+  if (FIGMA_CACHE_MODE === "off" || !version) {
+    if (FIGMA_CACHE_MODE === "replay") {
+      throw new Error(
+        `Figma cache replay: no recorded version of file ${fileKey}`
+      );
+    }
+    return fetcher();
+  }
+
+  const file = entryFile(fileKey, version, name);
+  if (fs.existsSync(file)) {
+    const stat = fs.statSync(file);
+    if (
+      FIGMA_CACHE_MODE === "replay" ||
+      Date.now() - stat.mtimeMs <= CACHE_TTL_MS
+    ) {
+      try {
+        const { data } = JSON.parse(fs.readFileSync(file, "utf-8"));
+        // Mark as recently used for the size limit
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        console.log(`Figma cache hit: ${fileKey} ${name}`);
+        return data;
+      } catch (error) {
+        console.warn(`⚠️  Unreadable Figma cache entry ${file}, refetching`);
+      }
+    }
+  }
+
+  if (FIGMA_CACHE_MODE === "replay") {
+    throw new Error(
+      `Figma cache replay: no recorded response for ${name} of file ${fileKey} (version ${version})`
+    );
+  }
+
+  const data = await fetcher();
+  try {
+    writeJsonAtomic(file, {
+      fileKey,
+      version,
+      name,
+      cachedAt: new Date().toISOString(),
+      data,
+    });
+    pruneFigmaCache();
+  } catch (error) {
+    // A cache that can't be written only costs speed
+    console.error(`Failed to cache Figma response: ${error.message}`);
+  }
+  return data;
+}
+
+module.exports = {
+  FIGMA_CACHE_MODE,
+  recordFileVersion,
+  getRecordedFileVersion,
+  cachedFigmaRequest,
+  pruneFigmaCache,
+};
@@ -0,0 +1,628 @@
+// Figma node types that hold other nodes
+const CONTAINER_TYPES = new Set([
+  "FRAME",
+  "GROUP",
+  "COMPONENT",
+  "COMPONENT_SET",
+  "INSTANCE",
+  "SECTION",
+]);
+
+const PRIMARY_AXIS_ALIGN = {
+  MIN: "flex-start",
+  CENTER: "center",
+  MAX: "flex-end",
+  SPACE_BETWEEN: "space-between",
+};
+const COUNTER_AXIS_ALIGN = {
+  MIN: "flex-start",
+  CENTER: "center",
+  MAX: "flex-end",
+  BASELINE: "baseline",
+};
+const TEXT_ALIGN = {
+  LEFT: "left",
+  CENTER: "center",
+  RIGHT: "right",
+  JUSTIFIED: "justify",
+};
+const TEXT_VERTICAL_ALIGN = { CENTER: "center", BOTTOM: "flex-end" };
+const TEXT_CASE = {
+  UPPER: "uppercase",
+  LOWER: "lowercase",
+  TITLE: "capitalize",
+};
+const TEXT_DECORATION = {
+  UNDERLINE: "underline",
+  STRIKETHROUGH: "line-through",
+};
+
+const BASE_CSS = `* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; min-height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+img { display: block; }`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function px(value) {
+  return `${Math.round(value * 100) / 100}px`;
+}
+
+function isVisible(paint) {
+  return paint && paint.visible !== false && (paint.opacity ?? 1) > 0;
+}
+
+// Figma colors are 0-1 channels; a paint's opacity multiplies the alpha
+function toCssColor(color, opacity = 1) {
+  const channel = (value) => Math.round((value ?? 0) * 255);
+  const alpha = Math.round((color.a ?? 1) * opacity * 1000) / 1000;
+  if (alpha >= 1) {
+    return `#${[color.r, color.g, color.b]
+      .map((value) => channel(value).toString(16).padStart(2, "0"))
+      .join("")}`;
+  }
+  return `rgba(${channel(color.r)}, ${channel(color.g)}, ${channel(
+    color.b
+  )}, ${alpha})`;
+}
+
+function gradientStops(paint) {
+  return (paint.gradientStops || [])
+    .map(
+      (stop) =>
+        `${toCssColor(stop.color, paint.opacity ?? 1)} ${Math.round(
+          stop.position * 100
+        )}%`
+    )
+    .join(", ");
+}
+
+// One fill as a CSS background layer, null for paints CSS can't draw
+function paintToBackground(paint) {
+  switch (paint.type) {
+    case "SOLID": {
+      const color = toCssColor(paint.color, paint.opacity ?? 1);
+      return `linear-gradient(${color}, ${color})`;
+    }
+    case "GRADIENT_LINEAR": {
+      // The first two handles give the gradient's direction; CSS measures
+      // angles clockwise from "to top", Figma's y axis points down
+      const [start, end] = paint.gradientHandlePositions || [];
+      const angle =
+        start && end
+          ? Math.round(
+              (Math.atan2(end.y - start.y, end.x - start.x) * 180) / Math.PI +
+                90
+            )
+          : 180;
+      return `linear-gradient(${angle}deg, ${gradientStops(paint)})`;
+    }
+    case "GRADIENT_RADIAL":
+    case "GRADIENT_DIAMOND":
+      return `radial-gradient(circle, ${gradientStops(paint)})`;
+    case "GRADIENT_ANGULAR":
+      return `conic-gradient(${gradientStops(paint)})`;
+    default:
+      return null;
+  }
+}
+
+// Background declarations for a node's fills (Figma lists them bottom-up)
+function fillStyles(node) {
+  const fills = (node.fills || []).filter(isVisible);
+  const styles = {};
+  const solidOnly = fills.length === 1 && fills[0].type === "SOLID";
+  if (solidOnly) {
+    styles.background = toCssColor(fills[0].color, fills[0].opacity ?? 1);
+  } else {
+    const layers = fills.map(paintToBackground).filter(Boolean).reverse();
+    if (layers.length > 0) styles.background = layers.join(", ");
+  }
+  // Image fills without an exported image get a neutral placeholder
+  if (!styles.background && fills.some((fill) => fill.type === "IMAGE")) {
+    styles.background = "#e5e7eb";
+  }
+  return styles;
+}
+
+function strokeStyles(node) {
+  const stroke = (node.strokes || []).find(isVisible);
+  if (!stroke || stroke.type !== "SOLID" || !node.strokeWeight) return {};
+
+  const color = toCssColor(stroke.color, stroke.opacity ?? 1);
+  const style =
+    node.strokeDashes?.length || node.dashPattern?.length ? "dashed" : "solid";
+  // Outside strokes don't take up room in Figma, so they become an outline
+  if (node.strokeAlign === "OUTSIDE") {
+    return { outline: `${px(node.strokeWeight)} ${style} ${color}` };
+  }
+  if (node.individualStrokeWeights) {
+    const { top, right, bottom, left } = node.individualStrokeWeights;
+    const styles = {};
+    Object.entries({ top, right, bottom, left }).forEach(([side, weight]) => {
+      if (weight > 0) {
+        styles[`border-${side}`] = `${px(weight)} ${style} ${color}`;
+      }
+    });
+    return styles;
+  }
+  return { border: `${px(node.strokeWeight)} ${style} ${color}` };
+}
+
+function effectStyles(node, isText) {
+  const styles = {};
+  const shadows = [];
+  (node.effects || [])
+    .filter((effect) => effect.visible !== false)
+    .forEach((effect) => {
+      const x = px(effect.offset?.x || 0);
+      const y = px(effect.offset?.y || 0);
+      const blur = px(effect.radius || 0);
+      const color = effect.color
+        ? toCssColor(effect.color)
+        : "rgba(0, 0, 0, 0.25)";
+      if (effect.type === "DROP_SHADOW") {
+        shadows.push(
+          isText
+            ? `${x} ${y} ${blur} ${color}`
+            : `${x} ${y} ${blur} ${px(effect.spread || 0)} ${color}`
+        );
+      } else if (effect.type === "INNER_SHADOW" && !isText) {
+        shadows.push(
+          `inset ${x} ${y} ${blur} ${px(effect.spread || 0)} ${color}`
+        );
+      } else if (effect.type === "LAYER_BLUR") {
+        // Figma's blur radius is roughly twice the CSS standard deviation
+        styles.filter = `blur(${px((effect.radius || 0) / 2)})`;
+      } else if (effect.type === "BACKGROUND_BLUR") {
+        styles["backdrop-filter"] = `blur(${px((effect.radius || 0) / 2)})`;
+      }
+    });
+  if (shadows.length > 0) {
+    styles[isText ? "text-shadow" : "box-shadow"] = shadows.join(", ");
+  }
+  return styles;
+}
+
+function cornerStyles(node) {
+  if (node.type === "ELLIPSE") return { "border-radius": "50%" };
+  if (node.rectangleCornerRadii?.some((radius) => radius > 0)) {
+    return {
+      "border-radius": node.rectangleCornerRadii.map(px).join(" "),
+    };
+  }
+  return node.cornerRadius ? { "border-radius": px(node.cornerRadius) } : {};
+}
+
+function textStyleDeclarations(style = {}) {
+  const styles = {};
+  if (style.fontFamily) {
+    styles["font-family"] = `'${style.fontFamily}', sans-serif`;
+  }
+  if (style.fontWeight) styles["font-weight"] = String(style.fontWeight);
+  if (style.fontSize) styles["font-size"] = px(style.fontSize);
+  if (style.italic) styles["font-style"] = "italic";
+  if (style.lineHeightUnit === "PIXELS" && style.lineHeightPx) {
+    styles["line-height"] = px(style.lineHeightPx);
+  } else if (
+    style.lineHeightUnit === "FONT_SIZE_%" &&
+    style.lineHeightPercentFontSize
+  ) {
+    styles["line-height"] = String(
+      Math.round(style.lineHeightPercentFontSize) / 100
+    );
+  }
+  if (style.letterSpacing) styles["letter-spacing"] = px(style.letterSpacing);
+  if (TEXT_ALIGN[style.textAlignHorizontal]) {
+    styles["text-align"] = TEXT_ALIGN[style.textAlignHorizontal];
+  }
+  if (TEXT_CASE[style.textCase]) {
+    styles["text-transform"] = TEXT_CASE[style.textCase];
+  }
+  if (TEXT_DECORATION[style.textDecoration]) {
+    styles["text-decoration"] = TEXT_DECORATION[style.textDecoration];
+  }
+  return styles;
+}
+
+function textColor(fills) {
+  const fill = (fills || []).find(
+    (paint) => isVisible(paint) && paint.type === "SOLID"
+  );
+  return fill ? { color: toCssColor(fill.color, fill.opacity ?? 1) } : {};
+}
+
+// Sizing of a node along one axis: FIXED, HUG or FILL. Older files only have
+// layoutAlign/layoutGrow and the frame's own sizing modes
+function axisSizing(node, axis, parentLayout) {
+  const explicit =
+    axis === "horizontal"
+      ? node.layoutSizingHorizontal
+      : node.layoutSizingVertical;
+  if (explicit) return explicit;
+
+  const parentAxis = parentLayout === "HORIZONTAL" ? "horizontal" : "vertical";
+  if (parentLayout && parentLayout !== "NONE") {
+    if (axis === parentAxis && node.layoutGrow === 1) return "FILL";
+    if (axis !== parentAxis && node.layoutAlign === "STRETCH") return "FILL";
+  }
+  if (node.type === "TEXT") {
+    if (node.style?.textAutoResize === "WIDTH_AND_HEIGHT") return "HUG";
+    if (node.style?.textAutoResize === "HEIGHT" && axis === "vertical") {
+      return "HUG";
+    }
+  }
+  if (node.layoutMode && node.layoutMode !== "NONE") {
+    const nodeAxis =
+      node.layoutMode === "HORIZONTAL" ? "horizontal" : "vertical";
+    const mode =
+      axis === nodeAxis
+        ? node.primaryAxisSizingMode
+        : node.counterAxisSizingMode;
+    if (mode === "AUTO") return "HUG";
+  }
+  return "FIXED";
+}
+
+// Size and position inside an auto-layout parent: the flex item properties
+function flowItemStyles(node, parentLayout) {
+  const box = node.absoluteBoundingBox;
+  const styles = {};
+  const primary = parentLayout === "HORIZONTAL" ? "horizontal" : "vertical";
+  ["horizontal", "vertical"].forEach((axis) => {
+    const size = axis === "horizontal" ? "width" : "height";
+    const sizing = axisSizing(node, axis, parentLayout);
+    if (sizing === "FILL") {
+      if (axis === primary) {
+        styles.flex = "1 1 0";
+        styles[`min-${size}`] = "0";
+      } else {
+        styles["align-self"] = "stretch";
+      }
+    } else if (sizing === "FIXED" && box) {
+      styles[size] = px(box[size]);
+      if (axis === primary) styles["flex-shrink"] = "0";
+    }
+  });
+  return styles;
+}
+
+// Position inside a parent without auto-layout, following the node's constraints
+function absoluteStyles(node, parentBox) {
+  const box = node.absoluteBoundingBox;
+  if (!box || !parentBox) return {};
+  const styles = { position: "absolute" };
+  const axes = [
+    {
+      constraint: node.constraints?.horizontal,
+      start: "left",
+      end: "right",
+      size: "width",
+      offset: box.x - parentBox.x,
+      length: box.width,
+      parentLength: parentBox.width,
+    },
+    {
+      constraint: node.constraints?.vertical,
+      start: "top",
+      end: "bottom",
+      size: "height",
+      offset: box.y - parentBox.y,
+      length: box.height,
+      parentLength: parentBox.height,
+    },
+  ];
+
+  axes.forEach((axis) => {
+    const endOffset = axis.parentLength - axis.offset - axis.length;
+    switch (axis.constraint) {
+      case "RIGHT":
+      case "BOTTOM":
+        styles[axis.end] = px(endOffset);
+        styles[axis.size] = px(axis.length);
+        break;
+      case "LEFT_RIGHT":
+      case "TOP_BOTTOM":
+        styles[axis.start] = px(axis.offset);
+        styles[axis.end] = px(endOffset);
+        break;
+      case "CENTER": {
+        // Keep the distance between the node's center and the parent's center
+        const fromCenter =
+          axis.offset + axis.length / 2 - axis.parentLength / 2;
+        const shift = fromCenter - axis.length / 2;
+        styles[axis.start] = `calc(50% ${shift < 0 ? "-" : "+"} ${px(
+          Math.abs(shift)
+        )})`;
+        styles[axis.size] = px(axis.length);
+        break;
+      }
+      case "SCALE":
+        styles[axis.start] = `${
+          Math.round((axis.offset / axis.parentLength) * 10000) / 100
+        }%`;
+        styles[axis.size] = `${
+          Math.round((axis.length / axis.parentLength) * 10000) / 100
+        }%`;
+        break;
+      default:
+        styles[axis.start] = px(axis.offset);
+        styles[axis.size] = px(axis.length);
+    }
+  });
+  return styles;
+}
+
+function autoLayoutStyles(node) {
+  const horizontal = node.layoutMode === "HORIZONTAL";
+  const styles = {
+    display: "flex",
+    "flex-direction": horizontal ? "row" : "column",
+  };
+  if (node.layoutWrap === "WRAP") {
+    styles["flex-wrap"] = "wrap";
+    if (node.counterAxisSpacing) {
+      styles["row-gap"] = px(node.counterAxisSpacing);
+    }
+  }
+  const justify = PRIMARY_AXIS_ALIGN[node.primaryAxisAlignItems];
+  if (justify) styles["justify-content"] = justify;
+  const align = COUNTER_AXIS_ALIGN[node.counterAxisAlignItems];
+  if (align) styles["align-items"] = align;
+  if (node.itemSpacing && node.primaryAxisAlignItems !== "SPACE_BETWEEN") {
+    styles[horizontal ? "column-gap" : "row-gap"] = px(node.itemSpacing);
+  }
+  const padding = [
+    node.paddingTop,
+    node.paddingRight,
+    node.paddingBottom,
+    node.paddingLeft,
+  ].map((value) => value || 0);
+  if (padding.some((value) => value > 0)) {
+    styles.padding = padding.map(px).join(" ");
+  }
+  return styles;
+}
+
+// Exported images of nodes with text in them (buttons, cards) are skipped:
+// the text stays live HTML
+function hasText(node) {
+  return (
+    node.type === "TEXT" ||
+    (node.children || []).some(
+      (child) => child.visible !== false && hasText(child)
+    )
+  );
+}
+
+// Class names stay unique: a second "card" becomes "card-2", or "card-3"
+// when a layer named "Card 2" already took that
+function createClassNamer() {
+  const used = new Set();
+  return (node) => {
+    let base = String(node.name || node.type || "node")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40);
+    if (!base || /^[0-9]/.test(base)) base = `layer-${base}`.replace(/-$/, "");
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+    used.add(name);
+    return name;
+  };
+}
+
+function formatRule(selector, styles) {
+  const declarations = Object.entries(styles)
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(([prop, value]) => `  ${prop}: ${value};`);
+  return declarations.length > 0
+    ? `${selector} {\n${declarations.join("\n")}\n}`
+    : null;
+}
+
+// Text content, split into spans where characters override the node's style
+function compileTextContent(node, className, rules) {
+  const characters = node.characters || "";
+  const overrides = node.characterStyleOverrides || [];
+  const table = node.styleOverrideTable || {};
+  const toHtml = (text) => escapeHtml(text).replace(/\n/g, "<br>");
+  if (overrides.length === 0 || Object.keys(table).length === 0) {
+    return toHtml(characters);
+  }
+
+  const runs = [];
+  [...characters].forEach((char, i) => {
+    const id = overrides[i] || 0;
+    const last = runs[runs.length - 1];
+    if (last && last.id === id) last.text += char;
+    else runs.push({ id, text: char });
+  });
+  const styled = new Set();
+  return runs
+    .map(({ id, text }) => {
+      const override = table[id];
+      if (!id || !override) return toHtml(text);
+      const spanClass = `${className}-style-${id}`;
+      if (!styled.has(id)) {
+        styled.add(id);
+        const rule = formatRule(`.${spanClass}`, {
+          ...textStyleDeclarations(override),
+          ...textColor(override.fills),
+        });
+        if (rule) rules.push(rule);
+      }
+      return `<span class="${spanClass}">${toHtml(text)}</span>`;
+    })
+    .join("");
+}
+
+function formatAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
+}
+
+function compileNode(node, context, parent, depth) {
+  // Hidden layers are left out unless a state shows them
+  const hidden = node.visible === false;
+  if ((hidden && !context.showHidden.has(node.id)) || node.isMask) return "";
+
+  const className = context.nameClass(node);
+  const indent = "  ".repeat(depth);
+  const parentLayout = parent?.layoutMode;
+  const inFlow =
+    parentLayout &&
+    parentLayout !== "NONE" &&
+    node.layoutPositioning !== "ABSOLUTE";
+  const isText = node.type === "TEXT";
+  const imageUrl = hasText(node) ? null : context.images[node.id]?.dataUrl;
+
+  const styles = parent
+    ? inFlow
+      ? flowItemStyles(node, parentLayout)
+      : absoluteStyles(node, parent.absoluteBoundingBox)
+    : {
+        position: "relative",
+        width: px(node.absoluteBoundingBox?.width || 375),
+        "min-height": px(node.absoluteBoundingBox?.height || 0),
+        margin: "0 auto",
+      };
+  const hasAutoLayout = node.layoutMode && node.layoutMode !== "NONE";
+  if (hasAutoLayout) {
+    Object.assign(styles, autoLayoutStyles(node));
+  }
+  // Children outside auto-layout are placed absolutely against this frame,
+  // which has to be their containing block (a frame without auto-layout in
+  // an auto-layout parent is a flex item, not positioned)
+  if (
+    !imageUrl &&
+    !styles.position &&
+    CONTAINER_TYPES.has(node.type) &&
+    (node.children || []).length > 0
+  ) {
+    styles.position = "relative";
+  }
+
+  if (isText) {
+    Object.assign(
+      styles,
+      textStyleDeclarations(node.style),
+      textColor(node.fills)
+    );
+    const verticalAlign = TEXT_VERTICAL_ALIGN[node.style?.textAlignVertical];
+    if (
+      verticalAlign &&
+      axisSizing(node, "vertical", parentLayout) === "FIXED"
+    ) {
+      styles.display = "flex";
+      styles["flex-direction"] = "column";
+      styles["justify-content"] = verticalAlign;
+    }
+    if (axisSizing(node, "horizontal", parentLayout) === "HUG") {
+      styles["white-space"] = "nowrap";
+    }
+  } else if (!imageUrl) {
+    Object.assign(styles, fillStyles(node));
+    if (node.type === "LINE") {
+      // A line is its stroke; draw it as a filled box of the stroke's weight
+      const stroke = (node.strokes || []).find(isVisible);
+      if (stroke?.type === "SOLID") {
+        styles.background = toCssColor(stroke.color, stroke.opacity ?? 1);
+        styles.height = px(node.strokeWeight || 1);
+      }
+    } else {
+      Object.assign(styles, strokeStyles(node));
+    }
+  }
+  Object.assign(styles, cornerStyles(node), effectStyles(node, isText));
+  if (node.opacity !== undefined && node.opacity < 1) {
+    styles.opacity = String(Math.round(node.opacity * 100) / 100);
+  }
+  if (node.clipsContent) styles.overflow = "hidden";
+  if (hidden) styles.display = "none";
+
+  const classes = parent ? className : `paywall-container ${className}`;
+  const attributes = formatAttributes(context.attributes[node.id]);
+  const rule = formatRule(`.${className}`, styles);
+  if (rule) context.rules.push(rule);
+
+  if (imageUrl) {
+    return `${indent}<img class="${classes}"${attributes} src="${imageUrl}" alt="${escapeHtml(
+      node.name || ""
+    )}">`;
+  }
+  if (isText) {
+    const content = compileTextContent(node, className, context.rules);
+    // Vertically aligned text needs one flex item, not a list of spans
+    return `${indent}<p class="${classes}"${attributes}>${
+      styles.display === "flex" ? `<span>${content}</span>` : content
+    }</p>`;
+  }
+
+  const children = CONTAINER_TYPES.has(node.type)
+    ? (node.children || [])
+        .map((child) => compileNode(child, context, node, depth + 1))
+        .filter(Boolean)
+    : [];
+  if (children.length === 0) {
+    return `${indent}<div class="${classes}"${attributes}></div>`;
+  }
+  return `${indent}<div class="${classes}"${attributes}>\n${children.join(
+    "\n"
+  )}\n${indent}</div>`;
+}
+
+/**
+ * Compile a Figma node tree straight to HTML/CSS, without an LLM: auto-layout
+ * becomes flexbox, other frames position their children by constraints, and
+ * fills, strokes, effects and text styles map to their CSS equivalents
+ * @param {Object} node - Figma node (from the REST API file or nodes endpoint)
+ * @param {Object} [options]
+ * @param {Object} [options.images] - Exported images by node ID ({ dataUrl }),
+ *   e.g. from extractNodeImages; those nodes are emitted as <img>
+ * @param {Object} [options.attributes] - Extra HTML attributes by node ID
+ * @param {Set<string>} [options.showHidden] - IDs of hidden layers to emit
+ *   anyway (with display: none), e.g. ones a component state shows
+ * @returns {{html: string, css: string, js: string}} Same shape as generated code,
+ *   with the root frame as .paywall-container
+ */
+function compileFigmaNode(
+  node,
+  { images = {}, attributes = {}, showHidden = new Set() } = {}
+) {
+  if (!node) throw new Error("No Figma node to compile");
+
+  const context = {
+    images,
+    attributes,
+    showHidden,
+    rules: [],
+    nameClass: createClassNamer(),
+  };
+  const html = compileNode(node, context, null, 0);
+  return {
+    html,
+    css: [BASE_CSS, ...context.rules].join("\n\n"),
+    js: "",
+  };
+}
+
+module.exports = {
+  compileFigmaNode,
+  isVisible,
+  toCssColor,
+  paintToBackground,
+  axisSizing,
+  fillStyles,
+  strokeStyles,
+  effectStyles,
+  cornerStyles,
+  textColor,
+};
@@ -0,0 +1,731 @@
+const safeParser = require("postcss-safe-parser");
+const { toCssColor } = require("./figma-compiler");
+
+// Figma triggers the generated flow can reproduce
+const TRIGGERS = {
+  ON_CLICK: "click",
+  ON_PRESS: "click",
+  ON_DRAG: "click",
+  ON_HOVER: "hover",
+  MOUSE_ENTER: "hover",
+  AFTER_TIMEOUT: "timeout",
+};
+
+const NAVIGATIONS = {
+  NAVIGATE: "navigate",
+  OVERLAY: "overlay",
+  SWAP: "swap",
+  SCROLL_TO: "scroll",
+};
+
+// Figma's easing presets as CSS timing functions; springs are approximated
+const EASINGS = {
+  LINEAR: "linear",
+  EASE_IN: "cubic-bezier(0.42, 0, 1, 1)",
+  EASE_OUT: "cubic-bezier(0, 0, 0.58, 1)",
+  EASE_IN_AND_OUT: "cubic-bezier(0.42, 0, 0.58, 1)",
+  EASE_IN_BACK: "cubic-bezier(0.3, -0.05, 0.7, -0.5)",
+  EASE_OUT_BACK: "cubic-bezier(0.45, 1.45, 0.8, 1)",
+  EASE_IN_AND_OUT_BACK: "cubic-bezier(0.7, -0.4, 0.4, 1.4)",
+  GENTLE: "cubic-bezier(0.2, 0.9, 0.3, 1)",
+  QUICK: "cubic-bezier(0.3, 1.1, 0.4, 1)",
+  BOUNCY: "cubic-bezier(0.34, 1.56, 0.64, 1)",
+  SLOW: "cubic-bezier(0.16, 1, 0.3, 1)",
+};
+
+// Where an overlay sits in the viewport, as flex alignment
+const OVERLAY_POSITIONS = {
+  CENTER: ["center", "center"],
+  TOP_LEFT: ["flex-start", "flex-start"],
+  TOP_CENTER: ["center", "flex-start"],
+  TOP_RIGHT: ["flex-end", "flex-start"],
+  BOTTOM_LEFT: ["flex-start", "flex-end"],
+  BOTTOM_CENTER: ["center", "flex-end"],
+  BOTTOM_RIGHT: ["flex-end", "flex-end"],
+};
+
+const SCREEN_TYPES = ["FRAME", "COMPONENT", "INSTANCE"];
+
+// The top-level frames of every page (prototype screens) and, for every
+// layer, the screen it's on
+function indexScreens(document) {
+  const screens = new Map();
+  const owners = new Map();
+  const own = (node, screenId) => {
+    owners.set(node.id, screenId);
+    (node.children || []).forEach((child) => own(child, screenId));
+  };
+  const walk = (container) =>
+    (container.children || []).forEach((child) => {
+      if (child.type === "SECTION") return walk(child);
+      if (SCREEN_TYPES.includes(child.type)) {
+        screens.set(child.id, child);
+        own(child, child.id);
+      }
+    });
+  (document?.children || []).forEach(walk);
+  return { screens, owners };
+}
+
+// A page or section starts at its first flow starting point, or its first frame
+function findStartScreen(node, index) {
+  if (index.owners.has(node.id)) return index.owners.get(node.id);
+  const startId = (node.flowStartingPoints || [])
+    .map((start) => index.owners.get(start.nodeId))
+    .find(Boolean);
+  if (startId) return startId;
+  const first = { id: null };
+  const walk = (container) =>
+    (container.children || []).some((child) => {
+      if (child.type === "SECTION") return walk(child);
+      if (index.screens.has(child.id)) first.id = child.id;
+      return first.id !== null;
+    });
+  walk(node);
+  return first.id;
+}
+
+// Interactions, with the legacy single-link fields read as a click
+function nodeInteractions(node) {
+  if (Array.isArray(node.interactions) && node.interactions.length > 0) {
+    return node.interactions;
+  }
+  if (!node.transitionNodeID) return [];
+  return [
+    {
+      trigger: { type: "ON_CLICK" },
+      actions: [
+        {
+          type: "NODE",
+          destinationId: node.transitionNodeID,
+          navigation: "NAVIGATE",
+          transition: node.transitionDuration
+            ? {
+                type: "DISSOLVE",
+                duration: node.transitionDuration / 1000,
+                easing: { type: node.transitionEasing },
+              }
+            : null,
+        },
+      ],
+    },
+  ];
+}
+
+function formatTransition(transition) {
+  if (!transition) return { type: "INSTANT", duration: 0 };
+  const bezier = transition.easing?.easingFunctionCubicBezier;
+  return {
+    type: transition.type,
+    // Figma durations are in seconds
+    duration: Math.round((transition.duration || 0) * 1000),
+    easing: bezier
+      ? `cubic-bezier(${bezier.x1}, ${bezier.y1}, ${bezier.x2}, ${bezier.y2})`
+      : EASINGS[transition.easing?.type] || "ease-out",
+    direction: transition.direction || null,
+  };
+}
+
+function overlaySettings(frame) {
+  const [justify, align] =
+    OVERLAY_POSITIONS[frame.overlayPositionType] || OVERLAY_POSITIONS.CENTER;
+  const background = frame.overlayBackground;
+  return {
+    justify,
+    align,
+    background:
+      background?.type === "SOLID_COLOR" && background.color
+        ? toCssColor(background.color)
+        : "transparent",
+    closeOnClickOutside:
+      frame.overlayBackgroundInteraction === "CLOSE_ON_CLICK_OUTSIDE",
+  };
+}
+
+/**
+ * Follow a file's prototype links from a starting frame to every screen they
+ * reach (onboarding step → paywall → success)
+ * @param {Object} figmaData - The whole file (GET /files/:key)
+ * @param {Object} startNode - The frame to start from; a page or section
+ *   starts at its first flow starting point
+ * @param {Object} [options]
+ * @param {number} [options.maxScreens=12] - Screens beyond this are left out
+ * @returns {Object|null} { start, screens: [{id, name, node, hotspots,
+ *   anchors, overlay}], links, warnings }, or null when the node isn't on a page
+ */
+function findPrototypeFlow(figmaData, startNode, { maxScreens = 12 } = {}) {
+  const index = indexScreens(figmaData.document);
+  const start = findStartScreen(startNode, index);
+  if (!start) return null;
+
+  const warnings = [];
+  const order = [start];
+  const screens = new Map();
+  const navigated = new Set([start]);
+  let links = 0;
+
+  for (let i = 0; i < order.length; i++) {
+    const frame = index.screens.get(order[i]);
+    const screen = {
+      id: frame.id,
+      name: frame.name,
+      node: frame,
+      hotspots: [],
+      anchors: [],
+    };
+    screens.set(frame.id, screen);
+
+    const visit = (node) => {
+      if (node.visible === false) return;
+      nodeInteractions(node).forEach((interaction) => {
+        const trigger = TRIGGERS[interaction.trigger?.type];
+        if (!trigger) {
+          warnings.push(
+            `"${node.name}" on "${frame.name}": ${interaction.trigger?.type} triggers aren't supported`
+          );
+          return;
+        }
+        const actions = (interaction.actions || [])
+          .map((action) => {
+            if (action?.type === "BACK") return { type: "back" };
+            if (action?.type === "CLOSE") return { type: "close" };
+            if (action?.type === "URL") return { type: "url", url: action.url };
+            // Variant changes are the component states' job
+            const type = NAVIGATIONS[action?.navigation];
+            if (action?.type !== "NODE" || !type || !action.destinationId) {
+              return null;
+            }
+            if (type === "scroll") {
+              screen.anchors.push(action.destinationId);
+              return { type, to: action.destinationId };
+            }
+            const to = index.owners.get(action.destinationId);
+            if (!to) {
+              warnings.push(
+                `"${node.name}" on "${frame.name}" links to a layer that isn't on a page`
+              );
+              return null;
+            }
+            if (!order.includes(to)) {
+              if (order.length >= maxScreens) {
+                warnings.push(
+                  `"${
+                    index.screens.get(to).name
+                  }" was left out: flows are limited to ${maxScreens} screens`
+                );
+                return null;
+              }
+              order.push(to);
+            }
+            if (type === "navigate") navigated.add(to);
+            links++;
+            return {
+              type,
+              to,
+              transition: formatTransition(action.transition),
+            };
+          })
+          .filter(Boolean);
+        if (actions.length === 0) return;
+        screen.hotspots.push({
+          id: node.id,
+          name: node.name,
+          trigger,
+          // Timeouts are in seconds too
+          delay:
+            trigger === "timeout"
+              ? Math.round((interaction.trigger.timeout || 0) * 1000)
+              : 0,
+          actions,
+        });
+      });
+      (node.children || []).forEach(visit);
+    };
+    visit(frame);
+  }
+
+  // Screens only ever opened on top of another are overlays
+  order.forEach((id) => {
+    const screen = screens.get(id);
+    screen.overlay = navigated.has(id) ? null : overlaySettings(screen.node);
+  });
+
+  return {
+    start,
+    screens: order.map((id) => screens.get(id)),
+    links,
+    warnings: [...new Set(warnings)],
+  };
+}
+
+/**
+ * A screen's hotspots and scroll targets as data-node-id attributes, added to
+ * the compiler attributes it already has
+ * @param {Object} attributes - compileFigmaNode attributes by node ID
+ * @param {Object} screen - One of findPrototypeFlow's screens
+ * @returns {Object} New attributes object
+ */
+function withHotspotAttributes(attributes, screen) {
+  const merged = { ...attributes };
+  [...screen.hotspots.map((hotspot) => hotspot.id), ...screen.anchors].forEach(
+    (id) => {
+      merged[id] = { ...merged[id], "data-node-id": id };
+    }
+  );
+  return merged;
+}
+
+/**
+ * Prompt block asking the model to mark up a screen's hotspots, so the
+ * navigation added after generation can find them
+ * @param {Object} flow - From findPrototypeFlow
+ * @param {Object} screen - The screen being generated
+ * @returns {string}
+ */
+function formatPrototypePrompt(flow, screen) {
+  const screenName = (id) =>
+    flow.screens.find((entry) => entry.id === id)?.name || id;
+  const describeAction = (action) =>
+    ({
+      navigate: `goes to "${screenName(action.to)}"`,
+      overlay: `opens "${screenName(action.to)}" on top`,
+      swap: `swaps the overlay for "${screenName(action.to)}"`,
+      back: "goes back",
+      close: "closes the overlay",
+      url: `opens ${action.url}`,
+      scroll: "scrolls to another layer",
+    }[action.type]);
+  const hotspots = screen.hotspots.map(
+    (hotspot) =>
+      `  - "${hotspot.name}": data-node-id="${hotspot.id}" (${
+        hotspot.trigger
+      } ${hotspot.actions.map(describeAction).join(", then ")})`
+  );
+  const anchors = screen.anchors.map(
+    (id) => `  - scroll target: data-node-id="${id}"`
+  );
+  return `PROTOTYPE FLOW:
+This is screen ${flow.screens.indexOf(screen) + 1} of ${
+    flow.screens.length
+  } in a prototype flow. Navigation between screens is added to your code after generation. Put these attributes on the elements for these layers:
+${[...hotspots, ...anchors].join("\n")}
+Don't link or script them yourself (no href, no onclick); keep buttons as <button> elements.`;
+}
+
+// Rules from the Figma theme (custom properties) apply to the whole flow
+function isThemeRule(rule) {
+  return rule.selectors.every((selector) =>
+    /:root|^\[data-theme/.test(selector.trim())
+  );
+}
+
+// body and html rules style the screen itself; everything else is scoped to it
+function scopeSelector(selector, scope) {
+  const trimmed = selector.trim();
+  const page = trimmed.match(/^(?:html|body)\b(?:\s*body\b)?(.*)$/);
+  if (page) return `${scope}${page[1]}`;
+  return `${scope} ${trimmed}`;
+}
+
+// Scope one screen's CSS to its section so screens can't restyle each other;
+// theme rules and imports every screen repeats are kept once
+function scopeScreenCss(css, scope, seen) {
+  let root;
+  try {
+    root = safeParser(css || "");
+  } catch (error) {
+    return "";
+  }
+  root.walkAtRules("import", (atRule) => {
+    const key = atRule.toString();
+    if (seen.has(key)) atRule.remove();
+    else seen.add(key);
+  });
+  root.walkRules((rule) => {
+    if (rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+    if (isThemeRule(rule)) {
+      const key = `${rule.parent.params || ""}${rule.toString()}`;
+      if (seen.has(key)) rule.remove();
+      else seen.add(key);
+      return;
+    }
+    // "html, body" both become the screen
+    rule.selectors = [
+      ...new Set(
+        rule.selectors.map((selector) => scopeSelector(selector, scope))
+      ),
+    ];
+  });
+  root.walkAtRules((atRule) => {
+    if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+  });
+  return root.toString().trim();
+}
+
+const FLOW_CSS = `.figma-flow {
+  position: relative;
+  z-index: 0;
+  overflow: hidden;
+}
+
+.figma-flow > .figma-flow-screen[hidden] {
+  display: none !important;
+}`;
+
+// A stand-in for document whose element queries are limited to one screen's
+// section; everything else (events, createElement, body) is the real document
+const SCREEN_DOCUMENT_JS = `  var screenDocument = function (id) {
+    var root = document.querySelector(
+      '.figma-flow > .figma-flow-screen[data-screen="' + id + '"]'
+    );
+    var scoped = {
+      querySelector: function (selector) {
+        return root.querySelector(selector);
+      },
+      querySelectorAll: function (selector) {
+        return root.querySelectorAll(selector);
+      },
+      getElementById: function (elementId) {
+        return root.querySelector('[id="' + CSS.escape(elementId) + '"]');
+      },
+      getElementsByClassName: function (names) {
+        return root.getElementsByClassName(names);
+      },
+      getElementsByTagName: function (name) {
+        return root.getElementsByTagName(name);
+      },
+    };
+    return new Proxy(document, {
+      get: function (target, property) {
+        if (Object.prototype.hasOwnProperty.call(scoped, property)) {
+          return scoped[property];
+        }
+        var value = target[property];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+  };`;
+
+// Overlays come after the screens' own (scoped body) styles so they win
+const OVERLAY_CSS = `.figma-flow > .figma-flow-screen[data-overlay] {
+  position: fixed;
+  inset: 0;
+  z-index: 10;
+  display: flex;
+  width: auto;
+  height: auto;
+  min-height: 0;
+  overflow: auto;
+}`;
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+}
+
+/**
+ * Combine the code generated for each screen into one navigable page: every
+ * screen in its own section with scoped CSS, and JS that moves between them
+ * with the prototype's transitions
+ * @param {Object} flow - From findPrototypeFlow
+ * @param {Array<{html: string, css: string, js: string}>} codes - Generated
+ *   code per screen, in flow.screens order
+ * @returns {{html: string, css: string, js: string}}
+ */
+function buildFlowCode(flow, codes) {
+  const seen = new Set();
+  const sections = flow.screens.map(
+    (screen, i) => `<section class="figma-flow-screen" data-screen="${
+      screen.id
+    }" aria-label="${escapeAttribute(screen.name)}"${
+      screen.overlay ? " data-overlay" : ""
+    }${screen.id === flow.start ? "" : " hidden"}>
+${codes[i].html || ""}
+</section>`
+  );
+  const screenCss = flow.screens.map((screen, i) =>
+    scopeScreenCss(
+      codes[i].css,
+      `.figma-flow > .figma-flow-screen[data-screen="${screen.id}"]`,
+      seen
+    )
+  );
+  // One screen's broken script shouldn't stop the others or the navigation.
+  // Every screen has a .paywall-container (and often the same ids), so each
+  // script gets a document whose queries only search its own section
+  const screenJs = flow.screens
+    .map((screen, i) =>
+      codes[i].js?.trim()
+        ? `  // ${screen.name.replace(/\n/g, " ")}
+  (function (document) {
+    try {
+${codes[i].js}
+    } catch (error) {
+      console.error(${JSON.stringify(`Screen "${screen.name}":`)}, error);
+    }
+  })(screenDocument(${JSON.stringify(screen.id)}));`
+        : ""
+    )
+    .filter(Boolean);
+  const scriptsJs =
+    screenJs.length > 0
+      ? `// The screens' own scripts
+(function () {
+${SCREEN_DOCUMENT_JS}
+
+${screenJs.join("\n\n")}
+})();`
+      : "";
+
+  return {
+    html: `<div class="figma-flow">
+${sections.join("\n")}
+</div>`,
+    css: [FLOW_CSS, ...screenCss, OVERLAY_CSS].filter(Boolean).join("\n\n"),
+    js: [scriptsJs, flowRuntime(flow)].filter(Boolean).join("\n\n"),
+  };
+}
+
+// Vanilla JS that shows one screen at a time, opens overlays and plays the
+// prototype's transitions with the Web Animations API
+function flowRuntime(flow) {
+  const config = {
+    start: flow.start,
+    overlays: Object.fromEntries(
+      flow.screens
+        .filter((screen) => screen.overlay)
+        .map((screen) => [screen.id, screen.overlay])
+    ),
+    hotspots: flow.screens.flatMap((screen) =>
+      screen.hotspots.map((hotspot) => ({
+        screen: screen.id,
+        id: hotspot.id,
+        trigger: hotspot.trigger,
+        delay: hotspot.delay,
+        actions: hotspot.actions,
+      }))
+    ),
+  };
+  return `// Prototype navigation between the Figma screens
+(function () {
+  var config = ${JSON.stringify(config)};
+  var flow = document.querySelector(".figma-flow");
+  if (!flow) return;
+  var current = config.start;
+  var history = [];
+  var overlays = [];
+  var timers = [];
+  var OPPOSITE = { LEFT: "RIGHT", RIGHT: "LEFT", TOP: "BOTTOM", BOTTOM: "TOP" };
+  var REVERSED = { MOVE_IN: "MOVE_OUT", MOVE_OUT: "MOVE_IN", SLIDE_IN: "SLIDE_OUT", SLIDE_OUT: "SLIDE_IN" };
+  var OFFSETS = { LEFT: [100, 0], RIGHT: [-100, 0], TOP: [0, 100], BOTTOM: [0, -100] };
+
+  var screen = function (id) {
+    return flow.querySelector('.figma-flow-screen[data-screen="' + id + '"]');
+  };
+  // Where a screen moving toward the direction starts (factor 1) or ends (-1)
+  var offset = function (direction, factor) {
+    var xy = OFFSETS[direction] || OFFSETS.LEFT;
+    return { transform: "translate(" + xy[0] * factor + "%, " + xy[1] * factor + "%)" };
+  };
+  var reverse = function (transition) {
+    if (!transition) return transition;
+    return {
+      type: REVERSED[transition.type] || transition.type,
+      duration: transition.duration,
+      easing: transition.easing,
+      direction: OPPOSITE[transition.direction] || transition.direction,
+    };
+  };
+  var animate = function (incoming, outgoing, transition, done) {
+    var t = transition || {};
+    if (!t.duration || t.type === "INSTANT" || !(incoming || outgoing).animate) {
+      done();
+      return;
+    }
+    var timing = { duration: t.duration, easing: t.easing };
+    var still = { transform: "none", opacity: 1 };
+    var enter = null;
+    var leave = null;
+    if (t.type === "MOVE_IN") enter = [offset(t.direction, 1), still];
+    else if (t.type === "MOVE_OUT") leave = [still, offset(t.direction, -1)];
+    else if (t.type === "PUSH") {
+      enter = [offset(t.direction, 1), still];
+      leave = [still, offset(t.direction, -1)];
+    } else if (t.type === "SLIDE_IN") {
+      enter = [offset(t.direction, 1), still];
+      leave = [still, offset(t.direction, -0.3)];
+    } else if (t.type === "SLIDE_OUT") {
+      enter = [offset(t.direction, 0.3), still];
+      leave = [still, offset(t.direction, -1)];
+    } else if (incoming) enter = [{ opacity: 0 }, { opacity: 1 }];
+    else leave = [{ opacity: 1 }, { opacity: 0 }];
+
+    // The outgoing screen sits over or under the incoming one meanwhile
+    if (incoming && outgoing) {
+      outgoing.style.position = "absolute";
+      outgoing.style.top = "0";
+      outgoing.style.left = "0";
+      outgoing.style.width = "100%";
+      outgoing.style.zIndex = enter ? "-1" : "1";
+    }
+    var running = [];
+    if (incoming && enter) running.push(incoming.animate(enter, timing).finished);
+    if (outgoing && leave) running.push(outgoing.animate(leave, timing).finished);
+    Promise.all(running).then(done, done);
+  };
+  var hide = function (el) {
+    if (!el) return;
+    el.hidden = true;
+    el.style.position = el.style.top = el.style.left = el.style.width = el.style.zIndex = "";
+  };
+  var clearTimers = function () {
+    timers.forEach(clearTimeout);
+    timers = [];
+  };
+  var schedule = function (id) {
+    config.hotspots.forEach(function (hotspot) {
+      if (hotspot.screen !== id || hotspot.trigger !== "timeout") return;
+      timers.push(
+        setTimeout(function () {
+          var top = overlays.length ? overlays[overlays.length - 1].id : current;
+          if (top === id) run(hotspot);
+        }, hotspot.delay)
+      );
+    });
+  };
+
+  var closeOverlay = function () {
+    var top = overlays.pop();
+    if (!top) return;
+    var el = screen(top.id);
+    animate(null, el, reverse(top.transition), function () {
+      hide(el);
+    });
+  };
+  var openOverlay = function (id, transition, swap) {
+    var el = screen(id);
+    if (!el) return;
+    if (swap && overlays.length) hide(screen(overlays.pop().id));
+    overlays.push({ id: id, transition: transition });
+    el.hidden = false;
+    animate(el, null, transition, function () {});
+    clearTimers();
+    schedule(id);
+  };
+  var navigate = function (id, transition, isBack) {
+    while (overlays.length) hide(screen(overlays.pop().id));
+    var incoming = screen(id);
+    if (!incoming || id === current) return;
+    var outgoing = screen(current);
+    if (!isBack) history.push({ id: current, transition: transition });
+    incoming.hidden = false;
+    animate(incoming, outgoing, transition, function () {
+      hide(outgoing);
+    });
+    current = id;
+    window.scrollTo(0, 0);
+    clearTimers();
+    schedule(id);
+  };
+  var back = function () {
+    if (overlays.length) return closeOverlay();
+    var entry = history.pop();
+    if (entry) navigate(entry.id, reverse(entry.transition), true);
+  };
+
+  var perform = function (action) {
+    if (action.type === "navigate") navigate(action.to, action.transition);
+    else if (action.type === "overlay") openOverlay(action.to, action.transition, false);
+    else if (action.type === "swap") {
+      if (overlays.length) openOverlay(action.to, action.transition, true);
+      else navigate(action.to, action.transition);
+    } else if (action.type === "back") back();
+    else if (action.type === "close") closeOverlay();
+    else if (action.type === "url") window.open(action.url, "_blank", "noopener");
+    else if (action.type === "scroll") {
+      var target = flow.querySelector('[data-node-id="' + action.to + '"]');
+      if (target) target.scrollIntoView({ behavior: "smooth" });
+    }
+  };
+  var run = function (hotspot) {
+    hotspot.actions.forEach(perform);
+  };
+
+  Object.keys(config.overlays).forEach(function (id) {
+    var el = screen(id);
+    var overlay = config.overlays[id];
+    if (!el) return;
+    el.style.justifyContent = overlay.justify;
+    el.style.alignItems = overlay.align;
+    el.style.background = overlay.background;
+    el.addEventListener("click", function (event) {
+      if (event.target === el && overlay.closeOnClickOutside) closeOverlay();
+    });
+  });
+  config.hotspots.forEach(function (hotspot) {
+    var owner = screen(hotspot.screen);
+    if (!owner || hotspot.trigger === "timeout") return;
+    var el = owner.querySelector('[data-node-id="' + hotspot.id + '"]');
+    if (!el && hotspot.id === hotspot.screen) el = owner;
+    if (!el) return;
+    if (hotspot.trigger === "hover") {
+      el.addEventListener("mouseenter", function () {
+        run(hotspot);
+      });
+      return;
+    }
+    el.style.cursor = "pointer";
+    if (!/^(A|BUTTON)$/.test(el.tagName)) {
+      el.setAttribute("role", "button");
+      el.setAttribute("tabindex", "0");
+      el.addEventListener("keydown", function (event) {
+        if (event.key === "Enter" || event.key === " ") {
+          event.preventDefault();
+          run(hotspot);
+        }
+      });
+    }
+    // The innermost hotspot wins, as in Figma
+    el.addEventListener("click", function (event) {
+      event.stopPropagation();
+      event.preventDefault();
+      run(hotspot);
+    });
+  });
+  document.addEventListener("keydown", function (event) {
+    if (event.key === "Escape" && overlays.length) closeOverlay();
+  });
+  schedule(current);
+})();`;
+}
+
+/**
+ * What the UI shows about a generated flow
+ * @param {Object} flow - From findPrototypeFlow
+ * @returns {Object}
+ */
+function describePrototypeFlow(flow) {
+  return {
+    start: flow.start,
+    links: flow.links,
+    screens: flow.screens.map((screen) => ({
+      nodeId: screen.id,
+      name: screen.name,
+      overlay: Boolean(screen.overlay),
+      hotspots: screen.hotspots.length,
+    })),
+    warnings: flow.warnings,
+  };
+}
+
+module.exports = {
+  findPrototypeFlow,
+  withHotspotAttributes,
+  formatPrototypePrompt,
+  buildFlowCode,
+  describePrototypeFlow,
+};
@@ -0,0 +1,471 @@
+const {
+  isVisible,
+  toCssColor,
+  paintToBackground,
+  axisSizing,
+} = require("./figma-compiler");
+
+// Characters of layer tree sent to the model (about 4 characters a token)
+const DEFAULT_TREE_BUDGET = 24000;
+// Longer texts are cut in the tree; the frame image still shows all of it
+const MAX_TEXT_LENGTH = 160;
+const MAX_NAME_LENGTH = 40;
+
+// Device chrome in mockups (status bar, home indicator): the paywall is shown
+// inside the app, which draws its own. Whole layer names only: UI kits put
+// the screen's content in a "Safe Area" frame, which is not chrome
+const DEVICE_CHROME_PATTERN =
+  /^(status[ _-]?bar|home[ _-]?(indicator|bar|button)|gesture[ _-]?bar|battery|wi-?fi|signal|carrier)$/i;
+const DEVICE_CHROME_NAMES = new Set(["status", "time", "clock"]);
+// What a status bar's own text layers read: the time, battery level, carrier
+// or network ("9:41", "100%", "T-Mobile", "5G")
+const STATUS_TEXT = /^(\d{1,2}:\d{2}(\s?[ap]m)?|\d{1,3}\s?%|[\w&.-]{1,12})$/i;
+
+const JUSTIFY = { CENTER: "center", MAX: "end", SPACE_BETWEEN: "between" };
+const ALIGN = { CENTER: "center", MAX: "end", BASELINE: "baseline" };
+const TEXT_CASE = { UPPER: "upper", LOWER: "lower", TITLE: "title" };
+const TEXT_DECORATION = { UNDERLINE: "underline", STRIKETHROUGH: "strike" };
+
+function round(value) {
+  return Math.round((value || 0) * 10) / 10;
+}
+
+/**
+ * Whether a layer is device chrome (status bar, home indicator) drawn around
+ * the design rather than part of it
+ * @param {Object} node - Figma node
+ * @returns {boolean}
+ */
+function isDeviceChrome(node) {
+  const name = (node.name || "").trim().toLowerCase();
+  return (
+    node.type !== "TEXT" &&
+    (DEVICE_CHROME_NAMES.has(name) || DEVICE_CHROME_PATTERN.test(name)) &&
+    // A layer named like chrome that holds real copy is part of the design
+    hasOnlyStatusText(node)
+  );
+}
+
+function hasOnlyStatusText(node) {
+  if (node.type === "TEXT") {
+    return STATUS_TEXT.test(String(node.characters || "").trim() || "-");
+  }
+  return (node.children || []).every(hasOnlyStatusText);
+}
+
+function count(map, value) {
+  if (value === null || value === undefined || value === "") return;
+  map.set(value, (map.get(value) || 0) + 1);
+}
+
+// Values most used first
+function ranked(map) {
+  return [...map.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+}
+
+function quote(text, maxLength) {
+  const clean = String(text).replace(/\s+/g, " ").trim();
+  return JSON.stringify(
+    clean.length > maxLength ? `${clean.slice(0, maxLength)}…` : clean
+  );
+}
+
+function describePaint(paint) {
+  let value;
+  if (paint.type === "SOLID") {
+    value = toCssColor(paint.color, paint.opacity ?? 1);
+  } else if (paint.type === "IMAGE") {
+    value = `image(${(paint.scaleMode || "FILL").toLowerCase()})`;
+  } else {
+    value = paintToBackground(paint);
+  }
+  if (value && paint.blendMode && paint.blendMode !== "NORMAL") {
+    value += ` ${paint.blendMode.toLowerCase()}`;
+  }
+  return value;
+}
+
+// Four sides as CSS shorthand: "16", "16 24" or "8 16 24 16"
+function sides(top, right, bottom, left) {
+  const values = [top, right, bottom, left].map(round);
+  if (values.every((value) => value === values[0])) return `${values[0]}`;
+  if (values[0] === values[2] && values[1] === values[3]) {
+    return `${values[0]} ${values[1]}`;
+  }
+  return values.join(" ");
+}
+
+/**
+ * Summarize a Figma node tree for a generation prompt: the design's colors,
+ * text styles, spacing, radii and shadows, and every visible layer with its
+ * full styling, in a compact indented encoding that fits a character budget
+ * @param {Object} root - Figma node (frame) to describe
+ * @param {{budget?: number}} options - Characters of layer tree to allow; past
+ *   it, the deepest layers are summarized under their parents
+ * @returns {Object} { colors, gradients, fonts, spacing, borderRadius, shadows,
+ *   tree, layers: {total, shown}, nodes } where fonts are text styles referenced
+ *   by id in the tree and nodes lists every layer's id, name, type and box
+ */
+function extractDesignTokens(root, { budget = DEFAULT_TREE_BUDGET } = {}) {
+  const colors = new Map();
+  const gradients = new Map();
+  const spacing = new Map();
+  const radii = new Map();
+  const shadows = new Map();
+  const textStyles = new Map();
+  const nodes = [];
+  const rootBox = root?.absoluteBoundingBox || { x: 0, y: 0 };
+
+  // Text styles get short ids ("T1") that the tree refers to
+  function textStyleId(style = {}) {
+    const font = {
+      f: style.fontFamily,
+      s: round(style.fontSize || 16),
+      w: style.fontWeight || 400,
+      lh: Math.round(style.lineHeightPx || (style.fontSize || 16) * 1.2),
+    };
+    if (style.letterSpacing) font.ls = round(style.letterSpacing);
+    if (style.italic) font.italic = true;
+    if (TEXT_CASE[style.textCase]) font.case = TEXT_CASE[style.textCase];
+    if (TEXT_DECORATION[style.textDecoration]) {
+      font.decoration = TEXT_DECORATION[style.textDecoration];
+    }
+    const key = JSON.stringify(font);
+    if (!textStyles.has(key)) {
+      textStyles.set(key, { id: `T${textStyles.size + 1}`, ...font, uses: 0 });
+    }
+    const entry = textStyles.get(key);
+    entry.uses++;
+    return entry.id;
+  }
+
+  function fillsOf(paints) {
+    return (paints || [])
+      .filter(isVisible)
+      .map((paint) => {
+        const value = describePaint(paint);
+        if (paint.type === "SOLID") count(colors, value);
+        else if (paint.type.startsWith("GRADIENT")) count(gradients, value);
+        return value;
+      })
+      .filter(Boolean)
+      .reverse(); // Figma lists paints bottom-up, CSS top-down
+  }
+
+  function textContent(node) {
+    const characters = node.characters || "";
+    const overrides = node.characterStyleOverrides || [];
+    const table = node.styleOverrideTable || {};
+    if (overrides.length === 0 || Object.keys(table).length === 0) {
+      return quote(characters, MAX_TEXT_LENGTH);
+    }
+
+    // Runs in another style are marked {T2:text} or {T2 #ff0000:text}
+    const runs = [];
+    [...characters].forEach((char, i) => {
+      const id = overrides[i] || 0;
+      const last = runs[runs.length - 1];
+      if (last && last.id === id) last.text += char;
+      else runs.push({ id, text: char });
+    });
+    let length = 0;
+    const parts = [];
+    runs.forEach(({ id, text }) => {
+      if (length >= MAX_TEXT_LENGTH) return;
+      const part = text.slice(0, MAX_TEXT_LENGTH - length);
+      length += part.length;
+      const override = table[id];
+      if (!id || !override) {
+        parts.push(part);
+        return;
+      }
+      const color = override.fills ? fillsOf(override.fills)[0] : null;
+      const styleId = textStyleId({ ...node.style, ...override });
+      parts.push(`{${styleId}${color ? ` ${color}` : ""}:${part}}`);
+    });
+    return quote(
+      parts.join("") + (characters.length > MAX_TEXT_LENGTH ? "…" : ""),
+      MAX_TEXT_LENGTH * 2
+    );
+  }
+
+  function describeNode(node, parent) {
+    const box = node.absoluteBoundingBox;
+    const parentBox = parent?.absoluteBoundingBox;
+    const parentLayout =
+      parent?.layoutMode && parent.layoutMode !== "NONE"
+        ? parent.layoutMode
+        : null;
+    const inFlow = parentLayout && node.layoutPositioning !== "ABSOLUTE";
+    const parts = [node.type];
+
+    const isText = node.type === "TEXT";
+    const name = String(node.name || "").slice(0, MAX_NAME_LENGTH);
+    if (name && !(isText && node.characters?.startsWith(name))) {
+      parts.push(JSON.stringify(name));
+    }
+    if (box) {
+      if (!inFlow && parentBox) {
+        parts.push(
+          `${round(box.x - parentBox.x)},${round(box.y - parentBox.y)}`
+        );
+      }
+      parts.push(`${round(box.width)}x${round(box.height)}`);
+    }
+    if (node.layoutPositioning === "ABSOLUTE") parts.push("abs");
+    if (!inFlow && parent) {
+      const { horizontal = "LEFT", vertical = "TOP" } = node.constraints || {};
+      if (horizontal !== "LEFT" || vertical !== "TOP") {
+        parts.push(`pin:${horizontal}/${vertical}`.toLowerCase());
+      }
+    }
+    if (parentLayout || (node.layoutMode && node.layoutMode !== "NONE")) {
+      ["horizontal", "vertical"].forEach((axis) => {
+        const sizing = axisSizing(node, axis, parentLayout);
+        if (sizing !== "FIXED") {
+          parts.push(`${axis[0]}:${sizing.toLowerCase()}`);
+        }
+      });
+    }
+
+    if (node.layoutMode && node.layoutMode !== "NONE") {
+      parts.push(node.layoutMode === "HORIZONTAL" ? "flex:row" : "flex:col");
+      if (node.layoutWrap === "WRAP") parts.push("wrap");
+      if (node.itemSpacing && node.primaryAxisAlignItems !== "SPACE_BETWEEN") {
+        parts.push(`gap:${round(node.itemSpacing)}`);
+        count(spacing, round(node.itemSpacing));
+      }
+      const padding = [
+        node.paddingTop,
+        node.paddingRight,
+        node.paddingBottom,
+        node.paddingLeft,
+      ];
+      if (padding.some((value) => value > 0)) {
+        parts.push(`pad:${sides(...padding).replace(/ /g, "/")}`);
+        padding.forEach((value) => value > 0 && count(spacing, round(value)));
+      }
+      if (JUSTIFY[node.primaryAxisAlignItems]) {
+        parts.push(`justify:${JUSTIFY[node.primaryAxisAlignItems]}`);
+      }
+      if (ALIGN[node.counterAxisAlignItems]) {
+        parts.push(`align:${ALIGN[node.counterAxisAlignItems]}`);
+      }
+    }
+    if (node.clipsContent) parts.push("clip");
+
+    if (isText) {
+      parts.push(textStyleId(node.style));
+      const [color, ...rest] = fillsOf(node.fills);
+      if (color)
+        parts.push(
+          rest.length > 0 ? `fill:${[color, ...rest].join(" + ")}` : color
+        );
+      const align = node.style?.textAlignHorizontal;
+      if (align && align !== "LEFT") parts.push(`ta:${align.toLowerCase()}`);
+    } else {
+      const fills = fillsOf(node.fills);
+      if (fills.length > 0) parts.push(`bg:${fills.join(" + ")}`);
+    }
+
+    const strokes = fillsOf(node.strokes);
+    if (
+      strokes.length > 0 &&
+      (node.strokeWeight || node.individualStrokeWeights)
+    ) {
+      const weights = node.individualStrokeWeights
+        ? sides(
+            node.individualStrokeWeights.top,
+            node.individualStrokeWeights.right,
+            node.individualStrokeWeights.bottom,
+            node.individualStrokeWeights.left
+          ).replace(/ /g, "/")
+        : round(node.strokeWeight);
+      const align = (node.strokeAlign || "INSIDE").toLowerCase();
+      const dashed =
+        node.strokeDashes?.length || node.dashPattern?.length ? " dashed" : "";
+      parts.push(`stroke:${weights} ${align}${dashed} ${strokes.join(" + ")}`);
+    }
+
+    if (node.type === "ELLIPSE") {
+      parts.push("r:50%");
+    } else if (node.rectangleCornerRadii?.some((radius) => radius > 0)) {
+      const corners = node.rectangleCornerRadii.map(round);
+      parts.push(
+        corners.every((radius) => radius === corners[0])
+          ? `r:${corners[0]}`
+          : `r:${corners.join("/")}`
+      );
+      corners.forEach((radius) => radius > 0 && count(radii, radius));
+    } else if (node.cornerRadius) {
+      parts.push(`r:${round(node.cornerRadius)}`);
+      count(radii, round(node.cornerRadius));
+    }
+
+    const effectParts = { shadow: [], inset: [] };
+    (node.effects || [])
+      .filter((effect) => effect.visible !== false)
+      .forEach((effect) => {
+        const color = effect.color ? toCssColor(effect.color) : "#00000040";
+        const shadow = `${round(effect.offset?.x)} ${round(
+          effect.offset?.y
+        )} ${round(effect.radius)} ${round(effect.spread)} ${color}`;
+        if (effect.type === "DROP_SHADOW") {
+          effectParts.shadow.push(shadow);
+          count(shadows, shadow);
+        } else if (effect.type === "INNER_SHADOW") {
+          effectParts.inset.push(shadow);
+          count(shadows, `inset ${shadow}`);
+        } else if (effect.type === "LAYER_BLUR") {
+          parts.push(`blur:${round(effect.radius)}`);
+        } else if (effect.type === "BACKGROUND_BLUR") {
+          parts.push(`bgblur:${round(effect.radius)}`);
+        }
+      });
+    Object.entries(effectParts).forEach(([key, values]) => {
+      if (values.length > 0) parts.push(`${key}:${values.join(", ")}`);
+    });
+
+    if (node.opacity !== undefined && node.opacity < 1) {
+      parts.push(`op:${Math.round(node.opacity * 100) / 100}`);
+    }
+    if (
+      node.blendMode &&
+      node.blendMode !== "PASS_THROUGH" &&
+      node.blendMode !== "NORMAL"
+    ) {
+      parts.push(`blend:${node.blendMode.toLowerCase()}`);
+    }
+    if (node.isMask) parts.push("mask");
+    if (isText) parts.push(textContent(node));
+    return parts.join(" ");
+  }
+
+  // Describe every visible layer; device chrome keeps one line, without children
+  function build(node, parent, depth) {
+    const chrome = parent && isDeviceChrome(node);
+    const line = chrome
+      ? `${node.type} ${JSON.stringify(node.name)} (device chrome, ignore)`
+      : describeNode(node, parent);
+    const box = node.absoluteBoundingBox;
+    nodes.push({
+      id: node.id,
+      n: node.name,
+      t: node.type,
+      x: box ? round(box.x - rootBox.x) : 0,
+      y: box ? round(box.y - rootBox.y) : 0,
+      w: box ? round(box.width) : 0,
+      h: box ? round(box.height) : 0,
+    });
+    const entry = { line, depth, children: [], shown: false, layers: 1 };
+    if (!chrome) {
+      (node.children || [])
+        .filter((child) => child.visible !== false)
+        .forEach((child) => {
+          const childEntry = build(child, node, depth + 1);
+          entry.children.push(childEntry);
+          entry.layers += childEntry.layers;
+        });
+    }
+    return entry;
+  }
+
+  const tree = root ? build(root, null, 0) : null;
+
+  // Show layers breadth first until the budget is spent, so the overall
+  // structure survives and only the deepest detail is summarized
+  let shown = 0;
+  let used = 0;
+  const queue = tree ? [tree] : [];
+  while (queue.length > 0) {
+    const entry = queue.shift();
+    const cost = entry.depth * 2 + entry.line.length + 1;
+    if (shown > 0 && used + cost > budget) break;
+    used += cost;
+    entry.shown = true;
+    shown++;
+    queue.push(...entry.children);
+  }
+
+  const lines = [];
+  function render(entry) {
+    const indent = "  ".repeat(entry.depth);
+    lines.push(indent + entry.line);
+    const hidden = entry.children
+      .filter((child) => !child.shown)
+      .reduce((sum, child) => sum + child.layers, 0);
+    entry.children.filter((child) => child.shown).forEach(render);
+    if (hidden > 0) {
+      lines.push(`${indent}  … ${hidden} more layer${hidden === 1 ? "" : "s"}`);
+    }
+  }
+  if (tree) render(tree);
+
+  return {
+    colors: ranked(colors),
+    gradients: ranked(gradients),
+    fonts: [...textStyles.values()],
+    spacing: ranked(spacing),
+    borderRadius: ranked(radii),
+    shadows: ranked(shadows),
+    tree: lines.join("\n"),
+    layers: { total: tree ? tree.layers : 0, shown },
+    nodes,
+  };
+}
+
+function describeTextStyle(font) {
+  return [
+    `${font.id}: ${font.f} ${font.w} ${font.s}/${font.lh}`,
+    font.ls ? `ls:${font.ls}` : null,
+    font.italic ? "italic" : null,
+    font.case || null,
+    font.decoration || null,
+    `(${font.uses}×)`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Design tokens as prompt text: the token lists, then the layer tree with a
+ * legend for its encoding
+ * @param {Object} tokens - From extractDesignTokens
+ * @returns {string}
+ */
+function formatDesignTokens(tokens) {
+  const list = (label, values) =>
+    values.length > 0 ? `${label}: ${values.join(" | ")}` : null;
+  const { total, shown } = tokens.layers;
+
+  return [
+    list("Colors (most used first)", tokens.colors),
+    list("Gradients", tokens.gradients),
+    tokens.fonts.length > 0
+      ? `Text styles:\n${tokens.fonts.map(describeTextStyle).join("\n")}`
+      : null,
+    list("Spacing", tokens.spacing),
+    list("Corner radii", tokens.borderRadius),
+    list("Shadows (x y blur spread color)", tokens.shadows),
+    "",
+    `LAYER TREE (${
+      shown < total ? `${shown} of ${total}` : total
+    } layers, children indented under their parent, top layer last):`,
+    `Each line: TYPE "name" x,y (position in the parent, only outside auto-layout) WxH, then
+- pin:horizontal/vertical = constraints; abs = absolutely positioned inside auto-layout
+- flex:row|col wrap gap pad:t/r/b/l justify align = auto-layout (use flexbox); h:/v:fill|hug = sizing
+- bg = fills, top first (solid, gradients, image(fit)); stroke:width align color; r = corner radius (tl/tr/br/bl)
+- shadow/inset:x y blur spread color; blur/bgblur = layer/background blur radius; op = opacity; blend = blend mode; clip = clips content
+- TEXT: text style id, color, ta = text-align, then the text; {T2 color:text} is a run in another style`,
+    tokens.tree,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+module.exports = {
+  DEFAULT_TREE_BUDGET,
+  isDeviceChrome,
+  extractDesignTokens,
+  formatDesignTokens,
+};
@@ -0,0 +1,414 @@
+const fs = require("fs");
+const path = require("path");
+const safeParser = require("postcss-safe-parser");
+const { toCssColor, paintToBackground } = require("./figma-compiler");
+const { normalizeColor } = require("./color-palette");
+
+// Folder of saved API responses (<fileKey>.json) read instead of the variables
+// and styles endpoints, for tests and plans without access to variables
+const STAND_IN_DIR = process.env.FIGMA_VARIABLES_DIR || null;
+
+// Modes with these names become the dark theme (data-theme="dark" and the
+// prefers-color-scheme media query)
+const DARK_MODE_PATTERN = /\b(dark|night)\b/i;
+
+const CSS_COLOR_PATTERN = /#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)/gi;
+
+function slugify(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function px(value) {
+  return `${Math.round(value * 100) / 100}px`;
+}
+
+/**
+ * Saved variables and styles responses for a file, when FIGMA_VARIABLES_DIR has
+ * them: { variables, styles, styleNodes } as returned by GET /files/:key/variables/local,
+ * /files/:key/styles and /files/:key/nodes?ids=<style node ids>
+ * @param {string} fileKey - Figma file key
+ * @returns {Object|null}
+ */
+function readFigmaThemeStandIn(fileKey) {
+  if (!STAND_IN_DIR || !/^[a-zA-Z0-9]+$/.test(fileKey)) return null;
+  const file = path.join(STAND_IN_DIR, `${fileKey}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(
+      `Unreadable Figma variables stand-in ${file}: ${error.message}`
+    );
+  }
+}
+
+// Custom property names stay unique: a second "--brand" becomes "--brand-2"
+function createPropertyNamer() {
+  const used = new Set();
+  return (base) => {
+    const slug = slugify(base) || "token";
+    let name = `--${slug}`;
+    for (let i = 2; used.has(name); i++) name = `--${slug}-${i}`;
+    used.add(name);
+    return name;
+  };
+}
+
+// A variable's own CSS name when the designers set one for web ("var(--x)" or "--x")
+function webCodeSyntax(variable) {
+  const match = String(variable.codeSyntax?.WEB || "").match(/--[\w-]+/);
+  return match ? match[0].slice(2) : null;
+}
+
+function variableUnit(variable) {
+  const scopes = variable.scopes || [];
+  if (scopes.some((scope) => ["OPACITY", "FONT_WEIGHT"].includes(scope))) {
+    return "";
+  }
+  return "px";
+}
+
+// Count variables and styles bound in the document, to prefer the ones in use
+function countBindings(node, counts) {
+  if (!node) return;
+  const addAlias = (alias) => {
+    if (alias?.type === "VARIABLE_ALIAS") {
+      counts.set(alias.id, (counts.get(alias.id) || 0) + 1);
+    }
+  };
+  Object.values(node.boundVariables || {}).forEach((binding) =>
+    (Array.isArray(binding) ? binding : [binding]).forEach(addAlias)
+  );
+  [...(node.fills || []), ...(node.strokes || [])].forEach((paint) =>
+    addAlias(paint.boundVariables?.color)
+  );
+  Object.values(node.styles || {}).forEach((styleId) =>
+    counts.set(styleId, (counts.get(styleId) || 0) + 1)
+  );
+  (node.children || []).forEach((child) => countBindings(child, counts));
+}
+
+// First node in the document that uses a style, standing in for its definition
+function findStyleUses(node, uses = new Map()) {
+  if (!node) return uses;
+  Object.values(node.styles || {}).forEach((id) => {
+    if (!uses.has(id)) uses.set(id, node);
+  });
+  (node.children || []).forEach((child) => findStyleUses(child, uses));
+  return uses;
+}
+
+function fillValue(fills) {
+  const visible = (fills || []).filter(
+    (paint) => paint.visible !== false && paint.type !== "IMAGE"
+  );
+  if (visible.length === 0) return null;
+  if (visible.length === 1 && visible[0].type === "SOLID") {
+    return toCssColor(visible[0].color, visible[0].opacity ?? 1);
+  }
+  const layers = visible.map(paintToBackground).filter(Boolean).reverse();
+  return layers.length > 0 ? layers.join(", ") : null;
+}
+
+function effectValue(effects) {
+  const shadows = (effects || [])
+    .filter(
+      (effect) =>
+        effect.visible !== false &&
+        (effect.type === "DROP_SHADOW" || effect.type === "INNER_SHADOW")
+    )
+    .map(
+      (effect) =>
+        `${effect.type === "INNER_SHADOW" ? "inset " : ""}${px(
+          effect.offset?.x || 0
+        )} ${px(effect.offset?.y || 0)} ${px(effect.radius || 0)} ${px(
+          effect.spread || 0
+        )} ${effect.color ? toCssColor(effect.color) : "rgba(0, 0, 0, 0.25)"}`
+    );
+  return shadows.length > 0 ? shadows.join(", ") : null;
+}
+
+function textStyleValues(style = {}) {
+  const values = {};
+  if (style.fontFamily) values.family = `'${style.fontFamily}', sans-serif`;
+  if (style.fontSize) values.size = px(style.fontSize);
+  if (style.fontWeight) values.weight = String(style.fontWeight);
+  if (style.lineHeightPx) values["line-height"] = px(style.lineHeightPx);
+  if (style.letterSpacing) values["letter-spacing"] = px(style.letterSpacing);
+  return values;
+}
+
+/**
+ * Turn a file's variables (with their modes) and styles into CSS custom
+ * properties. Each collection's default mode goes on :root, dark modes on
+ * [data-theme="dark"] and prefers-color-scheme: dark, other modes on
+ * [data-theme="<mode>"]. Fill styles become colors, text styles a property per
+ * font setting and effect styles box-shadows.
+ * @param {Object} sources
+ * @param {Object} [sources.variables] - GET /files/:key/variables/local response
+ * @param {Object} [sources.styles] - GET /files/:key/styles response
+ * @param {Object} [sources.styleNodes] - GET /files/:key/nodes response for the
+ *   published styles' node IDs
+ * @param {Object} [sources.file] - The file (GET /files/:key): its styles map names
+ *   local styles, whose values are read from the nodes using them
+ * @returns {Object} { properties, modes, css } where properties are
+ *   { name, type, value, resolved, modes: {modeName: value}, source, uses } and modes lists the
+ *   theme names other than the default
+ */
+function buildFigmaTheme({ variables, styles, styleNodes, file } = {}) {
+  const nameProperty = createPropertyNamer();
+  const usage = new Map();
+  countBindings(file?.document, usage);
+  const properties = [];
+  const modes = new Set();
+
+  // Variables
+  const meta = variables?.meta || {};
+  const collections = meta.variableCollections || {};
+  const localVariables = Object.values(meta.variables || {}).filter(
+    (variable) => !variable.remote && variable.resolvedType !== "BOOLEAN"
+  );
+  const variableNames = new Map();
+  const variablesById = new Map(
+    localVariables.map((variable) => [variable.id, variable])
+  );
+  const defaultModeOf = (variable) =>
+    collections[variable.variableCollectionId]?.defaultModeId ||
+    Object.keys(variable.valuesByMode || {})[0];
+  localVariables
+    .sort((a, b) => (usage.get(b.id) || 0) - (usage.get(a.id) || 0))
+    .forEach((variable) => {
+      variableNames.set(
+        variable.id,
+        nameProperty(webCodeSyntax(variable) || variable.name)
+      );
+    });
+
+  const variableValue = (variable, value) => {
+    if (value?.type === "VARIABLE_ALIAS") {
+      const target = variableNames.get(value.id);
+      return target ? `var(${target})` : null;
+    }
+    switch (variable.resolvedType) {
+      case "COLOR":
+        return toCssColor(value);
+      case "FLOAT":
+        return `${Math.round(value * 100) / 100}${variableUnit(variable)}`;
+      case "STRING":
+        return variable.scopes?.includes("FONT_FAMILY")
+          ? `'${value}', sans-serif`
+          : JSON.stringify(String(value));
+      default:
+        return null;
+    }
+  };
+
+  // The concrete default value behind a chain of aliases
+  const resolveValue = (variable, depth = 0) => {
+    const value = variable.valuesByMode?.[defaultModeOf(variable)];
+    if (value?.type !== "VARIABLE_ALIAS") return variableValue(variable, value);
+    const target = variablesById.get(value.id);
+    return target && depth < 10 ? resolveValue(target, depth + 1) : null;
+  };
+
+  localVariables.forEach((variable) => {
+    const collection = collections[variable.variableCollectionId];
+    const defaultModeId = defaultModeOf(variable);
+    const value = variableValue(
+      variable,
+      variable.valuesByMode?.[defaultModeId]
+    );
+    if (value === null) return;
+
+    const modeValues = {};
+    (collection?.modes || []).forEach((mode) => {
+      if (mode.modeId === defaultModeId) return;
+      const modeValue = variableValue(
+        variable,
+        variable.valuesByMode?.[mode.modeId]
+      );
+      if (modeValue !== null && modeValue !== value) {
+        const modeName = DARK_MODE_PATTERN.test(mode.name)
+          ? "dark"
+          : slugify(mode.name);
+        modeValues[modeName] = modeValue;
+        modes.add(modeName);
+      }
+    });
+    properties.push({
+      name: variableNames.get(variable.id),
+      type: variable.resolvedType.toLowerCase(),
+      value,
+      resolved: resolveValue(variable),
+      modes: modeValues,
+      source: `variable ${variable.name}`,
+      uses: usage.get(variable.id) || 0,
+    });
+  });
+
+  // Styles: published ones are defined by their style nodes, the file's other
+  // local styles by the first node using them
+  const definitions = new Map();
+  (styles?.meta?.styles || []).forEach((style) => {
+    const node = styleNodes?.nodes?.[style.node_id]?.document;
+    if (node) definitions.set(style.key, { ...style, node });
+  });
+  const uses = findStyleUses(file?.document);
+  Object.entries(file?.styles || {}).forEach(([styleId, style]) => {
+    if (definitions.has(style.key) || !uses.has(styleId)) return;
+    definitions.set(style.key, {
+      name: style.name,
+      style_type: style.styleType,
+      node: uses.get(styleId),
+      uses: usage.get(styleId) || 0,
+    });
+  });
+  const styleUses = new Map(
+    Object.entries(file?.styles || {}).map(([styleId, style]) => [
+      style.key,
+      usage.get(styleId) || 0,
+    ])
+  );
+
+  definitions.forEach((style, key) => {
+    const common = {
+      modes: {},
+      source: `${String(style.style_type).toLowerCase()} style ${style.name}`,
+      uses: styleUses.get(key) || style.uses || 0,
+    };
+    if (style.style_type === "FILL") {
+      const value = fillValue(style.node.fills);
+      if (value) {
+        properties.push({
+          name: nameProperty(style.name),
+          type: "color",
+          value,
+          ...common,
+        });
+      }
+    } else if (style.style_type === "EFFECT") {
+      const value = effectValue(style.node.effects);
+      if (value) {
+        properties.push({
+          name: nameProperty(
+            `shadow ${style.name.replace(/^shadows?\b/i, "")}`
+          ),
+          type: "shadow",
+          value,
+          ...common,
+        });
+      }
+    } else if (style.style_type === "TEXT") {
+      Object.entries(textStyleValues(style.node.style)).forEach(
+        ([setting, value]) => {
+          properties.push({
+            name: nameProperty(`font ${style.name} ${setting}`),
+            type: "font",
+            value,
+            ...common,
+          });
+        }
+      );
+    }
+  });
+
+  return {
+    properties,
+    modes: [...modes],
+    css: formatThemeCss(properties, [...modes]),
+  };
+}
+
+function formatThemeCss(properties, modes) {
+  if (properties.length === 0) return "";
+  const block = (selector, declarations, indent = "") =>
+    `${indent}${selector} {\n${declarations
+      .map(([name, value]) => `${indent}  ${name}: ${value};`)
+      .join("\n")}\n${indent}}`;
+  const modeDeclarations = (mode) =>
+    properties
+      .filter((property) => property.modes[mode] !== undefined)
+      .map((property) => [property.name, property.modes[mode]]);
+
+  const blocks = [
+    block(
+      ":root",
+      properties.map((property) => [property.name, property.value])
+    ),
+  ];
+  modes.forEach((mode) => {
+    blocks.push(block(`[data-theme="${mode}"]`, modeDeclarations(mode)));
+    if (mode === "dark") {
+      // Follow the system setting unless the page picks a theme
+      blocks.push(
+        `@media (prefers-color-scheme: dark) {\n${block(
+          ':root:not([data-theme="light"])',
+          modeDeclarations(mode),
+          "  "
+        )}\n}`
+      );
+    }
+  });
+  return blocks.join("\n\n");
+}
+
+/**
+ * Replace hard-coded colors in generated CSS with the theme's color properties
+ * (var(--name)) wherever the color is the property's default value. When several
+ * properties share a color, the one bound most in the design wins, then one that
+ * changes with the theme (so dark mode follows).
+ * @param {string} css - Generated CSS
+ * @param {Object} theme - From buildFigmaTheme
+ * @returns {{css: string, replaced: number}} The CSS with the theme's properties
+ *   prepended, and how many colors now reference them
+ */
+function applyFigmaTheme(css, theme) {
+  if (!theme || theme.properties.length === 0) return { css, replaced: 0 };
+
+  const themed = (property) => Object.keys(property.modes).length > 0;
+  const byColor = new Map();
+  theme.properties
+    .filter((property) => property.type === "color")
+    .forEach((property) => {
+      const color = normalizeColor(property.resolved || property.value);
+      const current = byColor.get(color);
+      if (
+        color &&
+        (!current ||
+          property.uses > current.uses ||
+          (property.uses === current.uses &&
+            themed(property) &&
+            !themed(current)))
+      ) {
+        byColor.set(color, property);
+      }
+    });
+
+  let replaced = 0;
+  let root;
+  try {
+    root = safeParser(css);
+  } catch (error) {
+    return { css: `${theme.css}\n\n${css}`, replaced };
+  }
+  root.walkDecls((decl) => {
+    // Custom properties the generated code defines itself are left alone
+    if (decl.prop.startsWith("--")) return;
+    decl.value = decl.value.replace(CSS_COLOR_PATTERN, (match) => {
+      const property = byColor.get(normalizeColor(match));
+      if (!property) return match;
+      replaced++;
+      return `var(${property.name})`;
+    });
+  });
+  return { css: `${theme.css}\n\n${root.toString()}`, replaced };
+}
+
+module.exports = {
+  readFigmaThemeStandIn,
+  buildFigmaTheme,
+  applyFigmaTheme,
+};
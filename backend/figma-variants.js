@@ -0,0 +1,548 @@
+const {
+  fillStyles,
+  strokeStyles,
+  effectStyles,
+  cornerStyles,
+  textColor,
+} = require("./figma-compiler");
+
+// Variant values that mean "this one is picked" and "not picked"
+const SELECTED_VALUE = /^(selected|active|checked|on|current|chosen)$/i;
+const UNSELECTED_VALUE =
+  /^(default|unselected|inactive|unchecked|off|normal|idle|rest)$/i;
+
+// Values a state falls back to where another state sets a property
+const NEUTRAL_STYLES = {
+  background: "transparent",
+  color: "inherit",
+  border: "none",
+  "border-top": "none",
+  "border-right": "none",
+  "border-bottom": "none",
+  "border-left": "none",
+  outline: "none",
+  "box-shadow": "none",
+  "text-shadow": "none",
+  filter: "none",
+  "backdrop-filter": "none",
+  "border-radius": "0",
+  opacity: "1",
+};
+
+function slugify(value) {
+  return (
+    String(value || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "value"
+  );
+}
+
+// "State=Selected, Period=Yearly" -> { State: "Selected", Period: "Yearly" }
+function parseVariantName(name) {
+  const properties = {};
+  String(name || "")
+    .split(",")
+    .forEach((part) => {
+      const [key, ...value] = part.split("=");
+      if (value.length > 0) properties[key.trim()] = value.join("=").trim();
+    });
+  return properties;
+}
+
+function variantProperties(instance) {
+  const properties = {};
+  Object.entries(instance.componentProperties || {}).forEach(
+    ([name, property]) => {
+      if (property.type === "VARIANT")
+        properties[name] = String(property.value);
+    }
+  );
+  return properties;
+}
+
+function indexComponentSets(node, index = new Map()) {
+  if (!node) return index;
+  if (node.type === "COMPONENT_SET") index.set(node.id, node);
+  (node.children || []).forEach((child) => indexComponentSets(child, index));
+  return index;
+}
+
+// Layers under a component or instance by name path ("Content/Price"), the
+// way Figma matches layers when swapping variants
+function layersByPath(root) {
+  const layers = new Map();
+  const walk = (node, prefix) => {
+    const seen = new Map();
+    (node.children || []).forEach((child) => {
+      const count = (seen.get(child.name) || 0) + 1;
+      seen.set(child.name, count);
+      const path = `${prefix}${child.name}${count > 1 ? `#${count}` : ""}`;
+      layers.set(path, child);
+      walk(child, `${path}/`);
+    });
+  };
+  layers.set("", root);
+  walk(root, "");
+  return layers;
+}
+
+// The declarations a layer's state can change
+function stateStyles(node) {
+  if (!node) return {};
+  const isText = node.type === "TEXT";
+  const styles = {
+    ...(isText ? textColor(node.fills) : fillStyles(node)),
+    ...(isText ? {} : strokeStyles(node)),
+    ...cornerStyles(node),
+    ...effectStyles(node, isText),
+    opacity: String(Math.round((node.opacity ?? 1) * 100) / 100),
+  };
+  const autoLayout = node.layoutMode && node.layoutMode !== "NONE";
+  styles.display =
+    node.visible === false ? "none" : autoLayout ? "flex" : "block";
+  return styles;
+}
+
+// Sorted by slugified name, as the runtime's keyOf sorts its data-v-* names
+function variantKey(properties) {
+  return Object.keys(properties)
+    .map((name) => [slugify(name), slugify(properties[name])])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("|");
+}
+
+/**
+ * Find the component instances in a frame whose variants are states the
+ * paywall can switch between: sets with a Selected-like value become selection
+ * groups (plan cards), other variant properties become toggles that switch
+ * every instance with the same property (Period=Monthly/Yearly swaps prices)
+ * @param {Object} frame - Figma frame node
+ * @param {Object} figmaData - The whole file (GET /files/:key), for component sets
+ * @returns {Object|null} { sets, groups, toggles, instances, warnings }, or null
+ *   when the frame has no switchable variants
+ */
+function findInteractiveVariants(frame, figmaData) {
+  const setNodes = indexComponentSets(figmaData?.document);
+  const sets = new Map();
+  const instances = [];
+  const warnings = [];
+
+  const walk = (node) => {
+    if (!node || node.visible === false) return;
+    const properties = variantProperties(node);
+    if (node.type === "INSTANCE" && Object.keys(properties).length > 0) {
+      const setId = figmaData.components?.[node.componentId]?.componentSetId;
+      const setNode = setNodes.get(setId);
+      if (!setNode) {
+        const name = figmaData.componentSets?.[setId]?.name || node.name;
+        warnings.push(
+          `"${name}" comes from a library, so its variants aren't in this file`
+        );
+      } else {
+        if (!sets.has(setId)) {
+          const variants = (setNode.children || [])
+            .filter((child) => child.type === "COMPONENT")
+            .map((child) => ({
+              properties: parseVariantName(child.name),
+              node: child,
+            }));
+          const values = {};
+          variants.forEach((variant) =>
+            Object.entries(variant.properties).forEach(([name, value]) => {
+              values[name] = values[name] || [];
+              if (!values[name].includes(value)) values[name].push(value);
+            })
+          );
+          sets.set(setId, {
+            id: setId,
+            name: setNode.name,
+            slug: slugify(setNode.name),
+            values,
+            variants,
+          });
+        }
+        instances.push({ node, set: sets.get(setId), properties });
+        // Nested instances belong to this component's variants
+        return;
+      }
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(frame);
+
+  const interactiveSets = [...sets.values()].filter((set) =>
+    Object.values(set.values).some((values) => values.length > 1)
+  );
+  if (interactiveSets.length === 0) return null;
+
+  // Selection groups: every instance of a set with a Selected-like value
+  const groups = [];
+  const selectionProperty = new Map();
+  interactiveSets.forEach((set) => {
+    const property = Object.keys(set.values).find((name) =>
+      set.values[name].some((value) => SELECTED_VALUE.test(value))
+    );
+    if (!property) return;
+    const on = set.values[property].find((value) => SELECTED_VALUE.test(value));
+    const off =
+      set.values[property].find((value) => UNSELECTED_VALUE.test(value)) ||
+      set.values[property].find((value) => value !== on);
+    selectionProperty.set(set.id, property);
+    groups.push({
+      set: set.slug,
+      property: slugify(property),
+      on: slugify(on),
+      off: slugify(off),
+      nodes: instances
+        .filter((instance) => instance.set === set)
+        .map((instance) => instance.node.id),
+    });
+  });
+
+  // Toggles: the instance whose only other property is shared with the rest
+  // controls it (the Period switch), the others follow
+  const toggles = [];
+  const propertyNames = new Set();
+  interactiveSets.forEach((set) =>
+    Object.keys(set.values).forEach((name) => {
+      if (
+        selectionProperty.get(set.id) !== name &&
+        set.values[name].length > 1
+      ) {
+        propertyNames.add(name);
+      }
+    })
+  );
+  propertyNames.forEach((name) => {
+    const withProperty = instances.filter(
+      (instance) => instance.properties[name] !== undefined
+    );
+    const controls = withProperty.filter(
+      (instance) =>
+        Object.keys(instance.set.values).length === 1 &&
+        instance.set.values[name]?.length > 1
+    );
+    if (controls.length === 0) {
+      warnings.push(
+        `Nothing on the frame switches "${name}", so it stays as designed`
+      );
+      return;
+    }
+    const values = controls[0].set.values[name];
+    toggles.push({
+      property: slugify(name),
+      values: values.map(slugify),
+      controls: controls.map((instance) => instance.node.id),
+      targets: withProperty
+        .filter((instance) => !controls.includes(instance))
+        .map((instance) => instance.node.id),
+    });
+  });
+
+  if (groups.length === 0 && toggles.length === 0) return null;
+  return {
+    sets: interactiveSets,
+    groups,
+    toggles,
+    instances: instances.filter((instance) =>
+      interactiveSets.includes(instance.set)
+    ),
+    warnings: [...new Set(warnings)],
+  };
+}
+
+// Per set, the layers whose styles or text differ between variants
+function diffVariants(set) {
+  const layerMaps = set.variants.map((variant) => layersByPath(variant.node));
+  const paths = new Set(layerMaps.flatMap((layers) => [...layers.keys()]));
+  const styles = new Map();
+  const texts = new Map();
+
+  paths.forEach((path) => {
+    const perVariant = layerMaps.map((layers) => stateStyles(layers.get(path)));
+    const changed = new Set();
+    const names = new Set(perVariant.flatMap((entry) => Object.keys(entry)));
+    names.forEach((name) => {
+      const values = perVariant.map(
+        (entry) => entry[name] ?? NEUTRAL_STYLES[name] ?? "none"
+      );
+      if (new Set(values).size > 1) changed.add(name);
+    });
+    if (changed.size > 0) styles.set(path, changed);
+
+    const variantTexts = layerMaps.map(
+      (layers) => layers.get(path)?.characters
+    );
+    if (
+      variantTexts.some((text) => text !== undefined) &&
+      new Set(variantTexts).size > 1
+    ) {
+      texts.set(path, variantTexts);
+    }
+  });
+  return { layerMaps, styles, texts };
+}
+
+/**
+ * The HTML attributes, CSS and JS that make a frame's variants interactive.
+ * Instance elements carry data-node-id, data-variant-set and data-v-<property>
+ * attributes and their changing layers data-layer; the CSS styles every
+ * variant through those attributes and the JS switches them on click.
+ * @param {Object} interactive - From findInteractiveVariants
+ * @returns {{attributes: Object, showHidden: Set<string>, css: string, js: string, spec: Object}}
+ *   attributes and showHidden are compileFigmaNode options; spec describes the
+ *   states for a prompt
+ */
+function buildVariantStates(interactive) {
+  const attributes = {};
+  const showHidden = new Set();
+  const rules = [];
+  const texts = {};
+  const setProperties = {};
+  const layersForPrompt = {};
+
+  interactive.sets.forEach((set) => {
+    const { layerMaps, styles, texts: setTexts } = diffVariants(set);
+    setProperties[set.slug] = Object.keys(set.values).map(slugify);
+    layersForPrompt[set.slug] = [
+      ...new Set([...styles.keys(), ...setTexts.keys()]),
+    ];
+
+    set.variants.forEach((variant, i) => {
+      const selector = `.paywall-container [data-variant-set="${
+        set.slug
+      }"]${Object.entries(variant.properties)
+        .map(([name, value]) => `[data-v-${slugify(name)}="${slugify(value)}"]`)
+        .join("")}`;
+      styles.forEach((names, path) => {
+        const layerStyles = stateStyles(layerMaps[i].get(path));
+        const declarations = [...names].map(
+          (name) =>
+            `  ${name}: ${layerStyles[name] ?? NEUTRAL_STYLES[name] ?? "none"};`
+        );
+        rules.push(
+          `${selector}${
+            path ? ` [data-layer="${path}"]` : ""
+          } {\n${declarations.join("\n")}\n}`
+        );
+      });
+    });
+
+    if (setTexts.size > 0) {
+      texts[set.slug] = {};
+      setTexts.forEach((variantTexts, path) => {
+        texts[set.slug][path] = {};
+        set.variants.forEach((variant, i) => {
+          if (variantTexts[i] !== undefined) {
+            texts[set.slug][path][variantKey(variant.properties)] =
+              variantTexts[i];
+          }
+        });
+      });
+    }
+  });
+
+  interactive.instances.forEach(({ node, set, properties }) => {
+    attributes[node.id] = {
+      "data-node-id": node.id,
+      "data-variant-set": set.slug,
+    };
+    Object.entries(properties).forEach(([name, value]) => {
+      attributes[node.id][`data-v-${slugify(name)}`] = slugify(value);
+    });
+    const changing = new Set(layersForPrompt[set.slug]);
+    layersByPath(node).forEach((layer, path) => {
+      if (!path || !changing.has(path)) return;
+      attributes[layer.id] = { "data-layer": path };
+      if (layer.visible === false) showHidden.add(layer.id);
+    });
+  });
+
+  const clickable = [
+    ...interactive.groups.flatMap((group) => group.nodes),
+    ...interactive.toggles.flatMap((toggle) => toggle.controls),
+  ];
+  if (clickable.length > 0) {
+    rules.push(
+      `${clickable
+        .map((id) => `.paywall-container [data-node-id="${id}"]`)
+        .join(",\n")} {\n  cursor: pointer;\n}`
+    );
+  }
+
+  const config = {
+    groups: interactive.groups,
+    toggles: interactive.toggles,
+    properties: setProperties,
+    texts,
+  };
+  return {
+    attributes,
+    showHidden,
+    css: rules.join("\n\n"),
+    js: variantRuntime(config),
+    spec: {
+      groups: interactive.groups,
+      toggles: interactive.toggles,
+      layers: layersForPrompt,
+    },
+  };
+}
+
+// Vanilla JS that switches the data-v-* attributes (and variant texts)
+function variantRuntime(config) {
+  return `// Component states from the Figma variants
+(function () {
+  var config = ${JSON.stringify(config)};
+  var find = function (id) {
+    return document.querySelector('[data-node-id="' + id + '"]');
+  };
+  var keyOf = function (el) {
+    var set = el.getAttribute("data-variant-set");
+    return (config.properties[set] || [])
+      .slice()
+      .sort()
+      .map(function (name) {
+        return name + "=" + el.getAttribute("data-v-" + name);
+      })
+      .join("|");
+  };
+  var setState = function (el, property, value) {
+    if (!el || el.getAttribute("data-v-" + property) === value) return;
+    var set = el.getAttribute("data-variant-set");
+    var texts = config.texts[set] || {};
+    var before = keyOf(el);
+    el.setAttribute("data-v-" + property, value);
+    var after = keyOf(el);
+    Object.keys(texts).forEach(function (path) {
+      var layer = el.querySelector('[data-layer="' + path + '"]');
+      var next = texts[path][after];
+      // Texts the frame overrides (a plan's own price) are left alone
+      if (!layer || next === undefined) return;
+      if (layer.textContent.trim() !== String(texts[path][before] || "").trim()) return;
+      layer.textContent = next;
+    });
+  };
+  var onActivate = function (el, handler) {
+    el.setAttribute("tabindex", "0");
+    el.addEventListener("click", handler);
+    el.addEventListener("keydown", function (event) {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        handler();
+      }
+    });
+  };
+  config.groups.forEach(function (group) {
+    var nodes = group.nodes.map(find).filter(Boolean);
+    nodes.forEach(function (el) {
+      el.setAttribute("role", nodes.length > 1 ? "radio" : "checkbox");
+      var sync = function () {
+        nodes.forEach(function (other) {
+          other.setAttribute(
+            "aria-checked",
+            String(other.getAttribute("data-v-" + group.property) === group.on)
+          );
+        });
+      };
+      onActivate(el, function () {
+        if (nodes.length === 1) {
+          var on = el.getAttribute("data-v-" + group.property) === group.on;
+          setState(el, group.property, on ? group.off : group.on);
+        } else {
+          nodes.forEach(function (other) {
+            setState(other, group.property, other === el ? group.on : group.off);
+          });
+        }
+        sync();
+      });
+      sync();
+    });
+  });
+  config.toggles.forEach(function (toggle) {
+    toggle.controls.map(find).filter(Boolean).forEach(function (control) {
+      control.setAttribute("role", "switch");
+      // "On" is any value past the first (Yearly after Monthly)
+      var sync = function () {
+        control.setAttribute(
+          "aria-checked",
+          String(
+            toggle.values.indexOf(
+              control.getAttribute("data-v-" + toggle.property)
+            ) > 0
+          )
+        );
+      };
+      onActivate(control, function () {
+        var current = toggle.values.indexOf(
+          control.getAttribute("data-v-" + toggle.property)
+        );
+        var value = toggle.values[(current + 1) % toggle.values.length];
+        toggle.controls.concat(toggle.targets).forEach(function (id) {
+          setState(find(id), toggle.property, value);
+        });
+        sync();
+      });
+      sync();
+    });
+  });
+})();`;
+}
+
+/**
+ * Prompt block asking the model to mark up the interactive instances so the
+ * state CSS and JS added after generation can drive them
+ * @param {Object} interactive - From findInteractiveVariants
+ * @param {Object} states - From buildVariantStates
+ * @returns {string}
+ */
+function formatVariantPrompt(interactive, states) {
+  const describe = (id) => {
+    const instance = interactive.instances.find(
+      (entry) => entry.node.id === id
+    );
+    const properties = Object.entries(instance?.properties || {})
+      .map(([name, value]) => `data-v-${slugify(name)}="${slugify(value)}"`)
+      .join(" ");
+    return `  - "${instance?.node.name}": data-node-id="${id}" data-variant-set="${instance?.set.slug}" ${properties}`;
+  };
+  const lines = [
+    "INTERACTIVE COMPONENT STATES (from the Figma variants):",
+    "State CSS and JS are added to your code after generation. Put these attributes on the root element of each component instance:",
+    ...interactive.instances.map(({ node }) => describe(node.id)),
+    'and data-layer="<path>" on the elements for these layers inside them (paths are layer names from the instance):',
+    ...Object.entries(states.spec.layers)
+      .filter(([, paths]) => paths.length > 0)
+      .map(
+        ([set, paths]) =>
+          `  - ${set}: ${paths
+            .filter(Boolean)
+            .map((path) => `"${path}"`)
+            .join(", ")}`
+      ),
+  ];
+  interactive.groups.forEach((group) => {
+    lines.push(
+      `- Clicking a ${group.set} selects it (data-v-${group.property}="${group.on}") and deselects the others`
+    );
+  });
+  interactive.toggles.forEach((toggle) => {
+    lines.push(
+      `- Clicking the ${toggle.property} control switches ${toggle.values.join(
+        "/"
+      )} on it and on every instance with data-v-${toggle.property}`
+    );
+  });
+  lines.push(
+    "Don't write JS for these states, and don't style [data-v-*] attributes yourself."
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  findInteractiveVariants,
+  buildVariantStates,
+  formatVariantPrompt,
+};
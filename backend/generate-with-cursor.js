@@ -527,7 +527,7 @@ function hexToRgb(hex) {
  *
  * @param {Object} appInfo - App information object
  * @param {Object} businessModels - Business models object
- * @param {Object} options - Options including prompt, model, etc.
+ * @param {Object} options - Options including prompt, model, patternGuidance, etc.
  * @returns {Promise<string>} Generated HTML code
  */
 async function generatePaywallWithCursor(
@@ -540,6 +540,7 @@ async function generatePaywallWithCursor(
     customPrompt = null,
     outputDir = path.join(__dirname, "cursor-generations"),
     pageType = "paywall",
+    patternGuidance = "",
   } = options;
 
   // Create generation directory with timestamp
@@ -638,8 +639,10 @@ async function generatePaywallWithCursor(
   fs.writeFileSync(dataJsonPath, JSON.stringify(data, null, 2), "utf-8");
   console.log(`✅ Saved data.json with color palette`);
 
-  // Create prompt
-  const prompt = customPrompt || createDefaultPrompt(appInfo, businessModels, pageType);
+  // Create prompt (style profile guidance goes last so it reads as a constraint)
+  const prompt =
+    (customPrompt || createDefaultPrompt(appInfo, businessModels, pageType)) +
+    patternGuidance;
   const promptPath = path.join(generationDir, "prompt.txt");
   fs.writeFileSync(promptPath, prompt, "utf-8");
   console.log(`✅ Saved prompt.txt`);
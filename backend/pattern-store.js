@@ -0,0 +1,285 @@
+const fs = require("fs");
+const path = require("path");
+
+// Where the pattern library lives on disk (override with PATTERN_LIBRARY_DIR)
+const LIBRARY_DIR =
+  process.env.PATTERN_LIBRARY_DIR || path.join(__dirname, "pattern-library");
+const PROFILES_DIR = path.join(LIBRARY_DIR, "profiles");
+
+// Profile used when a request doesn't name one
+const DEFAULT_PROFILE = "default";
+
+// Keep the last N snapshots per profile, older ones are pruned on save
+const MAX_SNAPSHOTS = parseInt(process.env.PATTERN_SNAPSHOT_LIMIT, 10) || 50;
+
+/**
+ * Create an empty pattern library
+ */
+function createEmptyPatterns() {
+  return {
+    colors: [],
+    fonts: [],
+    fontSizes: [],
+    fontWeights: [],
+    lineHeights: [],
+    letterSpacing: [],
+    spacing: [],
+    borderRadius: [],
+    shadows: [],
+    borders: [],
+    transitions: [],
+    transforms: [],
+    opacities: [],
+    gradients: [],
+    zIndex: [],
+    gaps: [],
+    widths: [],
+    heights: [],
+    displayTypes: [],
+    flexProperties: [],
+    gridProperties: [],
+    positions: [],
+    textTransforms: [],
+    textDecorations: [],
+    breakpoints: [],
+    animations: [],
+    // Ranked colors per usage (background, text, border) and the roles derived from them
+    colorUsage: {},
+    palette: {},
+    // Palette roles named in imported design tokens
+    tokenPalette: {},
+    // Type scale and spacing grid inferred from fontSizes and spacing
+    scales: { typeScale: null, spacingGrid: null },
+    layouts: [],
+    commonStyles: {},
+    componentStyles: {},
+    // Recognized components (plan cards, CTA, ...) by type, most widely used first
+    components: {},
+    // Every analyzed paywall with its hash and extracted patterns
+    sources: [],
+    count: 0,
+  };
+}
+
+/**
+ * Write JSON through a temp file so a crash never leaves a half-written library
+ */
+function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), "utf-8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+function snapshotFileName(version) {
+  return `v${String(version).padStart(6, "0")}.json`;
+}
+
+/**
+ * Profile names double as directory names, so keep them simple
+ */
+function isValidProfileName(name) {
+  return typeof name === "string" && /^[a-z0-9][a-z0-9_-]{0,63}$/i.test(name);
+}
+
+function profileDir(profile) {
+  if (!isValidProfileName(profile)) {
+    throw new Error(`Invalid profile name: ${profile}`);
+  }
+  return path.join(PROFILES_DIR, profile);
+}
+
+function snapshotsDir(profile) {
+  return path.join(profileDir(profile), "snapshots");
+}
+
+function currentFile(profile) {
+  return path.join(profileDir(profile), "current.json");
+}
+
+/**
+ * Move a library saved before profiles existed into the default profile
+ */
+function migrateLegacyLibrary() {
+  const legacyCurrent = path.join(LIBRARY_DIR, "current.json");
+  if (
+    !fs.existsSync(legacyCurrent) ||
+    fs.existsSync(profileDir(DEFAULT_PROFILE))
+  ) {
+    return;
+  }
+
+  fs.mkdirSync(profileDir(DEFAULT_PROFILE), { recursive: true });
+  fs.renameSync(legacyCurrent, currentFile(DEFAULT_PROFILE));
+  const legacySnapshots = path.join(LIBRARY_DIR, "snapshots");
+  if (fs.existsSync(legacySnapshots)) {
+    fs.renameSync(legacySnapshots, snapshotsDir(DEFAULT_PROFILE));
+  }
+  console.log(
+    `Moved existing pattern library into the "${DEFAULT_PROFILE}" profile`
+  );
+}
+
+migrateLegacyLibrary();
+
+/**
+ * Check whether a profile has been saved to disk
+ */
+function profileExists(profile) {
+  return isValidProfileName(profile) && fs.existsSync(currentFile(profile));
+}
+
+/**
+ * List saved profiles with their current version and paywall count
+ */
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+
+  return fs
+    .readdirSync(PROFILES_DIR)
+    .filter(profileExists)
+    .map((name) => {
+      const { version, patterns } = loadPatternLibrary(name);
+      return {
+        name,
+        version,
+        totalPaywallsAnalyzed: patterns.count,
+        updatedAt: fs.statSync(currentFile(name)).mtime.toISOString(),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete a profile together with its snapshot history
+ */
+function deleteProfile(profile) {
+  fs.rmSync(profileDir(profile), { recursive: true, force: true });
+}
+
+// Version numbers of a profile's snapshots, newest first, from their file
+// names alone (the snapshots themselves hold whole libraries)
+function snapshotVersions(profile) {
+  const dir = snapshotsDir(profile);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((file) => file.match(/^v(\d+)\.json$/))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10))
+    .sort((a, b) => b - a);
+}
+
+/**
+ * List snapshot metadata for a profile, newest first
+ */
+function listPatternSnapshots(profile) {
+  const dir = snapshotsDir(profile);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /^v\d+\.json$/.test(file))
+    .map((file) => {
+      try {
+        const snapshot = JSON.parse(
+          fs.readFileSync(path.join(dir, file), "utf-8")
+        );
+        return {
+          version: snapshot.version,
+          createdAt: snapshot.createdAt,
+          reason: snapshot.reason,
+          totalPaywallsAnalyzed: snapshot.patterns?.count || 0,
+        };
+      } catch (error) {
+        console.warn(
+          `⚠️  Skipping unreadable snapshot ${file}: ${error.message}`
+        );
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Read a single snapshot of a profile by version number (null if it doesn't exist)
+ */
+function readPatternSnapshot(profile, version) {
+  const snapshotPath = path.join(
+    snapshotsDir(profile),
+    snapshotFileName(version)
+  );
+  if (!fs.existsSync(snapshotPath)) return null;
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf-8"));
+}
+
+/**
+ * Load a profile's current pattern library from disk (empty library if none saved yet)
+ */
+function loadPatternLibrary(profile) {
+  if (!profileExists(profile)) {
+    return { version: 0, patterns: createEmptyPatterns() };
+  }
+
+  try {
+    const current = JSON.parse(fs.readFileSync(currentFile(profile), "utf-8"));
+    return {
+      version: current.version || 0,
+      // Fill in keys added after the library was saved
+      patterns: { ...createEmptyPatterns(), ...current.patterns },
+    };
+  } catch (error) {
+    console.error(
+      `❌ Failed to load pattern library "${profile}": ${error.message}`
+    );
+    return { version: 0, patterns: createEmptyPatterns() };
+  }
+}
+
+/**
+ * Save a profile's pattern library and record it as a new versioned snapshot
+ * @param {string} profile - Profile name
+ * @param {Object} patterns - Pattern library to persist
+ * @param {string} reason - Short description of the change (shown in snapshot list)
+ * @returns {number} The new version number
+ */
+function savePatternLibrary(profile, patterns, reason = "update") {
+  const dir = snapshotsDir(profile);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const versions = snapshotVersions(profile);
+  const version = (versions[0] || 0) + 1;
+  const createdAt = new Date().toISOString();
+
+  writeJsonAtomic(path.join(dir, snapshotFileName(version)), {
+    version,
+    createdAt,
+    reason,
+    patterns,
+  });
+  writeJsonAtomic(currentFile(profile), {
+    version,
+    updatedAt: createdAt,
+    patterns,
+  });
+
+  // Prune the oldest snapshots beyond the limit
+  versions.slice(MAX_SNAPSHOTS - 1).forEach((old) => {
+    fs.rmSync(path.join(dir, snapshotFileName(old)), { force: true });
+  });
+
+  return version;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  isValidProfileName,
+  profileExists,
+  listProfiles,
+  deleteProfile,
+  createEmptyPatterns,
+  loadPatternLibrary,
+  savePatternLibrary,
+  listPatternSnapshots,
+  readPatternSnapshot,
+};
@@ -0,0 +1,237 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+const cheerio = require("cheerio");
+const safeParser = require("postcss-safe-parser");
+const valueParser = require("postcss-value-parser");
+
+// Guards against zip bombs and archives of a whole website
+const MAX_BUNDLE_ENTRIES = 500;
+const MAX_BUNDLE_SIZE = 100 * 1024 * 1024;
+// @import chains deeper than this are almost certainly cycles
+const MAX_IMPORT_DEPTH = 10;
+
+function isHtmlPath(filePath) {
+  return /\.html?$/i.test(filePath);
+}
+
+function isZipFile(file) {
+  return (
+    file.originalname.toLowerCase().endsWith(".zip") ||
+    file.mimetype === "application/zip" ||
+    file.mimetype === "application/x-zip-compressed"
+  );
+}
+
+// Unpack an archive into bundle paths, leaving out folders and OS metadata
+function readZipEntries(buffer, zipName) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new Error(`Could not read ${zipName}: ${error.message}`);
+  }
+  if (entries.length > MAX_BUNDLE_ENTRIES) {
+    throw new Error(
+      `${zipName} has ${entries.length} files, more than the ${MAX_BUNDLE_ENTRIES} allowed`
+    );
+  }
+
+  const files = new Map();
+  let totalSize = 0;
+  entries.forEach((entry) => {
+    const entryPath = path.posix.normalize(entry.entryName.replace(/\\/g, "/"));
+    if (
+      entry.isDirectory ||
+      entryPath.startsWith("../") ||
+      entryPath
+        .split("/")
+        .some((part) => part === "__MACOSX" || part.startsWith("."))
+    ) {
+      return;
+    }
+    totalSize += entry.header.size;
+    if (totalSize > MAX_BUNDLE_SIZE) {
+      throw new Error(`${zipName} is larger than 100MB unpacked`);
+    }
+    files.set(entryPath.replace(/^\//, ""), entry.getData());
+  });
+  return files;
+}
+
+/**
+ * Group uploaded files into bundles whose files can reference each other:
+ * every zip archive is its own bundle, the loose files (HTML, CSS, fonts) share one
+ * @param {Array<{originalname: string, mimetype: string, buffer: Buffer}>} files - multer files
+ * @returns {Array<{name: string|null, files: Map<string, Buffer>, error?: string}>}
+ *   name is the archive name; archives that can't be read come back empty with an error
+ */
+function collectBundles(files) {
+  const loose = { name: null, files: new Map() };
+  const bundles = [];
+  files.forEach((file) => {
+    if (isZipFile(file)) {
+      try {
+        bundles.push({
+          name: file.originalname,
+          files: readZipEntries(file.buffer, file.originalname),
+        });
+      } catch (error) {
+        bundles.push({
+          name: file.originalname,
+          files: new Map(),
+          error: error.message,
+        });
+      }
+    } else {
+      loose.files.set(file.originalname, file.buffer);
+    }
+  });
+  return loose.files.size > 0 ? [loose, ...bundles] : bundles;
+}
+
+// Bundle path a reference points to, or null for remote and data: URLs.
+// Production paywalls often use absolute paths ("/static/css/app.css") that
+// don't match the archive layout, so an unambiguous file name match is accepted too
+function resolveBundlePath(bundle, fromPath, href) {
+  const reference = href.trim().split(/[?#]/)[0];
+  if (!reference || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(reference)) {
+    return null;
+  }
+
+  const resolved = path.posix.normalize(
+    reference.startsWith("/")
+      ? reference.slice(1)
+      : path.posix.join(path.posix.dirname(fromPath), reference)
+  );
+  if (bundle.files.has(resolved)) return resolved;
+
+  const fileName = path.posix.basename(resolved);
+  const matches = [...bundle.files.keys()].filter(
+    (filePath) => path.posix.basename(filePath) === fileName
+  );
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// The URL of an @import rule: @import "a.css"; or @import url(a.css) screen;
+function parseImport(params) {
+  const nodes = valueParser(params).nodes.filter(
+    (node) => node.type !== "space"
+  );
+  const first = nodes[0];
+  if (!first) return null;
+
+  let href = null;
+  if (first.type === "string") href = first.value;
+  else if (first.type === "function" && first.value.toLowerCase() === "url") {
+    href = valueParser.stringify(first.nodes).replace(/^['"]|['"]$/g, "");
+  }
+  if (href === null) return null;
+  return { href, media: valueParser.stringify(nodes.slice(1)).trim() };
+}
+
+// Replace @import rules with the imported stylesheets from the bundle
+function inlineImports(bundle, cssText, cssPath, context, depth = 0) {
+  if (!/@import/i.test(cssText)) return cssText;
+
+  let root;
+  try {
+    root = safeParser(cssText);
+  } catch (error) {
+    return cssText;
+  }
+  root.walkAtRules(/^import$/i, (rule) => {
+    const reference = parseImport(rule.params);
+    if (!reference) return;
+    const importPath = resolveBundlePath(bundle, cssPath, reference.href);
+    if (!importPath || depth >= MAX_IMPORT_DEPTH) {
+      // Remote imports (e.g. Google Fonts) stay as they are
+      if (!/^(?:[a-z]+:)?\/\//i.test(reference.href)) {
+        context.missing.add(reference.href);
+      }
+      return;
+    }
+
+    context.stylesheets.add(importPath);
+    const imported = inlineImports(
+      bundle,
+      bundle.files.get(importPath).toString("utf-8"),
+      importPath,
+      context,
+      depth + 1
+    );
+    rule.replaceWith(
+      safeParser(
+        reference.media
+          ? `@media ${reference.media} {\n${imported}\n}`
+          : imported
+      ).nodes
+    );
+  });
+  return root.toString();
+}
+
+/**
+ * The paywalls in a bundle: every HTML file, with the stylesheets it links or
+ * @imports from the bundle inlined as <style> blocks
+ * @param {{name: string|null, files: Map<string, Buffer>}} bundle - From collectBundles
+ * @returns {Array<{name: string, html: string, original: string, stylesheets: string[], missing: string[]}>}
+ *   original is the file as uploaded followed by the stylesheets inlined into
+ *   it (what identifies the paywall), missing references weren't found in the bundle
+ */
+function resolveBundlePaywalls(bundle) {
+  return [...bundle.files.keys()].filter(isHtmlPath).map((htmlPath) => {
+    const source = bundle.files.get(htmlPath).toString("utf-8");
+    const $ = cheerio.load(source);
+    const context = { stylesheets: new Set(), missing: new Set() };
+
+    $("link[href]").each((i, elem) => {
+      const rel = ($(elem).attr("rel") || "").toLowerCase().split(/\s+/);
+      if (!rel.includes("stylesheet")) return;
+      const href = $(elem).attr("href");
+      const cssPath = resolveBundlePath(bundle, htmlPath, href);
+      if (!cssPath) {
+        if (!/^(?:[a-z]+:)?\/\//i.test(href)) context.missing.add(href);
+        return;
+      }
+
+      context.stylesheets.add(cssPath);
+      const css = inlineImports(
+        bundle,
+        bundle.files.get(cssPath).toString("utf-8"),
+        cssPath,
+        context
+      );
+      const media = $(elem).attr("media");
+      const style = $("<style></style>").attr("data-href", href).text(css);
+      if (media) style.attr("media", media);
+      $(elem).replaceWith(style);
+    });
+
+    // Stylesheets inlined above already had their imports resolved
+    $("style:not([data-href])").each((i, elem) => {
+      const css = $(elem).html() || "";
+      const inlined = inlineImports(bundle, css, htmlPath, context);
+      if (inlined !== css) $(elem).text(inlined);
+    });
+
+    return {
+      name: bundle.name ? `${bundle.name}/${htmlPath}` : htmlPath,
+      html: $.html(),
+      // cheerio re-serializes the markup, so the same file uploaded on its
+      // own would hash differently from $.html()
+      original: [
+        source,
+        ...[...context.stylesheets].map((cssPath) =>
+          bundle.files.get(cssPath).toString("utf-8")
+        ),
+      ].join("\n"),
+      stylesheets: [...context.stylesheets],
+      missing: [...context.missing],
+    };
+  });
+}
+
+module.exports = {
+  collectBundles,
+  resolveBundlePaywalls,
+};
@@ -0,0 +1,240 @@
+// Common modular scale ratios, smallest first
+const TYPE_SCALE_RATIOS = [
+  { ratio: 1.067, name: "minor second" },
+  { ratio: 1.125, name: "major second" },
+  { ratio: 1.2, name: "minor third" },
+  { ratio: 1.25, name: "major third" },
+  { ratio: 1.333, name: "perfect fourth" },
+  { ratio: 1.414, name: "augmented fourth" },
+  { ratio: 1.5, name: "perfect fifth" },
+  { ratio: 1.618, name: "golden ratio" },
+];
+
+// Body text sizes a type scale can be based on
+const MIN_BASE_SIZE = 12;
+const MAX_BASE_SIZE = 20;
+const DEFAULT_BASE_SIZE = 16;
+
+// Scale steps are rounded when used, so 20.48px is written as 20px and 31.25px
+// as 31 or 32px: a size this close to a step (px or share of the step) is on the scale
+const STEP_TOLERANCE_PX = 1;
+const STEP_TOLERANCE_RATIO = 0.04;
+
+const SPACING_GRIDS = [8, 4];
+// An 8pt grid is preferred when it explains nearly as much as a 4pt grid
+const GRID_PREFERENCE_MARGIN = 0.1;
+const MAX_GRID_STEPS = 12;
+
+// Fewer distinct values than this say nothing about a system
+const MIN_DISTINCT_VALUES = 3;
+
+function toWeightedValues(entries = []) {
+  return entries
+    .map((entry) =>
+      entry && typeof entry === "object"
+        ? { value: Number(entry.value), count: entry.count || 1 }
+        : { value: Number(entry), count: 1 }
+    )
+    .filter((entry) => Number.isFinite(entry.value) && entry.value > 0);
+}
+
+function roundShare(share) {
+  return Math.round(share * 100) / 100;
+}
+
+function isOnStep(size, steps) {
+  return steps.some(
+    (step) =>
+      Math.abs(size - step) <=
+      Math.max(STEP_TOLERANCE_PX, step * STEP_TOLERANCE_RATIO)
+  );
+}
+
+// base * ratio^n for every n that lands within [min, max] (plus one step either side)
+function scaleSteps(base, ratio, min, max) {
+  const steps = [];
+  for (let n = -12; n <= 24; n++) {
+    const step = base * Math.pow(ratio, n);
+    if (step >= min / ratio && step <= max * ratio) steps.push(step);
+  }
+  return steps;
+}
+
+// Share of [min, max] within tolerance of a step: the fit a random set of
+// sizes would get, so dense scales (small ratios) don't win by default
+function scaleCoverage(steps, min, max) {
+  let covered = 0;
+  let coveredUpTo = min;
+  steps.forEach((step) => {
+    const tolerance = Math.max(STEP_TOLERANCE_PX, step * STEP_TOLERANCE_RATIO);
+    const from = Math.max(coveredUpTo, step - tolerance);
+    const to = Math.min(max, step + tolerance);
+    if (to > from) {
+      covered += to - from;
+      coveredUpTo = to;
+    }
+  });
+  return covered / (max - min);
+}
+
+/**
+ * Infer the modular type scale (base size x ratio^n) behind a set of font sizes
+ * @param {Array<{value: number, count: number}>} fontSizes - Ranked font sizes in px
+ * @returns {Object|null} { base, ratio, ratioName, steps, fit, offScale } where
+ *   steps are the rounded px sizes of the scale across the range in use and fit is
+ *   the share of font size uses on the scale; null with too few sizes to tell
+ */
+function inferTypeScale(fontSizes) {
+  const sizes = toWeightedValues(fontSizes);
+  if (new Set(sizes.map((size) => size.value)).size < MIN_DISTINCT_VALUES) {
+    return null;
+  }
+  const total = sizes.reduce((sum, size) => sum + size.count, 0);
+  const min = Math.min(...sizes.map((size) => size.value));
+  const max = Math.max(...sizes.map((size) => size.value));
+
+  const bases = new Set([DEFAULT_BASE_SIZE]);
+  sizes.forEach((size) => {
+    if (size.value >= MIN_BASE_SIZE && size.value <= MAX_BASE_SIZE) {
+      bases.add(size.value);
+    }
+  });
+
+  let best = null;
+  bases.forEach((base) => {
+    TYPE_SCALE_RATIOS.forEach(({ ratio, name }) => {
+      const steps = scaleSteps(base, ratio, min, max);
+      const fit =
+        sizes
+          .filter((size) => isOnStep(size.value, steps))
+          .reduce((sum, size) => sum + size.count, 0) / total;
+      const coverage = scaleCoverage(steps, min, max);
+      // How much more of the sizes the scale explains than chance would
+      const score = fit - coverage;
+      if (!best || score > best.score) {
+        best = { base, ratio, ratioName: name, steps, fit, score };
+      }
+    });
+  });
+
+  // Any step of a scale can be its base; name it after the most used body size on it
+  const bodySize = sizes
+    .filter(
+      (size) =>
+        size.value >= MIN_BASE_SIZE &&
+        size.value <= MAX_BASE_SIZE &&
+        isOnStep(size.value, best.steps)
+    )
+    .sort(
+      (a, b) =>
+        b.count - a.count ||
+        Math.abs(a.value - DEFAULT_BASE_SIZE) -
+          Math.abs(b.value - DEFAULT_BASE_SIZE)
+    )[0];
+  const base = bodySize
+    ? best.steps.reduce((nearest, step) =>
+        Math.abs(step - bodySize.value) < Math.abs(nearest - bodySize.value)
+          ? step
+          : nearest
+      )
+    : best.base;
+
+  return {
+    base: Math.round(base),
+    ratio: best.ratio,
+    ratioName: best.ratioName,
+    steps: [...new Set(best.steps.map((step) => Math.round(step)))],
+    fit: roundShare(best.fit),
+    offScale: sizes
+      .filter((size) => !isOnStep(size.value, best.steps))
+      .slice(0, 5)
+      .map((size) => size.value),
+  };
+}
+
+function isOnGrid(value, grid) {
+  return Math.abs(value - Math.round(value / grid) * grid) <= 0.5;
+}
+
+/**
+ * Infer the spacing grid (4pt or 8pt) behind a set of spacing values
+ * @param {Array<{value: number, count: number}>} spacing - Ranked spacing values in px
+ * @returns {Object|null} { base, steps, fit, offGrid } where steps are the grid
+ *   multiples in use (most used first, up to 12, sorted) and fit is the share of
+ *   spacing uses on the grid; null with too few values to tell
+ */
+function inferSpacingGrid(spacing) {
+  const values = toWeightedValues(spacing);
+  if (new Set(values.map((entry) => entry.value)).size < MIN_DISTINCT_VALUES) {
+    return null;
+  }
+  const total = values.reduce((sum, entry) => sum + entry.count, 0);
+  const fitFor = (grid) =>
+    values
+      .filter((entry) => isOnGrid(entry.value, grid))
+      .reduce((sum, entry) => sum + entry.count, 0) / total;
+
+  const [coarse, fine] = SPACING_GRIDS;
+  const base =
+    fitFor(coarse) >= fitFor(fine) - GRID_PREFERENCE_MARGIN ? coarse : fine;
+
+  const stepCounts = new Map();
+  values
+    .filter((entry) => isOnGrid(entry.value, base))
+    .forEach((entry) => {
+      const step = Math.round(entry.value / base) * base;
+      stepCounts.set(step, (stepCounts.get(step) || 0) + entry.count);
+    });
+  const steps = [...stepCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_GRID_STEPS)
+    .map(([step]) => step)
+    .sort((a, b) => a - b);
+
+  return {
+    base,
+    steps,
+    fit: roundShare(fitFor(base)),
+    offGrid: values
+      .filter((entry) => !isOnGrid(entry.value, base))
+      .slice(0, 5)
+      .map((entry) => entry.value),
+  };
+}
+
+/**
+ * How well one paywall's font sizes and spacing fit the library's inferred scales
+ * @param {Object} patterns - Patterns extracted from the paywall
+ * @param {{typeScale: Object|null, spacingGrid: Object|null}} scales - From the library
+ * @returns {{typeScale: number|null, spacingGrid: number|null}} Share of uses on
+ *   the scale, null when there's no scale or nothing to measure
+ */
+function measureScaleFit(patterns, scales) {
+  const share = (entries, isOnScale) => {
+    const values = toWeightedValues(entries);
+    const total = values.reduce((sum, entry) => sum + entry.count, 0);
+    if (total === 0) return null;
+    return roundShare(
+      values
+        .filter((entry) => isOnScale(entry.value))
+        .reduce((sum, entry) => sum + entry.count, 0) / total
+    );
+  };
+
+  const { typeScale, spacingGrid } = scales;
+  return {
+    typeScale: typeScale
+      ? share(patterns.fontSizes, (size) => isOnStep(size, typeScale.steps))
+      : null,
+    spacingGrid: spacingGrid
+      ? share(patterns.spacing, (value) => isOnGrid(value, spacingGrid.base))
+      : null,
+  };
+}
+
+module.exports = {
+  TYPE_SCALE_RATIOS,
+  inferTypeScale,
+  inferSpacingGrid,
+  measureScaleFit,
+};
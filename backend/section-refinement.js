@@ -0,0 +1,344 @@
+const cheerio = require("cheerio");
+const postcss = require("postcss");
+const safeParser = require("postcss-safe-parser");
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// A refined section replaces one element, so it can't bring page-level
+// markup or restyle the page around it
+const PAGE_LEVEL_TAG = /<\/?(html|head|body|script|style|link|meta)\b/i;
+const PAGE_LEVEL_SELECTOR =
+  /^(html|body|:root|\.paywall-container|\*(::?(before|after))?)$/i;
+
+// Words a refined section may drop before it counts as losing text
+const MAX_LOST_WORDS = 2;
+const MAX_LOST_WORD_RATIO = 0.1;
+
+// Full documents are edited as documents; fragment parsing would drop their
+// html and body tags
+function loadHtml(html) {
+  return /<(html|body)\b/i.test(html)
+    ? cheerio.load(html)
+    : cheerio.load(html, null, false);
+}
+
+function compactName(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Find a design section's element in generated HTML: by data-node-id, else by
+ * a class or id named after the layer ("Pricing Plans" → .pricing-plans)
+ * @param {Object} $ - Cheerio document
+ * @param {{id: string, name: string}} section - From identifySections
+ * @returns {Object|null} Cheerio selection of one element
+ */
+function findSectionElement($, section) {
+  const byId = $("[data-node-id]")
+    .filter((i, el) => $(el).attr("data-node-id") === section.id)
+    .first();
+  if (byId.length > 0) return byId;
+
+  const name = compactName(section.name);
+  if (!name) return null;
+  const byName = $("[class], [id]")
+    .filter((i, el) =>
+      [...($(el).attr("class") || "").split(/\s+/), $(el).attr("id")].some(
+        // The compiler numbers repeated names (title, title-2)
+        (token) => token && compactName(token).replace(/\d+$/, "") === name
+      )
+    )
+    .first();
+  return byName.length > 0 ? byName : null;
+}
+
+// The CSS rules that style any class or id inside an element, with the
+// at-rules (media queries) around them
+function sectionRules(css, $, element) {
+  const names = new Set();
+  [element.get(0), ...element.find("*").toArray()].forEach((el) => {
+    ($(el).attr("class") || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((name) => names.add(`.${name}`));
+    if ($(el).attr("id")) names.add(`#${$(el).attr("id")}`);
+  });
+  if (names.size === 0) return "";
+
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`(${[...names].map(escape).join("|")})(?![\\w-])`);
+  const rules = [];
+  let root;
+  try {
+    root = safeParser(css || "");
+  } catch (error) {
+    return "";
+  }
+  root.walkRules((rule) => {
+    if (!pattern.test(rule.selector)) return;
+    if (rule.parent.type === "atrule") {
+      if (/keyframes$/i.test(rule.parent.name)) return;
+      rules.push(
+        `@${rule.parent.name} ${rule.parent.params} {\n${rule.toString()}\n}`
+      );
+    } else {
+      rules.push(rule.toString());
+    }
+  });
+  return rules.join("\n\n");
+}
+
+/**
+ * A section's current code: its element's HTML and the rules styling it
+ * @param {Object} code - { html, css }
+ * @param {Object} $ - Cheerio document of code.html
+ * @param {Object} element - From findSectionElement
+ * @returns {{html: string, css: string}}
+ */
+function sectionCode(code, $, element) {
+  return {
+    html: $.html(element),
+    css: sectionRules(code.css, $, element),
+  };
+}
+
+/**
+ * Swap data URLs for short placeholders (the prompt doesn't need the image
+ * bytes), reusing {{IMAGE_X}} placeholders where the image has one
+ * @param {string} text
+ * @param {Object} imagePlaceholderMap - { "{{IMAGE_1}}": dataUrl }
+ * @returns {{text: string, placeholders: Object}} placeholders maps back to data URLs
+ */
+function withPlaceholders(text, imagePlaceholderMap = {}) {
+  const byUrl = new Map(
+    Object.entries(imagePlaceholderMap).map(([placeholder, url]) => [
+      url,
+      placeholder,
+    ])
+  );
+  const placeholders = {};
+  const replaced = String(text || "").replace(
+    /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g,
+    (url) => {
+      if (!byUrl.has(url)) {
+        byUrl.set(url, `{{DATA_${byUrl.size + 1}}}`);
+      }
+      placeholders[byUrl.get(url)] = url;
+      return byUrl.get(url);
+    }
+  );
+  return { text: replaced, placeholders };
+}
+
+/**
+ * Put the data URLs back in place of their placeholders
+ * @param {string} text
+ * @param {Object} placeholders - From withPlaceholders
+ * @returns {string}
+ */
+function restorePlaceholders(text, placeholders) {
+  return Object.entries(placeholders).reduce(
+    (result, [placeholder, url]) => result.split(placeholder).join(url),
+    String(text || "")
+  );
+}
+
+// The first tag left open or closed out of order, if any
+function findUnbalancedTag(html) {
+  const stack = [];
+  const tags = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .matchAll(/<(\/?)([a-zA-Z][\w-]*)(?:"[^"]*"|'[^']*'|[^'">])*?(\/?)>/g);
+  for (const [, closing, rawName, selfClosing] of tags) {
+    const name = rawName.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+    if (!closing) {
+      stack.push(name);
+    } else if (stack.pop() !== name) {
+      return name;
+    }
+  }
+  return stack.pop() || null;
+}
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}$€£%.,]+/u)
+    .map((word) => word.replace(/[.,]+$/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Check that a refined section can replace the current one without breaking
+ * the page: one balanced root element, valid CSS without page-level rules
+ * (applyRefinedSections scopes the rest to the section), and every image and
+ * (nearly) every word of the current section kept
+ * @param {{html: string, css: string}} before - From sectionCode
+ * @param {Object} refined - The model's { html, css }
+ * @returns {string|null} Why it was rejected, or null when it's usable
+ */
+function validateRefinedSection(before, refined) {
+  if (typeof refined?.html !== "string" || !refined.html.trim()) {
+    return "No HTML in the refined section";
+  }
+  if (typeof refined.css !== "string") {
+    return "No CSS in the refined section";
+  }
+  if (PAGE_LEVEL_TAG.test(refined.html)) {
+    return "Contains page-level markup (html, body, script, style or link tags)";
+  }
+  const unbalanced = findUnbalancedTag(refined.html);
+  if (unbalanced) return `Unbalanced <${unbalanced}> tag`;
+
+  const $ = cheerio.load(refined.html, null, false);
+  const roots = $.root().children();
+  if (roots.length !== 1) {
+    return `Has ${roots.length} root elements instead of one`;
+  }
+
+  let root;
+  try {
+    root = postcss.parse(refined.css);
+  } catch (error) {
+    return `Invalid CSS: ${error.reason || error.message}`;
+  }
+  let pageSelector = null;
+  root.walkRules((rule) => {
+    if (rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+    pageSelector =
+      pageSelector ||
+      rule.selectors.find((selector) =>
+        PAGE_LEVEL_SELECTOR.test(selector.trim())
+      );
+  });
+  if (pageSelector) return `Restyles the whole page (${pageSelector})`;
+
+  const $before = cheerio.load(before.html, null, false);
+  const lostImages = $before("img").length - $("img").length;
+  if (lostImages > 0) return `Drops ${lostImages} image(s)`;
+
+  const refinedWords = new Set(words($.root().text()));
+  const lost = words($before.root().text()).filter(
+    (word) => !refinedWords.has(word)
+  );
+  const allowed = Math.max(
+    MAX_LOST_WORDS,
+    Math.floor(words($before.root().text()).length * MAX_LOST_WORD_RATIO)
+  );
+  if (lost.length > allowed) {
+    return `Loses text: "${lost.slice(0, 5).join(" ")}"`;
+  }
+  return null;
+}
+
+/**
+ * Give a refined section's root the current root's classes and data
+ * attributes (the page's CSS and scripts find it by them) and the section's
+ * data-node-id
+ * @param {string} beforeHtml - The current section element
+ * @param {string} refinedHtml - A validated refined section
+ * @param {string} nodeId - The section's Figma node ID
+ * @returns {string}
+ */
+function keepSectionHooks(beforeHtml, refinedHtml, nodeId) {
+  const $before = cheerio.load(beforeHtml, null, false);
+  const $ = cheerio.load(refinedHtml, null, false);
+  const previous = $before.root().children().first();
+  const root = $.root().children().first();
+  (previous.attr("class") || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((name) => root.addClass(name));
+  Object.entries(previous.attr() || {}).forEach(([name, value]) => {
+    if (name.startsWith("data-") && root.attr(name) === undefined) {
+      root.attr(name, value);
+    }
+  });
+  root.attr("data-node-id", nodeId);
+  return $.html();
+}
+
+// Limit a refined section's CSS to its root element (by data-node-id, which
+// keepSectionHooks sets) and what's inside it: a refined `.title` rule must
+// not restyle every other .title on the page
+function scopeSectionCss(css, nodeId) {
+  const scope = `[data-node-id="${nodeId.replace(/["\\]/g, "\\$&")}"]`;
+  const root = postcss.parse(css);
+  root.walkRules((rule) => {
+    if (rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+    rule.selectors = rule.selectors.flatMap((selector) => {
+      const trimmed = selector.trim();
+      // The root itself: the scope joins its first compound, after any type
+      const [, type = "", rest] = trimmed.match(
+        /^([a-zA-Z][\w-]*|\*)?([\s\S]*)$/
+      );
+      return [`${type}${scope}${rest}`, `${scope} ${trimmed}`];
+    });
+  });
+  return root.toString();
+}
+
+/**
+ * Replace sections of generated code with their refined versions: each
+ * element is swapped out and its CSS, scoped to the section, appended after
+ * the page's, so it wins over the rules it replaces
+ * @param {Object} code - { html, css, js }
+ * @param {Array<{section: Object, html: string, css: string}>} refinedSections
+ * @returns {{code: Object, applied: Array<string>}} applied lists the node IDs
+ *   whose element was found and replaced
+ */
+function applyRefinedSections(code, refinedSections) {
+  const $ = loadHtml(code.html);
+  const applied = [];
+  const css = [code.css];
+  refinedSections.forEach(({ section, html, css: sectionCss }) => {
+    const element = findSectionElement($, section);
+    if (!element) return;
+    element.replaceWith(html);
+    applied.push(section.id);
+    if (sectionCss.trim()) {
+      css.push(
+        `/* Refined: ${section.name.replace(/\*\//g, "")} */\n${scopeSectionCss(
+          sectionCss,
+          section.id
+        )}`
+      );
+    }
+  });
+  return {
+    code: { ...code, html: $.html(), css: css.filter(Boolean).join("\n\n") },
+    applied,
+  };
+}
+
+module.exports = {
+  loadHtml,
+  findSectionElement,
+  sectionCode,
+  withPlaceholders,
+  restorePlaceholders,
+  validateRefinedSection,
+  keepSectionHooks,
+  applyRefinedSections,
+};
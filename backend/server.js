@@ -6,13 +6,99 @@ const Anthropic = require("@anthropic-ai/sdk");
 const axios = require("axios");
 const multer = require("multer");
 const cheerio = require("cheerio");
+const safeParser = require("postcss-safe-parser");
+const valueParser = require("postcss-value-parser");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const sharp = require("sharp");
+const {
+  DEFAULT_PROFILE,
+  isValidProfileName,
+  profileExists,
+  listProfiles,
+  deleteProfile,
+  createEmptyPatterns,
+  loadPatternLibrary,
+  savePatternLibrary,
+  listPatternSnapshots,
+  readPatternSnapshot,
+} = require("./pattern-store");
+const {
+  normalizeColor,
+  isSameColor,
+  buildColorPalette,
+} = require("./color-palette");
+const {
+  EXPORT_FORMATS,
+  exportPatternLibrary,
+  importDesignTokens,
+} = require("./design-tokens");
+const {
+  COMPONENT_TYPES,
+  extractComponentCatalog,
+} = require("./component-catalog");
+const { scoreStyleConsistency } = require("./style-score");
+const { collectBundles, resolveBundlePaywalls } = require("./paywall-bundle");
+const {
+  inferTypeScale,
+  inferSpacingGrid,
+  measureScaleFit,
+} = require("./scale-inference");
+const { compileFigmaNode } = require("./figma-compiler");
+const {
+  createBatchJob,
+  getBatchJob,
+  finishBatchJob,
+  describeBatchJob,
+  mapWithConcurrency,
+  buildBatchArchive,
+} = require("./batch-jobs");
+const { extractDesignTokens, formatDesignTokens } = require("./figma-tokens");
+const {
+  readFigmaThemeStandIn,
+  buildFigmaTheme,
+  applyFigmaTheme,
+} = require("./figma-variables");
+const {
+  findInteractiveVariants,
+  buildVariantStates,
+  formatVariantPrompt,
+} = require("./figma-variants");
+const {
+  findPrototypeFlow,
+  withHotspotAttributes,
+  formatPrototypePrompt,
+  buildFlowCode,
+  describePrototypeFlow,
+} = require("./figma-prototype");
+const {
+  loadHtml,
+  findSectionElement,
+  sectionCode,
+  withPlaceholders,
+  restorePlaceholders,
+  validateRefinedSection,
+  keepSectionHooks,
+  applyRefinedSections,
+} = require("./section-refinement");
+const { measureFidelity } = require("./fidelity");
+const {
+  collectFigmaTexts,
+  checkTextCoverage,
+  formatCriticalTextGaps,
+} = require("./text-coverage");
+const {
+  FIGMA_CACHE_MODE,
+  recordFileVersion,
+  getRecordedFileVersion,
+  cachedFigmaRequest,
+} = require("./figma-cache");
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Generation requests can carry reference example paywalls
+app.use(express.json({ limit: "10mb" }));
 
 // Configure multer for file uploads (in-memory storage)
 const upload = multer({
@@ -31,39 +117,87 @@ const upload = multer({
   },
 });
 
-// In-memory storage for analyzed paywall patterns
-let paywallPatterns = {
-  colors: [],
-  fonts: [],
-  fontSizes: [],
-  fontWeights: [],
-  lineHeights: [],
-  letterSpacing: [],
-  spacing: [],
-  borderRadius: [],
-  shadows: [],
-  borders: [],
-  transitions: [],
-  transforms: [],
-  opacities: [],
-  gradients: [],
-  zIndex: [],
-  gaps: [],
-  widths: [],
-  heights: [],
-  displayTypes: [],
-  flexProperties: [],
-  gridProperties: [],
-  positions: [],
-  textTransforms: [],
-  textDecorations: [],
-  breakpoints: [],
-  animations: [],
-  layouts: [],
-  commonStyles: {},
-  componentStyles: {},
-  count: 0,
-};
+// Batch uploads: HTML files, or paywall bundles - zip archives, or HTML sent
+// together with the stylesheets and fonts it links to. Other files in a bundle
+// (images, scripts) are skipped and listed in req.skippedFiles
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit (zip archives)
+  fileFilter: (req, file, cb) => {
+    if (/\.(?:html?|zip|css|woff2?|ttf|otf)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      req.skippedFiles = [...(req.skippedFiles || []), file.originalname];
+      cb(null, false);
+    }
+  },
+});
+
+// Design token files (DTCG / Style Dictionary JSON)
+const tokenUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === "application/json" ||
+      file.originalname.endsWith(".json")
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only JSON token files are allowed"), false);
+    }
+  },
+});
+
+// Pattern library dumps (GET /api/paywall-patterns/dump), sources included
+const libraryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === "application/json" ||
+      file.originalname.endsWith(".json")
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only JSON library dumps are allowed"), false);
+    }
+  },
+});
+
+// Analyzed paywall patterns per style profile, persisted to disk so they survive restarts
+const patternProfiles = {};
+
+// Get a profile's in-memory library, loading it from disk on first use
+function getPatternProfile(profile = DEFAULT_PROFILE) {
+  if (!patternProfiles[profile]) {
+    patternProfiles[profile] = loadPatternLibrary(profile);
+    upgradePatternLibrary(patternProfiles[profile].patterns);
+    console.log(
+      `Loaded pattern profile "${profile}" v${patternProfiles[profile].version} (${patternProfiles[profile].patterns.count} paywall(s) analyzed)`
+    );
+  }
+  return patternProfiles[profile];
+}
+
+// Persist a profile's current patterns as a new library version
+function persistPaywallPatterns(profile, reason) {
+  const library = getPatternProfile(profile);
+  try {
+    library.version = savePatternLibrary(profile, library.patterns, reason);
+  } catch (error) {
+    // Keep serving from memory even if the disk write fails
+    console.error(
+      `Failed to save pattern profile "${profile}":`,
+      error.message
+    );
+  }
+}
+
+// Read the style profile a request targets (JSON body, multipart field or query string)
+function getRequestedProfile(req) {
+  return req.body?.profile || req.query.profile || DEFAULT_PROFILE;
+}
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
@@ -81,22 +215,144 @@ function extractNodeId(url) {
   return match ? decodeURIComponent(match[1]) : null;
 }
 
-// Fetch Figma file data
-async function fetchFigmaFile(fileKey) {
+// Look up a Figma file's current version, which cached responses are keyed by.
+// Replay mode uses the last recorded version and never calls Figma
+async function lookupFigmaFileVersion(fileKey) {
+  if (FIGMA_CACHE_MODE === "off") return null;
+  if (FIGMA_CACHE_MODE === "replay") {
+    const version = getRecordedFileVersion(fileKey);
+    if (!version) {
+      throw new Error(
+        `No cached Figma responses for file ${fileKey} - run it once with FIGMA_CACHE=on to record them`
+      );
+    }
+    recordFileVersion(fileKey, { version });
+    return version;
+  }
+
   try {
+    // depth=1 returns the file metadata without the (large) node tree
     const response = await axios.get(
       `https://api.figma.com/v1/files/${fileKey}`,
       {
+        params: { depth: 1 },
         headers: {
           "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
         },
       }
     );
-    return response.data;
+    recordFileVersion(fileKey, response.data);
+    return response.data.version || response.data.lastModified || null;
+  } catch (error) {
+    // Without a version nothing is cached; the real fetch reports the error
+    console.warn("Could not look up Figma file version:", error.message);
+    recordFileVersion(fileKey, {});
+    return null;
+  }
+}
+
+// Fetch Figma file data
+async function fetchFigmaFile(fileKey) {
+  try {
+    return await cachedFigmaRequest(fileKey, "file", async () => {
+      const response = await axios.get(
+        `https://api.figma.com/v1/files/${fileKey}`,
+        {
+          headers: {
+            "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
+          },
+        }
+      );
+      return response.data;
+    });
   } catch (error) {
     console.error("Figma API error:", error.response?.data || error.message);
-    throw new Error("Failed to fetch Figma file");
+    throw new Error(`Failed to fetch Figma file: ${error.message}`);
+  }
+}
+
+// Local variables of a Figma file, with their modes. The endpoint needs a plan
+// (and token scope) with variables access, so a refusal just means no variables
+async function fetchFigmaVariables(fileKey) {
+  try {
+    return await cachedFigmaRequest(fileKey, "variables", async () => {
+      const response = await axios.get(
+        `https://api.figma.com/v1/files/${fileKey}/variables/local`,
+        {
+          headers: {
+            "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
+          },
+        }
+      );
+      return response.data;
+    });
+  } catch (error) {
+    console.warn(
+      `⚠️  Could not read Figma variables: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+    return null;
+  }
+}
+
+// Published styles of a Figma file, with the nodes that define their values
+async function fetchFigmaStyles(fileKey) {
+  try {
+    const styles = await cachedFigmaRequest(fileKey, "styles", async () => {
+      const response = await axios.get(
+        `https://api.figma.com/v1/files/${fileKey}/styles`,
+        {
+          headers: {
+            "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
+          },
+        }
+      );
+      return response.data;
+    });
+    const nodeIds = (styles.meta?.styles || []).map((style) => style.node_id);
+    if (nodeIds.length === 0) return { styles, styleNodes: null };
+
+    const styleNodes = await cachedFigmaRequest(
+      fileKey,
+      `style nodes ${nodeIds.join(",")}`,
+      async () => {
+        const response = await axios.get(
+          `https://api.figma.com/v1/files/${fileKey}/nodes?ids=${encodeURIComponent(
+            nodeIds.join(",")
+          )}`,
+          {
+            headers: {
+              "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
+            },
+          }
+        );
+        return response.data;
+      }
+    );
+    return { styles, styleNodes };
+  } catch (error) {
+    console.warn(`⚠️  Could not read Figma styles: ${error.message}`);
+    return {};
+  }
+}
+
+// A file's variables and styles as CSS custom properties, read from the saved
+// responses in FIGMA_VARIABLES_DIR when it has them
+async function loadFigmaTheme(fileKey, figmaData) {
+  const sources = readFigmaThemeStandIn(fileKey) || {
+    variables: await fetchFigmaVariables(fileKey),
+    ...(await fetchFigmaStyles(fileKey)),
+  };
+  const theme = buildFigmaTheme({ ...sources, file: figmaData });
+  if (theme.properties.length > 0) {
+    console.log(
+      `Figma theme: ${theme.properties.length} custom properties${
+        theme.modes.length > 0 ? `, modes: ${theme.modes.join(", ")}` : ""
+      }`
+    );
   }
+  return theme;
 }
 
 // Helper function to extract dimensions from a Figma node
@@ -150,25 +406,32 @@ function extractNodeDimensions(node) {
 // Resolve node ID from path-based ID using Figma's nodes endpoint
 async function resolveNodeId(fileKey, pathBasedId) {
   try {
-    const response = await axios.get(
-      `https://api.figma.com/v1/files/${fileKey}/nodes`,
-      {
-        params: {
-          ids: pathBasedId,
-        },
-        headers: {
-          "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
-        },
+    const nodesData = await cachedFigmaRequest(
+      fileKey,
+      `nodes ${pathBasedId}`,
+      async () => {
+        const response = await axios.get(
+          `https://api.figma.com/v1/files/${fileKey}/nodes`,
+          {
+            params: {
+              ids: pathBasedId,
+            },
+            headers: {
+              "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
+            },
+          }
+        );
+        return response.data;
       }
     );
 
     console.log(
       "Node resolution response:",
-      JSON.stringify(response.data, null, 2)
+      JSON.stringify(nodesData, null, 2)
     );
 
-    if (response.data.nodes && response.data.nodes[pathBasedId]) {
-      const node = response.data.nodes[pathBasedId];
+    if (nodesData.nodes && nodesData.nodes[pathBasedId]) {
+      const node = nodesData.nodes[pathBasedId];
       // The document.id is the actual node ID we need
       if (node.document && node.document.id) {
         return node.document.id;
@@ -191,8 +454,14 @@ async function resolveNodeId(fileKey, pathBasedId) {
   }
 }
 
-// Get image export from Figma
+// Get image export from Figma (as base64 PNG, cached per file version)
 async function getFigmaImage(fileKey, nodeId) {
+  return cachedFigmaRequest(fileKey, `image ${nodeId}`, () =>
+    downloadFigmaImage(fileKey, nodeId)
+  );
+}
+
+async function downloadFigmaImage(fileKey, nodeId) {
   try {
     const response = await axios.get(
       `https://api.figma.com/v1/images/${fileKey}`,
@@ -312,40 +581,123 @@ function findTopLevelNode(figmaData) {
   return null;
 }
 
+// How each pattern list is ranked: per-paywall limit, numeric parsing,
+// valid range and the tolerance used to treat close numbers as the same value
+const PATTERN_LIST_SPECS = {
+  colors: { limit: 30, perceptual: true },
+  fonts: { limit: 15 },
+  fontSizes: { limit: 20, numeric: true, min: 0, tolerance: 1 },
+  fontWeights: { limit: 10, numeric: true, tolerance: 50 },
+  lineHeights: { limit: 15, numeric: true, min: 0, tolerance: 0.5 },
+  letterSpacing: { limit: 10, numeric: true, tolerance: 0.1 },
+  spacing: { limit: 25, numeric: true, tolerance: 2 },
+  borderRadius: { limit: 15, numeric: true, tolerance: 2 },
+  shadows: { limit: 15 },
+  borders: { limit: 15 },
+  transitions: { limit: 15 },
+  transforms: { limit: 10 },
+  opacities: { limit: 10, numeric: true, max: 1, tolerance: 0.05 },
+  gradients: { limit: 10 },
+  zIndex: { limit: 10, numeric: true, tolerance: 10 },
+  gaps: { limit: 15, numeric: true, tolerance: 2 },
+  widths: { limit: 15, numeric: true, tolerance: 10 },
+  heights: { limit: 15, numeric: true, tolerance: 10 },
+  displayTypes: { limit: 10 },
+  flexProperties: { limit: 15 },
+  gridProperties: { limit: 10 },
+  positions: { limit: 5 },
+  textTransforms: { limit: 5 },
+  textDecorations: { limit: 5 },
+  breakpoints: { limit: 10, numeric: true, tolerance: 20 },
+  animations: { limit: 10 },
+};
+
+// Variants kept per component type in a library's catalog
+const MAX_COMPONENT_VARIANTS = 5;
+
+// An inferred scale must explain this share of the library's values before
+// prompts use it instead of the raw lists
+const MIN_PROMPT_SCALE_FIT = 0.7;
+
+// Reference examples accepted with one generation request, and how much of
+// each one's HTML is quoted in the prompt
+const MAX_REFERENCE_EXAMPLES = 5;
+const MAX_EXAMPLE_PROMPT_LENGTH = 15000;
+
+// Set-like counter: add() tallies how many times each value was seen
+function createPatternCounter() {
+  const counts = new Map();
+  counts.add = (value) => counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}
+
+// Turn a counter into [{ value, count }] sorted by frequency (most common first)
+function rankPatternValues(counter, spec) {
+  const totals = new Map();
+  counter.forEach((count, rawValue) => {
+    let value = rawValue;
+    if (spec.numeric) {
+      value = Number(rawValue);
+      if (isNaN(value)) return;
+      // Strict lower bound (sizes must be positive), inclusive upper bound
+      if (spec.min !== undefined && value <= spec.min) return;
+      if (spec.max !== undefined && (value < 0 || value > spec.max)) return;
+    }
+    totals.set(value, (totals.get(value) || 0) + count);
+  });
+
+  return Array.from(totals, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || (spec.numeric ? a.value - b.value : 0))
+    .slice(0, spec.limit);
+}
+
 // Extract design patterns from HTML/CSS paywall files
 function extractPaywallPatterns(htmlContent) {
   const $ = cheerio.load(htmlContent);
   const patterns = {
-    colors: new Set(),
-    fonts: new Set(),
-    fontSizes: new Set(),
-    fontWeights: new Set(),
-    lineHeights: new Set(),
-    letterSpacing: new Set(),
-    spacing: new Set(),
-    borderRadius: new Set(),
-    shadows: new Set(),
-    borders: new Set(),
-    transitions: new Set(),
-    transforms: new Set(),
-    opacities: new Set(),
-    gradients: new Set(),
-    zIndex: new Set(),
-    gaps: new Set(),
-    widths: new Set(),
-    heights: new Set(),
-    displayTypes: new Set(),
-    flexProperties: new Set(),
-    gridProperties: new Set(),
-    positions: new Set(),
-    textTransforms: new Set(),
-    textDecorations: new Set(),
-    breakpoints: new Set(),
-    animations: new Set(),
+    colors: createPatternCounter(),
+    fonts: createPatternCounter(),
+    fontSizes: createPatternCounter(),
+    fontWeights: createPatternCounter(),
+    lineHeights: createPatternCounter(),
+    letterSpacing: createPatternCounter(),
+    spacing: createPatternCounter(),
+    borderRadius: createPatternCounter(),
+    shadows: createPatternCounter(),
+    borders: createPatternCounter(),
+    transitions: createPatternCounter(),
+    transforms: createPatternCounter(),
+    opacities: createPatternCounter(),
+    gradients: createPatternCounter(),
+    zIndex: createPatternCounter(),
+    gaps: createPatternCounter(),
+    widths: createPatternCounter(),
+    heights: createPatternCounter(),
+    displayTypes: createPatternCounter(),
+    flexProperties: createPatternCounter(),
+    gridProperties: createPatternCounter(),
+    positions: createPatternCounter(),
+    textTransforms: createPatternCounter(),
+    textDecorations: createPatternCounter(),
+    breakpoints: createPatternCounter(),
+    animations: createPatternCounter(),
+    // Colors by what they paint, used to assign palette roles
+    colorUsage: {
+      background: createPatternCounter(),
+      text: createPatternCounter(),
+      border: createPatternCounter(),
+    },
     commonStyles: {},
     componentStyles: {},
   };
 
+  // Custom properties apply across style blocks and inline styles, so they
+  // are collected from all of them before any value is resolved
+  const cssVariables = collectCssVariables($);
+  if (Object.keys(cssVariables).length > 0) {
+    patterns.commonStyles.cssVariables = cssVariables;
+  }
+
   // Extract CSS from <style> tags
   $("style").each((i, elem) => {
     const cssText = $(elem).html() || "";
@@ -361,6 +713,11 @@ function extractPaywallPatterns(htmlContent) {
   // Extract component-specific styles
   extractComponentStyles($, patterns);
 
+  // Recognize paywall components and keep their markup skeleton and styles
+  patterns.components = extractComponentCatalog($, (value) =>
+    resolveCssVariables(value, cssVariables)
+  );
+
   // Extract common layout patterns
   const buttonCount = $("button, .button, [class*='btn']").length;
   const cardCount = $(".card, [class*='card']").length;
@@ -376,307 +733,421 @@ function extractPaywallPatterns(htmlContent) {
     modals: modalCount,
   };
 
-  // Convert Sets to Arrays and get most common values
+  // Rank every list by how often each value occurs in this paywall
+  const ranked = {};
+  Object.entries(PATTERN_LIST_SPECS).forEach(([key, spec]) => {
+    ranked[key] = rankPatternValues(patterns[key], spec);
+  });
+
+  const colorUsage = {};
+  Object.entries(patterns.colorUsage).forEach(([usage, counter]) => {
+    colorUsage[usage] = rankPatternValues(counter, PATTERN_LIST_SPECS.colors);
+  });
+
   return {
-    colors: Array.from(patterns.colors).slice(0, 30),
-    fonts: Array.from(patterns.fonts).slice(0, 15),
-    fontSizes: Array.from(patterns.fontSizes)
-      .map(Number)
-      .filter((n) => !isNaN(n) && n > 0)
-      .sort((a, b) => a - b)
-      .slice(0, 20),
-    fontWeights: Array.from(patterns.fontWeights)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 10),
-    lineHeights: Array.from(patterns.lineHeights)
-      .map(Number)
-      .filter((n) => !isNaN(n) && n > 0)
-      .sort((a, b) => a - b)
-      .slice(0, 15),
-    letterSpacing: Array.from(patterns.letterSpacing)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 10),
-    spacing: Array.from(patterns.spacing)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 25),
-    borderRadius: Array.from(patterns.borderRadius)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 15),
-    shadows: Array.from(patterns.shadows).slice(0, 15),
-    borders: Array.from(patterns.borders).slice(0, 15),
-    transitions: Array.from(patterns.transitions).slice(0, 15),
-    transforms: Array.from(patterns.transforms).slice(0, 10),
-    opacities: Array.from(patterns.opacities)
-      .map(Number)
-      .filter((n) => !isNaN(n) && n >= 0 && n <= 1)
-      .sort((a, b) => a - b)
-      .slice(0, 10),
-    gradients: Array.from(patterns.gradients).slice(0, 10),
-    zIndex: Array.from(patterns.zIndex)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 10),
-    gaps: Array.from(patterns.gaps)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 15),
-    widths: Array.from(patterns.widths)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 15),
-    heights: Array.from(patterns.heights)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 15),
-    displayTypes: Array.from(patterns.displayTypes).slice(0, 10),
-    flexProperties: Array.from(patterns.flexProperties).slice(0, 15),
-    gridProperties: Array.from(patterns.gridProperties).slice(0, 10),
-    positions: Array.from(patterns.positions).slice(0, 5),
-    textTransforms: Array.from(patterns.textTransforms).slice(0, 5),
-    textDecorations: Array.from(patterns.textDecorations).slice(0, 5),
-    breakpoints: Array.from(patterns.breakpoints)
-      .map(Number)
-      .filter((n) => !isNaN(n))
-      .sort((a, b) => a - b)
-      .slice(0, 10),
-    animations: Array.from(patterns.animations).slice(0, 10),
+    ...ranked,
+    colorUsage,
     layouts: patterns.layouts,
     commonStyles: patterns.commonStyles,
     componentStyles: patterns.componentStyles,
+    components: patterns.components,
   };
 }
 
-// Helper function to extract patterns from CSS text
-function extractPatternsFromCSS(cssText, patterns) {
-  // Extract colors (hex, rgb, rgba, hsl, named colors)
-  const colorRegex =
-    /(#[0-9a-fA-F]{3,8}|rgb\([^)]+\)|rgba\([^)]+\)|hsl\([^)]+\)|hsla\([^)]+\)|transparent|currentColor)/g;
-  const colors = cssText.match(colorRegex);
-  if (colors) {
-    colors.forEach((color) => patterns.colors.add(color.trim()));
-  }
+// Color functions recorded as colors wherever they appear
+const CSS_COLOR_FUNCTIONS = ["rgb", "rgba", "hsl", "hsla"];
+const CSS_BORDER_STYLES =
+  /^(?:none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)$/i;
+const CSS_ANIMATION_KEYWORDS =
+  /^(?:none|infinite|linear|ease|ease-in|ease-out|ease-in-out|step-start|step-end|normal|reverse|alternate|alternate-reverse|forwards|backwards|both|running|paused)$/i;
+
+// Convert a CSS length to px (rem/em against a 16px root), null for other units
+function cssLengthToPx(text) {
+  const parsed = valueParser.unit(text);
+  if (!parsed) return null;
+  const number = Number(parsed.number);
+  if (isNaN(number)) return null;
+  const unit = parsed.unit.toLowerCase();
+  if (unit === "px" || unit === "") return number;
+  if (unit === "rem" || unit === "em") return number * 16;
+  return null;
+}
 
-  // Extract font families
-  const fontRegex = /font-family:\s*([^;]+)/gi;
-  const fontMatches = cssText.matchAll(fontRegex);
-  for (const match of fontMatches) {
-    const fonts = match[1].split(",").map((f) => f.trim().replace(/['"]/g, ""));
-    fonts.forEach((font) => patterns.fonts.add(font));
-  }
+// Replace var(--x, fallback) references with their custom property values
+function resolveCssVariables(value, variables, depth = 0) {
+  // Depth limit guards against --a: var(--b); --b: var(--a)
+  if (depth > 10 || !value.includes("var(")) return value;
+
+  const parsed = valueParser(value);
+  parsed.walk((node) => {
+    if (node.type !== "function" || node.value.toLowerCase() !== "var") return;
+    const name = node.nodes[0]?.value;
+    const divIndex = node.nodes.findIndex((n) => n.type === "div");
+    const fallback =
+      divIndex !== -1
+        ? valueParser.stringify(node.nodes.slice(divIndex + 1)).trim()
+        : undefined;
+    const resolved = variables[name] ?? fallback;
+    if (resolved === undefined) return;
+
+    node.type = "word";
+    node.value = resolveCssVariables(resolved, variables, depth + 1);
+  });
+  return valueParser.stringify(parsed.nodes);
+}
 
-  // Extract font sizes
-  const fontSizeRegex = /font-size:\s*(\d+(?:\.\d+)?)(?:px|rem|em)?/gi;
-  const fontSizeMatches = cssText.matchAll(fontSizeRegex);
-  for (const match of fontSizeMatches) {
-    patterns.fontSizes.add(match[1]);
-  }
+// Words and functions of a value, without the spaces and commas between them
+function cssValueTokens(parsedValue) {
+  return parsedValue.nodes.filter(
+    (node) => node.type === "word" || node.type === "function"
+  );
+}
 
-  // Extract font weights
-  const fontWeightRegex = /font-weight:\s*(\d+|normal|bold|bolder|lighter)/gi;
-  const fontWeightMatches = cssText.matchAll(fontWeightRegex);
-  for (const match of fontWeightMatches) {
-    const weight = match[1];
-    if (weight === "normal") patterns.fontWeights.add("400");
-    else if (weight === "bold") patterns.fontWeights.add("700");
-    else if (!isNaN(weight)) patterns.fontWeights.add(weight);
-  }
+// Split a font-family list into clean family names
+function parseFontFamilies(value) {
+  return value
+    .split(",")
+    .map((f) => f.trim().replace(/['"]/g, ""))
+    .filter(Boolean);
+}
 
-  // Extract line heights
-  const lineHeightRegex = /line-height:\s*(\d+(?:\.\d+)?)(?:px|rem|em|%)?/gi;
-  const lineHeightMatches = cssText.matchAll(lineHeightRegex);
-  for (const match of lineHeightMatches) {
-    patterns.lineHeights.add(match[1]);
+// Nearest @media block around a CSS node, if any
+function findEnclosingMedia(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current.type === "atrule" && current.name.toLowerCase() === "media") {
+      return current;
+    }
   }
+  return null;
+}
 
-  // Extract letter spacing
-  const letterSpacingRegex = /letter-spacing:\s*(-?\d+(?:\.\d+)?)(?:px|em)?/gi;
-  const letterSpacingMatches = cssText.matchAll(letterSpacingRegex);
-  for (const match of letterSpacingMatches) {
-    patterns.letterSpacing.add(match[1]);
-  }
+// Custom properties of every <style> block and style attribute, resolved
+// against each other. The first definition wins, which is usually the :root one
+function collectCssVariables($) {
+  const sources = [
+    ...$("style")
+      .toArray()
+      .map((elem) => $(elem).html() || ""),
+    ...$("[style]")
+      .toArray()
+      .map((elem) => $(elem).attr("style") || ""),
+  ];
 
-  // Extract spacing values (padding, margin)
-  const spacingRegex =
-    /(?:padding|margin)(?:-top|-right|-bottom|-left)?:\s*(\d+(?:\.\d+)?)(?:px|rem|em|%)?/gi;
-  const spacingMatches = cssText.matchAll(spacingRegex);
-  for (const match of spacingMatches) {
-    patterns.spacing.add(match[1]);
-  }
+  const cssVariables = {};
+  sources.forEach((cssText) => {
+    let root;
+    try {
+      root = safeParser(cssText);
+    } catch (error) {
+      return;
+    }
+    root.walkDecls(/^--/, (decl) => {
+      if (!(decl.prop in cssVariables)) {
+        cssVariables[decl.prop] = decl.value.trim();
+      }
+    });
+  });
 
-  // Extract border radius
-  const borderRadiusRegex =
-    /border-radius:\s*(\d+(?:\.\d+)?)(?:px|rem|em|%)?/gi;
-  const borderRadiusMatches = cssText.matchAll(borderRadiusRegex);
-  for (const match of borderRadiusMatches) {
-    patterns.borderRadius.add(match[1]);
-  }
+  const resolved = {};
+  Object.entries(cssVariables).forEach(([name, value]) => {
+    resolved[name] = resolveCssVariables(value, cssVariables);
+  });
+  return resolved;
+}
 
-  // Extract box shadows
-  const shadowRegex = /box-shadow:\s*([^;]+)/gi;
-  const shadowMatches = cssText.matchAll(shadowRegex);
-  for (const match of shadowMatches) {
-    patterns.shadows.add(match[1].trim());
+// Helper function to extract patterns from CSS text
+function extractPatternsFromCSS(cssText, patterns) {
+  // The safe parser recovers from broken CSS instead of throwing, and accepts
+  // bare declaration lists so inline style attributes parse the same way
+  let root;
+  try {
+    root = safeParser(cssText);
+  } catch (error) {
+    console.warn(`⚠️  Could not parse CSS: ${error.message}`);
+    return;
   }
 
-  // Extract borders (width, style, color)
-  const borderRegex =
-    /border(?:-top|-right|-bottom|-left)?(?:-width)?:\s*(\d+(?:\.\d+)?(?:px|rem|em)?)\s+(\w+)\s+([^;]+)/gi;
-  const borderMatches = cssText.matchAll(borderRegex);
-  for (const match of borderMatches) {
-    patterns.borders.add(`${match[1]}px ${match[2]} ${match[3].trim()}`);
-  }
+  const cssVariables = patterns.commonStyles.cssVariables || {};
 
-  // Extract transitions
-  const transitionRegex = /transition:\s*([^;]+)/gi;
-  const transitionMatches = cssText.matchAll(transitionRegex);
-  for (const match of transitionMatches) {
-    patterns.transitions.add(match[1].trim());
-  }
+  root.walkAtRules((atRule) => {
+    const name = atRule.name.toLowerCase();
 
-  // Extract transforms
-  const transformRegex = /transform:\s*([^;]+)/gi;
-  const transformMatches = cssText.matchAll(transformRegex);
-  for (const match of transformMatches) {
-    patterns.transforms.add(match[1].trim());
-  }
+    // Extract media query breakpoints
+    if (name === "media") {
+      const widthRegex =
+        /(?:min|max)-width\s*:\s*(\d+(?:\.\d+)?(?:px|em|rem)?)/gi;
+      for (const match of atRule.params.matchAll(widthRegex)) {
+        const px = cssLengthToPx(match[1]);
+        if (px !== null) patterns.breakpoints.add(px);
+      }
+    }
 
-  // Extract opacity
-  const opacityRegex = /opacity:\s*(\d+(?:\.\d+)?)/gi;
-  const opacityMatches = cssText.matchAll(opacityRegex);
-  for (const match of opacityMatches) {
-    patterns.opacities.add(match[1]);
-  }
+    // Extract keyframe animation names
+    if (name.endsWith("keyframes")) {
+      patterns.animations.add(atRule.params.trim());
+    }
+  });
 
-  // Extract gradients
-  const gradientRegex =
-    /(?:background|background-image):\s*(linear-gradient|radial-gradient|conic-gradient)\([^)]+\)/gi;
-  const gradientMatches = cssText.matchAll(gradientRegex);
-  for (const match of gradientMatches) {
-    patterns.gradients.add(match[0].trim());
-  }
+  root.walkDecls((decl) => {
+    if (decl.prop.startsWith("--")) return;
 
-  // Extract z-index
-  const zIndexRegex = /z-index:\s*(-?\d+)/gi;
-  const zIndexMatches = cssText.matchAll(zIndexRegex);
-  for (const match of zIndexMatches) {
-    patterns.zIndex.add(match[1]);
-  }
+    const prop = decl.prop.toLowerCase();
+    const value = resolveCssVariables(decl.value, cssVariables).trim();
 
-  // Extract gap (flexbox/grid)
-  const gapRegex = /gap:\s*(\d+(?:\.\d+)?)(?:px|rem|em)?/gi;
-  const gapMatches = cssText.matchAll(gapRegex);
-  for (const match of gapMatches) {
-    patterns.gaps.add(match[1]);
-  }
+    // @font-face declares the families the paywall ships with
+    if (
+      decl.parent.type === "atrule" &&
+      decl.parent.name.toLowerCase() === "font-face"
+    ) {
+      if (prop === "font-family") {
+        parseFontFamilies(value).forEach((font) => patterns.fonts.add(font));
+      }
+      return;
+    }
 
-  // Extract widths
-  const widthRegex = /width:\s*(\d+(?:\.\d+)?)(?:px|rem|em|%)?/gi;
-  const widthMatches = cssText.matchAll(widthRegex);
-  for (const match of widthMatches) {
-    if (!match[1].includes("%") && !match[1].includes("vw")) {
-      patterns.widths.add(match[1]);
+    extractDeclarationPatterns(prop, value, patterns);
+
+    // Record which values each media query overrides
+    const media = findEnclosingMedia(decl);
+    if (media) {
+      if (!patterns.commonStyles.mediaQueries) {
+        patterns.commonStyles.mediaQueries = {};
+      }
+      const mediaStyles = (patterns.commonStyles.mediaQueries[media.params] ||=
+        {});
+      const values = (mediaStyles[prop] ||= []);
+      if (!values.includes(value) && values.length < 5) values.push(value);
     }
-  }
+  });
+}
+
+// Extract patterns from a single declaration (custom properties already resolved)
+function extractDeclarationPatterns(prop, value, patterns) {
+  const parsedValue = valueParser(value);
+  const tokens = cssValueTokens(parsedValue);
+  const addLengths = (counter) =>
+    tokens.forEach((token) => {
+      const px = cssLengthToPx(token.value);
+      if (px !== null) counter.add(px);
+    });
 
-  // Extract heights
-  const heightRegex = /height:\s*(\d+(?:\.\d+)?)(?:px|rem|em|%)?/gi;
-  const heightMatches = cssText.matchAll(heightRegex);
-  for (const match of heightMatches) {
-    if (!match[1].includes("%") && !match[1].includes("vh")) {
-      patterns.heights.add(match[1]);
+  // Extract colors from any property (backgrounds, borders, shadows, gradients)
+  parsedValue.walk((node) => {
+    if (node.type === "function") {
+      const name = node.value.toLowerCase();
+      if (name === "url") return false;
+      if (CSS_COLOR_FUNCTIONS.includes(name)) {
+        addColor(valueParser.stringify(node), prop, patterns);
+        return false;
+      }
+    } else if (node.type === "word" && prop !== "font-family") {
+      addColor(node.value, prop, patterns);
     }
-  }
+  });
 
-  // Extract display types
-  const displayRegex = /display:\s*(\w+)/gi;
-  const displayMatches = cssText.matchAll(displayRegex);
-  for (const match of displayMatches) {
-    patterns.displayTypes.add(match[1]);
-  }
+  // Extract gradients
+  parsedValue.walk((node) => {
+    if (node.type === "function" && /gradient$/i.test(node.value)) {
+      patterns.gradients.add(valueParser.stringify(node));
+      return false;
+    }
+  });
 
-  // Extract flex properties
-  const flexRegex =
-    /(?:flex-direction|justify-content|align-items|align-self|flex-wrap|flex-grow|flex-shrink):\s*([^;]+)/gi;
-  const flexMatches = cssText.matchAll(flexRegex);
-  for (const match of flexMatches) {
-    patterns.flexProperties.add(match[0].trim());
+  switch (prop) {
+    case "font-family":
+      parseFontFamilies(value).forEach((font) => patterns.fonts.add(font));
+      return;
+    case "font":
+      extractFontShorthand(parsedValue, patterns);
+      return;
+    case "font-size":
+      addLengths(patterns.fontSizes);
+      return;
+    case "font-weight":
+      addFontWeight(value, patterns);
+      return;
+    case "line-height":
+      addLineHeight(value, patterns);
+      return;
+    case "letter-spacing": {
+      const parsed = valueParser.unit(value);
+      if (parsed) patterns.letterSpacing.add(Number(parsed.number));
+      return;
+    }
+    case "box-shadow":
+      patterns.shadows.add(value);
+      return;
+    case "transition":
+      patterns.transitions.add(value);
+      return;
+    case "transform":
+      patterns.transforms.add(value);
+      return;
+    case "opacity":
+      patterns.opacities.add(value);
+      return;
+    case "z-index":
+      patterns.zIndex.add(value);
+      return;
+    case "display":
+      if (tokens[0]) patterns.displayTypes.add(tokens[0].value);
+      return;
+    case "position":
+      patterns.positions.add(value);
+      return;
+    case "text-transform":
+      patterns.textTransforms.add(value);
+      return;
+    case "text-decoration":
+      patterns.textDecorations.add(value);
+      return;
+    case "flex-direction":
+    case "justify-content":
+    case "align-items":
+    case "align-self":
+    case "flex-wrap":
+    case "flex-grow":
+    case "flex-shrink":
+      patterns.flexProperties.add(`${prop}: ${value}`);
+      return;
+    case "grid-template-columns":
+    case "grid-template-rows":
+    case "grid-column":
+    case "grid-row":
+    case "grid-area":
+      patterns.gridProperties.add(`${prop}: ${value}`);
+      return;
+    case "animation":
+    case "animation-name": {
+      // The name is the one word that isn't a time, count or keyword
+      const name = tokens.find(
+        (token) =>
+          token.type === "word" &&
+          !valueParser.unit(token.value) &&
+          !CSS_ANIMATION_KEYWORDS.test(token.value)
+      );
+      if (name) patterns.animations.add(name.value);
+      return;
+    }
   }
 
-  // Extract grid properties
-  const gridRegex =
-    /(?:grid-template-columns|grid-template-rows|grid-column|grid-row|grid-area):\s*([^;]+)/gi;
-  const gridMatches = cssText.matchAll(gridRegex);
-  for (const match of gridMatches) {
-    patterns.gridProperties.add(match[0].trim());
+  // Shorthands like "padding: 8px 16px" contribute every value
+  if (/^(?:padding|margin)(?:-(?:top|right|bottom|left))?$/.test(prop)) {
+    addLengths(patterns.spacing);
+  } else if (/^(?:row-|column-|grid-)?gap$/.test(prop)) {
+    addLengths(patterns.gaps);
+  } else if (/^border(?:-(?:top|bottom)-(?:left|right))?-radius$/.test(prop)) {
+    addLengths(patterns.borderRadius);
+  } else if (/^border(?:-(?:top|right|bottom|left))?$/.test(prop)) {
+    extractBorderShorthand(tokens, patterns);
+  } else if (/^(?:min-|max-)?width$/.test(prop)) {
+    addLengths(patterns.widths);
+  } else if (/^(?:min-|max-)?height$/.test(prop)) {
+    addLengths(patterns.heights);
   }
+}
 
-  // Extract position
-  const positionRegex = /position:\s*(\w+)/gi;
-  const positionMatches = cssText.matchAll(positionRegex);
-  for (const match of positionMatches) {
-    patterns.positions.add(match[1]);
-  }
+// Which part of the UI a color is used for, judged by the property that sets it
+function colorUsageForProperty(prop) {
+  if (prop.startsWith("background")) return "background";
+  if (prop === "color" || prop === "-webkit-text-fill-color") return "text";
+  if (prop.startsWith("border") || prop.startsWith("outline")) return "border";
+  return null;
+}
 
-  // Extract text transform
-  const textTransformRegex = /text-transform:\s*(\w+)/gi;
-  const textTransformMatches = cssText.matchAll(textTransformRegex);
-  for (const match of textTransformMatches) {
-    patterns.textTransforms.add(match[1]);
-  }
+// Record a color in one hex representation so rgb()/hsl()/hex variants count together
+function addColor(value, prop, patterns) {
+  const color = normalizeColor(value);
+  if (!color) return;
+  patterns.colors.add(color);
+  const usage = colorUsageForProperty(prop);
+  if (usage) patterns.colorUsage[usage].add(color);
+}
 
-  // Extract text decoration
-  const textDecorationRegex = /text-decoration:\s*([^;]+)/gi;
-  const textDecorationMatches = cssText.matchAll(textDecorationRegex);
-  for (const match of textDecorationMatches) {
-    patterns.textDecorations.add(match[1].trim());
-  }
+function addFontWeight(value, patterns) {
+  const weight = value.toLowerCase();
+  if (weight === "normal") patterns.fontWeights.add("400");
+  else if (weight === "bold") patterns.fontWeights.add("700");
+  else if (!isNaN(weight)) patterns.fontWeights.add(weight);
+}
 
-  // Extract media query breakpoints
-  const mediaQueryRegex =
-    /@media\s+(?:\([^)]+\)|screen|print).*?(?:min-width|max-width):\s*(\d+)(?:px|em|rem)/gi;
-  const mediaMatches = cssText.matchAll(mediaQueryRegex);
-  for (const match of mediaMatches) {
-    patterns.breakpoints.add(match[1]);
-  }
+function addLineHeight(value, patterns) {
+  const parsed = valueParser.unit(value);
+  if (!parsed) return;
+  const number = Number(parsed.number);
+  // Percentages are stored as unitless ratios (150% -> 1.5)
+  patterns.lineHeights.add(parsed.unit === "%" ? number / 100 : number);
+}
 
-  // Extract animations
-  const animationRegex = /(?:animation|@keyframes)\s+(\w+)/gi;
-  const animationMatches = cssText.matchAll(animationRegex);
-  for (const match of animationMatches) {
-    patterns.animations.add(match[1]);
+// Absolute and relative font-size keywords, for the font shorthand
+const FONT_SIZE_KEYWORDS = new Set([
+  "xx-small",
+  "x-small",
+  "small",
+  "medium",
+  "large",
+  "x-large",
+  "xx-large",
+  "xxx-large",
+  "smaller",
+  "larger",
+]);
+
+// font: [style] [variant] [weight] <size>[/<line-height>] <family>[, <family>]*
+function extractFontShorthand(parsedValue, patterns) {
+  const nodes = parsedValue.nodes;
+  // Weights are unitless numbers too, so the size needs a unit or a keyword
+  const sizeIndex = nodes.findIndex(
+    (node) =>
+      node.type === "word" &&
+      (FONT_SIZE_KEYWORDS.has(node.value.toLowerCase()) ||
+        /^[\d.]+(?:[a-z]+|%)$/i.test(node.value))
+  );
+  if (sizeIndex === -1) return;
+
+  nodes
+    .slice(0, sizeIndex)
+    .filter((node) => node.type === "word")
+    .forEach((node) => addFontWeight(node.value, patterns));
+  const size = cssLengthToPx(nodes[sizeIndex].value);
+  if (size !== null) patterns.fontSizes.add(size);
+
+  let familyIndex = sizeIndex + 1;
+  if (nodes[familyIndex]?.type === "div" && nodes[familyIndex].value === "/") {
+    const lineHeight = nodes
+      .slice(familyIndex + 1)
+      .find((node) => node.type !== "space");
+    addLineHeight(lineHeight?.value || "", patterns);
+    familyIndex = nodes.indexOf(lineHeight) + 1;
   }
+  // Spaces are kept so multi-word names ("Open Sans") stay intact
+  parseFontFamilies(valueParser.stringify(nodes.slice(familyIndex))).forEach(
+    (font) => patterns.fonts.add(font)
+  );
+}
 
-  // Extract CSS custom properties (variables)
-  const cssVarRegex = /--[\w-]+:\s*([^;]+)/gi;
-  const cssVarMatches = cssText.matchAll(cssVarRegex);
-  for (const match of cssVarMatches) {
-    const varName = match[0].split(":")[0].trim();
-    const varValue = match[1].trim();
-    if (!patterns.commonStyles.cssVariables) {
-      patterns.commonStyles.cssVariables = {};
-    }
-    patterns.commonStyles.cssVariables[varName] = varValue;
-  }
+// border: <width> <style> [<color>], in any order
+function extractBorderShorthand(tokens, patterns) {
+  const width = tokens.find((token) => cssLengthToPx(token.value) !== null);
+  const style = tokens.find((token) => CSS_BORDER_STYLES.test(token.value));
+  const color = tokens.find((token) => token !== width && token !== style);
+  if (!width || !style) return;
+
+  const border = `${cssLengthToPx(width.value)}px ${style.value}`;
+  patterns.borders.add(
+    color ? `${border} ${valueParser.stringify(color)}` : border
+  );
 }
 
 // Extract component-specific styles
 function extractComponentStyles($, patterns) {
+  const cssVariables = patterns.commonStyles.cssVariables || {};
+
   // Extract button styles
   const buttonStyles = extractSelectorStyles(
     $,
     "button, .button, [class*='btn']",
+    cssVariables,
     [
       "background",
       "color",
@@ -694,13 +1165,12 @@ function extractComponentStyles($, patterns) {
   }
 
   // Extract card styles
-  const cardStyles = extractSelectorStyles($, ".card, [class*='card']", [
-    "background",
-    "border-radius",
-    "box-shadow",
-    "padding",
-    "border",
-  ]);
+  const cardStyles = extractSelectorStyles(
+    $,
+    ".card, [class*='card']",
+    cssVariables,
+    ["background", "border-radius", "box-shadow", "padding", "border"]
+  );
   if (Object.keys(cardStyles).length > 0) {
     patterns.componentStyles.cards = cardStyles;
   }
@@ -709,6 +1179,7 @@ function extractComponentStyles($, patterns) {
   const inputStyles = extractSelectorStyles(
     $,
     "input, .input, [class*='input']",
+    cssVariables,
     ["border", "border-radius", "padding", "font-size", "background"]
   );
   if (Object.keys(inputStyles).length > 0) {
@@ -717,28 +1188,39 @@ function extractComponentStyles($, patterns) {
 }
 
 // Helper to extract styles for specific selectors
-function extractSelectorStyles($, selector, properties) {
+function extractSelectorStyles($, selector, cssVariables, properties) {
   const styles = {};
-  const cssText = $("style").html() || "";
 
-  // Try to find styles for the selector
-  const selectorRegex = new RegExp(
-    `(${selector.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})[^{]*\\{([^}]+)\\}`,
-    "gi"
-  );
-  const matches = cssText.matchAll(selectorRegex);
-
-  for (const match of matches) {
-    const styleBlock = match[2];
-    properties.forEach((prop) => {
-      const propRegex = new RegExp(`${prop}:\\s*([^;]+)`, "gi");
-      const propMatch = propRegex.exec(styleBlock);
-      if (propMatch) {
-        if (!styles[prop]) styles[prop] = new Set();
-        styles[prop].add(propMatch[1].trim());
-      }
-    });
-  }
+  $("style").each((i, elem) => {
+    let root;
+    try {
+      root = safeParser($(elem).html() || "");
+    } catch (error) {
+      return;
+    }
+
+    // A rule applies to the component if any of its selectors (pseudo-classes
+    // stripped, so ".btn:hover" counts) matches an element of that component
+    root.walkRules((rule) => {
+      const matches = rule.selectors.some((ruleSelector) => {
+        const baseSelector = ruleSelector.replace(/::?[\w-]+(\([^)]*\))?/g, "");
+        try {
+          return baseSelector.trim() && $(baseSelector).is(selector);
+        } catch (error) {
+          return false;
+        }
+      });
+      if (!matches) return;
+
+      rule.each((decl) => {
+        if (decl.type !== "decl") return;
+        const prop = decl.prop.toLowerCase();
+        if (!properties.includes(prop)) return;
+        if (!styles[prop]) styles[prop] = new Set();
+        styles[prop].add(resolveCssVariables(decl.value.trim(), cssVariables));
+      });
+    });
+  });
 
   // Convert Sets to Arrays
   const result = {};
@@ -748,76 +1230,141 @@ function extractSelectorStyles($, selector, properties) {
   return result;
 }
 
-// Refine paywall code by breaking it into sections and regenerating each section
+// Sections refined at once (each is a Claude call with a section image)
+const REFINE_CONCURRENCY = 2;
+// Refining more sections than this costs more than it usually gains
+const MAX_REFINE_SECTIONS = 5;
+// Layer tree characters per section in the refinement prompt
+const SECTION_TREE_BUDGET = 6000;
+
+// Refine paywall code by breaking it into sections and regenerating each
+// section. A refined section is only kept when it validates and fits the
+// markup around it; every section's before/after is reported either way
 async function refinePaywallCode(
   initialCode,
-  figmaNode,
-  designTokens,
+  sections,
   fileKey,
   imagePlaceholderMap,
   patternGuidance
 ) {
-  // Identify major sections in the Figma design
-  const sections = identifySections(figmaNode);
-
   if (sections.length === 0) {
     console.log("No sections identified, skipping refinement");
-    return initialCode;
+    return { code: initialCode, sections: [] };
   }
 
-  console.log(`Identified ${sections.length} sections for refinement`);
+  console.log(`Refining ${sections.length} section(s)...`);
 
-  const refinedSections = {};
-  const sectionPromises = [];
+  // Sections are found in the generated HTML up front; one nested in another
+  // would be overwritten when the outer one is replaced
+  const $ = loadHtml(initialCode.html || "");
+  const claimed = [];
+  const located = sections.map((section) => {
+    const element = findSectionElement($, section);
+    if (!element) {
+      return { section, reason: "Not found in the generated HTML" };
+    }
+    const el = element.get(0);
+    const overlapping = claimed.find(
+      (other) =>
+        other.el === el ||
+        cheerio.contains(other.el, el) ||
+        cheerio.contains(el, other.el)
+    );
+    if (overlapping) {
+      return {
+        section,
+        reason: `Overlaps the "${overlapping.section.name}" section`,
+      };
+    }
+    claimed.push({ el, section });
+    return { section, before: sectionCode(initialCode, $, element) };
+  });
 
-  // Refine each section (limit to 5 sections to avoid too many API calls)
-  const sectionsToRefine = sections.slice(0, 5);
+  const results = await mapWithConcurrency(
+    located,
+    REFINE_CONCURRENCY,
+    async ({ section, before, reason }) => {
+      const report = {
+        nodeId: section.id,
+        name: section.name,
+        status: "skipped",
+        reason: reason || null,
+        before: null,
+        after: null,
+      };
+      if (!before) return { report };
 
-  for (const section of sectionsToRefine) {
-    const sectionPromise = refineSection(
-      section,
-      initialCode,
-      designTokens,
-      fileKey,
-      imagePlaceholderMap,
-      patternGuidance
-    )
-      .then((refined) => {
-        if (refined) {
-          refinedSections[section.name] = refined;
-        }
-        return refined;
-      })
-      .catch((error) => {
+      // Images go to the model and the report as placeholders
+      const prompt = withPlaceholders(before.html, imagePlaceholderMap);
+      report.before = { html: prompt.text, css: before.css };
+      let refined;
+      try {
+        refined = await refineSection(
+          section,
+          report.before,
+          fileKey,
+          patternGuidance
+        );
+      } catch (error) {
         console.warn(
           `Failed to refine section ${section.name}:`,
           error.message
         );
-        return null;
-      });
-
-    sectionPromises.push(sectionPromise);
-  }
-
-  await Promise.all(sectionPromises);
+        return {
+          report: { ...report, status: "failed", reason: error.message },
+        };
+      }
+      report.after = { html: refined?.html ?? null, css: refined?.css ?? null };
 
-  // Only combine if we have refined sections
-  if (Object.keys(refinedSections).length > 0) {
-    return combineRefinedSections(initialCode, refinedSections);
-  }
+      const rejection = validateRefinedSection(report.before, refined);
+      if (rejection) {
+        console.warn(`Kept section ${section.name} as generated: ${rejection}`);
+        return { report: { ...report, status: "rejected", reason: rejection } };
+      }
+      const html = restorePlaceholders(
+        keepSectionHooks(report.before.html, refined.html, section.id),
+        { ...imagePlaceholderMap, ...prompt.placeholders }
+      );
+      return {
+        report: { ...report, status: "refined" },
+        refined: { section, html, css: refined.css },
+      };
+    }
+  );
 
-  return initialCode;
+  const combined = combineRefinedSections(
+    initialCode,
+    results.filter((result) => result.refined).map((result) => result.refined)
+  );
+  const reports = results.map(({ report }) =>
+    report.status === "refined" && !combined.applied.includes(report.nodeId)
+      ? { ...report, status: "rejected", reason: "Could not be put back" }
+      : report
+  );
+  console.log(
+    `Refinement kept ${combined.applied.length} of ${sections.length} section(s)`
+  );
+  return { code: combined.code, sections: reports };
 }
 
-// Identify major sections/components in the Figma design
-function identifySections(node, depth = 0, sections = []) {
-  if (!node || depth > 6) return sections;
+// Identify major sections/components in the Figma design: the outermost
+// layers that look like one, positioned relative to the frame
+function identifySections(
+  node,
+  depth = 0,
+  sections = [],
+  origin = node?.absoluteBoundingBox
+) {
+  if (!node || depth > 6 || node.visible === false) return sections;
 
   const nodeName = (node.name || "").toLowerCase();
 
   // Identify common paywall sections
   const isSection =
-    node.type === "FRAME" || node.type === "COMPONENT" || node.type === "GROUP";
+    node.type === "FRAME" ||
+    node.type === "COMPONENT" ||
+    node.type === "INSTANCE" ||
+    node.type === "GROUP";
 
   if (isSection && depth >= 1) {
     // Check if this looks like a major section
@@ -834,42 +1381,36 @@ function identifySections(node, depth = 0, sections = []) {
       (node.children && node.children.length > 3);
 
     if (isMajorSection) {
+      const box = node.absoluteBoundingBox || {};
       sections.push({
         name: node.name || `section-${sections.length}`,
         id: node.id,
         type: node.type,
-        x: node.x || 0,
-        y: node.y || 0,
-        width: node.width || 0,
-        height: node.height || 0,
+        node,
+        x: Math.round((box.x || 0) - (origin?.x || 0)),
+        y: Math.round((box.y || 0) - (origin?.y || 0)),
+        width: Math.round(box.width || 0),
+        height: Math.round(box.height || 0),
         depth: depth,
       });
+      // Its layers are refined along with it
+      return sections;
     }
   }
 
   // Recursively check children
   if (node.children && depth < 5) {
     for (const child of node.children) {
-      identifySections(child, depth + 1, sections);
+      identifySections(child, depth + 1, sections, origin);
     }
   }
 
   return sections;
 }
 
-// Refine a specific section
-async function refineSection(
-  section,
-  initialCode,
-  designTokens,
-  fileKey,
-  imagePlaceholderMap,
-  patternGuidance
-) {
-  // Get section-specific design tokens by finding the node
-  // Note: We need to pass the full figma data structure, not just tokens
-  // For now, we'll use the main design tokens and focus on the section
-
+// Refine a specific section: the model gets the section's image, its layer
+// tree and its current code, and returns a replacement for its element
+async function refineSection(section, before, fileKey, patternGuidance) {
   // Get section image
   let sectionImage = null;
   try {
@@ -885,38 +1426,38 @@ async function refineSection(
   const refinementPrompt = `Refine this section to be 1:1 pixel-perfect with Figma.
 
 SECTION: ${section.name}
-POSITION: x=${section.x}px, y=${section.y}px
+POSITION: x=${section.x}px, y=${section.y}px in the paywall
 SIZE: ${section.width}px × ${section.height}px
 
+Layer tree of the section (exact values):
+${formatDesignTokens(
+  extractDesignTokens(section.node, { budget: SECTION_TREE_BUDGET })
+)}
+
 CURRENT CODE (improve this):
 HTML:
-${extractSectionFromHTML(initialCode.html, section.name)}
+${before.html}
 
 CSS:
-${extractSectionFromCSS(initialCode.css, section.name)}
-
-CRITICAL REQUIREMENTS - 1:1 MATCHING:
-1. Use position: absolute with EXACT coordinates from designTokens.nodes
-2. Every element: left: [exact x], top: [exact y], width: [exact w], height: [exact h]
-3. Use EXACT colors from tokens (bg property)
-4. Use EXACT fonts from tokens (font: f=family, s=size, w=weight, lh=lineHeight)
-5. Use EXACT border radius (br property)
-6. Use EXACT spacing (margins, padding from tokens)
-7. NO approximations - EXACT values only
-
-POSITIONING:
-- Section container: position: absolute; left: ${section.x}px; top: ${
-    section.y
-  }px; width: ${section.width}px; height: ${section.height}px;
-- All children: position: absolute with coordinates relative to section (subtract section.x and section.y from global coordinates)
+${before.css || "No rules found for this section's classes"}
+
+REQUIREMENTS:
+1. Return ONE root element that replaces the current one. Keep its tag, its classes and its data-* attributes (data-node-id="${
+    section.id
+  }")
+2. Keep every text and image ({{IMAGE_X}} and {{DATA_X}} placeholders stay as they are)
+3. Use the EXACT sizes, spacing, colors, fonts, radii and effects from the layer tree
+4. Keep the current layout approach (flexbox or absolute positioning) so the section still fits the page around it
+5. Only style this section's own classes: no html, body, * or .paywall-container rules
+6. No <script>, <style> or <link> tags
 
 ${patternGuidance}
 
 OUTPUT:
 Return ONLY JSON (no markdown):
 {
-  "html": "<!-- section HTML with proper structure -->",
-  "css": "/* section CSS with absolute positioning, exact values */"
+  "html": "<!-- the section's root element -->",
+  "css": "/* CSS for the section's classes */"
 }`;
 
   const content = [];
@@ -957,304 +1498,170 @@ Return ONLY JSON (no markdown):
     throw new Error("No text response from Claude");
   }
 
-  let refinedSection;
-  try {
-    let jsonText = textContent.text.trim();
-    jsonText = jsonText.replace(/^```json\s*/i, "");
-    jsonText = jsonText.replace(/^```\s*/g, "");
-    jsonText = jsonText.replace(/\s*```\s*$/g, "");
-    jsonText = jsonText.trim();
-
-    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[0];
-    }
-
-    refinedSection = JSON.parse(jsonText);
+  let jsonText = textContent.text.trim();
+  jsonText = jsonText.replace(/^```json\s*/i, "");
+  jsonText = jsonText.replace(/^```\s*/g, "");
+  jsonText = jsonText.replace(/\s*```\s*$/g, "");
+  jsonText = jsonText.trim();
 
-    // Replace image placeholders
-    if (Object.keys(imagePlaceholderMap).length > 0) {
-      Object.entries(imagePlaceholderMap).forEach(([placeholder, dataUrl]) => {
-        if (refinedSection.html) {
-          refinedSection.html = refinedSection.html.replace(
-            new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-            dataUrl
-          );
-        }
-        if (refinedSection.css) {
-          refinedSection.css = refinedSection.css.replace(
-            new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-            dataUrl
-          );
-        }
-      });
-    }
-  } catch (error) {
-    console.error(
-      `Failed to parse refined section ${section.name}:`,
-      error.message
-    );
-    return null;
+  const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    jsonText = jsonMatch[0];
   }
 
-  return refinedSection;
-}
-
-// Extract section-specific HTML (simplified - looks for section by class/ID)
-function extractSectionFromHTML(html, sectionName) {
-  const sectionNameLower = sectionName.toLowerCase().replace(/[^a-z0-9]/g, "");
-  // Try to find section in HTML by looking for common patterns
-  const patterns = [
-    new RegExp(
-      `(<[^>]*(?:class|id)=[^>]*${sectionNameLower}[^>]*>[\\s\\S]{0,1000}?</[^>]+>)`,
-      "i"
-    ),
-    new RegExp(`(<section[^>]*>[\\s\\S]{0,500}?</section>)`, "i"),
-  ];
-
-  for (const pattern of patterns) {
-    const match = html.match(pattern);
-    if (match) {
-      return match[1].substring(0, 800);
-    }
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error(`Failed to parse refined section: ${error.message}`);
   }
-
-  return "Section HTML not found - use the section name to identify the correct HTML structure";
-}
-
-// Extract section-specific CSS
-function extractSectionFromCSS(css, sectionName) {
-  const sectionNameLower = sectionName.toLowerCase().replace(/[^a-z0-9]/g, "");
-  const regex = new RegExp(`([^{]*${sectionNameLower}[^{]*\\{[^}]+\\})`, "gi");
-  const matches = css.match(regex);
-  return matches
-    ? matches.slice(0, 10).join("\n\n")
-    : "Section styles not found - create CSS matching the section structure";
 }
 
 // Combine refined sections back into complete code
 function combineRefinedSections(initialCode, refinedSections) {
-  let refinedHTML = initialCode.html;
-  let refinedCSS = initialCode.css;
-
-  // Replace sections in HTML and CSS with refined versions
-  Object.entries(refinedSections).forEach(([sectionName, refined]) => {
-    if (!refined || !refined.html || !refined.css) return;
-
-    const sectionNameLower = sectionName
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, "");
-
-    // Try to replace section in HTML
-    const htmlRegex = new RegExp(
-      `(<[^>]*(?:class|id)=[^>]*${sectionNameLower}[^>]*>[\\s\\S]*?</[^>]+>)`,
-      "is"
+  const combined = applyRefinedSections(initialCode, refinedSections);
+  combined.applied.forEach((nodeId) => {
+    const { section } = refinedSections.find(
+      (refined) => refined.section.id === nodeId
     );
-    if (htmlRegex.test(refinedHTML)) {
-      refinedHTML = refinedHTML.replace(htmlRegex, refined.html);
-      console.log(`Replaced HTML for section: ${sectionName}`);
-    }
-
-    // Add/update section CSS
-    const cssRegex = new RegExp(
-      `([^{]*${sectionNameLower}[^{]*\\{[^}]+\\})`,
-      "gi"
-    );
-    if (cssRegex.test(refinedCSS)) {
-      refinedCSS = refinedCSS.replace(cssRegex, refined.css);
-      console.log(`Replaced CSS for section: ${sectionName}`);
-    } else {
-      // Append new CSS if section styles weren't found
-      refinedCSS +=
-        "\n\n/* Refined styles for " + sectionName + " */\n" + refined.css;
-      console.log(`Added new CSS for section: ${sectionName}`);
-    }
+    console.log(`Replaced section: ${section.name}`);
   });
+  return combined;
+}
 
-  return {
-    html: refinedHTML,
-    css: refinedCSS,
-    js: initialCode.js, // JavaScript stays the same
-  };
+// Whether two library values count as the same pattern
+function isSamePatternValue(a, b, spec) {
+  // Close numbers (e.g. 15px and 16px font sizes) count as the same value
+  if (spec.tolerance && typeof a === "number" && typeof b === "number") {
+    return Math.abs(a - b) < spec.tolerance;
+  }
+  // Near-identical colors (e.g. #ffffff and #fefefe) form one cluster
+  if (spec.perceptual) {
+    return isSameColor(a, b);
+  }
+  return a === b;
 }
 
-// Merge new patterns with existing patterns
-function mergePaywallPatterns(newPatterns) {
-  paywallPatterns.count += 1;
+// Merge ranked values from one paywall into a list of library entries.
+// Values from authoritative sources (design tokens) win over inferred ones.
+function mergePatternEntries(
+  entries,
+  items,
+  spec,
+  sourceName,
+  authoritative = false
+) {
+  const merged = (entries || []).map(toPatternEntry);
+
+  (items || []).map(toPatternEntry).forEach((item) => {
+    // Fresh extractions belong to sourceName, library entries bring their own
+    const paywalls = sourceName ? [sourceName] : item.paywalls;
+    const fromTokens = authoritative || item.authoritative;
+    const existing = merged.find((entry) =>
+      isSamePatternValue(entry.value, item.value, spec)
+    );
 
-  // Helper function to merge arrays (keep unique values, limit size)
-  const mergeArray = (target, source, limit, tolerance = null) => {
-    if (!Array.isArray(target)) target = [];
-    if (!Array.isArray(source)) return target;
+    if (!existing) {
+      merged.push({
+        ...item,
+        paywalls: [...paywalls],
+        ...(fromTokens && { authoritative: true }),
+      });
+      return;
+    }
 
-    source.forEach((item) => {
-      if (tolerance && typeof item === "number") {
-        const existing = target.find((t) => Math.abs(t - item) < tolerance);
-        if (!existing) {
-          target.push(item);
+    // Keep per-shade counts of a color cluster; the most used shade represents it
+    if (spec.perceptual) {
+      const variants = existing.variants || {
+        [existing.value]: existing.count,
+      };
+      Object.entries(item.variants || { [item.value]: item.count }).forEach(
+        ([value, count]) => {
+          variants[value] = (variants[value] || 0) + count;
         }
-      } else {
-        if (!target.includes(item)) {
-          target.push(item);
+      );
+      if (Object.keys(variants).length > 1) {
+        existing.variants = variants;
+        if (!existing.authoritative) {
+          existing.value = Object.keys(variants).reduce((a, b) =>
+            variants[b] > variants[a] ? b : a
+          );
         }
       }
-    });
+    }
 
-    if (typeof target[0] === "number") {
-      return target.sort((a, b) => a - b).slice(0, limit);
+    // A token's exact value replaces a close inferred one (e.g. 15px -> 16px)
+    if (fromTokens) {
+      existing.value = item.value;
+      existing.authoritative = true;
     }
-    return target.slice(0, limit);
-  };
 
-  // Merge all pattern arrays
-  paywallPatterns.colors = mergeArray(
-    paywallPatterns.colors,
-    newPatterns.colors,
-    40
-  );
-  paywallPatterns.fonts = mergeArray(
-    paywallPatterns.fonts,
-    newPatterns.fonts,
-    20
-  );
-  paywallPatterns.fontSizes = mergeArray(
-    paywallPatterns.fontSizes,
-    newPatterns.fontSizes,
-    25,
-    1
-  );
-  paywallPatterns.fontWeights = mergeArray(
-    paywallPatterns.fontWeights,
-    newPatterns.fontWeights,
-    12,
-    50
-  );
-  paywallPatterns.lineHeights = mergeArray(
-    paywallPatterns.lineHeights,
-    newPatterns.lineHeights,
-    20,
-    0.5
-  );
-  paywallPatterns.letterSpacing = mergeArray(
-    paywallPatterns.letterSpacing,
-    newPatterns.letterSpacing,
-    12,
-    0.1
-  );
-  paywallPatterns.spacing = mergeArray(
-    paywallPatterns.spacing,
-    newPatterns.spacing,
-    30,
-    2
-  );
-  paywallPatterns.borderRadius = mergeArray(
-    paywallPatterns.borderRadius,
-    newPatterns.borderRadius,
-    20,
-    2
-  );
-  paywallPatterns.shadows = mergeArray(
-    paywallPatterns.shadows,
-    newPatterns.shadows,
-    20
-  );
-  paywallPatterns.borders = mergeArray(
-    paywallPatterns.borders,
-    newPatterns.borders,
-    20
-  );
-  paywallPatterns.transitions = mergeArray(
-    paywallPatterns.transitions,
-    newPatterns.transitions,
-    20
-  );
-  paywallPatterns.transforms = mergeArray(
-    paywallPatterns.transforms,
-    newPatterns.transforms,
-    15
-  );
-  paywallPatterns.opacities = mergeArray(
-    paywallPatterns.opacities,
-    newPatterns.opacities,
-    12,
-    0.05
-  );
-  paywallPatterns.gradients = mergeArray(
-    paywallPatterns.gradients,
-    newPatterns.gradients,
-    15
-  );
-  paywallPatterns.zIndex = mergeArray(
-    paywallPatterns.zIndex,
-    newPatterns.zIndex,
-    15,
-    10
-  );
-  paywallPatterns.gaps = mergeArray(
-    paywallPatterns.gaps,
-    newPatterns.gaps,
-    20,
-    2
-  );
-  paywallPatterns.widths = mergeArray(
-    paywallPatterns.widths,
-    newPatterns.widths,
-    20,
-    10
-  );
-  paywallPatterns.heights = mergeArray(
-    paywallPatterns.heights,
-    newPatterns.heights,
-    20,
-    10
-  );
-  paywallPatterns.displayTypes = mergeArray(
-    paywallPatterns.displayTypes,
-    newPatterns.displayTypes,
-    12
-  );
-  paywallPatterns.flexProperties = mergeArray(
-    paywallPatterns.flexProperties,
-    newPatterns.flexProperties,
-    20
-  );
-  paywallPatterns.gridProperties = mergeArray(
-    paywallPatterns.gridProperties,
-    newPatterns.gridProperties,
-    15
-  );
-  paywallPatterns.positions = mergeArray(
-    paywallPatterns.positions,
-    newPatterns.positions,
-    8
-  );
-  paywallPatterns.textTransforms = mergeArray(
-    paywallPatterns.textTransforms,
-    newPatterns.textTransforms,
-    6
-  );
-  paywallPatterns.textDecorations = mergeArray(
-    paywallPatterns.textDecorations,
-    newPatterns.textDecorations,
-    8
-  );
-  paywallPatterns.breakpoints = mergeArray(
-    paywallPatterns.breakpoints,
-    newPatterns.breakpoints,
-    15,
-    20
-  );
-  paywallPatterns.animations = mergeArray(
-    paywallPatterns.animations,
-    newPatterns.animations,
-    15
+    existing.count += item.count;
+    paywalls.forEach((name) => {
+      if (!existing.paywalls.includes(name)) existing.paywalls.push(name);
+    });
+  });
+
+  // Token values first, then most frequent; values used by more paywalls win ties
+  return merged.sort(
+    (a, b) =>
+      Boolean(b.authoritative) - Boolean(a.authoritative) ||
+      b.count - a.count ||
+      b.paywalls.length - a.paywalls.length ||
+      (typeof a.value === "number" ? a.value - b.value : 0)
   );
+}
+
+// Merge new patterns into a profile's pattern library.
+// Every list entry tracks how often the value occurred and which paywalls used it.
+function mergePaywallPatterns(
+  paywallPatterns,
+  newPatterns,
+  paywallName,
+  { authoritative = false } = {}
+) {
+  paywallPatterns.count += 1;
+  const sourceName = paywallName || `paywall-${paywallPatterns.count}`;
+
+  Object.entries(PATTERN_LIST_SPECS).forEach(([key, spec]) => {
+    paywallPatterns[key] = mergePatternEntries(
+      paywallPatterns[key],
+      newPatterns[key],
+      spec,
+      sourceName,
+      authoritative
+    );
+  });
+
+  // Roles named in design tokens (color.primary, color.background, ...) are kept as given
+  if (authoritative && newPatterns.palette) {
+    paywallPatterns.tokenPalette = {
+      ...paywallPatterns.tokenPalette,
+      ...newPatterns.palette,
+    };
+  }
+
+  // Merge color usage and re-derive the palette roles from it
+  if (!paywallPatterns.colorUsage) {
+    paywallPatterns.colorUsage = {};
+  }
+  Object.entries(newPatterns.colorUsage || {}).forEach(([usage, items]) => {
+    paywallPatterns.colorUsage[usage] = mergePatternEntries(
+      paywallPatterns.colorUsage[usage],
+      items,
+      PATTERN_LIST_SPECS.colors,
+      sourceName
+    );
+  });
+  updateColorPalette(paywallPatterns);
+  updatePatternScales(paywallPatterns);
 
-  // Merge layouts
+  // Merge layouts (token files have none)
   if (!Array.isArray(paywallPatterns.layouts)) {
     paywallPatterns.layouts = [];
   }
-  paywallPatterns.layouts.push(newPatterns.layouts);
+  if (newPatterns.layouts) {
+    paywallPatterns.layouts.push(newPatterns.layouts);
+  }
   if (paywallPatterns.layouts.length > 50) {
     paywallPatterns.layouts = paywallPatterns.layouts.slice(-50);
   }
@@ -1279,166 +1686,151 @@ function mergePaywallPatterns(newPatterns) {
       );
     });
   }
-}
-
-// Extract detailed design tokens and node information from Figma data
-function extractDesignTokens(node) {
-  const tokens = {
-    colors: [],
-    fonts: [],
-    spacing: [],
-    borderRadius: [],
-    nodes: [], // Store node information for pixel-perfect matching (limited to important nodes)
-  };
-
-  let nodeCount = 0;
-  const MAX_NODES = 30; // Limit nodes to avoid huge JSON and token limits
-
-  function traverse(n, parentInfo = {}, depth = 0) {
-    if (!n || depth > 10) return; // Limit depth to avoid deep recursion
-    if (nodeCount >= MAX_NODES) return; // Limit total nodes
-
-    const nodeInfo = {
-      n: n.name, // Shortened key
-      t: n.type, // Shortened key
-      x: Math.round(n.x || 0),
-      y: Math.round(n.y || 0),
-      w: Math.round(n.width || 0), // Shortened key
-      h: Math.round(n.height || 0), // Shortened key
-    };
 
-    // Extract colors (compact format)
-    if (n.fills && Array.isArray(n.fills)) {
-      n.fills.forEach((fill) => {
-        if (fill.type === "SOLID" && fill.color) {
-          const { r, g, b, a = 1 } = fill.color;
-          const color = `rgba(${Math.round(r * 255)},${Math.round(
-            g * 255
-          )},${Math.round(b * 255)},${a})`;
-          if (!tokens.colors.includes(color)) {
-            tokens.colors.push(color);
-          }
-          nodeInfo.bg = color; // Shortened key
-        } else if (fill.type === "IMAGE" && fill.imageRef) {
-          nodeInfo.img = true; // Shortened key
-        }
-      });
-    }
+  // Merge the component catalog (token files have none)
+  if (newPatterns.components) {
+    mergeComponentCatalog(paywallPatterns, newPatterns.components, sourceName);
+  }
+}
 
-    // Extract text styles (compact)
-    if (n.type === "TEXT" && n.style) {
-      const fontInfo = {
-        f: n.style.fontFamily, // Shortened
-        s: Math.round(n.style.fontSize || 16), // Shortened
-        w: n.style.fontWeight || 400, // Shortened
-        lh: Math.round(n.style.lineHeightPx || n.style.fontSize * 1.2), // Shortened
-      };
-      if (
-        !tokens.fonts.some(
-          (f) => f.f === fontInfo.f && f.s === fontInfo.s && f.w === fontInfo.w
-        )
-      ) {
-        tokens.fonts.push(fontInfo);
+// Keep a few variants per component type; identical markup from different
+// paywalls counts as one variant used by all of them
+function mergeComponentCatalog(paywallPatterns, components, sourceName) {
+  if (!paywallPatterns.components) {
+    paywallPatterns.components = {};
+  }
+  Object.entries(components).forEach(([type, component]) => {
+    const variants = paywallPatterns.components[type] || [];
+    const existing = variants.find(
+      (variant) => variant.skeleton === component.skeleton
+    );
+    if (existing) {
+      if (!existing.paywalls.includes(sourceName)) {
+        existing.paywalls.push(sourceName);
       }
-      nodeInfo.font = fontInfo;
-      if (n.characters) nodeInfo.txt = n.characters.substring(0, 100); // Limit text length
+    } else {
+      variants.push({ ...component, paywalls: [sourceName] });
     }
+    paywallPatterns.components[type] = variants
+      .sort((a, b) => b.paywalls.length - a.paywalls.length)
+      .slice(0, MAX_COMPONENT_VARIANTS);
+  });
+}
 
-    // Extract border radius
-    if (n.cornerRadius !== undefined && n.cornerRadius > 0) {
-      const br = Math.round(n.cornerRadius);
-      if (!tokens.borderRadius.includes(br)) {
-        tokens.borderRadius.push(br);
-      }
-      nodeInfo.br = br; // Shortened key
-    }
+// Derive palette roles from color usage; roles set by design tokens take precedence
+function updateColorPalette(paywallPatterns) {
+  paywallPatterns.palette = {
+    ...buildColorPalette(paywallPatterns.colors, paywallPatterns.colorUsage),
+    ...paywallPatterns.tokenPalette,
+  };
+}
 
-    // Extract strokes (compact)
-    if (
-      n.strokes &&
-      Array.isArray(n.strokes) &&
-      n.strokes.length > 0 &&
-      n.strokeWeight
-    ) {
-      const stroke = n.strokes[0];
-      if (stroke.type === "SOLID" && stroke.color) {
-        const { r, g, b, a = 1 } = stroke.color;
-        nodeInfo.border = `${Math.round(n.strokeWeight)}px rgba(${Math.round(
-          r * 255
-        )},${Math.round(g * 255)},${Math.round(b * 255)},${a})`;
-      }
-    }
+// Infer the type scale and spacing grid, and how well each source fits them
+function updatePatternScales(paywallPatterns) {
+  paywallPatterns.scales = {
+    typeScale: inferTypeScale(paywallPatterns.fontSizes),
+    spacingGrid: inferSpacingGrid(paywallPatterns.spacing),
+  };
+  (paywallPatterns.sources || []).forEach((source) => {
+    source.scaleFit = measureScaleFit(source.patterns, paywallPatterns.scales);
+  });
+}
 
-    // Extract effects (only shadows, compact)
-    if (n.effects && Array.isArray(n.effects)) {
-      const shadows = n.effects.filter(
-        (e) => e.type === "DROP_SHADOW" || e.type === "INNER_SHADOW"
-      );
-      if (shadows.length > 0) {
-        nodeInfo.shadow = shadows[0].radius || 0; // Just store radius
-      }
-    }
+// Bring a library saved by an older version up to the current shape
+function upgradePatternLibrary(paywallPatterns) {
+  // Libraries saved before counts existed hold bare values
+  Object.keys(PATTERN_LIST_SPECS).forEach((key) => {
+    paywallPatterns[key] = (paywallPatterns[key] || []).map(toPatternEntry);
+  });
+  // Libraries saved before color clustering hold raw rgb()/hsl() strings
+  paywallPatterns.colors = mergePatternEntries(
+    [],
+    paywallPatterns.colors
+      .map((entry) => ({ ...entry, value: normalizeColor(entry.value) }))
+      .filter((entry) => entry.value),
+    PATTERN_LIST_SPECS.colors
+  );
+  if (!paywallPatterns.colorUsage) {
+    paywallPatterns.colorUsage = {};
+  }
+  updateColorPalette(paywallPatterns);
+  if (!paywallPatterns.components) {
+    paywallPatterns.components = {};
+  }
+  if (!Array.isArray(paywallPatterns.sources)) {
+    paywallPatterns.sources = [];
+  }
+  updatePatternScales(paywallPatterns);
+  return paywallPatterns;
+}
 
-    // Filter out status bar and home indicator elements
-    const nodeNameLower = (n.name || "").toLowerCase();
-    const isStatusBarElement =
-      nodeNameLower.includes("status") ||
-      nodeNameLower.includes("statusbar") ||
-      nodeNameLower.includes("status-bar") ||
-      nodeNameLower.includes("time") ||
-      nodeNameLower.includes("clock") ||
-      nodeNameLower.includes("wifi") ||
-      nodeNameLower.includes("signal") ||
-      nodeNameLower.includes("battery") ||
-      nodeNameLower.includes("carrier") ||
-      nodeNameLower.includes("notch") ||
-      nodeNameLower.includes("safe area") ||
-      nodeNameLower.includes("safearea") ||
-      nodeNameLower.includes("home indicator") ||
-      nodeNameLower.includes("homeindicator") ||
-      nodeNameLower.includes("home bar") ||
-      nodeNameLower.includes("homebar") ||
-      nodeNameLower.includes("home button") ||
-      nodeNameLower.includes("homebutton") ||
-      nodeNameLower.includes("gesture bar") ||
-      nodeNameLower.includes("gesturebar") ||
-      (nodeNameLower.includes("indicator") &&
-        (nodeNameLower.includes("home") || nodeNameLower.includes("bottom")));
-
-    // Skip status bar elements from design tokens
-    if (isStatusBarElement) {
-      // Still traverse children in case there are non-status-bar elements inside
-      if (n.children && depth < 8) {
-        n.children.forEach((child) => traverse(child, nodeInfo, depth + 1));
-      }
-      return;
-    }
+// Analyze a paywall (or a design token file) and add it to a library as a tracked source.
+// Content that was already analyzed (same hash) is not counted again. The hash
+// is taken over `original` when the analyzed content was rewritten (a bundle's
+// HTML with its stylesheets inlined), so a file hashes the same however it's uploaded
+function addPaywallSource(
+  paywallPatterns,
+  name,
+  content,
+  kind = "html",
+  original = content
+) {
+  const hash = crypto.createHash("sha256").update(original).digest("hex");
+  const existing = paywallPatterns.sources.find((s) => s.hash === hash);
+  if (existing) {
+    return { source: existing, duplicate: true };
+  }
 
-    // Store node info only for important elements (limit to avoid huge JSON)
-    const isImportant =
-      n.type === "VECTOR" ||
-      n.type === "COMPONENT" ||
-      n.type === "INSTANCE" ||
-      nodeInfo.img ||
-      n.name?.toLowerCase().includes("icon") ||
-      n.name?.toLowerCase().includes("image") ||
-      n.name?.toLowerCase().includes("button") ||
-      n.type === "TEXT" ||
-      (n.type === "FRAME" && depth < 3); // Include top-level frames
+  const source = {
+    id: hash.slice(0, 12),
+    name,
+    hash,
+    uploadedAt: new Date().toISOString(),
+    kind,
+    patterns:
+      kind === "tokens"
+        ? importDesignTokens(JSON.parse(content))
+        : extractPaywallPatterns(content),
+  };
+  paywallPatterns.sources.push(source);
+  mergePaywallPatterns(paywallPatterns, source.patterns, name, {
+    authoritative: kind === "tokens",
+  });
+  return { source, duplicate: false };
+}
 
-    if (isImportant && nodeCount < MAX_NODES) {
-      tokens.nodes.push(nodeInfo);
-      nodeCount++;
-    }
+// Recompute a library's aggregate from its remaining sources
+function rebuildPaywallPatterns(sources) {
+  const rebuilt = createEmptyPatterns();
+  sources.forEach((source) => {
+    rebuilt.sources.push(source);
+    mergePaywallPatterns(rebuilt, source.patterns, source.name, {
+      authoritative: source.kind === "tokens",
+    });
+  });
+  return rebuilt;
+}
 
-    // Traverse children (limit depth)
-    if (n.children && depth < 8) {
-      n.children.forEach((child) => traverse(child, nodeInfo, depth + 1));
-    }
-  }
+// Source metadata without the (large) extracted patterns
+function describePaywallSource(source) {
+  return {
+    id: source.id,
+    name: source.name,
+    hash: source.hash,
+    uploadedAt: source.uploadedAt,
+    // Sources added before token imports existed are all HTML
+    kind: source.kind || "html",
+    // Share of its font sizes / spacing on the library's type scale / grid
+    scaleFit: source.scaleFit || null,
+  };
+}
 
-  traverse(node);
-  return tokens;
+// Libraries saved before counts existed store bare values - treat each as seen once
+function toPatternEntry(item) {
+  if (item && typeof item === "object" && "value" in item) {
+    return { value: item.value, count: 1, paywalls: [], ...item };
+  }
+  return { value: item, count: 1, paywalls: [] };
 }
 
 // Find image/icon nodes in the Figma structure
@@ -1501,6 +1893,7 @@ function findImageNodes(figmaNode, maxNodes = 20, depth = 0) {
       id: figmaNode.id,
       name: figmaNode.name || "Unknown",
       type: figmaNode.type,
+      componentId: figmaNode.componentId,
       width: dims.width,
       height: dims.height,
       x: figmaNode.absoluteBoundingBox?.x || figmaNode.x || 0,
@@ -1524,6 +1917,58 @@ function findImageNodes(figmaNode, maxNodes = 20, depth = 0) {
   return imageNodes;
 }
 
+// Export and download the given image nodes, keyed by node ID
+async function downloadNodeImages(fileKey, nodeIds, imageNodes) {
+  const imageMap = {};
+  const response = await axios.get(
+    `https://api.figma.com/v1/images/${fileKey}`,
+    {
+      params: {
+        ids: nodeIds,
+        format: "png",
+        scale: 1,
+      },
+      headers: {
+        "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
+      },
+    }
+  );
+
+  console.log(
+    "Figma images API response for nodes:",
+    Object.keys(response.data.images || {}).length,
+    "images returned"
+  );
+
+  if (response.data.images) {
+    for (const [nodeId, imageUrl] of Object.entries(response.data.images)) {
+      if (imageUrl) {
+        const nodeInfo = imageNodes.find((n) => n.id === nodeId);
+        console.log(`Downloading image for node: ${nodeInfo?.name || nodeId}`);
+
+        // Download and convert to base64
+        const imageResponse = await axios.get(imageUrl, {
+          responseType: "arraybuffer",
+        });
+        imageMap[nodeId] = {
+          url: imageUrl,
+          base64: Buffer.from(imageResponse.data).toString("base64"),
+          dataUrl: `data:image/png;base64,${Buffer.from(
+            imageResponse.data
+          ).toString("base64")}`,
+          name: nodeInfo?.name || "Unknown",
+          type: nodeInfo?.type || "UNKNOWN",
+          width: nodeInfo?.width || 0,
+          height: nodeInfo?.height || 0,
+          x: nodeInfo?.x || 0,
+          y: nodeInfo?.y || 0,
+        };
+      }
+    }
+  }
+  return imageMap;
+}
+
 // Extract images for specific nodes (icons, images, etc.)
 async function extractNodeImages(fileKey, figmaNode) {
   const imageMap = {};
@@ -1543,54 +1988,13 @@ async function extractNodeImages(fileKey, figmaNode) {
 
   try {
     const nodeIds = imageNodes.map((node) => node.id).join(",");
-    const response = await axios.get(
-      `https://api.figma.com/v1/images/${fileKey}`,
-      {
-        params: {
-          ids: nodeIds,
-          format: "png",
-          scale: 1,
-        },
-        headers: {
-          "X-Figma-Token": process.env.FIGMA_ACCESS_TOKEN,
-        },
-      }
-    );
-
-    console.log(
-      "Figma images API response for nodes:",
-      Object.keys(response.data.images || {}).length,
-      "images returned"
+    // Downloads that fail aren't cached, so the next request retries them
+    Object.assign(
+      imageMap,
+      await cachedFigmaRequest(fileKey, `node images ${nodeIds}`, () =>
+        downloadNodeImages(fileKey, nodeIds, imageNodes)
+      )
     );
-
-    if (response.data.images) {
-      for (const [nodeId, imageUrl] of Object.entries(response.data.images)) {
-        if (imageUrl) {
-          const nodeInfo = imageNodes.find((n) => n.id === nodeId);
-          console.log(
-            `Downloading image for node: ${nodeInfo?.name || nodeId}`
-          );
-
-          // Download and convert to base64
-          const imageResponse = await axios.get(imageUrl, {
-            responseType: "arraybuffer",
-          });
-          imageMap[nodeId] = {
-            url: imageUrl,
-            base64: Buffer.from(imageResponse.data).toString("base64"),
-            dataUrl: `data:image/png;base64,${Buffer.from(
-              imageResponse.data
-            ).toString("base64")}`,
-            name: nodeInfo?.name || "Unknown",
-            type: nodeInfo?.type || "UNKNOWN",
-            width: nodeInfo?.width || 0,
-            height: nodeInfo?.height || 0,
-            x: nodeInfo?.x || 0,
-            y: nodeInfo?.y || 0,
-          };
-        }
-      }
-    }
   } catch (error) {
     console.error("Error extracting node images:", error.message);
     if (error.response) {
@@ -1613,14 +2017,44 @@ app.post("/api/upload-paywall", upload.single("paywall"), (req, res) => {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
+    const profile = getRequestedProfile(req);
+    if (!isValidProfileName(profile)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid profile name: ${profile}` });
+    }
+    const library = getPatternProfile(profile);
+    const paywallPatterns = library.patterns;
+
     const htmlContent = req.file.buffer.toString("utf-8");
-    console.log(`Analyzing paywall HTML file: ${req.file.originalname}`);
+    console.log(
+      `Analyzing paywall HTML file: ${req.file.originalname} (profile: ${profile})`
+    );
 
-    // Extract patterns from the uploaded paywall
-    const patterns = extractPaywallPatterns(htmlContent);
+    // Extract patterns and merge them with existing patterns
+    const { source, duplicate } = addPaywallSource(
+      paywallPatterns,
+      req.file.originalname,
+      htmlContent
+    );
+
+    if (duplicate) {
+      console.log(
+        `Skipped ${req.file.originalname}: identical to already analyzed ${source.name}`
+      );
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: `Identical paywall already analyzed as ${source.name}`,
+        source: describePaywallSource(source),
+        extractedPatterns: source.patterns,
+        profile,
+        totalPaywallsAnalyzed: paywallPatterns.count,
+        libraryVersion: library.version,
+      });
+    }
 
-    // Merge with existing patterns
-    mergePaywallPatterns(patterns);
+    persistPaywallPatterns(profile, `upload ${req.file.originalname}`);
 
     console.log(
       `Analyzed paywall. Total paywalls analyzed: ${paywallPatterns.count}`
@@ -1632,8 +2066,11 @@ app.post("/api/upload-paywall", upload.single("paywall"), (req, res) => {
     res.json({
       success: true,
       message: "Paywall analyzed and patterns extracted",
-      extractedPatterns: patterns,
+      source: describePaywallSource(source),
+      extractedPatterns: source.patterns,
+      profile,
       totalPaywallsAnalyzed: paywallPatterns.count,
+      libraryVersion: library.version,
       summary: {
         colors: paywallPatterns.colors.length,
         fonts: paywallPatterns.fonts.length,
@@ -1657,68 +2094,235 @@ app.post("/api/upload-paywall", upload.single("paywall"), (req, res) => {
   }
 });
 
-// Upload multiple paywalls at once
-app.post("/api/upload-paywalls", upload.array("paywalls", 20), (req, res) => {
+// Upload a design token file (DTCG / Style Dictionary JSON) as an authoritative source
+app.post("/api/upload-tokens", tokenUpload.single("tokens"), (req, res) => {
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded" });
     }
 
-    const results = [];
-    for (const file of req.files) {
-      try {
-        const htmlContent = file.buffer.toString("utf-8");
-        const patterns = extractPaywallPatterns(htmlContent);
-        mergePaywallPatterns(patterns);
-        results.push({
-          filename: file.originalname,
-          success: true,
-          patterns: patterns,
-        });
-      } catch (error) {
-        results.push({
-          filename: file.originalname,
-          success: false,
-          error: error.message,
-        });
-      }
+    const profile = getRequestedProfile(req);
+    if (!isValidProfileName(profile)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid profile name: ${profile}` });
+    }
+    const library = getPatternProfile(profile);
+    const paywallPatterns = library.patterns;
+
+    console.log(
+      `Importing design tokens: ${req.file.originalname} (profile: ${profile})`
+    );
+
+    let result;
+    try {
+      result = addPaywallSource(
+        paywallPatterns,
+        req.file.originalname,
+        req.file.buffer.toString("utf-8"),
+        "tokens"
+      );
+    } catch (error) {
+      // Invalid JSON or a file without recognizable tokens
+      return res.status(400).json({
+        error: "Could not read design tokens",
+        details: error.message,
+      });
+    }
+    const { source, duplicate } = result;
+
+    if (duplicate) {
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: `Identical file already imported as ${source.name}`,
+        source: describePaywallSource(source),
+        importedPatterns: source.patterns,
+        profile,
+        libraryVersion: library.version,
+      });
     }
 
+    persistPaywallPatterns(profile, `import tokens ${req.file.originalname}`);
+
+    console.log(
+      `Imported ${source.patterns.tokenCount} design token(s) from ${req.file.originalname}`
+    );
+
     res.json({
       success: true,
-      message: `Analyzed ${results.filter((r) => r.success).length} of ${
-        results.length
-      } paywalls`,
-      results: results,
-      totalPaywallsAnalyzed: paywallPatterns.count,
+      message: "Design tokens imported",
+      source: describePaywallSource(source),
+      importedPatterns: source.patterns,
+      profile,
+      libraryVersion: library.version,
       summary: {
-        colors: paywallPatterns.colors.length,
-        fonts: paywallPatterns.fonts.length,
-        fontSizes: paywallPatterns.fontSizes?.length || 0,
-        fontWeights: paywallPatterns.fontWeights?.length || 0,
-        spacing: paywallPatterns.spacing.length,
-        borderRadius: paywallPatterns.borderRadius.length,
-        shadows: paywallPatterns.shadows?.length || 0,
-        borders: paywallPatterns.borders?.length || 0,
-        transitions: paywallPatterns.transitions?.length || 0,
-        gaps: paywallPatterns.gaps?.length || 0,
-        breakpoints: paywallPatterns.breakpoints?.length || 0,
+        tokens: source.patterns.tokenCount,
+        colors: source.patterns.colors?.length || 0,
+        fonts: source.patterns.fonts?.length || 0,
+        fontSizes: source.patterns.fontSizes?.length || 0,
+        spacing: source.patterns.spacing?.length || 0,
+        borderRadius: source.patterns.borderRadius?.length || 0,
+        shadows: source.patterns.shadows?.length || 0,
+        paletteRoles: Object.keys(source.patterns.palette || {}),
       },
     });
   } catch (error) {
-    console.error("Error analyzing paywalls:", error);
+    console.error("Error importing design tokens:", error);
     res.status(500).json({
-      error: "Failed to analyze paywalls",
+      error: "Failed to import design tokens",
       details: error.message,
     });
   }
 });
 
+// Upload multiple paywalls at once
+app.post(
+  "/api/upload-paywalls",
+  bundleUpload.array("paywalls", 50),
+  (req, res) => {
+    try {
+      const skippedFiles = req.skippedFiles || [];
+      if ((!req.files || req.files.length === 0) && skippedFiles.length === 0) {
+        return res.status(400).json({ error: "No files uploaded" });
+      }
+
+      const profile = getRequestedProfile(req);
+      if (!isValidProfileName(profile)) {
+        return res
+          .status(400)
+          .json({ error: `Invalid profile name: ${profile}` });
+      }
+      const library = getPatternProfile(profile);
+      const paywallPatterns = library.patterns;
+
+      // Every HTML file is a paywall; the stylesheets it links or @imports from
+      // the same archive (or the same upload) are analyzed as part of it
+      const results = skippedFiles.map((filename) => ({
+        filename,
+        success: false,
+        skipped: true,
+        error: "Not an HTML, CSS, font or zip file",
+      }));
+      collectBundles(req.files).forEach((bundle) => {
+        const paywalls = resolveBundlePaywalls(bundle);
+        if (bundle.error || paywalls.length === 0) {
+          results.push({
+            filename: bundle.name || [...bundle.files.keys()].join(", "),
+            success: false,
+            error: bundle.error || "No HTML files to analyze",
+          });
+          return;
+        }
+
+        paywalls.forEach((paywall) => {
+          try {
+            const { source, duplicate } = addPaywallSource(
+              paywallPatterns,
+              paywall.name,
+              paywall.html,
+              "html",
+              paywall.original
+            );
+            results.push({
+              filename: paywall.name,
+              success: true,
+              duplicate,
+              stylesheets: paywall.stylesheets,
+              missingReferences: paywall.missing,
+              source: describePaywallSource(source),
+              patterns: source.patterns,
+            });
+          } catch (error) {
+            results.push({
+              filename: paywall.name,
+              success: false,
+              error: error.message,
+            });
+          }
+        });
+      });
+
+      // Save the whole batch as one version so it can be rolled back together
+      const analyzed = results.filter((r) => r.success && !r.duplicate);
+      if (analyzed.length > 0) {
+        persistPaywallPatterns(
+          profile,
+          `upload ${analyzed.map((r) => r.filename).join(", ")}`
+        );
+      }
+
+      res.json({
+        success: true,
+        message: `Analyzed ${results.filter((r) => r.success).length} of ${
+          results.length - skippedFiles.length
+        } paywalls${
+          skippedFiles.length > 0
+            ? `, skipped ${skippedFiles.length} other file(s)`
+            : ""
+        }`,
+        results: results,
+        profile,
+        totalPaywallsAnalyzed: paywallPatterns.count,
+        libraryVersion: library.version,
+        summary: {
+          colors: paywallPatterns.colors.length,
+          fonts: paywallPatterns.fonts.length,
+          fontSizes: paywallPatterns.fontSizes?.length || 0,
+          fontWeights: paywallPatterns.fontWeights?.length || 0,
+          spacing: paywallPatterns.spacing.length,
+          borderRadius: paywallPatterns.borderRadius.length,
+          shadows: paywallPatterns.shadows?.length || 0,
+          borders: paywallPatterns.borders?.length || 0,
+          transitions: paywallPatterns.transitions?.length || 0,
+          gaps: paywallPatterns.gaps?.length || 0,
+          breakpoints: paywallPatterns.breakpoints?.length || 0,
+        },
+      });
+    } catch (error) {
+      console.error("Error analyzing paywalls:", error);
+      res.status(500).json({
+        error: "Failed to analyze paywalls",
+        details: error.message,
+      });
+    }
+  }
+);
+
 // Get current paywall patterns
 app.get("/api/paywall-patterns", (req, res) => {
+  const profile = getRequestedProfile(req);
+  if (!isValidProfileName(profile)) {
+    return res.status(400).json({ error: `Invalid profile name: ${profile}` });
+  }
+  const library = getPatternProfile(profile);
+
+  // ?format=dtcg|css|tailwind exports the library as design tokens
+  if (req.query.format) {
+    if (!EXPORT_FORMATS[req.query.format]) {
+      return res.status(400).json({
+        error: `Unknown format: ${req.query.format}`,
+        formats: Object.keys(EXPORT_FORMATS),
+      });
+    }
+    const exported = exportPatternLibrary(
+      library.patterns,
+      req.query.format,
+      profile
+    );
+    res.type(exported.contentType);
+    res.attachment(exported.fileName);
+    return res.send(exported.body);
+  }
+  // Per-source patterns are served by /api/paywall-sources
+  const { sources, ...paywallPatterns } = library.patterns;
+
   res.json({
     success: true,
+    profile,
     patterns: paywallPatterns,
+    sourceCount: sources.length,
+    libraryVersion: library.version,
     summary: {
       totalPaywallsAnalyzed: paywallPatterns.count,
       colors: paywallPatterns.colors.length,
@@ -1734,337 +2338,581 @@ app.get("/api/paywall-patterns", (req, res) => {
       gaps: paywallPatterns.gaps?.length || 0,
       breakpoints: paywallPatterns.breakpoints?.length || 0,
       animations: paywallPatterns.animations?.length || 0,
+      components: Object.keys(paywallPatterns.components || {}),
     },
   });
 });
 
-// Clear all patterns (for reset)
-app.delete("/api/paywall-patterns", (req, res) => {
-  paywallPatterns = {
-    colors: [],
-    fonts: [],
-    fontSizes: [],
-    fontWeights: [],
-    lineHeights: [],
-    letterSpacing: [],
-    spacing: [],
-    borderRadius: [],
-    shadows: [],
-    borders: [],
-    transitions: [],
-    transforms: [],
-    opacities: [],
-    gradients: [],
-    zIndex: [],
-    gaps: [],
-    widths: [],
-    heights: [],
-    displayTypes: [],
-    flexProperties: [],
-    gridProperties: [],
-    positions: [],
-    textTransforms: [],
-    textDecorations: [],
-    breakpoints: [],
-    animations: [],
-    layouts: [],
-    commonStyles: {},
-    componentStyles: {},
-    count: 0,
-  };
+// List the paywalls that make up a profile's library
+app.get("/api/paywall-sources", (req, res) => {
+  const profile = getRequestedProfile(req);
+  if (!isValidProfileName(profile)) {
+    return res.status(400).json({ error: `Invalid profile name: ${profile}` });
+  }
+  const { patterns } = getPatternProfile(profile);
+
   res.json({
     success: true,
-    message: "All paywall patterns cleared",
+    profile,
+    // Paywalls merged before sources were tracked can't be listed or removed
+    untrackedPaywalls: Math.max(0, patterns.count - patterns.sources.length),
+    sources: patterns.sources.map(describePaywallSource),
   });
 });
 
-// Main endpoint
-app.post("/api/generate-paywall", async (req, res) => {
+// Get one source with the patterns extracted from it
+app.get("/api/paywall-sources/:id", (req, res) => {
+  const profile = getRequestedProfile(req);
+  if (!isValidProfileName(profile)) {
+    return res.status(400).json({ error: `Invalid profile name: ${profile}` });
+  }
+  const source = getPatternProfile(profile).patterns.sources.find(
+    (s) => s.id === req.params.id
+  );
+  if (!source) {
+    return res.status(404).json({ error: `Source ${req.params.id} not found` });
+  }
+
+  res.json({ success: true, profile, source });
+});
+
+// Remove one source and rebuild the library from the remaining ones
+app.delete("/api/paywall-sources/:id", (req, res) => {
   try {
-    const {
-      figmaUrl,
-      pageType = "paywall",
-      generator = "claude",
-      model = "gemini-3-flash",
-    } = req.body;
+    const profile = getRequestedProfile(req);
+    if (!isValidProfileName(profile)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid profile name: ${profile}` });
+    }
+    const library = getPatternProfile(profile);
+    const { sources, count } = library.patterns;
+
+    const source = sources.find((s) => s.id === req.params.id);
+    if (!source) {
+      return res
+        .status(404)
+        .json({ error: `Source ${req.params.id} not found` });
+    }
 
-    if (!figmaUrl) {
-      return res.status(400).json({ error: "Figma URL is required" });
+    // Rebuilding would silently drop paywalls that have no stored source
+    const untracked = count - sources.length;
+    if (untracked > 0) {
+      return res.status(409).json({
+        error: `Profile "${profile}" contains ${untracked} paywall(s) uploaded before sources were tracked, so it can't be rebuilt. Clear the profile and re-upload its paywalls first.`,
+      });
     }
 
-    console.log(
-      `🎨 [generate-paywall] Generating ${pageType} from Figma with ${generator}`
+    library.patterns = rebuildPaywallPatterns(
+      sources.filter((s) => s.id !== source.id)
     );
+    persistPaywallPatterns(profile, `remove ${source.name}`);
 
-    console.log("Processing Figma URL:", figmaUrl);
+    res.json({
+      success: true,
+      message: `Removed ${source.name} and rebuilt patterns from ${library.patterns.count} remaining paywall(s)`,
+      profile,
+      removed: describePaywallSource(source),
+      totalPaywallsAnalyzed: library.patterns.count,
+      libraryVersion: library.version,
+    });
+  } catch (error) {
+    console.error("Error removing paywall source:", error);
+    res.status(500).json({
+      error: "Failed to remove paywall source",
+      details: error.message,
+    });
+  }
+});
 
-    // Extract file key and node ID
-    const fileKey = extractFigmaFileKey(figmaUrl);
-    if (!fileKey) {
-      return res.status(400).json({ error: "Invalid Figma URL" });
+// List saved pattern library versions (newest first)
+app.get("/api/paywall-patterns/snapshots", (req, res) => {
+  try {
+    const profile = getRequestedProfile(req);
+    if (!isValidProfileName(profile)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid profile name: ${profile}` });
     }
 
-    let nodeIdFromUrl = extractNodeId(figmaUrl);
-    console.log("Extracted node ID from URL:", nodeIdFromUrl);
-
-    // Fetch Figma file data
-    console.log("Fetching Figma file...");
-    const figmaData = await fetchFigmaFile(fileKey);
-
-    // If a node ID was provided in the URL, resolve it to the actual node ID
-    let targetNode;
-    let nodeId;
-
-    if (nodeIdFromUrl) {
-      // Resolve path-based ID to actual node ID
-      console.log("Resolving node ID...");
-      nodeId = await resolveNodeId(fileKey, nodeIdFromUrl);
-      console.log("Resolved node ID:", nodeId);
+    res.json({
+      success: true,
+      profile,
+      currentVersion: getPatternProfile(profile).version,
+      snapshots: listPatternSnapshots(profile),
+    });
+  } catch (error) {
+    console.error("Error listing pattern snapshots:", error);
+    res.status(500).json({
+      error: "Failed to list pattern snapshots",
+      details: error.message,
+    });
+  }
+});
 
-      // Try to find the node in the file structure for design token extraction
-      targetNode = findNodeById(figmaData.document, nodeId);
-      if (!targetNode) {
-        // Also try with the original path-based ID
-        targetNode = findNodeById(figmaData.document, nodeIdFromUrl);
-      }
+// Roll the pattern library back to a saved version
+app.post("/api/paywall-patterns/snapshots/:version/restore", (req, res) => {
+  try {
+    const profile = getRequestedProfile(req);
+    if (!isValidProfileName(profile)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid profile name: ${profile}` });
     }
 
-    // If no specific node, find the top-level frame
-    if (!nodeId) {
-      targetNode = findTopLevelNode(figmaData);
-      if (!targetNode) {
-        return res.status(400).json({
-          error:
-            "Could not find a frame to convert. Please select a specific frame in Figma.",
-        });
-      }
-      nodeId = targetNode.id;
-      console.log("Using top-level node:", targetNode.name, nodeId);
+    const version = parseInt(req.params.version, 10);
+    const snapshot = Number.isNaN(version)
+      ? null
+      : readPatternSnapshot(profile, version);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: `Snapshot v${req.params.version} not found in profile "${profile}"`,
+      });
     }
 
-    // Extract design tokens
-    const designTokens = extractDesignTokens(targetNode || figmaData.document);
-    console.log("Extracted design tokens");
+    const library = getPatternProfile(profile);
+    library.patterns = upgradePatternLibrary({
+      ...createEmptyPatterns(),
+      ...snapshot.patterns,
+    });
+    // Restoring creates a new version, so the rollback itself can be undone
+    persistPaywallPatterns(profile, `restore v${version}`);
 
-    // Extract individual node images (icons, images, etc.) from the actual Figma structure
-    console.log("Extracting node images...");
-    const nodeImages = await extractNodeImages(
-      fileKey,
-      targetNode || figmaData.document
-    );
-    console.log(`Extracted ${Object.keys(nodeImages).length} node images`);
+    res.json({
+      success: true,
+      message: `Pattern library "${profile}" restored from v${version}`,
+      profile,
+      restoredFrom: version,
+      libraryVersion: library.version,
+      totalPaywallsAnalyzed: library.patterns.count,
+    });
+  } catch (error) {
+    console.error("Error restoring pattern snapshot:", error);
+    res.status(500).json({
+      error: "Failed to restore pattern snapshot",
+      details: error.message,
+    });
+  }
+});
 
-    // Get main frame image
-    console.log("Fetching main frame image...");
-    const imageBase64 = await getFigmaImage(fileKey, nodeId);
+// Dump a profile's whole library, sources included, in the snapshot file format
+app.get("/api/paywall-patterns/dump", (req, res) => {
+  const profile = getRequestedProfile(req);
+  if (!isValidProfileName(profile)) {
+    return res.status(400).json({ error: `Invalid profile name: ${profile}` });
+  }
+  const library = getPatternProfile(profile);
 
-    // Extract dimensions from target node using multiple strategies
-    let paywallDimensions = { width: 0, height: 0, isMobile: false };
+  res.json({
+    version: library.version,
+    createdAt: new Date().toISOString(),
+    profile,
+    patterns: library.patterns,
+  });
+});
 
-    // Strategy 1: Extract from target node directly
-    if (targetNode) {
-      const dims = extractNodeDimensions(targetNode);
-      if (dims.width > 0 && dims.height > 0) {
-        paywallDimensions.width = dims.width;
-        paywallDimensions.height = dims.height;
+// Replace a profile's library with an uploaded dump (or a saved snapshot file)
+app.post(
+  "/api/paywall-patterns/restore",
+  libraryUpload.single("library"),
+  (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
       }
-    }
-
-    // Strategy 2: If target node doesn't have dimensions, try children
-    if (
-      (paywallDimensions.width === 0 || paywallDimensions.height === 0) &&
-      targetNode?.children?.length > 0
-    ) {
-      // Find the largest child frame (likely the main content)
-      let largestChild = null;
-      let largestArea = 0;
-
-      for (const child of targetNode.children) {
-        const dims = extractNodeDimensions(child);
-        const area = dims.width * dims.height;
-        if (area > largestArea && dims.width > 0 && dims.height > 0) {
-          largestArea = area;
-          largestChild = child;
-        }
+      const profile = getRequestedProfile(req);
+      if (!isValidProfileName(profile)) {
+        return res
+          .status(400)
+          .json({ error: `Invalid profile name: ${profile}` });
       }
 
-      if (largestChild) {
-        const dims = extractNodeDimensions(largestChild);
-        if (paywallDimensions.width === 0 && dims.width > 0)
-          paywallDimensions.width = dims.width;
-        if (paywallDimensions.height === 0 && dims.height > 0)
-          paywallDimensions.height = dims.height;
+      let dump;
+      try {
+        dump = JSON.parse(req.file.buffer.toString("utf-8"));
+      } catch (error) {
+        return res.status(400).json({
+          error: "Could not read library dump",
+          details: error.message,
+        });
+      }
+      if (!dump?.patterns || typeof dump.patterns !== "object") {
+        return res.status(400).json({
+          error: "Not a pattern library dump: missing patterns",
+        });
       }
+
+      const library = getPatternProfile(profile);
+      library.patterns = upgradePatternLibrary({
+        ...createEmptyPatterns(),
+        ...dump.patterns,
+      });
+      // Like a rollback, the restore is a new version and can be undone
+      persistPaywallPatterns(profile, `restore ${req.file.originalname}`);
+
+      res.json({
+        success: true,
+        message: `Pattern library "${profile}" restored from ${req.file.originalname}`,
+        profile,
+        libraryVersion: library.version,
+        totalPaywallsAnalyzed: library.patterns.count,
+        sourceCount: library.patterns.sources.length,
+      });
+    } catch (error) {
+      console.error("Error restoring pattern library:", error);
+      res.status(500).json({
+        error: "Failed to restore pattern library",
+        details: error.message,
+      });
     }
+  }
+);
 
-    // Strategy 3: Try to get from document structure (fallback)
-    if (
-      (paywallDimensions.width === 0 || paywallDimensions.height === 0) &&
-      figmaData.document
-    ) {
-      // Look for the first page and frame
-      if (
-        figmaData.document.children &&
-        figmaData.document.children.length > 0
-      ) {
-        const firstPage = figmaData.document.children[0];
-        if (firstPage.children && firstPage.children.length > 0) {
-          // Find the largest frame in the page
-          let largestFrame = null;
-          let largestArea = 0;
-
-          for (const frame of firstPage.children) {
-            if (
-              frame.type === "FRAME" ||
-              frame.type === "COMPONENT" ||
-              frame.type === "INSTANCE"
-            ) {
-              const dims = extractNodeDimensions(frame);
-              const area = dims.width * dims.height;
-              if (area > largestArea && dims.width > 0 && dims.height > 0) {
-                largestArea = area;
-                largestFrame = frame;
-              }
-            }
-          }
+// Clear all patterns (for reset)
+app.delete("/api/paywall-patterns", (req, res) => {
+  const profile = getRequestedProfile(req);
+  if (!isValidProfileName(profile)) {
+    return res.status(400).json({ error: `Invalid profile name: ${profile}` });
+  }
 
-          if (largestFrame) {
-            const dims = extractNodeDimensions(largestFrame);
-            if (paywallDimensions.width === 0 && dims.width > 0)
-              paywallDimensions.width = dims.width;
-            if (paywallDimensions.height === 0 && dims.height > 0)
-              paywallDimensions.height = dims.height;
-          }
-        }
-      }
+  getPatternProfile(profile).patterns = createEmptyPatterns();
+  persistPaywallPatterns(profile, "clear all patterns");
+  res.json({
+    success: true,
+    message: `All paywall patterns cleared from profile "${profile}"`,
+  });
+});
+
+// Score how closely a paywall follows a profile's pattern library.
+// Accepts an uploaded HTML file ("paywall") or JSON { html, css }
+app.post("/api/score-paywall", upload.single("paywall"), (req, res) => {
+  try {
+    const profile = getRequestedProfile(req);
+    if (!isValidProfileName(profile)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid profile name: ${profile}` });
+    }
+    const stylePatterns = getGenerationPatterns(req);
+    if (!stylePatterns) {
+      return res
+        .status(404)
+        .json({ error: `Style profile "${profile}" not found` });
     }
 
-    // Determine if it's mobile (typically width < 600px or height > width)
-    // Better detection: mobile if width < 600px OR (portrait orientation with width < 800px)
-    if (paywallDimensions.width > 0) {
-      const isPortrait = paywallDimensions.height > paywallDimensions.width;
-      paywallDimensions.isMobile =
-        paywallDimensions.width < 600 ||
-        (isPortrait && paywallDimensions.width < 800);
+    const code = req.file
+      ? { html: req.file.buffer.toString("utf-8") }
+      : { html: req.body.html, css: req.body.css };
+    if (!code.html && !code.css) {
+      return res
+        .status(400)
+        .json({ error: "Upload a paywall file or send html/css to score" });
     }
 
-    console.log(
-      `Paywall dimensions: ${paywallDimensions.width}x${paywallDimensions.height}, Mobile: ${paywallDimensions.isMobile}`
-    );
+    res.json({
+      success: true,
+      profile,
+      styleScore: scorePaywallCode(code, stylePatterns.patterns),
+    });
+  } catch (error) {
+    console.error("Error scoring paywall:", error);
+    res.status(500).json({
+      error: "Failed to score paywall",
+      details: error.message,
+    });
+  }
+});
 
-    // Debug: log node structure if dimensions are still 0
-    if (paywallDimensions.width === 0 || paywallDimensions.height === 0) {
-      console.warn("Could not extract dimensions from node. Node structure:", {
-        hasTargetNode: !!targetNode,
-        targetNodeType: targetNode?.type,
-        targetNodeName: targetNode?.name,
-        hasAbsoluteBoundingBox: !!targetNode?.absoluteBoundingBox,
-        absoluteBoundingBox: targetNode?.absoluteBoundingBox,
-        hasWidth: !!targetNode?.width,
-        hasHeight: !!targetNode?.height,
-        hasChildren: !!targetNode?.children,
-        childrenCount: targetNode?.children?.length || 0,
-        nodeId: nodeId,
+// List style profiles
+app.get("/api/profiles", (req, res) => {
+  try {
+    const profiles = listProfiles();
+    // The default profile always exists, even before anything is uploaded to it
+    if (!profiles.some((p) => p.name === DEFAULT_PROFILE)) {
+      profiles.unshift({
+        name: DEFAULT_PROFILE,
+        version: 0,
+        totalPaywallsAnalyzed: 0,
+        updatedAt: null,
       });
+    }
+    res.json({ success: true, defaultProfile: DEFAULT_PROFILE, profiles });
+  } catch (error) {
+    console.error("Error listing profiles:", error);
+    res.status(500).json({
+      error: "Failed to list profiles",
+      details: error.message,
+    });
+  }
+});
 
-      // Try to log first child info
-      if (targetNode?.children?.length > 0) {
-        const firstChild = targetNode.children[0];
-        console.warn("First child info:", {
-          type: firstChild.type,
-          name: firstChild.name,
-          hasAbsoluteBoundingBox: !!firstChild.absoluteBoundingBox,
-          absoluteBoundingBox: firstChild.absoluteBoundingBox,
-          hasWidth: !!firstChild.width,
-          hasHeight: !!firstChild.height,
-        });
-      }
+// Create an empty style profile
+app.post("/api/profiles", (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!isValidProfileName(name)) {
+      return res.status(400).json({
+        error:
+          "Profile name is required (letters, numbers, '-' and '_', up to 64 characters)",
+      });
+    }
+    if (profileExists(name)) {
+      return res
+        .status(409)
+        .json({ error: `Profile "${name}" already exists` });
     }
 
-    // Check if using Cursor generator
-    if (generator === "cursor") {
-      console.log("🎨 [generate-paywall] Using Cursor for generation...");
-      return await generatePaywallFromFigmaWithCursor(req, res, {
-        figmaData,
-        fileKey,
-        nodeId,
-        targetNode,
-        designTokens,
-        nodeImages,
-        imageBase64,
-        paywallDimensions,
-        pageType,
-        model,
+    getPatternProfile(name).patterns = createEmptyPatterns();
+    persistPaywallPatterns(name, "create profile");
+
+    res.status(201).json({
+      success: true,
+      message: `Profile "${name}" created`,
+      profile: name,
+    });
+  } catch (error) {
+    console.error("Error creating profile:", error);
+    res.status(500).json({
+      error: "Failed to create profile",
+      details: error.message,
+    });
+  }
+});
+
+// Clone a style profile under a new name
+app.post("/api/profiles/:name/clone", (req, res) => {
+  try {
+    const source = req.params.name;
+    const target = req.body.name;
+    if (source !== DEFAULT_PROFILE && !profileExists(source)) {
+      return res.status(404).json({ error: `Profile "${source}" not found` });
+    }
+    if (!isValidProfileName(target)) {
+      return res.status(400).json({
+        error:
+          "New profile name is required (letters, numbers, '-' and '_', up to 64 characters)",
       });
     }
+    if (profileExists(target)) {
+      return res
+        .status(409)
+        .json({ error: `Profile "${target}" already exists` });
+    }
 
-    // Generate code with Claude
-    console.log("Generating code with Claude...");
+    getPatternProfile(target).patterns = JSON.parse(
+      JSON.stringify(getPatternProfile(source).patterns)
+    );
+    persistPaywallPatterns(target, `clone of ${source}`);
 
-    // Build pattern guidance if we have analyzed paywalls
-    let patternGuidance = "";
-    if (paywallPatterns.count > 0) {
-      console.log(
-        `Using patterns from ${paywallPatterns.count} analyzed paywall(s) to guide generation`
-      );
+    res.status(201).json({
+      success: true,
+      message: `Profile "${source}" cloned to "${target}"`,
+      profile: target,
+      totalPaywallsAnalyzed: getPatternProfile(target).patterns.count,
+    });
+  } catch (error) {
+    console.error("Error cloning profile:", error);
+    res.status(500).json({
+      error: "Failed to clone profile",
+      details: error.message,
+    });
+  }
+});
+
+// Delete a style profile and its snapshot history
+app.delete("/api/profiles/:name", (req, res) => {
+  try {
+    const { name } = req.params;
+    if (name === DEFAULT_PROFILE) {
+      return res.status(400).json({
+        error:
+          "The default profile can't be deleted. Use DELETE /api/paywall-patterns to clear it.",
+      });
+    }
+    if (!profileExists(name)) {
+      return res.status(404).json({ error: `Profile "${name}" not found` });
+    }
+
+    deleteProfile(name);
+    delete patternProfiles[name];
+
+    res.json({ success: true, message: `Profile "${name}" deleted` });
+  } catch (error) {
+    console.error("Error deleting profile:", error);
+    res.status(500).json({
+      error: "Failed to delete profile",
+      details: error.message,
+    });
+  }
+});
+
+// Look up the pattern library a generation request asks for (null if the profile is unknown)
+function getGenerationPatterns(req) {
+  const profile = getRequestedProfile(req);
+  if (profile !== DEFAULT_PROFILE && !profileExists(profile)) {
+    return null;
+  }
+  return { profile, patterns: getPatternProfile(profile).patterns };
+}
+
+// Format ranked library entries for a prompt, e.g. "16px (×42), 14px (×30)"
+function formatPatternEntries(
+  entries,
+  limit,
+  { unit = "", separator = ", " } = {}
+) {
+  return (entries || [])
+    .slice(0, limit)
+    .map(toPatternEntry)
+    .map(
+      (entry) =>
+        `${entry.value}${unit} (×${entry.count}${
+          entry.authoritative ? ", token" : ""
+        })`
+    )
+    .join(separator);
+}
+
+// Describe the most widely used variant of each catalogued component for a prompt
+function formatComponentCatalog(components = {}) {
+  return Object.entries(COMPONENT_TYPES)
+    .filter(([type]) => components[type]?.length)
+    .map(([type, label]) => {
+      const component = components[type][0];
+      const styles = Object.entries(component.styles)
+        .map(([selector, properties]) => {
+          const declarations = Object.entries(properties)
+            .map(([prop, value]) => `${prop}: ${value}`)
+            .join("; ");
+          return `${selector} { ${declarations} }`;
+        })
+        .join("\n");
+      return `${label} (used in ${component.paywalls.length} paywall${
+        component.paywalls.length > 1 ? "s" : ""
+      }) - build it like this one:
+\`\`\`html
+${component.skeleton}
+\`\`\`${styles ? `\n\`\`\`css\n${styles}\n\`\`\`` : ""}`;
+    })
+    .join("\n\n");
+}
+
+// Run the generated (or uploaded) code through the pattern extractor and
+// compare the result with the library the prompt asked it to follow
+function scorePaywallCode(code, paywallPatterns) {
+  const paywallHtml = `${code.css ? `<style>${code.css}</style>` : ""}${
+    code.html || ""
+  }`;
+  return scoreStyleConsistency(
+    extractPaywallPatterns(paywallHtml),
+    paywallPatterns
+  );
+}
 
-      const commonColors = paywallPatterns.colors.slice(0, 20).join(", ");
-      const commonFonts = paywallPatterns.fonts.slice(0, 10).join(", ");
-      const commonFontSizes =
-        paywallPatterns.fontSizes
-          ?.slice(0, 12)
-          .map((s) => `${s}px`)
-          .join(", ") || "";
-      const commonFontWeights =
-        paywallPatterns.fontWeights?.slice(0, 8).join(", ") || "";
-      const commonLineHeights =
-        paywallPatterns.lineHeights
-          ?.slice(0, 10)
-          .map((lh) => lh)
-          .join(", ") || "";
-      const commonSpacing = paywallPatterns.spacing
-        .slice(0, 15)
-        .map((s) => `${s}px`)
-        .join(", ");
-      const commonBorderRadius = paywallPatterns.borderRadius
-        .slice(0, 12)
-        .map((br) => `${br}px`)
-        .join(", ");
-      const commonShadows =
-        paywallPatterns.shadows?.slice(0, 8).join("; ") || "";
-      const commonBorders =
-        paywallPatterns.borders?.slice(0, 8).join("; ") || "";
-      const commonTransitions =
-        paywallPatterns.transitions?.slice(0, 8).join("; ") || "";
-      const commonGaps =
-        paywallPatterns.gaps
-          ?.slice(0, 10)
-          .map((g) => `${g}px`)
-          .join(", ") || "";
-      const commonBreakpoints =
-        paywallPatterns.breakpoints
-          ?.slice(0, 8)
-          .map((bp) => `${bp}px`)
-          .join(", ") || "";
-
-      patternGuidance = `
+// Build the STYLE CONSISTENCY GUIDANCE prompt block from a profile's pattern library
+function buildPatternGuidance(paywallPatterns, profile = DEFAULT_PROFILE) {
+  if (paywallPatterns.count === 0) return "";
+
+  console.log(
+    `Using patterns from ${paywallPatterns.count} analyzed paywall(s) in profile "${profile}" to guide generation`
+  );
+
+  const commonColors = formatPatternEntries(paywallPatterns.colors, 20);
+  const paletteRoles = Object.entries(paywallPatterns.palette || {})
+    .filter(([, role]) => role)
+    .map(([name, role]) =>
+      paywallPatterns.tokenPalette?.[name]
+        ? `- ${name}: ${role.value} (design token)`
+        : `- ${name}: ${role.value} (×${role.count})`
+    )
+    .join("\n");
+  const commonFonts = formatPatternEntries(paywallPatterns.fonts, 10);
+  const commonFontSizes = formatPatternEntries(paywallPatterns.fontSizes, 12, {
+    unit: "px",
+  });
+  const commonFontWeights = formatPatternEntries(
+    paywallPatterns.fontWeights,
+    8
+  );
+  const commonLineHeights = formatPatternEntries(
+    paywallPatterns.lineHeights,
+    10
+  );
+  const commonSpacing = formatPatternEntries(paywallPatterns.spacing, 15, {
+    unit: "px",
+  });
+  const commonBorderRadius = formatPatternEntries(
+    paywallPatterns.borderRadius,
+    12,
+    { unit: "px" }
+  );
+  const commonShadows = formatPatternEntries(paywallPatterns.shadows, 8, {
+    separator: "; ",
+  });
+  const commonBorders = formatPatternEntries(paywallPatterns.borders, 8, {
+    separator: "; ",
+  });
+  const commonTransitions = formatPatternEntries(
+    paywallPatterns.transitions,
+    8,
+    { separator: "; " }
+  );
+  const commonGaps = formatPatternEntries(paywallPatterns.gaps, 10, {
+    unit: "px",
+  });
+  const commonBreakpoints = formatPatternEntries(
+    paywallPatterns.breakpoints,
+    8,
+    { unit: "px" }
+  );
+  const componentCatalog = formatComponentCatalog(paywallPatterns.components);
+
+  // The inferred type scale and spacing grid replace the raw lists when they
+  // explain most of the values, so generated sizes snap to the real system
+  const { typeScale, spacingGrid } = paywallPatterns.scales || {};
+  const fontSizeSection =
+    typeScale && typeScale.fit >= MIN_PROMPT_SCALE_FIT
+      ? `TYPE SCALE (snap every font size to one of these steps):
+${typeScale.steps.join("px, ")}px - base ${typeScale.base}px × ${
+          typeScale.ratio
+        } (${typeScale.ratioName}), fits ${Math.round(
+          typeScale.fit * 100
+        )}% of the analyzed font sizes`
+      : `COMMON FONT SIZES (use for text elements):
+${commonFontSizes || "None extracted"}`;
+  const spacingSection =
+    spacingGrid && spacingGrid.fit >= MIN_PROMPT_SCALE_FIT
+      ? `SPACING GRID (use multiples of ${
+          spacingGrid.base
+        }px for padding, margin and gaps):
+Most used steps: ${spacingGrid.steps.join("px, ")}px - fits ${Math.round(
+          spacingGrid.fit * 100
+        )}% of the analyzed spacing values`
+      : `COMMON SPACING VALUES (use for padding/margin when appropriate):
+${commonSpacing || "None extracted"}`;
+
+  return `
 
 ═══════════════════════════════════════════════════════════════
 STYLE CONSISTENCY GUIDANCE (from ${paywallPatterns.count} analyzed paywall${
-        paywallPatterns.count > 1 ? "s" : ""
-      })
+    paywallPatterns.count > 1 ? "s" : ""
+  }, profile "${profile}")
 ═══════════════════════════════════════════════════════════════
 
-To ensure consistency with your existing paywalls, prefer these common patterns when they align with the Figma design:
+To ensure consistency with your existing paywalls, prefer these common patterns when they align with the Figma design.
+Values are ranked by how often they occur; (×N) is the number of occurrences across the analyzed paywalls.
+Values marked "token" come from the brand's design tokens - they are authoritative, prefer them over the other values:
 
-COMMON COLORS (use when similar to Figma colors):
+COLOR PALETTE (roles derived from how colors are used):
+${paletteRoles || "None extracted"}
+
+COMMON COLORS (near-identical shades already merged; use when similar to Figma colors):
 ${commonColors || "None extracted"}
 
 COMMON FONTS (prefer these font families):
 ${commonFonts || "None extracted"}
 
-COMMON FONT SIZES (use for text elements):
-${commonFontSizes || "None extracted"}
+${fontSizeSection}
 
 COMMON FONT WEIGHTS (use for text emphasis):
 ${commonFontWeights || "None extracted"}
@@ -2072,8 +2920,7 @@ ${commonFontWeights || "None extracted"}
 COMMON LINE HEIGHTS (use for text readability):
 ${commonLineHeights || "None extracted"}
 
-COMMON SPACING VALUES (use for padding/margin when appropriate):
-${commonSpacing || "None extracted"}
+${spacingSection}
 
 COMMON BORDER RADIUS (use for rounded corners):
 ${commonBorderRadius || "None extracted"}
@@ -2093,407 +2940,1640 @@ ${commonGaps || "None extracted"}
 COMMON BREAKPOINTS (use for responsive design):
 ${commonBreakpoints || "None extracted"}
 
+COMPONENT CATALOG (how these paywalls build their recurring components):
+${componentCatalog || "None recognized"}
+
 IMPORTANT STYLE GUIDANCE:
 - When the Figma design has colors similar to the common colors above, use the common colors for consistency
+- Use the palette roles for the matching parts of the paywall (page background, cards, primary buttons, highlights, body text)
 - Prefer the common fonts when they match the design aesthetic
-- Use common spacing values when they align with the Figma layout
+- Use the spacing grid (or the common spacing values) when they align with the Figma layout
+- When a type scale is given, round Figma font sizes to its nearest step
 - Apply common border radius values for buttons, cards, and containers
 - Use common shadow styles for similar elevation effects
+- When the Figma design has one of the catalog components, build it like the catalog example (same structure, classes and styles) while keeping the Figma content
 - Balance pixel-perfect accuracy with style consistency - prioritize Figma accuracy but use common patterns when they align
 
 ═══════════════════════════════════════════════════════════════`;
-    }
+}
 
-    const layoutType = paywallDimensions.isMobile ? "mobile" : "desktop";
-    const containerWidth =
-      paywallDimensions.width > 0
-        ? paywallDimensions.width
-        : paywallDimensions.isMobile
-        ? 375
-        : 1200;
+// Validate the reference examples sent with a generation request and extract
+// their patterns. They guide that one generation and never reach the library.
+// Returns { examples } or { error }
+function parseReferenceExamples(examples) {
+  if (examples === undefined || examples === null) return { examples: [] };
+  if (!Array.isArray(examples)) {
+    return { error: "examples must be an array of { name, html } objects" };
+  }
+  if (examples.length > MAX_REFERENCE_EXAMPLES) {
+    return {
+      error: `At most ${MAX_REFERENCE_EXAMPLES} reference examples can be sent`,
+    };
+  }
+  const invalid = examples.findIndex(
+    (example) => typeof example?.html !== "string" || !example.html.trim()
+  );
+  if (invalid !== -1) {
+    return { error: `Reference example ${invalid + 1} has no HTML` };
+  }
 
-    const prompt = `Recreate the Figma design as pixel-perfect HTML/CSS/JS.
+  return {
+    examples: examples.map((example, i) => ({
+      name:
+        typeof example.name === "string" && example.name.trim()
+          ? example.name.trim()
+          : `example-${i + 1}`,
+      html: example.html,
+      patterns: extractPaywallPatterns(example.html),
+    })),
+  };
+}
 
-Dimensions: ${paywallDimensions.width}px × ${paywallDimensions.height}px
-${
-  paywallDimensions.isMobile
-    ? `CRITICAL: Width must be EXACTLY ${paywallDimensions.width}px. No overflow.`
-    : `Container: ${containerWidth}px wide`
+// What the UI shows about the examples a generation used
+function describeReferenceExamples(examples) {
+  return examples.map(({ name, patterns }) => ({
+    name,
+    colors: patterns.colors.slice(0, 5).map((entry) => entry.value),
+    fonts: patterns.fonts.slice(0, 3).map((entry) => entry.value),
+  }));
 }
 
-IGNORE: iPhone status bar (top) and home indicator (bottom). Only recreate app content.
+// What the UI shows about the Figma variables and styles a generation used
+function describeFigmaTheme(theme, replaced) {
+  return {
+    properties: theme.properties.length,
+    modes: theme.modes,
+    replacedColors: replaced,
+  };
+}
 
-Required CSS base:
-\`\`\`css
-* { margin: 0; padding: 0; box-sizing: border-box; }
-   html, body {
-     width: 100%;
-     height: 100%;
-  overflow-x: hidden;
-     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+// Append the variant state CSS and JS to generated code
+function appendVariantStates(code, variants) {
+  if (!variants) return;
+  code.css = [
+    code.css,
+    `/* Component states from the Figma variants */\n${variants.states.css}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+  code.js = [code.js, variants.states.js].filter(Boolean).join("\n\n");
 }
-body {
-  display: flex;
-  justify-content: center;
-  align-items: flex-start;
-     background: #ffffff;
-  min-height: 100vh;
-   }
-   .paywall-container {
-  width: ${paywallDimensions.width}px;
-  max-width: ${paywallDimensions.width}px;
-     min-height: ${paywallDimensions.height}px;
-  position: relative;
-     background: #ffffff;
-  margin: 0;
-  padding: 0;
-  overflow-x: hidden;
+
+// Render generated code and compare it with the Figma export of the frame;
+// a missing browser or image only costs the score
+async function checkFidelity(
+  code,
+  { fileKey, nodeId, imageBase64, paywallDimensions }
+) {
+  if (!paywallDimensions.width || !paywallDimensions.height) return null;
+  try {
+    const reference = imageBase64 || (await getFigmaImage(fileKey, nodeId));
+    const result = await measureFidelity(
+      code,
+      Buffer.from(reference, "base64"),
+      paywallDimensions
+    );
+    console.log(`Fidelity score: ${result.score}/100`);
+    return result;
+  } catch (error) {
+    console.warn(`⚠️  Could not measure fidelity: ${error.message}`);
+    return null;
+  }
 }
-\`\`\`
 
-Steps:
-1. Build HTML structure with <div class="paywall-container"> matching the Figma layout
-2. Use flexbox/grid for layout - avoid absolute positioning unless elements overlap
-3. Apply colors, fonts, spacing from designTokens (see below)
-4. Use {{IMAGE_X}} placeholders for images
-5. Keep everything within ${paywallDimensions.width}px width
+// Check generated code's visible text against the Figma node's text layers
+function checkFigmaText(code, targetNode) {
+  if (!targetNode) return null;
+  try {
+    const coverage = checkTextCoverage(collectFigmaTexts(targetNode), code);
+    if (coverage.score !== null) {
+      console.log(
+        `Text coverage: ${coverage.matched}/${coverage.total} (${coverage.missing.length} missing, ${coverage.altered.length} altered, ${coverage.invented.length} invented)`
+      );
+    }
+    return coverage;
+  } catch (error) {
+    console.warn(`⚠️  Could not check text coverage: ${error.message}`);
+    return null;
+  }
+}
 
-Design Tokens:
-${JSON.stringify(designTokens, null, 2)}
+// Ask Claude to fix the prices and legal texts its first answer lost or
+// changed, continuing the same conversation so it edits that answer
+async function retryCriticalText(
+  content,
+  previousText,
+  coverage,
+  imagePlaceholderMap
+) {
+  const response = await anthropic.messages.create({
+    model: "claude-haiku-4-5-20251001",
+    max_tokens: 16384,
+    messages: [
+      { role: "user", content },
+      { role: "assistant", content: previousText },
+      {
+        role: "user",
+        content: `Your code is missing or changes text from the design. Prices and legal text must appear exactly as written in Figma:
 
-Use tokens for:
-- Colors: tokens.colors (exact rgba values)
-- Fonts: tokens.fonts (family, size, weight, lineHeight)
-- Spacing: tokens.spacing (padding/margin)
-- Border radius: tokens.borderRadius
-- Node positions: tokens.nodes (x, y, width, height, background, border-radius, fonts)
+${formatCriticalTextGaps(coverage)}
 
-Output JSON format:
-{
-  "html": "<!-- HTML with <div class=\"paywall-container\"> -->",
-  "css": "/* Complete CSS with reset + styles */",
-  "js": "// JavaScript for interactivity"
+Return the complete corrected code with every text above copied character for character, and nothing else changed. Same JSON format as before (no markdown).`,
+      },
+    ],
+  });
+
+  const textContent = response.content.find((block) => block.type === "text");
+  if (!textContent) {
+    throw new Error("No text response from Claude");
+  }
+
+  let jsonText = textContent.text.trim();
+  jsonText = jsonText.replace(/^```json\s*/i, "");
+  jsonText = jsonText.replace(/^```\s*/g, "");
+  jsonText = jsonText.replace(/\s*```\s*$/g, "");
+  jsonText = jsonText.trim();
+
+  const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    jsonText = jsonMatch[0];
+  }
+
+  let code;
+  try {
+    code = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error(`Failed to parse the corrected code: ${error.message}`);
+  }
+  if (!code.html || !code.css) {
+    throw new Error("Missing required fields in the corrected code");
+  }
+  return {
+    html: restorePlaceholders(code.html, imagePlaceholderMap),
+    css: restorePlaceholders(code.css, imagePlaceholderMap),
+    js: restorePlaceholders(code.js || "", imagePlaceholderMap),
+  };
 }
 
-${
-  patternGuidance
-    ? `\n\nStyle Patterns (use when matching Figma colors/fonts):\n${patternGuidance}`
-    : ""
+// What the UI shows about the component variants a generation made interactive
+function describeVariantStates(variants) {
+  if (!variants) return null;
+  return {
+    groups: variants.interactive.groups.map((group) => ({
+      set: group.set,
+      property: group.property,
+      instances: group.nodes.length,
+    })),
+    toggles: variants.interactive.toggles.map((toggle) => ({
+      property: toggle.property,
+      values: toggle.values,
+      targets: toggle.targets.length,
+    })),
+    warnings: variants.interactive.warnings,
+  };
 }
 
-Generate valid JSON with complete working code.`;
+// Build the REFERENCE EXAMPLES prompt block: the examples' combined patterns
+// followed by their code as few-shot references
+function buildExampleGuidance(examples) {
+  if (examples.length === 0) return "";
 
-    // Build content array with main frame image and extracted node images
-    const content = [
-      {
-        type: "image",
-        source: {
-          type: "base64",
-          media_type: "image/png",
-          data: imageBase64,
-        },
-      },
-      {
-        type: "text",
-        text: "[Main Frame Image: Complete paywall design from Figma]",
-      },
-    ];
+  console.log(
+    `Using ${examples.length} reference example(s) to guide this generation`
+  );
+
+  // Combined the same way as a library, but only for this request
+  const combined = createEmptyPatterns();
+  examples.forEach((example) =>
+    mergePaywallPatterns(combined, example.patterns, example.name)
+  );
+  const paletteRoles = Object.entries(combined.palette || {})
+    .filter(([, role]) => role)
+    .map(([name, role]) => `${name}: ${role.value}`)
+    .join(", ");
+  const exampleCode = examples
+    .map((example, i) => {
+      const html =
+        example.html.length > MAX_EXAMPLE_PROMPT_LENGTH
+          ? `${example.html.slice(
+              0,
+              MAX_EXAMPLE_PROMPT_LENGTH
+            )}\n<!-- truncated -->`
+          : example.html;
+      return `EXAMPLE ${i + 1}: ${example.name}
+\`\`\`html
+${html}
+\`\`\``;
+    })
+    .join("\n\n");
+
+  return `
+
+═══════════════════════════════════════════════════════════════
+REFERENCE EXAMPLES (${examples.length} paywall${
+    examples.length > 1 ? "s" : ""
+  } chosen for this generation)
+═══════════════════════════════════════════════════════════════
+
+These examples were picked for this paywall. Match their visual style (colors, typography, spacing, corners, shadows and how components are built) wherever the design leaves room; when they disagree with the style consistency guidance, follow the examples. Don't copy their text or images.
+
+Palette: ${paletteRoles || "None extracted"}
+Colors: ${formatPatternEntries(combined.colors, 15) || "None extracted"}
+Fonts: ${formatPatternEntries(combined.fonts, 6) || "None extracted"}
+Font sizes: ${
+    formatPatternEntries(combined.fontSizes, 10, { unit: "px" }) ||
+    "None extracted"
+  }
+Spacing: ${
+    formatPatternEntries(combined.spacing, 12, { unit: "px" }) ||
+    "None extracted"
+  }
+Border radius: ${
+    formatPatternEntries(combined.borderRadius, 8, { unit: "px" }) ||
+    "None extracted"
+  }
+Shadows: ${
+    formatPatternEntries(combined.shadows, 5, { separator: "; " }) ||
+    "None extracted"
+  }
+
+${exampleCode}
+
+═══════════════════════════════════════════════════════════════`;
+}
+
+// Everything generation needs about one Figma node: its design tokens, the
+// images exported from it, a preview of the frame and the paywall's size.
+// Batches pass in the images they exported for all frames at once.
+async function prepareFigmaNode({
+  fileKey,
+  figmaData,
+  targetNode,
+  nodeId,
+  generator,
+  nodeImages,
+  imageBase64 = null,
+}) {
+  // Extract design tokens
+  const designTokens = extractDesignTokens(targetNode || figmaData.document);
+
+  // Component instances whose variants become interactive states
+  const interactive = targetNode
+    ? findInteractiveVariants(targetNode, figmaData)
+    : null;
+  const variants = interactive
+    ? { interactive, states: buildVariantStates(interactive) }
+    : null;
+  if (variants) {
+    console.log(
+      `Interactive variants: ${interactive.groups.length} selection group(s), ${interactive.toggles.length} toggle(s)`
+    );
+    interactive.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+  }
+  console.log(
+    `Extracted design tokens (${designTokens.layers.shown} of ${designTokens.layers.total} layers in the tree)`
+  );
+
+  // Extract individual node images (icons, images, etc.) from the actual
+  // Figma structure, unless a batch already exported them for the whole page
+  if (!nodeImages) {
+    console.log("Extracting node images...");
+    nodeImages = await extractNodeImages(
+      fileKey,
+      targetNode || figmaData.document
+    );
+  }
+  console.log(`Extracted ${Object.keys(nodeImages).length} node images`);
+
+  // Get main frame image (the compiler works from the node tree alone)
+  if (generator !== "compiler" && !imageBase64) {
+    console.log("Fetching main frame image...");
+    imageBase64 = await getFigmaImage(fileKey, nodeId);
+  }
+
+  // Extract dimensions from target node using multiple strategies
+  let paywallDimensions = { width: 0, height: 0, isMobile: false };
+
+  // Strategy 1: Extract from target node directly
+  if (targetNode) {
+    const dims = extractNodeDimensions(targetNode);
+    if (dims.width > 0 && dims.height > 0) {
+      paywallDimensions.width = dims.width;
+      paywallDimensions.height = dims.height;
+    }
+  }
+
+  // Strategy 2: If target node doesn't have dimensions, try children
+  if (
+    (paywallDimensions.width === 0 || paywallDimensions.height === 0) &&
+    targetNode?.children?.length > 0
+  ) {
+    // Find the largest child frame (likely the main content)
+    let largestChild = null;
+    let largestArea = 0;
+
+    for (const child of targetNode.children) {
+      const dims = extractNodeDimensions(child);
+      const area = dims.width * dims.height;
+      if (area > largestArea && dims.width > 0 && dims.height > 0) {
+        largestArea = area;
+        largestChild = child;
+      }
+    }
+
+    if (largestChild) {
+      const dims = extractNodeDimensions(largestChild);
+      if (paywallDimensions.width === 0 && dims.width > 0)
+        paywallDimensions.width = dims.width;
+      if (paywallDimensions.height === 0 && dims.height > 0)
+        paywallDimensions.height = dims.height;
+    }
+  }
+
+  // Strategy 3: Try to get from document structure (fallback)
+  if (
+    (paywallDimensions.width === 0 || paywallDimensions.height === 0) &&
+    figmaData.document
+  ) {
+    // Look for the first page and frame
+    if (figmaData.document.children && figmaData.document.children.length > 0) {
+      const firstPage = figmaData.document.children[0];
+      if (firstPage.children && firstPage.children.length > 0) {
+        // Find the largest frame in the page
+        let largestFrame = null;
+        let largestArea = 0;
+
+        for (const frame of firstPage.children) {
+          if (
+            frame.type === "FRAME" ||
+            frame.type === "COMPONENT" ||
+            frame.type === "INSTANCE"
+          ) {
+            const dims = extractNodeDimensions(frame);
+            const area = dims.width * dims.height;
+            if (area > largestArea && dims.width > 0 && dims.height > 0) {
+              largestArea = area;
+              largestFrame = frame;
+            }
+          }
+        }
+
+        if (largestFrame) {
+          const dims = extractNodeDimensions(largestFrame);
+          if (paywallDimensions.width === 0 && dims.width > 0)
+            paywallDimensions.width = dims.width;
+          if (paywallDimensions.height === 0 && dims.height > 0)
+            paywallDimensions.height = dims.height;
+        }
+      }
+    }
+  }
+
+  // Determine if it's mobile (typically width < 600px or height > width)
+  // Better detection: mobile if width < 600px OR (portrait orientation with width < 800px)
+  if (paywallDimensions.width > 0) {
+    const isPortrait = paywallDimensions.height > paywallDimensions.width;
+    paywallDimensions.isMobile =
+      paywallDimensions.width < 600 ||
+      (isPortrait && paywallDimensions.width < 800);
+  }
+
+  console.log(
+    `Paywall dimensions: ${paywallDimensions.width}x${paywallDimensions.height}, Mobile: ${paywallDimensions.isMobile}`
+  );
+
+  // Debug: log node structure if dimensions are still 0
+  if (paywallDimensions.width === 0 || paywallDimensions.height === 0) {
+    console.warn("Could not extract dimensions from node. Node structure:", {
+      hasTargetNode: !!targetNode,
+      targetNodeType: targetNode?.type,
+      targetNodeName: targetNode?.name,
+      hasAbsoluteBoundingBox: !!targetNode?.absoluteBoundingBox,
+      absoluteBoundingBox: targetNode?.absoluteBoundingBox,
+      hasWidth: !!targetNode?.width,
+      hasHeight: !!targetNode?.height,
+      hasChildren: !!targetNode?.children,
+      childrenCount: targetNode?.children?.length || 0,
+      nodeId: nodeId,
+    });
+
+    // Try to log first child info
+    if (targetNode?.children?.length > 0) {
+      const firstChild = targetNode.children[0];
+      console.warn("First child info:", {
+        type: firstChild.type,
+        name: firstChild.name,
+        hasAbsoluteBoundingBox: !!firstChild.absoluteBoundingBox,
+        absoluteBoundingBox: firstChild.absoluteBoundingBox,
+        hasWidth: !!firstChild.width,
+        hasHeight: !!firstChild.height,
+      });
+    }
+  }
+
+  return { designTokens, nodeImages, imageBase64, paywallDimensions, variants };
+}
+
+// Generate the code for one prepared Figma node with the compiler or Claude,
+// returning the /api/generate-paywall response. Screens of a prototype flow
+// also get their hotspots marked up for the navigation
+async function generateFigmaPaywall({
+  fileKey,
+  nodeId,
+  targetNode,
+  generator,
+  pageType,
+  prepared,
+  stylePatterns,
+  examples,
+  patternGuidance,
+  theme,
+  flow = null,
+  flowScreen = null,
+  refine = false,
+  fidelity = false,
+  textRetry = false,
+}) {
+  const { designTokens, nodeImages, imageBase64, paywallDimensions, variants } =
+    prepared;
+  const attributes = variants?.states.attributes || {};
+  const compileOptions = {
+    images: nodeImages,
+    attributes: flowScreen
+      ? withHotspotAttributes(attributes, flowScreen)
+      : attributes,
+    showHidden: variants?.states.showHidden,
+  };
+
+  // The compiler turns the node tree into HTML/CSS directly: no LLM, no
+  // cost, and the same output for the same file version
+  if (generator === "compiler") {
+    console.log("🎨 [generate-paywall] Compiling the Figma node tree...");
+    const compiledCode = compileFigmaNode(targetNode, compileOptions);
+    appendVariantStates(compiledCode, variants);
+    const themed = applyFigmaTheme(compiledCode.css, theme);
+    compiledCode.css = themed.css;
+
+    let styleScore = null;
+    try {
+      styleScore = scorePaywallCode(compiledCode, stylePatterns.patterns);
+    } catch (error) {
+      console.warn(`⚠️  Could not score style consistency: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      code: compiledCode,
+      designTokens,
+      dimensions: paywallDimensions,
+      styleScore,
+      fidelity: fidelity
+        ? await checkFidelity(compiledCode, {
+            fileKey,
+            nodeId,
+            imageBase64,
+            paywallDimensions,
+          })
+        : null,
+      textCoverage: checkFigmaText(compiledCode, targetNode),
+      generator: "compiler",
+      theme: describeFigmaTheme(theme, themed.replaced),
+      variants: describeVariantStates(variants),
+      metadata: {
+        figmaFileKey: fileKey,
+        nodeId: nodeId,
+        nodeImageCount: Object.keys(nodeImages).length,
+        styleProfile: stylePatterns.profile,
+      },
+    };
+  }
+
+  // Generate code with Claude
+  console.log("Generating code with Claude...");
+
+  // Sections for the optional refinement pass, marked in the first generation
+  // so they can be found again
+  const refineSections =
+    refine && targetNode
+      ? identifySections(targetNode).slice(0, MAX_REFINE_SECTIONS)
+      : [];
+
+  const layoutType = paywallDimensions.isMobile ? "mobile" : "desktop";
+  const containerWidth =
+    paywallDimensions.width > 0
+      ? paywallDimensions.width
+      : paywallDimensions.isMobile
+      ? 375
+      : 1200;
+
+  const prompt = `Recreate the Figma design as pixel-perfect HTML/CSS/JS.
+
+Dimensions: ${paywallDimensions.width}px × ${paywallDimensions.height}px
+${
+  paywallDimensions.isMobile
+    ? `CRITICAL: Width must be EXACTLY ${paywallDimensions.width}px. No overflow.`
+    : `Container: ${containerWidth}px wide`
+}
+
+IGNORE: iPhone status bar (top) and home indicator (bottom). Only recreate app content.
+
+Required CSS base:
+\`\`\`css
+* { margin: 0; padding: 0; box-sizing: border-box; }
+   html, body {
+     width: 100%;
+     height: 100%;
+  overflow-x: hidden;
+     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}
+body {
+  display: flex;
+  justify-content: center;
+  align-items: flex-start;
+     background: #ffffff;
+  min-height: 100vh;
+   }
+   .paywall-container {
+  width: ${paywallDimensions.width}px;
+  max-width: ${paywallDimensions.width}px;
+     min-height: ${paywallDimensions.height}px;
+  position: relative;
+     background: #ffffff;
+  margin: 0;
+  padding: 0;
+  overflow-x: hidden;
+}
+\`\`\`
+
+Steps:
+1. Build HTML structure with <div class="paywall-container"> matching the Figma layout
+2. Use flexbox/grid for layout - avoid absolute positioning unless elements overlap
+3. Apply colors, fonts, spacing and effects from the design tokens and layer tree (see below) - use their exact values
+4. Use {{IMAGE_X}} placeholders for images
+5. Keep everything within ${paywallDimensions.width}px width
+
+Design Tokens:
+${formatDesignTokens(designTokens)}
+${
+  theme.properties.length > 0
+    ? `
+Figma Variables & Styles (CSS custom properties, added to your CSS for you - don't redefine them):
+${theme.css}
+
+Reference these with var(--name) wherever the design uses their values, instead of hard-coding colors${
+        theme.modes.includes("dark")
+          ? '. Dark mode switches them through [data-theme="dark"] and prefers-color-scheme'
+          : ""
+      }.
+`
+    : ""
+}${
+    variants
+      ? `\n${formatVariantPrompt(variants.interactive, variants.states)}\n`
+      : ""
+  }${flowScreen ? `\n${formatPrototypePrompt(flow, flowScreen)}\n` : ""}${
+    refineSections.length > 0
+      ? `
+SECTIONS: put data-node-id on the root element of each of these sections:
+${refineSections
+  .map((section) => `  - "${section.name}": data-node-id="${section.id}"`)
+  .join("\n")}
+`
+      : ""
+  }
+Output JSON format:
+{
+  "html": "<!-- HTML with <div class=\"paywall-container\"> -->",
+  "css": "/* Complete CSS with reset + styles */",
+  "js": "// JavaScript for interactivity"
+}
+
+${
+  patternGuidance
+    ? `\n\nStyle Patterns (use when matching Figma colors/fonts):\n${patternGuidance}`
+    : ""
+}
+
+Generate valid JSON with complete working code.`;
+
+  // Build content array with main frame image and extracted node images
+  const content = [
+    {
+      type: "image",
+      source: {
+        type: "base64",
+        media_type: "image/png",
+        data: imageBase64,
+      },
+    },
+    {
+      type: "text",
+      text: "[Main Frame Image: Complete paywall design from Figma]",
+    },
+  ];
+
+  // Add extracted node images (limit to 6 most important to avoid token limits)
+  const nodeImageEntries = Object.entries(nodeImages).slice(0, 6);
+  const imageReferences = [];
+
+  for (let i = 0; i < nodeImageEntries.length; i++) {
+    const [nodeId, img] = nodeImageEntries[i];
+    const imageIndex = i + 1;
+    const imageName = img.name || `Icon_${imageIndex}`;
+
+    content.push({
+      type: "image",
+      source: {
+        type: "base64",
+        media_type: "image/png",
+        data: img.base64,
+      },
+    });
+
+    content.push({
+      type: "text",
+      text: `[Image ${imageIndex}: ${imageName} (${img.type})]`,
+    });
+
+    imageReferences.push({
+      index: imageIndex,
+      name: imageName,
+      type: img.type,
+      dataUrl: img.dataUrl, // Keep dataUrl for the prompt
+      width: img.width || 0,
+      height: img.height || 0,
+      x: img.x || 0,
+      y: img.y || 0,
+    });
+  }
+
+  // Add the main prompt with image references (use placeholders, not full data URLs)
+  const promptWithReferences =
+    prompt +
+    (imageReferences.length > 0
+      ? `\n\n═══════════════════════════════════════════════════════════════
+EXTRACTED FIGMA IMAGES - USE THESE WITH EXACT POSITIONING
+═══════════════════════════════════════════════════════════════
+
+${imageReferences
+  .map(
+    (ref) =>
+      `{{IMAGE_${ref.index}}} - ${ref.name} (${ref.type})\n  Position: x=${ref.x}px, y=${ref.y}px\n  Dimensions: ${ref.width}px × ${ref.height}px`
+  )
+  .join("\n\n")}
+
+CRITICAL IMAGE PLACEMENT RULES:
+1. Use the EXACT position (x, y) and dimensions (width, height) provided above
+2. Place images using absolute positioning or flexbox with exact margins:
+   - CSS: position: absolute; left: ${imageReferences[0]?.x || 0}px; top: ${
+          imageReferences[0]?.y || 0
+        }px; width: ${imageReferences[0]?.width || 0}px; height: ${
+          imageReferences[0]?.height || 0
+        }px;
+   - OR use flexbox with margin-left and margin-top to achieve the same position
+3. HTML format: <img src="{{IMAGE_X}}" alt="..." width="${
+          imageReferences[0]?.width || 0
+        }" height="${
+          imageReferences[0]?.height || 0
+        }" style="position: absolute; left: ${
+          imageReferences[0]?.x || 0
+        }px; top: ${imageReferences[0]?.y || 0}px;" />
+4. NEVER recreate images with CSS shapes, gradients, or SVG paths
+5. Match the exact position and size from the Figma design
+6. The placeholders will be replaced with actual images server-side
+
+═══════════════════════════════════════════════════════════════`
+      : "");
+
+  // Create a mapping of placeholders to actual data URLs for post-processing
+  const imagePlaceholderMap = {};
+  imageReferences.forEach((ref) => {
+    imagePlaceholderMap[`{{IMAGE_${ref.index}}}`] = ref.dataUrl;
+  });
+
+  content.push({
+    type: "text",
+    text: promptWithReferences,
+  });
+
+  // claude-sonnet-4-5-20250929
+  // claude-opus-4-5-20251101
+  // claude-haiku-4-5-20251001
+  const response = await anthropic.messages.create({
+    model: "claude-haiku-4-5-20251001",
+    max_tokens: 16384, // Increased to handle large CSS/HTML/JS responses
+    messages: [
+      {
+        role: "user",
+        content: content,
+      },
+    ],
+  });
+
+  // Extract the generated code
+  const textContent = response.content.find((block) => block.type === "text");
+  if (!textContent) {
+    throw new Error("No text response from Claude");
+  }
+
+  // Parse the JSON response
+  let generatedCode;
+  // Set when Claude's output was unusable and the compiler stood in for it
+  let fallbackReason = null;
+  try {
+    // Remove markdown code blocks if present (handle various formats)
+    let jsonText = textContent.text.trim();
+
+    // Remove markdown code blocks - handle ```json, ```, and any leading/trailing whitespace
+    jsonText = jsonText.replace(/^```json\s*/i, ""); // Remove opening ```json
+    jsonText = jsonText.replace(/^```\s*/g, ""); // Remove opening ```
+    jsonText = jsonText.replace(/\s*```\s*$/g, ""); // Remove closing ```
+    jsonText = jsonText.trim();
+
+    // Try to find JSON object boundaries if response is malformed
+    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      jsonText = jsonMatch[0];
+    }
+
+    generatedCode = JSON.parse(jsonText);
+
+    // Replace image placeholders with actual base64 data URLs
+    if (Object.keys(imagePlaceholderMap).length > 0) {
+      Object.entries(imagePlaceholderMap).forEach(([placeholder, dataUrl]) => {
+        if (generatedCode.html) {
+          generatedCode.html = generatedCode.html.replace(
+            new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
+            dataUrl
+          );
+        }
+        if (generatedCode.css) {
+          generatedCode.css = generatedCode.css.replace(
+            new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
+            dataUrl
+          );
+        }
+        if (generatedCode.js) {
+          generatedCode.js = generatedCode.js.replace(
+            new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
+            dataUrl
+          );
+        }
+      });
+    }
+
+    // Validate that we have the required fields
+    if (!generatedCode.html || !generatedCode.css || !generatedCode.js) {
+      throw new Error("Missing required fields in generated code");
+    }
+
+    // Ensure CSS has base styles to prevent black screen
+    if (
+      !generatedCode.css.includes("body") &&
+      !generatedCode.css.includes("html")
+    ) {
+      const baseCSS = `* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #ffffff; }
+.paywall-container { position: relative; width: ${containerWidth}px; min-height: ${paywallDimensions.height}px; margin: 0 auto; background: #ffffff; }
+`;
+      generatedCode.css = baseCSS + generatedCode.css;
+    }
+
+    // Ensure HTML has the container
+    if (!generatedCode.html.includes("paywall-container")) {
+      generatedCode.html = `<div class="paywall-container">${generatedCode.html}</div>`;
+    }
+  } catch (parseError) {
+    console.error("Failed to parse Claude response");
+    console.error("Parse error:", parseError.message);
+    console.error("Response length:", textContent.text.length);
+    console.error(
+      "Response preview (first 500 chars):",
+      textContent.text.substring(0, 500)
+    );
+    console.error(
+      "Response preview (last 500 chars):",
+      textContent.text.substring(Math.max(0, textContent.text.length - 500))
+    );
+
+    // Try to extract partial JSON if possible
+    try {
+      const jsonMatch = textContent.text.match(
+        /\{[\s\S]*"html"[\s\S]*"css"[\s\S]*"js"[\s\S]*\}/
+      );
+      if (jsonMatch) {
+        const partialJson = jsonMatch[0];
+        // Try to close any unclosed strings/objects
+        let fixedJson = partialJson;
+        // Count quotes to see if strings are closed
+        const quoteCount = (fixedJson.match(/"/g) || []).length;
+        if (quoteCount % 2 !== 0) {
+          fixedJson += '"';
+        }
+        // Try to close the JSON object
+        if (!fixedJson.endsWith("}")) {
+          fixedJson += "}";
+        }
+        generatedCode = JSON.parse(fixedJson);
+        console.log("Successfully parsed partial JSON");
+
+        // Replace image placeholders with actual base64 data URLs (recovery path)
+        if (Object.keys(imagePlaceholderMap).length > 0) {
+          Object.entries(imagePlaceholderMap).forEach(
+            ([placeholder, dataUrl]) => {
+              if (generatedCode.html) {
+                generatedCode.html = generatedCode.html.replace(
+                  new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
+                  dataUrl
+                );
+              }
+              if (generatedCode.css) {
+                generatedCode.css = generatedCode.css.replace(
+                  new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
+                  dataUrl
+                );
+              }
+              if (generatedCode.js) {
+                generatedCode.js = generatedCode.js.replace(
+                  new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
+                  dataUrl
+                );
+              }
+            }
+          );
+        }
+      } else {
+        throw parseError;
+      }
+    } catch (recoveryError) {
+      if (!targetNode) {
+        throw new Error(
+          `Failed to parse generated code: ${parseError.message}. Response may be truncated.`
+        );
+      }
+      // Broken output falls back to the compiled node tree, so the request
+      // still returns a paywall
+      fallbackReason = `Failed to parse generated code: ${parseError.message}`;
+      console.warn(`⚠️  ${fallbackReason} - using the Figma compiler instead`);
+      generatedCode = compileFigmaNode(targetNode, compileOptions);
+    }
+  }
+
+  console.log("Successfully generated paywall code");
+
+  // Validate the generated code has proper structure
+  if (
+    generatedCode.css &&
+    !generatedCode.css.includes("body") &&
+    !generatedCode.css.includes(".paywall-container")
+  ) {
+    console.warn(
+      "Generated CSS may be missing base styles, adding fallback..."
+    );
+    const baseCSS = `* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+.paywall-container { position: relative; width: ${containerWidth}px; min-height: ${paywallDimensions.height}px; margin: 0 auto; }
+`;
+    generatedCode.css = baseCSS + generatedCode.css;
+  }
+
+  // Optionally ask once more when prices or legal texts went missing; the
+  // answer is kept only if it loses fewer of them
+  let textRetryReport = null;
+  if (textRetry && targetNode && !fallbackReason) {
+    const coverage = checkFigmaText(generatedCode, targetNode);
+    if (coverage?.critical > 0) {
+      console.log(
+        `Retrying generation for ${coverage.critical} missing or changed price/legal text(s)...`
+      );
+      textRetryReport = {
+        critical: coverage.critical,
+        retriedCritical: null,
+        kept: false,
+        error: null,
+      };
+      try {
+        const corrected = await retryCriticalText(
+          content,
+          textContent.text,
+          coverage,
+          imagePlaceholderMap
+        );
+        const correctedCoverage = checkFigmaText(corrected, targetNode);
+        textRetryReport.retriedCritical = correctedCoverage?.critical ?? null;
+        if (
+          correctedCoverage &&
+          correctedCoverage.critical < coverage.critical
+        ) {
+          generatedCode = corrected;
+          textRetryReport.kept = true;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Text retry failed: ${error.message}`);
+        textRetryReport.error = error.message;
+      }
+    }
+  }
+
+  // Optional quality pass over the design's sections; output the compiler
+  // stood in for isn't refined
+  let refinement = null;
+  if (refine && targetNode && !fallbackReason) {
+    const refined = await refinePaywallCode(
+      generatedCode,
+      refineSections,
+      fileKey,
+      imagePlaceholderMap,
+      patternGuidance
+    );
+    generatedCode = refined.code;
+    refinement = {
+      refined: refined.sections.filter(
+        (section) => section.status === "refined"
+      ).length,
+      sections: refined.sections,
+    };
+  }
+
+  // The states go after the model's CSS so they win over its base styles
+  appendVariantStates(generatedCode, variants);
+
+  // Hard-coded colors that match a Figma variable or style become var()
+  // references, after the theme's custom properties
+  const themed = applyFigmaTheme(generatedCode.css || "", theme);
+  generatedCode.css = themed.css;
+  if (themed.replaced > 0) {
+    console.log(
+      `Referenced Figma variables and styles in ${themed.replaced} color value(s)`
+    );
+  }
+
+  // Check how well the output follows the pattern library; a scoring
+  // failure shouldn't cost the user their generated paywall
+  let styleScore = null;
+  try {
+    styleScore = scorePaywallCode(generatedCode, stylePatterns.patterns);
+    if (styleScore.score !== null) {
+      console.log(`Style consistency score: ${styleScore.score}/100`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not score style consistency: ${error.message}`);
+  }
+
+  // Create lightweight image metadata (without full base64 data)
+  const imageMetadata = Object.entries(nodeImages).reduce(
+    (acc, [nodeId, img]) => {
+      const node = designTokens.nodes.find((n) => n.id === nodeId);
+      acc[nodeId] = {
+        name: node?.n || "Unknown",
+        hasImage: true,
+        // Don't include full base64 in response - it's already in the generated code
+      };
+      return acc;
+    },
+    {}
+  );
+
+  return {
+    success: true,
+    code: generatedCode,
+    designTokens,
+    imageMetadata, // Lightweight metadata about extracted images
+    dimensions: paywallDimensions, // Pass dimensions to frontend
+    styleScore,
+    fidelity: fidelity
+      ? await checkFidelity(generatedCode, {
+          fileKey,
+          nodeId,
+          imageBase64,
+          paywallDimensions,
+        })
+      : null,
+    textCoverage: checkFigmaText(generatedCode, targetNode),
+    textRetry: textRetryReport,
+    referenceExamples: describeReferenceExamples(examples),
+    generator: fallbackReason ? "compiler" : "claude",
+    fallbackReason,
+    theme: describeFigmaTheme(theme, themed.replaced),
+    variants: describeVariantStates(variants),
+    refinement,
+    metadata: {
+      figmaFileKey: fileKey,
+      nodeId: nodeId,
+      nodeImageCount: Object.keys(nodeImages).length,
+      styleProfile: stylePatterns.profile,
+    },
+  };
+}
+
+// Main endpoint
+app.post("/api/generate-paywall", async (req, res) => {
+  try {
+    const {
+      figmaUrl,
+      pageType = "paywall",
+      generator = "claude",
+      model = "gemini-3-flash",
+      flow = false,
+      refine = false,
+      fidelity = false,
+      textRetry = false,
+    } = req.body;
+
+    if (!figmaUrl) {
+      return res.status(400).json({ error: "Figma URL is required" });
+    }
+    if (flow && !["claude", "compiler"].includes(generator)) {
+      return res.status(400).json({
+        error: `Prototype flows support the claude and compiler generators, not "${generator}"`,
+      });
+    }
+
+    const stylePatterns = getGenerationPatterns(req);
+    if (!stylePatterns) {
+      return res
+        .status(404)
+        .json({ error: `Style profile "${req.body.profile}" not found` });
+    }
+
+    const { examples, error: examplesError } = parseReferenceExamples(
+      req.body.examples
+    );
+    if (examplesError) {
+      return res.status(400).json({ error: examplesError });
+    }
+
+    console.log(
+      `🎨 [generate-paywall] Generating ${pageType} from Figma with ${generator}`
+    );
+
+    console.log("Processing Figma URL:", figmaUrl);
+
+    // Extract file key and node ID
+    const fileKey = extractFigmaFileKey(figmaUrl);
+    if (!fileKey) {
+      return res.status(400).json({ error: "Invalid Figma URL" });
+    }
+
+    let nodeIdFromUrl = extractNodeId(figmaUrl);
+    console.log("Extracted node ID from URL:", nodeIdFromUrl);
+
+    // Responses for an unchanged file version come from the Figma cache
+    const fileVersion = await lookupFigmaFileVersion(fileKey);
+    console.log("Figma file version:", fileVersion || "unknown (not cached)");
+
+    // Fetch Figma file data
+    console.log("Fetching Figma file...");
+    const figmaData = await fetchFigmaFile(fileKey);
+
+    // If a node ID was provided in the URL, resolve it to the actual node ID
+    let targetNode;
+    let nodeId;
+
+    if (nodeIdFromUrl) {
+      // Resolve path-based ID to actual node ID
+      console.log("Resolving node ID...");
+      nodeId = await resolveNodeId(fileKey, nodeIdFromUrl);
+      console.log("Resolved node ID:", nodeId);
+
+      // Try to find the node in the file structure for design token extraction
+      targetNode = findNodeById(figmaData.document, nodeId);
+      if (!targetNode) {
+        // Also try with the original path-based ID
+        targetNode = findNodeById(figmaData.document, nodeIdFromUrl);
+      }
+    }
+
+    // If no specific node, find the top-level frame
+    if (!nodeId) {
+      targetNode = findTopLevelNode(figmaData);
+      if (!targetNode) {
+        return res.status(400).json({
+          error:
+            "Could not find a frame to convert. Please select a specific frame in Figma.",
+        });
+      }
+      nodeId = targetNode.id;
+      console.log("Using top-level node:", targetNode.name, nodeId);
+    }
+
+    // Follow the prototype links from this frame and generate every screen
+    if (flow) {
+      const prototype =
+        targetNode &&
+        findPrototypeFlow(figmaData, targetNode, {
+          maxScreens: MAX_FLOW_SCREENS,
+        });
+      if (!prototype) {
+        return res.status(400).json({
+          error: `Node ${nodeId} isn't a frame on a page, so there's no prototype flow to follow`,
+        });
+      }
+      console.log(
+        `🔗 [flow] ${prototype.screens.length} screen(s), ${prototype.links} link(s) from ${prototype.start}`
+      );
+      prototype.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
+      return res.json(
+        await generateFigmaFlow({
+          fileKey,
+          figmaData,
+          flow: prototype,
+          generator,
+          pageType,
+          stylePatterns,
+          examples,
+          patternGuidance:
+            buildPatternGuidance(
+              stylePatterns.patterns,
+              stylePatterns.profile
+            ) + buildExampleGuidance(examples),
+          refine,
+          fidelity,
+          textRetry,
+        })
+      );
+    }
 
-    // Add extracted node images (limit to 6 most important to avoid token limits)
-    const nodeImageEntries = Object.entries(nodeImages).slice(0, 6);
-    const imageReferences = [];
+    const prepared = await prepareFigmaNode({
+      fileKey,
+      figmaData,
+      targetNode,
+      nodeId,
+      generator,
+    });
+    const { designTokens, nodeImages, imageBase64, paywallDimensions } =
+      prepared;
 
-    for (let i = 0; i < nodeImageEntries.length; i++) {
-      const [nodeId, img] = nodeImageEntries[i];
-      const imageIndex = i + 1;
-      const imageName = img.name || `Icon_${imageIndex}`;
-
-      content.push({
-        type: "image",
-        source: {
-          type: "base64",
-          media_type: "image/png",
-          data: img.base64,
-        },
-      });
+    // Build pattern guidance if we have analyzed paywalls, then the request's
+    // own reference examples
+    const patternGuidance =
+      buildPatternGuidance(stylePatterns.patterns, stylePatterns.profile) +
+      buildExampleGuidance(examples);
 
-      content.push({
-        type: "text",
-        text: `[Image ${imageIndex}: ${imageName} (${img.type})]`,
+    // Check if using Cursor generator
+    if (generator === "cursor") {
+      console.log("🎨 [generate-paywall] Using Cursor for generation...");
+      return await generatePaywallFromFigmaWithCursor(req, res, {
+        figmaData,
+        fileKey,
+        nodeId,
+        targetNode,
+        designTokens,
+        nodeImages,
+        imageBase64,
+        paywallDimensions,
+        pageType,
+        model,
+        patternGuidance,
+        referenceExamples: describeReferenceExamples(examples),
       });
+    }
 
-      imageReferences.push({
-        index: imageIndex,
-        name: imageName,
-        type: img.type,
-        dataUrl: img.dataUrl, // Keep dataUrl for the prompt
-        width: img.width || 0,
-        height: img.height || 0,
-        x: img.x || 0,
-        y: img.y || 0,
+    // Variables and styles become CSS custom properties the code refers to
+    const theme = await loadFigmaTheme(fileKey, figmaData);
+
+    if (generator === "compiler" && !targetNode) {
+      return res.status(400).json({
+        error: `Node ${nodeId} was not found in the file, so it can't be compiled`,
       });
     }
 
-    // Add the main prompt with image references (use placeholders, not full data URLs)
-    const promptWithReferences =
-      prompt +
-      (imageReferences.length > 0
-        ? `\n\n═══════════════════════════════════════════════════════════════
-EXTRACTED FIGMA IMAGES - USE THESE WITH EXACT POSITIONING
-═══════════════════════════════════════════════════════════════
+    res.json(
+      await generateFigmaPaywall({
+        fileKey,
+        nodeId,
+        targetNode,
+        generator,
+        pageType,
+        prepared,
+        stylePatterns,
+        examples,
+        patternGuidance,
+        theme,
+        refine,
+        fidelity,
+        textRetry,
+      })
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to generate paywall",
+      details: error.response?.data || error.stack,
+    });
+  }
+});
 
-${imageReferences
-  .map(
-    (ref) =>
-      `{{IMAGE_${ref.index}}} - ${ref.name} (${ref.type})\n  Position: x=${ref.x}px, y=${ref.y}px\n  Dimensions: ${ref.width}px × ${ref.height}px`
-  )
-  .join("\n\n")}
+// Frames generated at once in a batch (each is a Claude call)
+const BATCH_CONCURRENCY = 3;
+// Pages with more frames than this are usually not a set of paywalls
+const MAX_BATCH_FRAMES = 30;
+// Prototype flows longer than this are cut off (each screen is a Claude call)
+const MAX_FLOW_SCREENS = 12;
+
+// The top-level frames of a page or section, including those in its sections
+function findBatchFrames(node) {
+  return (node.children || [])
+    .filter((child) => child.visible !== false)
+    .flatMap((child) => {
+      if (child.type === "SECTION") return findBatchFrames(child);
+      return ["FRAME", "COMPONENT", "INSTANCE"].includes(child.type)
+        ? [child]
+        : [];
+    });
+}
 
-CRITICAL IMAGE PLACEMENT RULES:
-1. Use the EXACT position (x, y) and dimensions (width, height) provided above
-2. Place images using absolute positioning or flexbox with exact margins:
-   - CSS: position: absolute; left: ${imageReferences[0]?.x || 0}px; top: ${
-            imageReferences[0]?.y || 0
-          }px; width: ${imageReferences[0]?.width || 0}px; height: ${
-            imageReferences[0]?.height || 0
-          }px;
-   - OR use flexbox with margin-left and margin-top to achieve the same position
-3. HTML format: <img src="{{IMAGE_X}}" alt="..." width="${
-            imageReferences[0]?.width || 0
-          }" height="${
-            imageReferences[0]?.height || 0
-          }" style="position: absolute; left: ${
-            imageReferences[0]?.x || 0
-          }px; top: ${imageReferences[0]?.y || 0}px;" />
-4. NEVER recreate images with CSS shapes, gradients, or SVG paths
-5. Match the exact position and size from the Figma design
-6. The placeholders will be replaced with actual images server-side
+// Export the images of every frame in a batch with one Figma request, and the
+// frame previews with another. Instances of the same component at the same
+// size render alike, so each is exported once and shared between frames
+async function extractBatchAssets(fileKey, frames, generator) {
+  const imageNodes = frames.flatMap((frame) =>
+    findImageNodes(frame, 8).map((node) => ({ ...node, frameId: frame.id }))
+  );
+  const exportedNodes = new Map();
+  imageNodes.forEach((node) => {
+    const key = node.componentId
+      ? `${node.componentId}@${node.width}x${node.height}`
+      : node.id;
+    if (!exportedNodes.has(key)) exportedNodes.set(key, node);
+    node.assetId = exportedNodes.get(key).id;
+  });
 
-═══════════════════════════════════════════════════════════════`
-        : "");
+  let exported = {};
+  if (exportedNodes.size > 0) {
+    const assetNodes = [...exportedNodes.values()];
+    const nodeIds = assetNodes.map((node) => node.id).join(",");
+    try {
+      exported = await cachedFigmaRequest(
+        fileKey,
+        `node images ${nodeIds}`,
+        () => downloadNodeImages(fileKey, nodeIds, assetNodes)
+      );
+    } catch (error) {
+      // Frames are still generated, just without exported images
+      console.error("Error extracting batch images:", error.message);
+    }
+  }
 
-    // Create a mapping of placeholders to actual data URLs for post-processing
-    const imagePlaceholderMap = {};
-    imageReferences.forEach((ref) => {
-      imagePlaceholderMap[`{{IMAGE_${ref.index}}}`] = ref.dataUrl;
-    });
+  const frameImages = Object.fromEntries(frames.map((frame) => [frame.id, {}]));
+  imageNodes.forEach((node) => {
+    const image = exported[node.assetId];
+    if (!image) return;
+    frameImages[node.frameId][node.id] = {
+      ...image,
+      name: node.name,
+      type: node.type,
+      width: node.width,
+      height: node.height,
+      x: node.x,
+      y: node.y,
+    };
+  });
 
-    content.push({
-      type: "text",
-      text: promptWithReferences,
-    });
+  // The compiler works from the node tree alone
+  let previews = {};
+  if (generator !== "compiler") {
+    const frameIds = frames.map((frame) => frame.id).join(",");
+    const frameNodes = frames.map((frame) => ({
+      id: frame.id,
+      name: frame.name,
+      type: frame.type,
+    }));
+    previews = await cachedFigmaRequest(
+      fileKey,
+      `node images ${frameIds}`,
+      () => downloadNodeImages(fileKey, frameIds, frameNodes)
+    );
+  }
 
-    // claude-sonnet-4-5-20250929
-    // claude-opus-4-5-20251101
-    // claude-haiku-4-5-20251001
-    const response = await anthropic.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 16384, // Increased to handle large CSS/HTML/JS responses
-      messages: [
-        {
-          role: "user",
-          content: content,
-        },
-      ],
+  return {
+    frameImages,
+    previews,
+    summary: {
+      images: imageNodes.filter((node) => exported[node.assetId]).length,
+      exported: Object.keys(exported).length,
+      previews: Object.keys(previews).length,
+    },
+  };
+}
+
+// Generate every frame of a batch job, a few at a time, recording each
+// frame's status and result on the job as it goes
+async function runBatchJob(
+  job,
+  {
+    fileKey,
+    figmaData,
+    frames,
+    generator,
+    pageType,
+    stylePatterns,
+    examples,
+    fidelity,
+    textRetry,
+  }
+) {
+  try {
+    const patternGuidance =
+      buildPatternGuidance(stylePatterns.patterns, stylePatterns.profile) +
+      buildExampleGuidance(examples);
+    const theme = await loadFigmaTheme(fileKey, figmaData);
+    const assets = await extractBatchAssets(fileKey, frames, generator);
+    job.assets = assets.summary;
+
+    await mapWithConcurrency(frames, BATCH_CONCURRENCY, async (frame, i) => {
+      const entry = job.frames[i];
+      entry.status = "generating";
+      try {
+        const prepared = await prepareFigmaNode({
+          fileKey,
+          figmaData,
+          targetNode: frame,
+          nodeId: frame.id,
+          generator,
+          nodeImages: assets.frameImages[frame.id],
+          imageBase64: assets.previews[frame.id]?.base64,
+        });
+        entry.result = await generateFigmaPaywall({
+          fileKey,
+          nodeId: frame.id,
+          targetNode: frame,
+          generator,
+          pageType,
+          prepared,
+          stylePatterns,
+          examples,
+          patternGuidance,
+          theme,
+          fidelity,
+          textRetry,
+        });
+        entry.status = "done";
+      } catch (error) {
+        console.error(`Batch frame "${frame.name}" failed:`, error.message);
+        entry.status = "failed";
+        entry.error = error.message;
+      }
+      console.log(
+        `📦 [batch ${job.id}] ${entry.status}: ${frame.name} (${i + 1}/${
+          frames.length
+        })`
+      );
     });
+    finishBatchJob(job);
+  } catch (error) {
+    console.error(`Batch job ${job.id} failed:`, error);
+    job.frames
+      .filter((frame) => frame.status === "pending")
+      .forEach((frame) => {
+        frame.status = "failed";
+        frame.error = "The batch stopped before this frame was generated";
+      });
+    finishBatchJob(job, error);
+  }
+}
 
-    // Extract the generated code
-    const textContent = response.content.find((block) => block.type === "text");
-    if (!textContent) {
-      throw new Error("No text response from Claude");
+// Generate every screen a prototype reaches from the start frame, sharing
+// one asset export like a batch, and combine them into one navigable page
+async function generateFigmaFlow({
+  fileKey,
+  figmaData,
+  flow,
+  generator,
+  pageType,
+  stylePatterns,
+  examples,
+  patternGuidance,
+  refine,
+  fidelity,
+  textRetry,
+}) {
+  const theme = await loadFigmaTheme(fileKey, figmaData);
+  const frames = flow.screens.map((screen) => screen.node);
+  const assets = await extractBatchAssets(fileKey, frames, generator);
+
+  const results = await mapWithConcurrency(
+    flow.screens,
+    BATCH_CONCURRENCY,
+    async (screen, i) => {
+      const prepared = await prepareFigmaNode({
+        fileKey,
+        figmaData,
+        targetNode: screen.node,
+        nodeId: screen.id,
+        generator,
+        nodeImages: assets.frameImages[screen.id],
+        imageBase64: assets.previews[screen.id]?.base64,
+      });
+      const result = await generateFigmaPaywall({
+        fileKey,
+        nodeId: screen.id,
+        targetNode: screen.node,
+        generator,
+        pageType,
+        prepared,
+        stylePatterns,
+        examples,
+        patternGuidance,
+        theme,
+        flow,
+        flowScreen: screen,
+        refine,
+        fidelity,
+        textRetry,
+      });
+      console.log(
+        `🔗 [flow] Generated ${screen.name} (${i + 1}/${flow.screens.length})`
+      );
+      return result;
     }
+  );
 
-    // Parse the JSON response
-    let generatedCode;
-    try {
-      // Remove markdown code blocks if present (handle various formats)
-      let jsonText = textContent.text.trim();
-
-      // Remove markdown code blocks - handle ```json, ```, and any leading/trailing whitespace
-      jsonText = jsonText.replace(/^```json\s*/i, ""); // Remove opening ```json
-      jsonText = jsonText.replace(/^```\s*/g, ""); // Remove opening ```
-      jsonText = jsonText.replace(/\s*```\s*$/g, ""); // Remove closing ```
-      jsonText = jsonText.trim();
+  const code = buildFlowCode(
+    flow,
+    results.map((result) => result.code)
+  );
+  const [start] = results;
+  let styleScore = null;
+  try {
+    styleScore = scorePaywallCode(code, stylePatterns.patterns);
+  } catch (error) {
+    console.warn(`⚠️  Could not score style consistency: ${error.message}`);
+  }
 
-      // Try to find JSON object boundaries if response is malformed
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[0];
-      }
+  return {
+    success: true,
+    code,
+    designTokens: start.designTokens,
+    dimensions: start.dimensions,
+    styleScore,
+    referenceExamples: describeReferenceExamples(examples),
+    generator,
+    theme: start.theme,
+    flow: describePrototypeFlow(flow),
+    screens: results.map((result, i) => ({
+      nodeId: flow.screens[i].id,
+      name: flow.screens[i].name,
+      generator: result.generator,
+      fallbackReason: result.fallbackReason || null,
+      styleScore: result.styleScore?.score ?? null,
+      fidelity: result.fidelity,
+      textCoverage: result.textCoverage,
+      textRetry: result.textRetry || null,
+      dimensions: result.dimensions,
+      variants: result.variants,
+      refinement: result.refinement || null,
+    })),
+    metadata: {
+      figmaFileKey: fileKey,
+      nodeId: flow.start,
+      nodeImageCount: assets.summary.images,
+      styleProfile: stylePatterns.profile,
+    },
+  };
+}
 
-      generatedCode = JSON.parse(jsonText);
-
-      // Replace image placeholders with actual base64 data URLs
-      if (Object.keys(imagePlaceholderMap).length > 0) {
-        Object.entries(imagePlaceholderMap).forEach(
-          ([placeholder, dataUrl]) => {
-            if (generatedCode.html) {
-              generatedCode.html = generatedCode.html.replace(
-                new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-                dataUrl
-              );
-            }
-            if (generatedCode.css) {
-              generatedCode.css = generatedCode.css.replace(
-                new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-                dataUrl
-              );
-            }
-            if (generatedCode.js) {
-              generatedCode.js = generatedCode.js.replace(
-                new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-                dataUrl
-              );
-            }
-          }
-        );
-      }
+// Generate every top-level frame of a Figma page or section as its own
+// paywall. Responds right away with a job to poll; frames share one asset export
+app.post("/api/generate-paywall-batch", async (req, res) => {
+  try {
+    const {
+      figmaUrl,
+      pageType = "paywall",
+      generator = "claude",
+      fidelity = false,
+      textRetry = false,
+    } = req.body;
 
-      // Validate that we have the required fields
-      if (!generatedCode.html || !generatedCode.css || !generatedCode.js) {
-        throw new Error("Missing required fields in generated code");
-      }
+    if (!figmaUrl) {
+      return res.status(400).json({ error: "Figma URL is required" });
+    }
+    if (!["claude", "compiler"].includes(generator)) {
+      return res.status(400).json({
+        error: `Batch generation supports the claude and compiler generators, not "${generator}"`,
+      });
+    }
 
-      // Ensure CSS has base styles to prevent black screen
-      if (
-        !generatedCode.css.includes("body") &&
-        !generatedCode.css.includes("html")
-      ) {
-        const baseCSS = `* { margin: 0; padding: 0; box-sizing: border-box; }
-html, body { width: 100%; height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #ffffff; }
-.paywall-container { position: relative; width: ${containerWidth}px; min-height: ${paywallDimensions.height}px; margin: 0 auto; background: #ffffff; }
-`;
-        generatedCode.css = baseCSS + generatedCode.css;
-      }
+    const stylePatterns = getGenerationPatterns(req);
+    if (!stylePatterns) {
+      return res
+        .status(404)
+        .json({ error: `Style profile "${req.body.profile}" not found` });
+    }
 
-      // Ensure HTML has the container
-      if (!generatedCode.html.includes("paywall-container")) {
-        generatedCode.html = `<div class="paywall-container">${generatedCode.html}</div>`;
-      }
-    } catch (parseError) {
-      console.error("Failed to parse Claude response");
-      console.error("Parse error:", parseError.message);
-      console.error("Response length:", textContent.text.length);
-      console.error(
-        "Response preview (first 500 chars):",
-        textContent.text.substring(0, 500)
-      );
-      console.error(
-        "Response preview (last 500 chars):",
-        textContent.text.substring(Math.max(0, textContent.text.length - 500))
-      );
+    const { examples, error: examplesError } = parseReferenceExamples(
+      req.body.examples
+    );
+    if (examplesError) {
+      return res.status(400).json({ error: examplesError });
+    }
 
-      // Try to extract partial JSON if possible
-      try {
-        const jsonMatch = textContent.text.match(
-          /\{[\s\S]*"html"[\s\S]*"css"[\s\S]*"js"[\s\S]*\}/
-        );
-        if (jsonMatch) {
-          const partialJson = jsonMatch[0];
-          // Try to close any unclosed strings/objects
-          let fixedJson = partialJson;
-          // Count quotes to see if strings are closed
-          const quoteCount = (fixedJson.match(/"/g) || []).length;
-          if (quoteCount % 2 !== 0) {
-            fixedJson += '"';
-          }
-          // Try to close the JSON object
-          if (!fixedJson.endsWith("}")) {
-            fixedJson += "}";
-          }
-          generatedCode = JSON.parse(fixedJson);
-          console.log("Successfully parsed partial JSON");
-
-          // Replace image placeholders with actual base64 data URLs (recovery path)
-          if (Object.keys(imagePlaceholderMap).length > 0) {
-            Object.entries(imagePlaceholderMap).forEach(
-              ([placeholder, dataUrl]) => {
-                if (generatedCode.html) {
-                  generatedCode.html = generatedCode.html.replace(
-                    new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-                    dataUrl
-                  );
-                }
-                if (generatedCode.css) {
-                  generatedCode.css = generatedCode.css.replace(
-                    new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-                    dataUrl
-                  );
-                }
-                if (generatedCode.js) {
-                  generatedCode.js = generatedCode.js.replace(
-                    new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"),
-                    dataUrl
-                  );
-                }
-              }
-            );
-          }
-        } else {
-          throw parseError;
-        }
-      } catch (recoveryError) {
-        throw new Error(
-          `Failed to parse generated code: ${parseError.message}. Response may be truncated.`
-        );
-      }
+    const fileKey = extractFigmaFileKey(figmaUrl);
+    if (!fileKey) {
+      return res.status(400).json({ error: "Invalid Figma URL" });
     }
 
-    console.log("Successfully generated paywall code");
+    await lookupFigmaFileVersion(fileKey);
+    const figmaData = await fetchFigmaFile(fileKey);
 
-    // Validate the generated code has proper structure
-    if (
-      generatedCode.css &&
-      !generatedCode.css.includes("body") &&
-      !generatedCode.css.includes(".paywall-container")
-    ) {
-      console.warn(
-        "Generated CSS may be missing base styles, adding fallback..."
-      );
-      const baseCSS = `* { margin: 0; padding: 0; box-sizing: border-box; }
-html, body { width: 100%; height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
-.paywall-container { position: relative; width: ${containerWidth}px; min-height: ${paywallDimensions.height}px; margin: 0 auto; }
-`;
-      generatedCode.css = baseCSS + generatedCode.css;
+    // Without a node in the URL, the file's first page is used
+    const nodeIdFromUrl = extractNodeId(figmaUrl);
+    let container = figmaData.document.children?.[0];
+    if (nodeIdFromUrl) {
+      const nodeId = await resolveNodeId(fileKey, nodeIdFromUrl);
+      container =
+        findNodeById(figmaData.document, nodeId) ||
+        findNodeById(figmaData.document, nodeIdFromUrl);
+    }
+    if (!container) {
+      return res
+        .status(404)
+        .json({ error: "The page or section was not found in the file" });
+    }
+    if (!["CANVAS", "SECTION"].includes(container.type)) {
+      return res.status(400).json({
+        error: `Batch generation needs a page or section URL, but "${
+          container.name
+        }" is a ${container.type.toLowerCase()}. Use /api/generate-paywall for a single frame.`,
+      });
     }
 
-    // Skip refinement for now - focus on getting base generation working first
-    // Refinement can be re-enabled once base generation is stable
-    console.log("Using initial generation (refinement disabled for stability)");
+    const frames = findBatchFrames(container);
+    if (frames.length === 0) {
+      return res
+        .status(400)
+        .json({ error: `"${container.name}" has no frames to generate` });
+    }
+    if (frames.length > MAX_BATCH_FRAMES) {
+      return res.status(400).json({
+        error: `"${container.name}" has ${frames.length} frames, more than the ${MAX_BATCH_FRAMES} a batch can generate`,
+      });
+    }
 
-    // Create lightweight image metadata (without full base64 data)
-    const imageMetadata = Object.entries(nodeImages).reduce(
-      (acc, [nodeId, img]) => {
-        const node = designTokens.nodes.find((n) => n.id === nodeId);
-        acc[nodeId] = {
-          name: node?.name || "Unknown",
-          hasImage: true,
-          // Don't include full base64 in response - it's already in the generated code
-        };
-        return acc;
-      },
-      {}
+    const job = createBatchJob({ fileKey, figmaUrl, generator, frames });
+    console.log(
+      `📦 [batch ${job.id}] Generating ${frames.length} frames from "${container.name}" with ${generator}`
     );
-
-    res.json({
-      success: true,
-      code: generatedCode,
-      designTokens,
-      imageMetadata, // Lightweight metadata about extracted images
-      dimensions: paywallDimensions, // Pass dimensions to frontend
-      metadata: {
-        figmaFileKey: fileKey,
-        nodeId: nodeId,
-        nodeImageCount: Object.keys(nodeImages).length,
-      },
+    runBatchJob(job, {
+      fileKey,
+      figmaData,
+      frames,
+      generator,
+      pageType,
+      stylePatterns,
+      examples,
+      fidelity,
+      textRetry,
     });
+
+    res.status(202).json(describeBatchJob(job));
   } catch (error) {
     console.error("Error:", error);
     res.status(500).json({
-      error: error.message || "Failed to generate paywall",
-      details: error.response?.data || error.stack,
+      error: error.message || "Failed to start batch generation",
+    });
+  }
+});
+
+// Status of a batch job, frame by frame
+app.get("/api/generate-paywall-batch/:jobId", (req, res) => {
+  const job = getBatchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Batch job not found" });
+  }
+  res.json(describeBatchJob(job));
+});
+
+// One generated frame of a batch job, as /api/generate-paywall returns it
+app.get("/api/generate-paywall-batch/:jobId/frames/:nodeId", (req, res) => {
+  const job = getBatchJob(req.params.jobId);
+  const frame = job?.frames.find((entry) => entry.nodeId === req.params.nodeId);
+  if (!frame) {
+    return res.status(404).json({ error: "Batch frame not found" });
+  }
+  if (frame.status !== "done") {
+    return res.status(409).json({
+      error: `Frame "${frame.name}" is ${frame.status}`,
+      status: frame.status,
+      frameError: frame.error,
     });
   }
+  res.json(frame.result);
+});
+
+// All generated frames of a finished batch job as one zip
+app.get("/api/generate-paywall-batch/:jobId/download", (req, res) => {
+  const job = getBatchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Batch job not found" });
+  }
+  if (job.status === "running") {
+    return res.status(409).json({ error: "Batch job is still running" });
+  }
+  res.attachment(`paywalls-${job.fileKey}-${job.id.slice(0, 8)}.zip`);
+  res.type("application/zip");
+  res.send(buildBatchArchive(job));
 });
 
 // Health check endpoint
@@ -3485,6 +5565,21 @@ app.post("/api/generate-paywall-from-app", async (req, res) => {
       });
     }
 
+    const stylePatterns = getGenerationPatterns(req);
+    if (!stylePatterns) {
+      return res.status(404).json({
+        success: false,
+        error: `Style profile "${req.body.profile}" not found`,
+      });
+    }
+
+    const { examples, error: examplesError } = parseReferenceExamples(
+      req.body.examples
+    );
+    if (examplesError) {
+      return res.status(400).json({ success: false, error: examplesError });
+    }
+
     console.log(
       "🚀 [generate-paywall-from-app] Fetching app information from:",
       appUrl
@@ -3710,6 +5805,14 @@ Return the code in this format:
 Include all CSS in <style> tags and JavaScript in <script> tags. Make sure to use the app icon URL if provided.`;
     }
 
+    // Steer the design toward the requested style profile and the request's
+    // reference examples
+    paywallPrompt += buildPatternGuidance(
+      stylePatterns.patterns,
+      stylePatterns.profile
+    );
+    paywallPrompt += buildExampleGuidance(examples);
+
     console.log(
       "🚀 [generate-paywall-from-app] Calling Claude API for paywall generation..."
     );
@@ -3805,6 +5908,7 @@ ${generatedCode}
       },
       appInfo: appInfo,
       businessModels: businessModels,
+      referenceExamples: describeReferenceExamples(examples),
     });
   } catch (error) {
     console.error(
@@ -3898,6 +6002,8 @@ async function generatePaywallFromFigmaWithCursor(req, res, figmaData) {
     paywallDimensions,
     pageType,
     model = "gemini-3-flash",
+    patternGuidance = "",
+    referenceExamples = [],
   } = figmaData;
 
   try {
@@ -4018,7 +6124,7 @@ Steps:
 5. Use ../images/ paths for images
 6. Ensure everything fits within ${paywallDimensions.width}px width
 
-Generate index.html with <style> and <script> tags. Match main-frame.png exactly.`;
+Generate index.html with <style> and <script> tags. Match main-frame.png exactly.${patternGuidance}`;
 
     const promptPath = path.join(generationDir, "prompt.txt");
     fs.writeFileSync(promptPath, prompt, "utf-8");
@@ -4100,6 +6206,7 @@ Generate index.html with <style> and <script> tags. Match main-frame.png exactly
           code: generatedHtml,
           dimensions: paywallDimensions,
           generator: "cursor",
+          referenceExamples,
         });
       } else {
         throw new Error("No HTML file was generated by cursor-agent");
@@ -4138,6 +6245,21 @@ app.post("/api/generate-paywall-with-cursor", async (req, res) => {
       });
     }
 
+    const stylePatterns = getGenerationPatterns(req);
+    if (!stylePatterns) {
+      return res.status(404).json({
+        success: false,
+        error: `Style profile "${req.body.profile}" not found`,
+      });
+    }
+
+    const { examples, error: examplesError } = parseReferenceExamples(
+      req.body.examples
+    );
+    if (examplesError) {
+      return res.status(400).json({ success: false, error: examplesError });
+    }
+
     console.log(
       "🚀 [generate-paywall-with-cursor] Fetching app information..."
     );
@@ -4167,7 +6289,13 @@ app.post("/api/generate-paywall-with-cursor", async (req, res) => {
     const generatedCode = await generatePaywallWithCursor(
       appInfo,
       businessModels,
-      { model, pageType }
+      {
+        model,
+        pageType,
+        patternGuidance:
+          buildPatternGuidance(stylePatterns.patterns, stylePatterns.profile) +
+          buildExampleGuidance(examples),
+      }
     );
 
     console.log("✅ [generate-paywall-with-cursor] Generation completed");
@@ -4184,6 +6312,7 @@ app.post("/api/generate-paywall-with-cursor", async (req, res) => {
       appInfo: appInfo,
       businessModels: businessModels,
       generator: "cursor",
+      referenceExamples: describeReferenceExamples(examples),
     });
   } catch (error) {
     console.error("❌ [generate-paywall-with-cursor] Error:", error.message);
@@ -4198,12 +6327,35 @@ app.post("/api/generate-paywall-with-cursor", async (req, res) => {
   }
 });
 
+// Upload errors (file too large, a rejected file type) come back as JSON like
+// every other error, not Express's HTML error page
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const isUploadError =
+    error instanceof multer.MulterError ||
+    /^Only .* allowed$/.test(error.message);
+  if (!isUploadError) console.error("Error:", error);
+  res.status(isUploadError ? 400 : 500).json({
+    error: isUploadError ? error.message : "Internal server error",
+    details: isUploadError ? undefined : error.message,
+  });
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  getPatternProfile(DEFAULT_PROFILE);
   console.log(
     "Figma token:",
     process.env.FIGMA_ACCESS_TOKEN ? "Configured ✓" : "Missing ✗"
   );
+  console.log(
+    "Figma cache:",
+    FIGMA_CACHE_MODE === "replay"
+      ? "Replay (offline, cached responses only)"
+      : FIGMA_CACHE_MODE === "off"
+      ? "Off"
+      : "On"
+  );
   console.log(
     "Claude API key:",
     process.env.ANTHROPIC_API_KEY ? "Configured ✓" : "Missing ✗"
@@ -0,0 +1,205 @@
+const { colorDistance, parseColor } = require("./color-palette");
+
+// A generated color within this CIEDE2000 distance of a library color is on-palette.
+// Looser than the clustering distance: a model rounding #2b60f6 to #2563eb still matches
+const COLOR_MATCH_DISTANCE = 5;
+// px a spacing or radius value may be off and still be on the library's scale
+const SPACING_TOLERANCE = 2;
+const RADIUS_TOLERANCE = 2;
+
+// Only this many of the most used library values define the palette and scales,
+// so a color seen once in one uploaded paywall doesn't make everything on-palette
+const LIBRARY_LIMITS = { colors: 30, spacing: 25, fonts: 15, borderRadius: 15 };
+
+// How much each check contributes to the overall score
+const CHECK_WEIGHTS = {
+  colors: 0.35,
+  spacing: 0.25,
+  fonts: 0.2,
+  borderRadius: 0.2,
+};
+
+// Fallback and keyword families are fine anywhere
+const GENERIC_FONTS = new Set([
+  "serif",
+  "sans-serif",
+  "monospace",
+  "cursive",
+  "fantasy",
+  "system-ui",
+  "ui-sans-serif",
+  "ui-serif",
+  "ui-monospace",
+  "-apple-system",
+  "blinkmacsystemfont",
+  "inherit",
+  "initial",
+  "unset",
+]);
+
+function libraryValues(library, key) {
+  return (library[key] || [])
+    .slice(0, LIBRARY_LIMITS[key])
+    .map((entry) => (entry && typeof entry === "object" ? entry.value : entry));
+}
+
+// Closest library value to a number, e.g. { nearest: 16, deviation: 2 }
+function nearestNumber(value, scale) {
+  return scale.reduce(
+    (best, candidate) => {
+      const deviation = Math.abs(Number(candidate) - value);
+      return deviation < best.deviation
+        ? { nearest: Number(candidate), deviation }
+        : best;
+    },
+    { nearest: null, deviation: Infinity }
+  );
+}
+
+// Share of uses (weighted by count) that passed; null when nothing was checked
+function checkScore(passed, total) {
+  return total === 0 ? null : passed / total;
+}
+
+function scoreColors(colors, library) {
+  const palette = [
+    ...libraryValues(library, "colors"),
+    ...Object.values(library.palette || {})
+      .filter(Boolean)
+      .map((role) => role.value),
+  ];
+  let passed = 0;
+  let total = 0;
+  const offPalette = [];
+
+  colors.forEach(({ value, count }) => {
+    // Fully transparent colors don't show, whatever their channels
+    if (parseColor(value)?.a === 0) return;
+    const match = palette.reduce(
+      (best, candidate) => {
+        const distance = colorDistance(value, candidate);
+        return distance < best.distance
+          ? { nearest: candidate, distance }
+          : best;
+      },
+      { nearest: null, distance: Infinity }
+    );
+    total += count;
+    if (match.distance <= COLOR_MATCH_DISTANCE) {
+      passed += count;
+    } else {
+      offPalette.push({
+        value,
+        count,
+        nearest: match.nearest,
+        distance: Number.isFinite(match.distance)
+          ? Math.round(match.distance * 10) / 10
+          : null,
+      });
+    }
+  });
+
+  return { score: checkScore(passed, total), offPalette };
+}
+
+function scoreScale(values, scale, tolerance) {
+  let passed = 0;
+  let total = 0;
+  const offScale = [];
+
+  values.forEach(({ value, count }) => {
+    const number = Number(value);
+    // 0 needs no scale
+    if (isNaN(number) || number === 0) return;
+    const { nearest, deviation } = nearestNumber(number, scale);
+    total += count;
+    if (deviation <= tolerance) {
+      passed += count;
+    } else {
+      offScale.push({
+        value: number,
+        count,
+        nearest,
+        deviation: Number.isFinite(deviation) ? deviation : null,
+      });
+    }
+  });
+
+  return { score: checkScore(passed, total), offScale };
+}
+
+function scoreFonts(fonts, library) {
+  const known = new Set(
+    libraryValues(library, "fonts").map((font) => String(font).toLowerCase())
+  );
+  let passed = 0;
+  let total = 0;
+  const unknownFonts = [];
+
+  fonts.forEach(({ value, count }) => {
+    const font = String(value).toLowerCase();
+    if (GENERIC_FONTS.has(font)) return;
+    total += count;
+    if (known.has(font)) passed += count;
+    else unknownFonts.push({ value, count });
+  });
+
+  return { score: checkScore(passed, total), unknownFonts };
+}
+
+/**
+ * Score how closely a paywall follows a pattern library
+ * @param {Object} patterns - Patterns extracted from the paywall (extractPaywallPatterns)
+ * @param {Object} library - The pattern library it should follow
+ * @returns {Object} Overall 0-100 score, per-check scores and the offending values,
+ *   or a null score when the library has nothing to compare against
+ */
+function scoreStyleConsistency(patterns, library) {
+  if (!library || !library.count) {
+    return { score: null, reason: "The pattern library is empty" };
+  }
+
+  const colors = scoreColors(patterns.colors || [], library);
+  const spacing = scoreScale(
+    patterns.spacing || [],
+    libraryValues(library, "spacing"),
+    SPACING_TOLERANCE
+  );
+  const fonts = scoreFonts(patterns.fonts || [], library);
+  const borderRadius = scoreScale(
+    patterns.borderRadius || [],
+    libraryValues(library, "borderRadius"),
+    RADIUS_TOLERANCE
+  );
+
+  // Checks with nothing to check (e.g. no radii used) don't count either way
+  const checks = { colors, spacing, fonts, borderRadius };
+  let weighted = 0;
+  let weights = 0;
+  Object.entries(checks).forEach(([name, check]) => {
+    if (check.score === null) return;
+    weighted += check.score * CHECK_WEIGHTS[name];
+    weights += CHECK_WEIGHTS[name];
+  });
+  const toPercent = (score) =>
+    score === null ? null : Math.round(score * 100);
+
+  return {
+    score: weights === 0 ? null : toPercent(weighted / weights),
+    checks: {
+      colors: toPercent(colors.score),
+      spacing: toPercent(spacing.score),
+      fonts: toPercent(fonts.score),
+      borderRadius: toPercent(borderRadius.score),
+    },
+    offPaletteColors: colors.offPalette,
+    offScaleSpacing: spacing.offScale,
+    unknownFonts: fonts.unknownFonts,
+    radiusDeviations: borderRadius.offScale,
+  };
+}
+
+module.exports = {
+  COLOR_MATCH_DISTANCE,
+  scoreStyleConsistency,
+};
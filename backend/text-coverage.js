@@ -0,0 +1,400 @@
+const safeParser = require("postcss-safe-parser");
+const { isDeviceChrome } = require("./figma-tokens");
+const { loadHtml } = require("./section-refinement");
+
+// Copy that must survive generation word for word: prices and the legal
+// lines a store review checks for
+const LEGAL_TEXT =
+  /\b(terms|privacy|policy|eula|auto[- ]?renew\w*|renews?|cancel\w*|billed|charged|trial|restore|refund\w*|unsubscribe)\b/i;
+const PRICE_TEXT =
+  /[$€£¥₹₩]|\b(usd|eur|gbp)\b|\d+[.,]\d{2}\b|\/\s*(day|wk|week|mo|month|yr|year)\b|\bper (day|week|month|year)\b/i;
+
+// A generated block this similar to a Figma text is that text, rewritten
+const MIN_ALTERED_SIMILARITY = 0.5;
+
+// Text inside these stays in the block around it
+const INLINE_ELEMENTS = new Set([
+  "a",
+  "abbr",
+  "b",
+  "bdi",
+  "bdo",
+  "cite",
+  "code",
+  "data",
+  "del",
+  "em",
+  "font",
+  "i",
+  "ins",
+  "kbd",
+  "label",
+  "mark",
+  "q",
+  "s",
+  "samp",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "time",
+  "u",
+  "var",
+]);
+const SKIPPED_ELEMENTS = "script, style, template, noscript, head, [hidden]";
+
+// Case, width, quotes, dashes and spacing don't change what copy says
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[‘’‚′`]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/[‐-―−]/g, "-")
+    .replace(/…/g, "...")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function compact(text) {
+  return text.replace(/\s+/g, "");
+}
+
+function tokens(text) {
+  return text.match(/[\p{L}\p{N}]+(?:[.,]\p{N}+)*|[$€£¥₹₩%]/gu) || [];
+}
+
+function numbers(text) {
+  return text.match(/\d+(?:[.,]\d+)*/g) || [];
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (
+    let index = haystack.indexOf(needle);
+    index !== -1;
+    index = haystack.indexOf(needle, index + needle.length)
+  ) {
+    count++;
+  }
+  return count;
+}
+
+// Times a token sequence appears in another, whole tokens only: "3 day" isn't
+// in "13 day", nor "9.99" in "19.99"
+function countTokenRuns(haystack, needle) {
+  let count = 0;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((token, j) => haystack[i + j] === token)) {
+      count++;
+      i += needle.length - 1;
+    }
+  }
+  return count;
+}
+
+// Dice coefficient of two token lists
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const remaining = new Map();
+  b.forEach((token) => remaining.set(token, (remaining.get(token) || 0) + 1));
+  let shared = 0;
+  a.forEach((token) => {
+    if (remaining.get(token) > 0) {
+      shared++;
+      remaining.set(token, remaining.get(token) - 1);
+    }
+  });
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Classify copy by how much it matters if it's lost or changed
+ * @param {string} text
+ * @returns {"legal"|"price"|"text"}
+ */
+function classifyText(text) {
+  if (LEGAL_TEXT.test(text)) return "legal";
+  if (PRICE_TEXT.test(text)) return "price";
+  return "text";
+}
+
+/**
+ * Every visible TEXT layer's characters under a Figma node, in layer order,
+ * leaving out device chrome
+ * @param {Object} root - Figma node
+ * @returns {Array<{nodeId: string, name: string, text: string, kind: string}>}
+ */
+function collectFigmaTexts(root) {
+  const texts = [];
+  const walk = (node) => {
+    if (!node || node.visible === false || isDeviceChrome(node)) return;
+    if (node.type === "TEXT") {
+      const text = String(node.characters || "")
+        .replace(/\s+/g, " ")
+        .trim();
+      if (text) {
+        texts.push({
+          nodeId: node.id,
+          name: node.name,
+          text,
+          kind: classifyText(text),
+        });
+      }
+      return;
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(root);
+  return texts;
+}
+
+// Selectors of top-level rules that hide what they match; rules in media
+// queries and state selectors (:hover, :checked) don't apply at rest
+function hiddenSelectors(css) {
+  const selectors = [];
+  let root;
+  try {
+    root = safeParser(css || "");
+  } catch (error) {
+    return selectors;
+  }
+  root.walkRules((rule) => {
+    if (rule.parent.type !== "root") return;
+    let hidden = false;
+    rule.walkDecls(/^(display|visibility)$/i, (decl) => {
+      const value = decl.value.replace(/!important/i, "").trim();
+      hidden =
+        (decl.prop.toLowerCase() === "display" && value === "none") ||
+        (decl.prop.toLowerCase() === "visibility" && value === "hidden");
+    });
+    if (hidden) {
+      selectors.push(
+        ...rule.selectors.filter((selector) => !selector.includes(":"))
+      );
+    }
+  });
+  return selectors;
+}
+
+/**
+ * The text a page shows, as blocks: each block element's own text with its
+ * inline children's, plus form control placeholders and values
+ * @param {{html: string, css: string}} code
+ * @returns {Array<string>} Whitespace-collapsed blocks in document order
+ */
+function extractVisibleText(code) {
+  const $ = loadHtml(code.html || "");
+  $(SKIPPED_ELEMENTS).remove();
+  $("[style]")
+    .filter((i, el) =>
+      /(display\s*:\s*none|visibility\s*:\s*hidden)/i.test($(el).attr("style"))
+    )
+    .remove();
+  hiddenSelectors(code.css).forEach((selector) => {
+    try {
+      $(selector).remove();
+    } catch (error) {
+      // Selectors cheerio can't run are left to the browser
+    }
+  });
+
+  const blocks = [];
+  let current = [];
+  const flush = () => {
+    const text = current.join("").replace(/\s+/g, " ").trim();
+    if (text) blocks.push(text);
+    current = [];
+  };
+  const walk = (node) => {
+    if (node.type === "text") {
+      current.push(node.data);
+      return;
+    }
+    if (node.type !== "tag") return;
+    const name = node.name.toLowerCase();
+    if (name === "br") {
+      current.push(" ");
+      return;
+    }
+    if (["input", "textarea"].includes(name)) {
+      flush();
+      current.push(
+        [node.attribs.value, node.attribs.placeholder].filter(Boolean).join(" ")
+      );
+    }
+    const inline = INLINE_ELEMENTS.has(name);
+    if (!inline) flush();
+    (node.children || []).forEach(walk);
+    if (!inline) flush();
+  };
+  $.root()
+    .contents()
+    .each((i, node) => walk(node));
+  flush();
+  return blocks;
+}
+
+/**
+ * Check that generated code shows every text of the Figma design: texts
+ * whose words appear in order in one block, or across two adjacent ones, are
+ * matched (ignoring case and punctuation), ones a block closely resembles
+ * were altered, the rest are missing; blocks that match no Figma text were
+ * invented
+ * @param {Array<Object>} figmaTexts - From collectFigmaTexts
+ * @param {{html: string, css: string}} code
+ * @returns {Object} { score, total, matched, missing, altered, invented, critical }
+ *   score is the percentage of texts matched; critical counts the missing or
+ *   altered prices and legal texts
+ */
+function checkTextCoverage(figmaTexts, code) {
+  const blocks = extractVisibleText(code).map((text) => {
+    const normalized = normalizeText(text);
+    return {
+      text,
+      normalized,
+      tokens: tokens(normalized),
+      parts: [normalized],
+    };
+  });
+  const page = compact(blocks.map((block) => block.normalized).join(" "));
+  // A text split over two elements ("$9.99" + "/month") reads as one
+  const pairs = blocks.slice(1).map((block, i) => ({
+    text: `${blocks[i].text} ${block.text}`,
+    normalized: `${blocks[i].normalized} ${block.normalized}`,
+    tokens: [...blocks[i].tokens, ...block.tokens],
+    parts: [blocks[i].normalized, block.normalized],
+  }));
+  const candidates = [...blocks, ...pairs];
+
+  // Occurrences within a block, plus those spanning two adjacent blocks
+  const occurrences = (expectedTokens) =>
+    blocks.reduce(
+      (count, block) => count + countTokenRuns(block.tokens, expectedTokens),
+      0
+    ) +
+    pairs.reduce(
+      (count, pair, i) =>
+        count +
+        countTokenRuns(pair.tokens, expectedTokens) -
+        countTokenRuns(blocks[i].tokens, expectedTokens) -
+        countTokenRuns(blocks[i + 1].tokens, expectedTokens),
+      0
+    );
+
+  const available = new Map();
+  const missing = [];
+  const altered = [];
+  const explained = new Set();
+  figmaTexts.forEach((figmaText) => {
+    const expectedTokens = tokens(normalizeText(figmaText.text));
+    // Texts without words or numbers ("•", "—") are looked up as they are
+    const expected =
+      expectedTokens.length > 0
+        ? expectedTokens.join(" ")
+        : compact(normalizeText(figmaText.text));
+    if (!available.has(expected)) {
+      available.set(
+        expected,
+        expectedTokens.length > 0
+          ? occurrences(expectedTokens)
+          : countOccurrences(page, expected)
+      );
+    }
+    if (available.get(expected) > 0) {
+      available.set(expected, available.get(expected) - 1);
+      return;
+    }
+
+    const best = candidates.reduce(
+      (result, candidate) => {
+        const score = similarity(expectedTokens, candidate.tokens);
+        return score > result.score ? { candidate, score } : result;
+      },
+      { candidate: null, score: 0 }
+    );
+    const entry = {
+      nodeId: figmaText.nodeId,
+      name: figmaText.name,
+      kind: figmaText.kind,
+      text: figmaText.text,
+    };
+    // A repeated text ("Continue" on every plan) shown fewer times than the
+    // design has it is missing, not altered
+    if (
+      best.score < MIN_ALTERED_SIMILARITY ||
+      best.candidate.tokens.join(" ") === expected
+    ) {
+      missing.push(entry);
+      return;
+    }
+    best.candidate.parts.forEach((part) => explained.add(part));
+    const found = numbers(best.candidate.normalized);
+    altered.push({
+      ...entry,
+      found: best.candidate.text,
+      similarity: Math.round(best.score * 100) / 100,
+      changedNumbers: numbers(normalizeText(figmaText.text)).filter(
+        (number) => !found.includes(number)
+      ),
+    });
+  });
+
+  // Blocks made only of the design's words (a label and its price in one
+  // element) aren't new copy
+  const vocabulary = new Set(
+    figmaTexts.flatMap((figmaText) => tokens(normalizeText(figmaText.text)))
+  );
+  const invented = blocks
+    .filter(
+      (block) =>
+        !explained.has(block.normalized) &&
+        block.tokens.some(
+          (token) => /[\p{L}\p{N}]/u.test(token) && !vocabulary.has(token)
+        )
+    )
+    .map((block) => block.text);
+
+  const total = figmaTexts.length;
+  const matched = total - missing.length - altered.length;
+  return {
+    score: total > 0 ? Math.round((matched / total) * 1000) / 10 : null,
+    total,
+    matched,
+    missing,
+    altered,
+    invented,
+    critical: [...missing, ...altered].filter((entry) => entry.kind !== "text")
+      .length,
+  };
+}
+
+/**
+ * Prompt lines listing the prices and legal texts a generation lost or
+ * changed, quoted exactly as the design has them
+ * @param {Object} coverage - From checkTextCoverage
+ * @returns {string} Empty when none are
+ */
+function formatCriticalTextGaps(coverage) {
+  const lines = [
+    ...coverage.missing
+      .filter((entry) => entry.kind !== "text")
+      .map((entry) => `- MISSING ${entry.kind}: "${entry.text}"`),
+    ...coverage.altered
+      .filter((entry) => entry.kind !== "text")
+      .map(
+        (entry) =>
+          `- CHANGED ${entry.kind}: "${entry.text}" (you wrote "${entry.found}")`
+      ),
+  ];
+  return lines.join("\n");
+}
+
+module.exports = {
+  classifyText,
+  collectFigmaTexts,
+  extractVisibleText,
+  checkTextCoverage,
+  formatCriticalTextGaps,
+};
@@ -2,8 +2,14 @@
 
 /**
  * CLI script to upload paywall HTML files for pattern analysis
- * Usage: node upload-paywall.js <file1.html> [file2.html] [file3.html] ...
+ * Usage: node upload-paywall.js <file1.html> [file2.html] [bundle.zip] ...
  * Or: node upload-paywall.js --directory <directory>
+ * Or: node upload-paywall.js --tokens <tokens.json>
+ * Or: node upload-paywall.js --export <file> [--format dtcg|css|tailwind]
+ * Or: node upload-paywall.js --score <file.html>
+ * Or: node upload-paywall.js --watch <directory>
+ * Or: node upload-paywall.js --snapshot-save <file> / --snapshot-restore <file>
+ * Add --profile <name> to target a named style profile
  */
 
 const fs = require("fs");
@@ -13,6 +19,24 @@ const axios = require("axios");
 
 const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:3000";
 
+// How long a watched file must stay unchanged before it is uploaded
+const WATCH_DEBOUNCE_MS = 500;
+// Which library sources a watched folder's files became, per profile
+const WATCH_MANIFEST = ".paywall-watch.json";
+
+// Style profile to target (set with --profile <name>), server default when null
+let profile = null;
+
+function profileQuery() {
+  return profile ? `?profile=${encodeURIComponent(profile)}` : "";
+}
+
+function isHtmlFile(fileName) {
+  return fileName.endsWith(".html") || fileName.endsWith(".htm");
+}
+
+// Upload one paywall; resolves to the server response (with the source it
+// became) on success, false on failure
 async function uploadPaywall(filePath) {
   try {
     if (!fs.existsSync(filePath)) {
@@ -28,7 +52,7 @@ async function uploadPaywall(filePath) {
 
     console.log(`Uploading: ${filePath}...`);
     const response = await axios.post(
-      `${API_BASE_URL}/api/upload-paywall`,
+      `${API_BASE_URL}/api/upload-paywall${profileQuery()}`,
       form,
       {
         headers: form.getHeaders(),
@@ -37,12 +61,17 @@ async function uploadPaywall(filePath) {
       }
     );
 
-    if (response.data.success) {
+    if (response.data.success && response.data.duplicate) {
+      console.log(
+        `= Skipped ${path.basename(filePath)}: ${response.data.message}`
+      );
+      return response.data;
+    } else if (response.data.success) {
       console.log(`✓ Successfully analyzed: ${path.basename(filePath)}`);
       console.log(
         `  Colors: ${response.data.extractedPatterns.colors.length}, Fonts: ${response.data.extractedPatterns.fonts.length}`
       );
-      return true;
+      return response.data;
     } else {
       console.error(`✗ Failed to analyze: ${path.basename(filePath)}`);
       return false;
@@ -67,14 +96,338 @@ async function uploadPaywall(filePath) {
   }
 }
 
+// Upload a zipped paywall bundle; the server analyzes every HTML file in it
+// together with the stylesheets it links to
+async function uploadBundle(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.error(`Error: File not found: ${filePath}`);
+      return false;
+    }
+
+    const form = new FormData();
+    form.append("paywalls", fs.createReadStream(filePath), {
+      filename: path.basename(filePath),
+      contentType: "application/zip",
+    });
+
+    console.log(`Uploading bundle: ${filePath}...`);
+    const response = await axios.post(
+      `${API_BASE_URL}/api/upload-paywalls${profileQuery()}`,
+      form,
+      {
+        headers: form.getHeaders(),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      }
+    );
+
+    let analyzed = 0;
+    response.data.results.forEach((result) => {
+      if (!result.success) {
+        console.error(`✗ ${result.filename}: ${result.error}`);
+        return;
+      }
+      analyzed++;
+      if (result.duplicate) {
+        console.log(`= Skipped ${result.filename}: already analyzed`);
+      } else {
+        console.log(`✓ Successfully analyzed: ${result.filename}`);
+      }
+      if (result.stylesheets.length > 0) {
+        console.log(`  Stylesheets: ${result.stylesheets.join(", ")}`);
+      }
+      if (result.missingReferences.length > 0) {
+        console.log(`  Not in the bundle: ${result.missingReferences.join(", ")}`);
+      }
+    });
+    return analyzed > 0;
+  } catch (error) {
+    const data = error.response?.data;
+    console.error(
+      `✗ Error uploading ${path.basename(filePath)}:`,
+      data?.error || error.message
+    );
+    return false;
+  }
+}
+
+async function uploadTokens(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.error(`Error: File not found: ${filePath}`);
+      return false;
+    }
+
+    const form = new FormData();
+    form.append("tokens", fs.createReadStream(filePath), {
+      filename: path.basename(filePath),
+      contentType: "application/json",
+    });
+
+    console.log(`Importing tokens: ${filePath}...`);
+    const response = await axios.post(
+      `${API_BASE_URL}/api/upload-tokens${profileQuery()}`,
+      form,
+      {
+        headers: form.getHeaders(),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      }
+    );
+
+    if (response.data.duplicate) {
+      console.log(`= Skipped ${path.basename(filePath)}: ${response.data.message}`);
+    } else {
+      const { summary } = response.data;
+      console.log(`✓ Imported ${summary.tokens} token(s) from ${path.basename(filePath)}`);
+      console.log(
+        `  Colors: ${summary.colors}, Fonts: ${summary.fonts}, Font sizes: ${summary.fontSizes}, Spacing: ${summary.spacing}, Radii: ${summary.borderRadius}, Shadows: ${summary.shadows}`
+      );
+      if (summary.paletteRoles.length > 0) {
+        console.log(`  Palette roles: ${summary.paletteRoles.join(", ")}`);
+      }
+    }
+    return true;
+  } catch (error) {
+    const data = error.response?.data;
+    console.error(
+      `✗ Error importing ${path.basename(filePath)}:`,
+      data?.details || data?.error || error.message
+    );
+    return false;
+  }
+}
+
+// Score a paywall against the profile's pattern library without adding it
+async function scorePaywall(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.error(`Error: File not found: ${filePath}`);
+      return false;
+    }
+
+    const form = new FormData();
+    form.append("paywall", fs.createReadStream(filePath), {
+      filename: path.basename(filePath),
+      contentType: "text/html",
+    });
+
+    const response = await axios.post(
+      `${API_BASE_URL}/api/score-paywall${profileQuery()}`,
+      form,
+      {
+        headers: form.getHeaders(),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      }
+    );
+
+    const { styleScore } = response.data;
+    if (styleScore.score === null) {
+      console.log(`No score for ${path.basename(filePath)}: ${styleScore.reason || "nothing to compare"}`);
+      return true;
+    }
+    const checkText = (value) => (value === null ? "-" : `${value}`);
+    console.log(`\nStyle consistency of ${path.basename(filePath)}: ${styleScore.score}/100`);
+    console.log(
+      `  Colors: ${checkText(styleScore.checks.colors)}, Spacing: ${checkText(styleScore.checks.spacing)}, Fonts: ${checkText(styleScore.checks.fonts)}, Radii: ${checkText(styleScore.checks.borderRadius)}`
+    );
+    styleScore.offPaletteColors.forEach((color) => {
+      console.log(`  Off-palette color ${color.value} (×${color.count}), nearest ${color.nearest || "-"}`);
+    });
+    styleScore.offScaleSpacing.forEach((spacing) => {
+      console.log(`  Off-scale spacing ${spacing.value}px (×${spacing.count}), nearest ${spacing.nearest ?? "-"}px`);
+    });
+    styleScore.unknownFonts.forEach((font) => {
+      console.log(`  Unknown font ${font.value} (×${font.count})`);
+    });
+    styleScore.radiusDeviations.forEach((radius) => {
+      console.log(`  Off-scale radius ${radius.value}px (×${radius.count}), nearest ${radius.nearest ?? "-"}px`);
+    });
+    return true;
+  } catch (error) {
+    const data = error.response?.data;
+    console.error(
+      `✗ Error scoring ${path.basename(filePath)}:`,
+      data?.details || data?.error || error.message
+    );
+    return false;
+  }
+}
+
+async function removeSource(id, name) {
+  try {
+    await axios.delete(
+      `${API_BASE_URL}/api/paywall-sources/${encodeURIComponent(id)}${profileQuery()}`
+    );
+    console.log(`- Removed ${name} from the library`);
+    return true;
+  } catch (error) {
+    console.error(
+      `✗ Error removing ${name}:`,
+      error.response?.data?.error || error.message
+    );
+    return false;
+  }
+}
+
+// Keep the library in sync with a folder: new and changed HTML files are
+// uploaded (replacing the version the library had), deleted ones are removed.
+// Runs until interrupted.
+async function watchDirectory(dirPath) {
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    console.error(`Error: Not a directory: ${dirPath}`);
+    process.exit(1);
+  }
+
+  // File name -> ID of the source the library holds for it, for this folder's
+  // files only. Kept in the folder per profile, so a restarted watcher knows
+  // which sources are its own
+  const manifestPath = path.join(dirPath, WATCH_MANIFEST);
+  const manifestKey = profile || "default";
+  let manifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch (error) {
+    // First run in this folder
+  }
+  const response = await axios.get(
+    `${API_BASE_URL}/api/paywall-sources${profileQuery()}`
+  );
+  const sourceIds = new Set(response.data.sources.map((source) => source.id));
+  const tracked = new Map(
+    Object.entries(manifest[manifestKey] || {}).filter(([, id]) =>
+      sourceIds.has(id)
+    )
+  );
+  const saveManifest = () => {
+    manifest[manifestKey] = Object.fromEntries(tracked);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), "utf-8");
+  };
+
+  // Files with identical content share a source; it stays while any of
+  // them is left
+  const removeUnlessShared = async (id, name) => {
+    if ([...tracked.values()].includes(id)) return true;
+    return removeSource(id, name);
+  };
+
+  const syncFile = async (fileName) => {
+    const filePath = path.join(dirPath, fileName);
+    const previousId = tracked.get(fileName);
+
+    if (!fs.existsSync(filePath)) {
+      if (!previousId) return;
+      tracked.delete(fileName);
+      if (!(await removeUnlessShared(previousId, fileName))) {
+        tracked.set(fileName, previousId);
+      }
+      saveManifest();
+      return;
+    }
+
+    const result = await uploadPaywall(filePath);
+    if (!result) return;
+    tracked.set(fileName, result.source.id);
+    saveManifest();
+    // The old version of a changed file is retracted once the new one is in
+    if (previousId && previousId !== result.source.id) {
+      await removeUnlessShared(previousId, `previous version of ${fileName}`);
+    }
+  };
+
+  // Changes are applied one at a time, in order, so the server never merges
+  // and rebuilds the same library concurrently
+  let queue = Promise.resolve();
+  const enqueue = (fileName) => {
+    queue = queue.then(() => syncFile(fileName));
+  };
+
+  // Files deleted while the watcher wasn't running are retracted too
+  const files = fs.readdirSync(dirPath).filter(isHtmlFile);
+  const deleted = [...tracked.keys()].filter((name) => !files.includes(name));
+  console.log(
+    `Syncing ${files.length} HTML file(s) in ${dirPath}${
+      deleted.length > 0 ? ` (${deleted.length} deleted)` : ""
+    }...`
+  );
+  [...deleted, ...files].forEach(enqueue);
+  await queue;
+
+  // Editors fire several events per save, so wait for a file to settle
+  const timers = new Map();
+  fs.watch(dirPath, (eventType, fileName) => {
+    if (!fileName || !isHtmlFile(fileName)) return;
+    clearTimeout(timers.get(fileName));
+    timers.set(
+      fileName,
+      setTimeout(() => {
+        timers.delete(fileName);
+        enqueue(fileName);
+      }, WATCH_DEBOUNCE_MS)
+    );
+  });
+  console.log(`\nWatching ${dirPath} for changes (Ctrl+C to stop)...`);
+}
+
+// Save the server's whole pattern library (sources included) to a file
+async function saveSnapshot(filePath) {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/api/paywall-patterns/dump${profileQuery()}`
+    );
+    fs.writeFileSync(filePath, JSON.stringify(response.data, null, 2), "utf-8");
+    console.log(
+      `✓ Saved library "${response.data.profile}" v${response.data.version} (${response.data.patterns.sources.length} source(s)) to ${filePath}`
+    );
+  } catch (error) {
+    console.error(
+      "Error saving snapshot:",
+      error.response?.data?.error || error.message
+    );
+    process.exit(1);
+  }
+}
+
+// Replace the server's pattern library with one saved by --snapshot-save
+async function restoreSnapshot(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.error(`Error: File not found: ${filePath}`);
+      process.exit(1);
+    }
+
+    const form = new FormData();
+    form.append("library", fs.createReadStream(filePath), {
+      filename: path.basename(filePath),
+      contentType: "application/json",
+    });
+    const response = await axios.post(
+      `${API_BASE_URL}/api/paywall-patterns/restore${profileQuery()}`,
+      form,
+      {
+        headers: form.getHeaders(),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      }
+    );
+    console.log(`✓ ${response.data.message} (now v${response.data.libraryVersion})`);
+  } catch (error) {
+    const data = error.response?.data;
+    console.error(
+      "Error restoring snapshot:",
+      data?.details || data?.error || error.message
+    );
+    process.exit(1);
+  }
+}
+
 async function uploadDirectory(dirPath) {
   try {
     const files = fs
       .readdirSync(dirPath)
-      .filter(
-        (file) =>
-          file.endsWith(".html") || file.endsWith(".htm")
-      )
+      .filter(isHtmlFile)
       .map((file) => path.join(dirPath, file));
 
     if (files.length === 0) {
@@ -96,6 +449,53 @@ async function uploadDirectory(dirPath) {
   }
 }
 
+// Format ranked pattern entries, e.g. "16px (×42), 14px (×30)"
+function formatEntries(entries, unit = "") {
+  return entries
+    .slice(0, 10)
+    .map(
+      (entry) =>
+        `${entry.value}${unit} (×${entry.count}${entry.authoritative ? ", token" : ""})`
+    )
+    .join(", ");
+}
+
+// Guess the export format from the file extension when --format isn't given
+function exportFormatFor(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".css") return "css";
+  if (ext === ".js" || ext === ".cjs") return "tailwind";
+  return "dtcg";
+}
+
+async function exportPatterns(filePath, format) {
+  try {
+    const separator = profileQuery() ? "&" : "?";
+    const response = await axios.get(
+      `${API_BASE_URL}/api/paywall-patterns${profileQuery()}${separator}format=${encodeURIComponent(format)}`,
+      { responseType: "text" }
+    );
+    fs.writeFileSync(filePath, response.data, "utf-8");
+    console.log(`✓ Exported ${format} tokens to ${filePath}`);
+  } catch (error) {
+    const data = error.response?.data;
+    const message =
+      (typeof data === "string" ? safeJsonError(data) : data?.error) ||
+      error.message;
+    console.error("Error exporting patterns:", message);
+    process.exit(1);
+  }
+}
+
+// Error message from a JSON error body received as text
+function safeJsonError(text) {
+  try {
+    return JSON.parse(text).error;
+  } catch (error) {
+    return null;
+  }
+}
+
 async function checkServer() {
   try {
     const response = await axios.get(`${API_BASE_URL}/api/health`, {
@@ -109,7 +509,28 @@ async function checkServer() {
 
 async function main() {
   const args = process.argv.slice(2);
-  
+
+  const profileIndex = args.indexOf("--profile");
+  if (profileIndex !== -1) {
+    profile = args[profileIndex + 1];
+    if (!profile) {
+      console.error("Error: Profile name required");
+      process.exit(1);
+    }
+    args.splice(profileIndex, 2);
+  }
+
+  let format = null;
+  const formatIndex = args.indexOf("--format");
+  if (formatIndex !== -1) {
+    format = args[formatIndex + 1];
+    if (!format) {
+      console.error("Error: Format required (dtcg, css or tailwind)");
+      process.exit(1);
+    }
+    args.splice(formatIndex, 2);
+  }
+
   // Check if server is running (skip check for --patterns as it will show error anyway)
   if (args[0] !== "--patterns" && args[0] !== "-p") {
     const serverRunning = await checkServer();
@@ -124,14 +545,32 @@ async function main() {
   if (args.length === 0) {
     console.log(`
 Usage:
-  node upload-paywall.js <file1.html> [file2.html] ...
+  node upload-paywall.js <file1.html> [file2.html] [bundle.zip] ...
   node upload-paywall.js --directory <directory>
   node upload-paywall.js --patterns (view current patterns)
+  node upload-paywall.js --tokens <tokens.json> (import DTCG / Style Dictionary tokens)
+  node upload-paywall.js --export <file> (export patterns as design tokens)
+  node upload-paywall.js --score <file.html> (check a paywall against the patterns)
+  node upload-paywall.js --watch <directory> (keep the library in sync with a folder)
+  node upload-paywall.js --snapshot-save <file> (save the whole library to a file)
+  node upload-paywall.js --snapshot-restore <file> (replace the library with a saved one)
+
+Options:
+  --profile <name>   Target a named style profile (default: "default")
+  --format <format>  Export format: dtcg, css or tailwind (default: from the file extension, else dtcg)
 
 Examples:
   node upload-paywall.js paywall1.html paywall2.html
+  node upload-paywall.js production-paywalls.zip
   node upload-paywall.js --directory ./paywalls
+  node upload-paywall.js --directory ./fitness-paywalls --profile fitness
   node upload-paywall.js --patterns
+  node upload-paywall.js --tokens brand.tokens.json --profile fitness
+  node upload-paywall.js --export tokens.json --format dtcg
+  node upload-paywall.js --export paywall-tokens.css
+  node upload-paywall.js --score generated-paywall.html --profile fitness
+  node upload-paywall.js --watch ./shared-paywalls --profile fitness
+  node upload-paywall.js --snapshot-save fitness-library.json --profile fitness
 `);
     process.exit(1);
   }
@@ -142,20 +581,81 @@ Examples:
       process.exit(1);
     }
     await uploadDirectory(args[1]);
+  } else if (args[0] === "--tokens" || args[0] === "-t") {
+    if (!args[1]) {
+      console.error("Error: Token file required");
+      process.exit(1);
+    }
+    const success = await uploadTokens(args[1]);
+    if (!success) process.exit(1);
+  } else if (args[0] === "--export" || args[0] === "-e") {
+    if (!args[1]) {
+      console.error("Error: Output file required");
+      process.exit(1);
+    }
+    await exportPatterns(args[1], format || exportFormatFor(args[1]));
+  } else if (args[0] === "--watch" || args[0] === "-w") {
+    if (!args[1]) {
+      console.error("Error: Directory path required");
+      process.exit(1);
+    }
+    await watchDirectory(args[1]);
+  } else if (args[0] === "--snapshot-save") {
+    if (!args[1]) {
+      console.error("Error: Output file required");
+      process.exit(1);
+    }
+    await saveSnapshot(args[1]);
+  } else if (args[0] === "--snapshot-restore") {
+    if (!args[1]) {
+      console.error("Error: Snapshot file required");
+      process.exit(1);
+    }
+    await restoreSnapshot(args[1]);
+  } else if (args[0] === "--score" || args[0] === "-s") {
+    if (!args[1]) {
+      console.error("Error: Paywall file required");
+      process.exit(1);
+    }
+    const success = await scorePaywall(args[1]);
+    if (!success) process.exit(1);
   } else if (args[0] === "--patterns" || args[0] === "-p") {
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/paywall-patterns`);
+      const response = await axios.get(
+        `${API_BASE_URL}/api/paywall-patterns${profileQuery()}`
+      );
       const { patterns, summary } = response.data;
-      console.log("\n=== Current Paywall Patterns ===");
+      console.log(`\n=== Current Paywall Patterns (${response.data.profile}) ===`);
       console.log(`Total Paywalls Analyzed: ${summary.totalPaywallsAnalyzed}`);
+      console.log(`\nPalette:`);
+      Object.entries(patterns.palette || {}).forEach(([role, color]) => {
+        console.log(`  ${role}: ${color ? `${color.value} (×${color.count})` : "-"}`);
+      });
       console.log(`\nColors (${summary.colors}):`);
-      console.log(patterns.colors.slice(0, 10).join(", "));
+      console.log(formatEntries(patterns.colors));
       console.log(`\nFonts (${summary.fonts}):`);
-      console.log(patterns.fonts.slice(0, 10).join(", "));
+      console.log(formatEntries(patterns.fonts));
+      const { typeScale, spacingGrid } = patterns.scales || {};
+      if (typeScale) {
+        console.log(
+          `\nType scale: base ${typeScale.base}px × ${typeScale.ratio} (${typeScale.ratioName}), fits ${Math.round(typeScale.fit * 100)}%`
+        );
+        console.log(`  Steps: ${typeScale.steps.join(", ")}px`);
+      }
       console.log(`\nSpacing (${summary.spacing}):`);
-      console.log(patterns.spacing.slice(0, 10).join("px, ") + "px");
+      console.log(formatEntries(patterns.spacing, "px"));
+      if (spacingGrid) {
+        console.log(
+          `Spacing grid: ${spacingGrid.base}px, fits ${Math.round(spacingGrid.fit * 100)}% (steps ${spacingGrid.steps.join(", ")}px)`
+        );
+      }
       console.log(`\nBorder Radius (${summary.borderRadius}):`);
-      console.log(patterns.borderRadius.slice(0, 10).join("px, ") + "px");
+      console.log(formatEntries(patterns.borderRadius, "px"));
+      console.log(`\nComponents:`);
+      Object.entries(patterns.components || {}).forEach(([type, variants]) => {
+        const [top] = variants;
+        console.log(`  ${top.label}: ${variants.length} variant(s), top used in ${top.paywalls.join(", ")}`);
+      });
     } catch (error) {
       console.error(
         "Error fetching patterns:",
@@ -167,7 +667,9 @@ Examples:
     // Upload individual files
     let successCount = 0;
     for (const filePath of args) {
-      const success = await uploadPaywall(filePath);
+      const success = filePath.toLowerCase().endsWith(".zip")
+        ? await uploadBundle(filePath)
+        : await uploadPaywall(filePath);
       if (success) successCount++;
     }
 
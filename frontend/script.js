@@ -10,11 +10,6 @@ const errorMessage = document.getElementById("errorMessage");
 const previewSection = document.getElementById("previewSection");
 const paywallPreview = document.getElementById("paywallPreview");
 const downloadBtn = document.getElementById("downloadBtn");
-const exampleFilesInput = document.getElementById("exampleFiles");
-const exampleCodeTextarea = document.getElementById("exampleCode");
-const addExampleBtn = document.getElementById("addExampleBtn");
-const fileList = document.getElementById("fileList");
-const exampleList = document.getElementById("exampleList");
 const tabButtons = document.querySelectorAll(".tab-btn");
 const tabContents = document.querySelectorAll(".tab-content");
 const sourceTabs = document.querySelectorAll(".source-tab");
@@ -158,6 +153,11 @@ if (builderTabs.length > 0) {
       if (businessModelGroup) {
         updateBusinessModelVisibility();
       }
+
+      // The library can change from the CLI, so reload it on every visit
+      if (builderId === "library") {
+        loadPatternLibrary();
+      }
     });
   });
 }
@@ -242,6 +242,98 @@ tabButtons.forEach((btn) => {
   });
 });
 
+// Reference examples: HTML added in either form is sent with the next
+// generation and used as few-shot references for it (the forms share one list)
+const MAX_REFERENCE_EXAMPLES = 5;
+const exampleSections = document.querySelectorAll("form .examples-section");
+
+function renderReferenceExamples() {
+  exampleSections.forEach((section) => {
+    const lists = {
+      file: section.querySelector(".file-list"),
+      paste: section.querySelector(".example-list"),
+    };
+    Object.values(lists).forEach((list) => (list.innerHTML = ""));
+
+    referenceExamples.forEach((example) => {
+      const item = document.createElement("div");
+      item.className = "example-item";
+      const name = document.createElement("span");
+      name.className = "example-item-name";
+      name.textContent = example.name;
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-model-btn";
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", () => {
+        referenceExamples = referenceExamples.filter((e) => e !== example);
+        renderReferenceExamples();
+      });
+      item.appendChild(name);
+      item.appendChild(removeBtn);
+      lists[example.origin].appendChild(item);
+    });
+  });
+}
+
+function addReferenceExample(name, html, origin) {
+  if (referenceExamples.length >= MAX_REFERENCE_EXAMPLES) {
+    errorMessage.textContent = `Up to ${MAX_REFERENCE_EXAMPLES} reference examples can be used, remove one to add ${name}`;
+    errorMessage.style.display = "block";
+    return;
+  }
+  referenceExamples.push({ name, html, origin });
+  renderReferenceExamples();
+}
+
+// The examples as sent to the backend
+function getReferenceExamplesPayload() {
+  return referenceExamples.map(({ name, html }) => ({ name, html }));
+}
+
+// Show under the form which examples the last generation was given
+function showAppliedExamples(formElement, appliedExamples = []) {
+  const applied = formElement.querySelector(".applied-examples");
+  if (!applied) return;
+  if (appliedExamples.length === 0) {
+    applied.style.display = "none";
+    return;
+  }
+  applied.textContent = `Last generation used ${
+    appliedExamples.length
+  } reference example(s): ${appliedExamples
+    .map((example) =>
+      example.fonts.length > 0
+        ? `${example.name} (${example.fonts[0]})`
+        : example.name
+    )
+    .join(", ")}`;
+  applied.style.display = "block";
+}
+
+exampleSections.forEach((section) => {
+  const filesInput = section.querySelector(".file-input");
+  const codeTextarea = section.querySelector(".code-textarea");
+  const addBtn = section.querySelector(".add-example-btn");
+
+  filesInput?.addEventListener("change", async () => {
+    for (const file of Array.from(filesInput.files)) {
+      addReferenceExample(file.name, await file.text(), "file");
+    }
+    filesInput.value = "";
+  });
+
+  addBtn?.addEventListener("click", () => {
+    const html = codeTextarea.value.trim();
+    if (!html) return;
+    const pastedCount = referenceExamples.filter(
+      (example) => example.origin === "paste"
+    ).length;
+    addReferenceExample(`Pasted example ${pastedCount + 1}`, html, "paste");
+    codeTextarea.value = "";
+  });
+});
+
 // Figma form handler
 if (figmaForm) {
   figmaForm.addEventListener("submit", async (e) => {
@@ -250,6 +342,10 @@ if (figmaForm) {
     const figmaUrl = figmaUrlInput.value.trim();
     const figmaGeneratorSelect = document.getElementById("figmaGenerator");
     const generator = figmaGeneratorSelect?.value || "claude";
+    const flow = document.getElementById("figmaFlow")?.value === "flow";
+    const refine = document.getElementById("figmaRefine")?.value === "refine";
+    const textRetry =
+      document.getElementById("figmaTextRetry")?.value === "retry";
 
     if (!figmaUrl) {
       showError("Please enter a Figma URL");
@@ -280,6 +376,10 @@ if (figmaForm) {
           figmaUrl,
           generator: generator,
           model: "gemini-3-flash",
+          flow,
+          refine,
+          textRetry,
+          examples: getReferenceExamplesPayload(),
         }),
       });
 
@@ -296,6 +396,7 @@ if (figmaForm) {
         data.appInfo,
         data.businessModels
       );
+      showAppliedExamples(figmaForm, data.referenceExamples);
 
       // Show preview panel in IDE layout
       if (previewSection) {
@@ -397,6 +498,7 @@ if (form) {
           model: "gemini-3-flash",
           businessModel: manualBusinessModel,
           pageType: pageType,
+          examples: getReferenceExamplesPayload(),
         }),
       });
 
@@ -425,6 +527,7 @@ if (form) {
         if (container) container.classList.add("has-preview");
 
         displayPaywall(data.code, data.dimensions);
+        showAppliedExamples(form, data.referenceExamples);
         if (previewSection) previewSection.style.display = "flex";
       } else {
         console.error(
@@ -1400,6 +1503,362 @@ if (form) {
   }
 }
 
+// Pattern library page
+const libraryDropzone = document.getElementById("libraryDropzone");
+const libraryFilesInput = document.getElementById("libraryFiles");
+const libraryStatus = document.getElementById("libraryStatus");
+const librarySummary = document.getElementById("librarySummary");
+const librarySources = document.getElementById("librarySources");
+const libraryProfileSelect = document.getElementById("libraryProfile");
+
+// Query string naming the profile the library page shows
+function libraryProfileQuery() {
+  return `?profile=${encodeURIComponent(libraryProfileSelect.value)}`;
+}
+
+// Small DOM helper - library values come from uploaded files, so they are
+// always set as text, never as HTML
+function createLibraryElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function showLibraryStatus(message, isError = false) {
+  libraryStatus.textContent = message;
+  libraryStatus.classList.toggle("error", isError);
+  libraryStatus.style.display = "block";
+}
+
+// Fill one section of the page, or say that the library has nothing for it yet
+function renderLibrarySection(containerId, entries, renderEntry) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = "";
+  if (entries.length === 0) {
+    container.appendChild(
+      createLibraryElement("p", "library-empty", "Nothing collected yet")
+    );
+    return;
+  }
+  entries.forEach((entry) => container.appendChild(renderEntry(entry)));
+}
+
+function createColorSwatch(color, label) {
+  const swatch = createLibraryElement("div", "library-swatch");
+  const chip = createLibraryElement("div", "library-swatch-color");
+  chip.style.background = color.value;
+  swatch.appendChild(chip);
+  if (label) {
+    swatch.appendChild(
+      createLibraryElement("span", "library-swatch-role", label)
+    );
+  }
+  swatch.appendChild(
+    createLibraryElement("span", "library-swatch-value", color.value)
+  );
+  swatch.title = `Used ${color.count} time(s)`;
+  return swatch;
+}
+
+function renderLibrarySources(sources, untrackedPaywalls) {
+  librarySources.innerHTML = "";
+  // Removing a source rebuilds the profile from the stored sources, which
+  // would drop the paywalls uploaded before sources were tracked
+  if (untrackedPaywalls > 0) {
+    const notice = createLibraryElement(
+      "div",
+      "library-notice",
+      `${untrackedPaywalls} paywall(s) in this profile were uploaded before the library kept their files, so single paywalls can't be removed without losing them. Clear the profile and re-upload the paywalls you want to keep to manage them here.`
+    );
+    const clearBtn = createLibraryElement(
+      "button",
+      "secondary-btn",
+      "Clear profile"
+    );
+    clearBtn.type = "button";
+    clearBtn.addEventListener("click", clearLibraryProfile);
+    notice.appendChild(clearBtn);
+    librarySources.appendChild(notice);
+  }
+
+  if (sources.length === 0) {
+    librarySources.appendChild(
+      createLibraryElement(
+        "p",
+        "library-empty",
+        "No paywalls uploaded yet - drop some above to start the library"
+      )
+    );
+  }
+
+  sources.forEach((source) => {
+    const item = createLibraryElement("div", "library-source");
+    const info = createLibraryElement("div", "library-source-info");
+    info.appendChild(
+      createLibraryElement("span", "library-source-name", source.name)
+    );
+    info.appendChild(
+      createLibraryElement(
+        "span",
+        "library-source-meta",
+        `${source.kind.toUpperCase()} · uploaded ${new Date(
+          source.uploadedAt
+        ).toLocaleString()}`
+      )
+    );
+    item.appendChild(info);
+
+    const removeBtn = createLibraryElement("button", "secondary-btn", "Remove");
+    removeBtn.type = "button";
+    // Sources can't be removed while the library still holds untracked paywalls
+    removeBtn.disabled = untrackedPaywalls > 0;
+    if (removeBtn.disabled) {
+      removeBtn.title = "Clear the profile first - see the note above";
+    }
+    removeBtn.addEventListener("click", () => removeLibrarySource(source));
+    item.appendChild(removeBtn);
+
+    librarySources.appendChild(item);
+  });
+}
+
+function renderLibraryPatterns(patterns) {
+  const palette = Object.entries(patterns.palette || {}).filter(
+    ([, color]) => color
+  );
+  renderLibrarySection("libraryPalette", palette, ([role, color]) =>
+    createColorSwatch(color, role)
+  );
+  renderLibrarySection("libraryColors", patterns.colors || [], (color) =>
+    createColorSwatch(color)
+  );
+
+  renderLibrarySection("libraryFonts", patterns.fonts || [], (font) => {
+    const item = createLibraryElement("div", "library-font");
+    const sample = createLibraryElement(
+      "span",
+      "library-font-sample",
+      "Aa Bb Cc 123"
+    );
+    sample.style.fontFamily = `"${font.value}", sans-serif`;
+    item.appendChild(sample);
+    item.appendChild(
+      createLibraryElement(
+        "span",
+        "library-sample-value",
+        `${font.value} · used ${font.count} time(s)`
+      )
+    );
+    return item;
+  });
+
+  renderLibrarySection(
+    "libraryRadii",
+    patterns.borderRadius || [],
+    (radius) => {
+      const item = createLibraryElement("div", "library-sample");
+      const box = createLibraryElement("div", "library-sample-box");
+      box.style.borderRadius = `${radius.value}px`;
+      item.appendChild(box);
+      item.appendChild(
+        createLibraryElement(
+          "span",
+          "library-sample-value",
+          `${radius.value}px`
+        )
+      );
+      return item;
+    }
+  );
+
+  renderLibrarySection("libraryShadows", patterns.shadows || [], (shadow) => {
+    const item = createLibraryElement("div", "library-sample");
+    const box = createLibraryElement("div", "library-sample-box");
+    box.style.boxShadow = shadow.value;
+    item.appendChild(box);
+    item.appendChild(
+      createLibraryElement("span", "library-sample-value", shadow.value)
+    );
+    return item;
+  });
+}
+
+// Fill the profile picker, keeping the profile that was shown
+async function loadLibraryProfiles() {
+  const response = await fetch(`${API_BASE_URL}/api/profiles`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "Failed to load the style profiles");
+  }
+
+  const selected = libraryProfileSelect.value || data.defaultProfile;
+  libraryProfileSelect.innerHTML = "";
+  data.profiles.forEach((profile) => {
+    const option = createLibraryElement(
+      "option",
+      null,
+      `${profile.name} (${profile.totalPaywallsAnalyzed} paywall(s))`
+    );
+    option.value = profile.name;
+    libraryProfileSelect.appendChild(option);
+  });
+  libraryProfileSelect.value = data.profiles.some(
+    (profile) => profile.name === selected
+  )
+    ? selected
+    : data.defaultProfile;
+}
+
+// Load the library's sources and aggregated patterns
+async function loadPatternLibrary() {
+  if (!librarySources) return;
+
+  try {
+    await loadLibraryProfiles();
+    const [patternsResponse, sourcesResponse] = await Promise.all([
+      fetch(`${API_BASE_URL}/api/paywall-patterns${libraryProfileQuery()}`),
+      fetch(`${API_BASE_URL}/api/paywall-sources${libraryProfileQuery()}`),
+    ]);
+    const patternsData = await patternsResponse.json();
+    const sourcesData = await sourcesResponse.json();
+    if (!patternsResponse.ok || !sourcesResponse.ok) {
+      throw new Error(
+        patternsData.error || sourcesData.error || "Failed to load the library"
+      );
+    }
+
+    librarySummary.textContent = `${patternsData.patterns.count} paywall(s) analyzed in "${libraryProfileSelect.value}"`;
+    renderLibrarySources(sourcesData.sources, sourcesData.untrackedPaywalls);
+    renderLibraryPatterns(patternsData.patterns);
+  } catch (error) {
+    console.error("Error loading pattern library:", error);
+    showLibraryStatus(
+      error.message || "Failed to load the pattern library",
+      true
+    );
+  }
+}
+
+async function uploadLibraryFiles(files) {
+  if (files.length === 0) return;
+
+  const formData = new FormData();
+  formData.append("profile", libraryProfileSelect.value);
+  files.forEach((file) => formData.append("paywalls", file));
+  showLibraryStatus(`Analyzing ${files.length} file(s)...`);
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/upload-paywalls`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to upload paywalls");
+    }
+
+    // Images and other bundle assets are skipped, not failed
+    const failed = data.results.filter(
+      (result) => !result.success && !result.skipped
+    );
+    showLibraryStatus(
+      [
+        data.message,
+        ...failed.map((result) => `${result.filename}: ${result.error}`),
+      ].join("\n"),
+      failed.length > 0
+    );
+    await loadPatternLibrary();
+  } catch (error) {
+    console.error("Error uploading paywalls:", error);
+    showLibraryStatus(error.message || "Failed to upload paywalls", true);
+  }
+}
+
+async function removeLibrarySource(source) {
+  if (!confirm(`Remove ${source.name} from the pattern library?`)) return;
+
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/api/paywall-sources/${encodeURIComponent(
+        source.id
+      )}${libraryProfileQuery()}`,
+      { method: "DELETE" }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to remove the paywall");
+    }
+
+    showLibraryStatus(`Removed ${source.name}`);
+    await loadPatternLibrary();
+  } catch (error) {
+    console.error("Error removing paywall source:", error);
+    showLibraryStatus(error.message || "Failed to remove the paywall", true);
+  }
+}
+
+// Empty the shown profile; the previous library stays restorable as a snapshot
+async function clearLibraryProfile() {
+  const profile = libraryProfileSelect.value;
+  if (
+    !confirm(
+      `Clear every paywall from profile "${profile}"? The current library is kept as a snapshot.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/api/paywall-patterns${libraryProfileQuery()}`,
+      { method: "DELETE" }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to clear the profile");
+    }
+
+    showLibraryStatus(`${data.message}. Re-upload the paywalls to keep.`);
+    await loadPatternLibrary();
+  } catch (error) {
+    console.error("Error clearing pattern profile:", error);
+    showLibraryStatus(error.message || "Failed to clear the profile", true);
+  }
+}
+
+if (libraryProfileSelect) {
+  libraryProfileSelect.addEventListener("change", () => {
+    libraryStatus.style.display = "none";
+    loadPatternLibrary();
+  });
+}
+
+if (libraryDropzone && libraryFilesInput) {
+  libraryFilesInput.addEventListener("change", () => {
+    uploadLibraryFiles(Array.from(libraryFilesInput.files));
+    // Allow the same file to be picked again after it changed
+    libraryFilesInput.value = "";
+  });
+
+  ["dragenter", "dragover"].forEach((eventName) => {
+    libraryDropzone.addEventListener(eventName, (e) => {
+      e.preventDefault();
+      libraryDropzone.classList.add("dragover");
+    });
+  });
+  ["dragleave", "drop"].forEach((eventName) => {
+    libraryDropzone.addEventListener(eventName, (e) => {
+      e.preventDefault();
+      libraryDropzone.classList.remove("dragover");
+    });
+  });
+  libraryDropzone.addEventListener("drop", (e) => {
+    uploadLibraryFiles(Array.from(e.dataTransfer.files));
+  });
+}
+
 // Custom dropdown enhancement for better styling
 function initCustomDropdowns() {
   const selects = document.querySelectorAll(